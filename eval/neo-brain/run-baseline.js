@@ -15,21 +15,49 @@
 //   - baseline-<date>.json  (full per-question results)
 //   - baseline-<date>.md    (human summary)
 //
+// Reranker A/B (--rerank): runs every question twice — arm A first-stage only
+// (rerank: false), arm B with the given reranker over --candidates first-stage
+// rows — and writes rerank-ab-<date>.{json,md} with both arms' metrics and the
+// per-question rank movement instead of the baseline report.
+//
 // USAGE
 //   node --env-file=.env --no-warnings eval/neo-brain/run-baseline.js
+//   node --env-file=.env --no-warnings eval/neo-brain/run-baseline.js --rerank cross-encoder --rerank-url http://nas:8087
+//   node --env-file=.env --no-warnings eval/neo-brain/run-baseline.js --rerank llm-judge --candidates 30
+//
+// OPTIONS
+//   --rerank <kind>        cross-encoder | llm-judge — run the A/B instead of the baseline
+//   --rerank-url <url>     cross-encoder endpoint (default NEO_BRAIN_RERANK_URL)
+//   --rerank-api <api>     cross-encoder API shape: tei (default) | cohere
+//   --rerank-model <name>  model name passed to the reranker
+//   --candidates <n>       first-stage rows handed to the reranker (default 40)
 //
 // READ-ONLY against neo-brain. No writes.
 
 import { readFileSync, writeFileSync } from 'node:fs';
 import { NeoBrain } from '@todak/memory';
+import { CrossEncoderReranker, LLMJudgeReranker } from '@todak/memory/rerank';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+const RERANK = flag('--rerank');
+const CANDIDATES = Number(flag('--candidates', '40'));
+if (RERANK && !['cross-encoder', 'llm-judge'].includes(RERANK)) {
+  console.error(`--rerank must be cross-encoder or llm-judge (got ${RERANK})`);
+  process.exit(2);
+}
 
 const EVAL_PATH = './eval/neo-brain/eval-set-v1.json';
 const stamp = new Date().toISOString().slice(0, 10);
-const REPORT_JSON = `./eval/neo-brain/baseline-${stamp}.json`;
-const REPORT_MD   = `./eval/neo-brain/baseline-${stamp}.md`;
+const REPORT_PREFIX = RERANK ? 'rerank-ab' : 'baseline';
+const REPORT_JSON = `./eval/neo-brain/${REPORT_PREFIX}-${stamp}.json`;
+const REPORT_MD   = `./eval/neo-brain/${REPORT_PREFIX}-${stamp}.md`;
 
 const evalSet = JSON.parse(readFileSync(EVAL_PATH, 'utf8'));
-const nb = new NeoBrain({ agent: 'rag-phase0-baseline' });
+const nb = new NeoBrain({ agent: 'rag-phase0-baseline', reranker: false });
 
 // Redact common secret shapes before they land in the report.
 // Discovered the hard way 2026-05-15 when a memory containing a real
@@ -49,93 +77,165 @@ function redact(s) {
 
 const SEARCH_OPTS = { k: 10, minSimilarity: 0.35 };  // SDK defaults except k bumped to 10
 
-const results = [];
-let n_recall5 = 0, n_recall10 = 0, n_hit5 = 0, n_hit10 = 0, mrr_sum = 0;
-let n_questions_with_expected = 0;
-let n_zero_expected = 0; // diagnostic cases (expected_ids: [])
+function buildReranker() {
+  const model = flag('--rerank-model') || undefined;
+  if (RERANK === 'llm-judge') return new LLMJudgeReranker({ model });
+  return new CrossEncoderReranker({
+    baseUrl: flag('--rerank-url', process.env.NEO_BRAIN_RERANK_URL),
+    api: flag('--rerank-api', 'tei'),
+    model,
+  });
+}
+
+// Run every eval case with `searchOpts`; returns per-question results + summary.
+async function runArm(label, searchOpts) {
+  const results = [];
+  let n_recall5 = 0, n_recall10 = 0, n_hit5 = 0, n_hit10 = 0, mrr_sum = 0;
+  let n_questions_with_expected = 0;
+  let n_zero_expected = 0; // diagnostic cases (expected_ids: [])
 
-console.log(`Loaded ${evalSet.cases.length} eval cases. Running baseline with k=${SEARCH_OPTS.k}, min_similarity=${SEARCH_OPTS.minSimilarity}...\n`);
+  console.log(`Loaded ${evalSet.cases.length} eval cases. Running ${label} with k=${searchOpts.k}, min_similarity=${searchOpts.minSimilarity}...\n`);
 
-for (const c of evalSet.cases) {
-  let hits;
-  try {
-    hits = await nb.search(c.question, SEARCH_OPTS);
-  } catch (e) {
-    results.push({ id: c.id, question: c.question, error: e.message });
-    console.error(`  ✗ [${c.id}] search failed: ${e.message}`);
-    continue;
+  for (const c of evalSet.cases) {
+    let hits;
+    try {
+      hits = await nb.search(c.question, searchOpts);
+    } catch (e) {
+      results.push({ id: c.id, question: c.question, error: e.message });
+      console.error(`  ✗ [${c.id}] search failed: ${e.message}`);
+      continue;
+    }
+    const returnedIds = hits.map(h => h.id);
+    const expected = new Set(c.expected_ids);
+
+    // Per-case metrics
+    const top5 = returnedIds.slice(0, 5);
+    const top10 = returnedIds.slice(0, 10);
+    const found5 = top5.filter(id => expected.has(id));
+    const found10 = top10.filter(id => expected.has(id));
+
+    let firstRank = null;
+    for (let i = 0; i < returnedIds.length; i++) {
+      if (expected.has(returnedIds[i])) { firstRank = i + 1; break; }
+    }
+    const reciprocal = firstRank ? 1 / firstRank : 0;
+
+    const recall5 = expected.size ? found5.length / expected.size : null;
+    const recall10 = expected.size ? found10.length / expected.size : null;
+    const hit5 = expected.size ? (found5.length > 0 ? 1 : 0) : null;
+    const hit10 = expected.size ? (found10.length > 0 ? 1 : 0) : null;
+
+    results.push({
+      id: c.id,
+      question: c.question,
+      category: c.category,
+      expected_ids: [...expected],
+      returned_top10: returnedIds,
+      first_hit_rank: firstRank,
+      recall5, recall10, hit5, hit10, mrr_contribution: reciprocal,
+      // For diagnostic: show the top-5 with similarity if available — content_preview redacted
+      top5_preview: hits.slice(0, 5).map(h => ({ id: h.id, similarity: h.similarity, rerank_score: h.rerank_score, first_stage_rank: h.first_stage_rank, content_preview: redact((h.content||'').slice(0, 120)) })),
+    });
+
+    if (expected.size === 0) {
+      n_zero_expected++;
+      // diagnostic case (e.g. off-table question) — recall is N/A but report top-1
+      console.log(`  · [${c.id}] (diagnostic, 0 expected) → top-1 sim=${hits[0]?.similarity?.toFixed(3) ?? 'n/a'}`);
+    } else {
+      n_questions_with_expected++;
+      n_recall5 += recall5;
+      n_recall10 += recall10;
+      n_hit5 += hit5;
+      n_hit10 += hit10;
+      mrr_sum += reciprocal;
+      console.log(`  ${firstRank ? '✓' : '✗'} [${c.id}] rank=${firstRank ?? '—'}  r@5=${recall5.toFixed(2)}  r@10=${recall10.toFixed(2)}`);
+    }
   }
-  const returnedIds = hits.map(h => h.id);
-  const expected = new Set(c.expected_ids);
-
-  // Per-case metrics
-  const top5 = returnedIds.slice(0, 5);
-  const top10 = returnedIds.slice(0, 10);
-  const found5 = top5.filter(id => expected.has(id));
-  const found10 = top10.filter(id => expected.has(id));
-
-  let firstRank = null;
-  for (let i = 0; i < returnedIds.length; i++) {
-    if (expected.has(returnedIds[i])) { firstRank = i + 1; break; }
+
+  const N = n_questions_with_expected;
+  const summary = {
+    ran_at: new Date().toISOString(),
+    eval_set: EVAL_PATH,
+    arm: label,
+    search_opts: { ...searchOpts, ...(searchOpts.rerank ? { rerank: searchOpts.rerank.name } : {}) },
+    total_cases: evalSet.cases.length,
+    cases_with_expected: N,
+    diagnostic_cases_no_expected: n_zero_expected,
+    metrics: {
+      'recall@5':  N ? (n_recall5 / N) : null,
+      'recall@10': N ? (n_recall10 / N) : null,
+      'hit@5':     N ? (n_hit5 / N) : null,
+      'hit@10':    N ? (n_hit10 / N) : null,
+      MRR:         N ? (mrr_sum / N) : null,
+    },
+  };
+
+  console.log('\n━━ Summary ━━');
+  console.log(`Cases scored: ${N}  ·  diagnostic cases: ${n_zero_expected}`);
+  console.log(`recall@5  = ${(summary.metrics['recall@5']*100).toFixed(1)}%`);
+  console.log(`recall@10 = ${(summary.metrics['recall@10']*100).toFixed(1)}%`);
+  console.log(`hit@5     = ${(summary.metrics['hit@5']*100).toFixed(1)}%`);
+  console.log(`hit@10    = ${(summary.metrics['hit@10']*100).toFixed(1)}%`);
+  console.log(`MRR       = ${summary.metrics.MRR.toFixed(3)}`);
+  return { summary, results };
+}
+
+const pct = (v) => (v * 100).toFixed(1) + '%';
+const signed = (v, fmt) => (v >= 0 ? '+' : '−') + fmt(Math.abs(v));
+
+if (RERANK) {
+  const reranker = buildReranker();
+  const a = await runArm('A: first stage', { ...SEARCH_OPTS, rerank: false });
+  const b = await runArm(`B: ${reranker.name}`, { ...SEARCH_OPTS, rerank: reranker, rerankCandidates: CANDIDATES, rerankFallback: false });
+  const deltas = Object.fromEntries(Object.keys(a.summary.metrics).map((m) => [m, b.summary.metrics[m] - a.summary.metrics[m]]));
+  const bById = new Map(b.results.map((r) => [r.id, r]));
+  const movement = a.results.filter((r) => !r.error && r.expected_ids.length).map((r) => ({
+    id: r.id,
+    question: r.question,
+    rank_a: r.first_hit_rank,
+    rank_b: bById.get(r.id)?.first_hit_rank ?? null,
+  }));
+
+  console.log('\n━━ A/B ━━');
+  for (const [m, d] of Object.entries(deltas)) {
+    const fmt = m === 'MRR' ? (v) => v.toFixed(3) : pct;
+    console.log(`${m.padEnd(9)} ${fmt(a.summary.metrics[m])} → ${fmt(b.summary.metrics[m])}  (${signed(d, fmt)})`);
   }
-  const reciprocal = firstRank ? 1 / firstRank : 0;
-
-  const recall5 = expected.size ? found5.length / expected.size : null;
-  const recall10 = expected.size ? found10.length / expected.size : null;
-  const hit5 = expected.size ? (found5.length > 0 ? 1 : 0) : null;
-  const hit10 = expected.size ? (found10.length > 0 ? 1 : 0) : null;
-
-  results.push({
-    id: c.id,
-    question: c.question,
-    category: c.category,
-    expected_ids: [...expected],
-    returned_top10: returnedIds,
-    first_hit_rank: firstRank,
-    recall5, recall10, hit5, hit10, mrr_contribution: reciprocal,
-    // For diagnostic: show the top-5 with similarity if available — content_preview redacted
-    top5_preview: hits.slice(0, 5).map(h => ({ id: h.id, similarity: h.similarity, content_preview: redact((h.content||'').slice(0, 120)) })),
-  });
 
-  if (expected.size === 0) {
-    n_zero_expected++;
-    // diagnostic case (e.g. off-table question) — recall is N/A but report top-1
-    console.log(`  · [${c.id}] (diagnostic, 0 expected) → top-1 sim=${hits[0]?.similarity?.toFixed(3) ?? 'n/a'}`);
-  } else {
-    n_questions_with_expected++;
-    n_recall5 += recall5;
-    n_recall10 += recall10;
-    n_hit5 += hit5;
-    n_hit10 += hit10;
-    mrr_sum += reciprocal;
-    console.log(`  ${firstRank ? '✓' : '✗'} [${c.id}] rank=${firstRank ?? '—'}  r@5=${recall5.toFixed(2)}  r@10=${recall10.toFixed(2)}`);
+  writeFileSync(REPORT_JSON, JSON.stringify({ reranker: reranker.name, candidates: CANDIDATES, arms: { a, b }, deltas, movement }, null, 2));
+  console.log(`\nFull JSON → ${REPORT_JSON}`);
+
+  const md = [];
+  md.push(`# Reranker A/B · ${stamp}`);
+  md.push('');
+  md.push(`**Eval set:** \`${EVAL_PATH}\` · ${evalSet.cases.length} cases (${a.summary.cases_with_expected} scored)`);
+  md.push(`**A:** \`NeoBrain.search\` k=${SEARCH_OPTS.k}, min_similarity=${SEARCH_OPTS.minSimilarity}, no rerank`);
+  md.push(`**B:** same first stage over ${CANDIDATES} candidates, reranked by \`${reranker.name}\``);
+  md.push('');
+  md.push('| Metric | A | B | Δ |');
+  md.push('|---|---|---|---|');
+  for (const [m, d] of Object.entries(deltas)) {
+    const fmt = m === 'MRR' ? (v) => v.toFixed(3) : pct;
+    md.push(`| ${m} | ${fmt(a.summary.metrics[m])} | ${fmt(b.summary.metrics[m])} | ${signed(d, fmt)} |`);
   }
+  md.push('');
+  md.push('## Rank movement (first expected hit)');
+  md.push('');
+  md.push('| id | A | B |');
+  md.push('|---|---|---|');
+  for (const r of movement.filter((r) => r.rank_a !== r.rank_b)) {
+    md.push(`| ${r.id} | ${r.rank_a ?? '—'} | ${r.rank_b ?? '—'} |`);
+  }
+  md.push('');
+  md.push(`${movement.filter((r) => r.rank_a === r.rank_b).length} question(s) unchanged.`);
+  writeFileSync(REPORT_MD, md.join('\n') + '\n');
+  console.log(`Markdown   → ${REPORT_MD}`);
+  process.exit(0);
 }
 
-const N = n_questions_with_expected;
-const summary = {
-  ran_at: new Date().toISOString(),
-  eval_set: EVAL_PATH,
-  search_opts: SEARCH_OPTS,
-  total_cases: evalSet.cases.length,
-  cases_with_expected: N,
-  diagnostic_cases_no_expected: n_zero_expected,
-  metrics: {
-    'recall@5':  N ? (n_recall5 / N) : null,
-    'recall@10': N ? (n_recall10 / N) : null,
-    'hit@5':     N ? (n_hit5 / N) : null,
-    'hit@10':    N ? (n_hit10 / N) : null,
-    MRR:         N ? (mrr_sum / N) : null,
-  },
-};
-
-console.log('\n━━ Summary ━━');
-console.log(`Cases scored: ${N}  ·  diagnostic cases: ${n_zero_expected}`);
-console.log(`recall@5  = ${(summary.metrics['recall@5']*100).toFixed(1)}%`);
-console.log(`recall@10 = ${(summary.metrics['recall@10']*100).toFixed(1)}%`);
-console.log(`hit@5     = ${(summary.metrics['hit@5']*100).toFixed(1)}%`);
-console.log(`hit@10    = ${(summary.metrics['hit@10']*100).toFixed(1)}%`);
-console.log(`MRR       = ${summary.metrics.MRR.toFixed(3)}`);
+const { summary, results } = await runArm('baseline', SEARCH_OPTS);
+const N = summary.cases_with_expected;
+const n_zero_expected = summary.diagnostic_cases_no_expected;
 
 writeFileSync(REPORT_JSON, JSON.stringify({ summary, per_question: results }, null, 2));
 console.log(`\nFull JSON → ${REPORT_JSON}`);
@@ -15,13 +15,22 @@
 // Each question is embedded ONCE (Gemini); embeddings are reused across every
 // config. A vanilla match_memories run is the apples-to-apples control.
 //
+// Phase 2 adds a recency / importance scoring sweep (search({ halfLifeDays,
+// recencyWeight, importanceWeight, preferSuperseding })): each question's
+// candidate pool is fetched ONCE at the SDK's default hybrid config
+// (SCORING_CANDIDATES rows, as search() over-fetches), supersedes edges are
+// loaded once, and every scoring config is applied locally with the same
+// rescore() the SDK uses. Superseding memories the RPC didn't return are not
+// pulled in here (search() does that), so preferSuperseding is a lower bound.
+//
 // Outputs eval/neo-brain/hybrid-sweep-<date>.{json,md}. READ-ONLY on neo-brain.
 //
 // USAGE
 //   node --env-file=.env --no-warnings eval/neo-brain/run-hybrid-sweep.js
+//   node --env-file=.env --no-warnings eval/neo-brain/run-hybrid-sweep.js --scoring-only   # skip the RRF grid
 
 import { readFileSync, writeFileSync } from 'node:fs';
-import { NeoBrain } from '@todak/memory';
+import { NeoBrain, rescore } from '@todak/memory';
 import { embedText } from '../../packages/memory/src/gemini.js';
 
 const EVAL_PATH = './eval/neo-brain/eval-set-v1.json';
@@ -42,8 +51,17 @@ const WEIGHT_PAIRS = [
   { sw: 1.0, lw: 0.5 },
 ];
 
+// Scoring grid (Phase 2) — applied over SDK-default hybrid candidates.
+const SCORING_ONLY = process.argv.includes('--scoring-only');
+const SCORING_CANDIDATES = 40;
+const SDK_HYBRID = { minSim: 0.3, rrfK: 30, sw: 3.0, lw: 1.0 };
+const HALF_LIVES = [null, 30, 90, 180, 365];
+const RECENCY_WEIGHTS = [0.25, 0.5, 0.75];
+const IMPORTANCE_WEIGHTS = [0, 0.25, 0.5];
+const PREFER_SUPERSEDING = [false, true];
+
 const evalSet = JSON.parse(readFileSync(EVAL_PATH, 'utf8'));
-const nb = new NeoBrain({ agent: 'rag-phase1b-hybrid-sweep' });
+const nb = new NeoBrain({ agent: 'rag-phase1b-hybrid-sweep', reranker: false });
 
 console.log(`Embedding ${evalSet.cases.length} questions...`);
 const embByCase = new Map();
@@ -87,21 +105,40 @@ async function runVanilla(minSim) {
   return byCase;
 }
 
-async function runHybridV2(minSim, rrfK, sw, lw) {
+async function runHybridV2(minSim, rrfK, sw, lw, { matchCount = K, rows = false } = {}) {
   const byCase = new Map();
   for (const c of evalSet.cases) {
     const { data, error } = await nb.sb.rpc('match_memories_hybrid_v2', {
       query_embedding: embByCase.get(c.id),
       query_text: c.question,
-      match_count: K, min_similarity: minSim, visibility_filter: VIS,
+      match_count: matchCount, min_similarity: minSim, visibility_filter: VIS,
       source_exclude: null, rrf_k: rrfK, semantic_weight: sw, lexical_weight: lw,
     });
     if (error) throw new Error(`match_memories_hybrid_v2: ${error.message}`);
-    byCase.set(c.id, (data || []).map((r) => r.id));
+    byCase.set(c.id, rows ? data || [] : (data || []).map((r) => r.id));
   }
   return byCase;
 }
 
+// dst → src for every supersedes edge touching the candidate pools.
+async function loadSupersedes(candidatesByCase) {
+  const ids = [...new Set([...candidatesByCase.values()].flat().map((r) => r.id))];
+  const supersededBy = new Map();
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await nb.sb
+      .from('memory_edges')
+      .select('src, dst')
+      .eq('relation', 'supersedes')
+      .in('dst', ids.slice(i, i + 200));
+    if (error) {
+      console.warn(`  memory_edges unavailable (${error.message}) — preferSuperseding runs will match the baseline`);
+      return supersededBy;
+    }
+    for (const e of data || []) if (!supersededBy.has(e.dst)) supersededBy.set(e.dst, e.src);
+  }
+  return supersededBy;
+}
+
 const runs = [];
 
 console.log('\nControl: vanilla match_memories @ min_sim=0.35');
@@ -109,7 +146,7 @@ const ctrl = scoreRun(await runVanilla(0.35));
 runs.push({ kind: 'vanilla', min_sim: 0.35, rrf_k: null, sw: null, lw: null, metrics: ctrl });
 console.log(`  recall@5=${(ctrl['recall@5'] * 100).toFixed(1)}%  recall@10=${(ctrl['recall@10'] * 100).toFixed(1)}%  MRR=${ctrl.MRR.toFixed(3)}`);
 
-for (const minSim of MIN_SIMS) {
+for (const minSim of SCORING_ONLY ? [] : MIN_SIMS) {
   for (const rrfK of RRF_KS) {
     for (const { sw, lw } of WEIGHT_PAIRS) {
       const m = scoreRun(await runHybridV2(minSim, rrfK, sw, lw));
@@ -122,10 +159,54 @@ for (const minSim of MIN_SIMS) {
   }
 }
 
+console.log(`\nScoring sweep over SDK-default hybrid (${SCORING_CANDIDATES} candidates/question)`);
+const candidatesByCase = await runHybridV2(SDK_HYBRID.minSim, SDK_HYBRID.rrfK, SDK_HYBRID.sw, SDK_HYBRID.lw, { matchCount: SCORING_CANDIDATES, rows: true });
+const supersededBy = await loadSupersedes(candidatesByCase);
+console.log(`  ${supersededBy.size} candidate(s) have a superseding memory`);
+const now = Date.now();
+const scoringRuns = [];
+for (const halfLifeDays of HALF_LIVES) {
+  for (const recencyWeight of halfLifeDays ? RECENCY_WEIGHTS : [null]) {
+    for (const importanceWeight of IMPORTANCE_WEIGHTS) {
+      for (const preferSuperseding of PREFER_SUPERSEDING) {
+        const byCase = new Map();
+        for (const [id, rows] of candidatesByCase) {
+          const scored = rescore(rows, {
+            halfLifeDays,
+            recencyWeight: recencyWeight ?? undefined,
+            importanceWeight,
+            supersededBy: preferSuperseding ? supersededBy : new Map(),
+            now,
+          });
+          byCase.set(id, scored.slice(0, K).map((r) => r.id));
+        }
+        const m = scoreRun(byCase);
+        scoringRuns.push({ kind: 'scored', halfLifeDays, recencyWeight, importanceWeight, preferSuperseding, metrics: m });
+      }
+    }
+  }
+}
+const scoringBase = scoringRuns[0]; // no decay, no importance, no supersedes = plain SDK order
+const scoringSorted = [...scoringRuns].sort((a, b) => b.metrics['recall@5'] - a.metrics['recall@5'] || b.metrics.MRR - a.metrics.MRR);
+const bestScoring = scoringSorted[0];
+for (const r of scoringSorted.slice(0, 10)) {
+  console.log(
+    `  half-life=${r.halfLifeDays ?? '—'} rw=${r.recencyWeight ?? '—'} iw=${r.importanceWeight} supersede=${r.preferSuperseding ? 'y' : 'n'}  ` +
+      `recall@5=${(r.metrics['recall@5'] * 100).toFixed(1)}%  recall@10=${(r.metrics['recall@10'] * 100).toFixed(1)}%  MRR=${r.metrics.MRR.toFixed(3)}`,
+  );
+}
+
 const sorted = [...runs].sort((a, b) => b.metrics['recall@5'] - a.metrics['recall@5'] || b.metrics.MRR - a.metrics.MRR);
 const best = sorted[0];
 
-writeFileSync(REPORT_JSON, JSON.stringify({ ran_at: new Date().toISOString(), eval_set: EVAL_PATH, k: K, runs, best }, null, 2));
+writeFileSync(REPORT_JSON, JSON.stringify({
+  ran_at: new Date().toISOString(),
+  eval_set: EVAL_PATH,
+  k: K,
+  runs,
+  best,
+  scoring: { hybrid: SDK_HYBRID, candidates: SCORING_CANDIDATES, superseded_candidates: supersededBy.size, runs: scoringRuns, best: bestScoring },
+}, null, 2));
 
 const md = [];
 md.push(`# Phase 1b · Hybrid (RRF) retrieval sweep · ${stamp}`);
@@ -151,6 +232,25 @@ md.push(
     `${best.kind}${best.kind === 'hybrid_v2' ? ` (min_sim=${best.min_sim}, rrf_k=${best.rrf_k}, sw=${best.sw}, lw=${best.lw})` : ''} ` +
     `· ${delta >= 0 ? '+' : ''}${delta.toFixed(1)}pp vs vanilla control.`,
 );
+md.push('');
+md.push(`## Recency / importance scoring · ${SCORING_CANDIDATES} candidates at SDK defaults (min_sim=${SDK_HYBRID.minSim}, rrf_k=${SDK_HYBRID.rrfK}, sw=${SDK_HYBRID.sw}, lw=${SDK_HYBRID.lw})`);
+md.push('');
+md.push('| half-life (days) | recency w | importance w | prefer superseding | recall@5 | recall@10 | hit@5 | MRR |');
+md.push('|---|---|---|---|---|---|---|---|');
+for (const r of scoringSorted) {
+  md.push(
+    `| ${r.halfLifeDays ?? '—'} | ${r.recencyWeight ?? '—'} | ${r.importanceWeight} | ${r.preferSuperseding ? 'yes' : 'no'} | ` +
+      `${(r.metrics['recall@5'] * 100).toFixed(1)}% | ${(r.metrics['recall@10'] * 100).toFixed(1)}% | ${(r.metrics['hit@5'] * 100).toFixed(1)}% | ${r.metrics.MRR.toFixed(3)} |`,
+  );
+}
+md.push('');
+const scoringDelta = (bestScoring.metrics['recall@5'] - scoringBase.metrics['recall@5']) * 100;
+md.push(
+  `**Best scoring:** half-life=${bestScoring.halfLifeDays ?? '—'}, recencyWeight=${bestScoring.recencyWeight ?? '—'}, ` +
+    `importanceWeight=${bestScoring.importanceWeight}, preferSuperseding=${bestScoring.preferSuperseding} · recall@5 ` +
+    `${(bestScoring.metrics['recall@5'] * 100).toFixed(1)}% (${scoringDelta >= 0 ? '+' : ''}${scoringDelta.toFixed(1)}pp vs unscored). ` +
+    `${supersededBy.size} candidate(s) had a supersedes edge.`,
+);
 writeFileSync(REPORT_MD, md.join('\n') + '\n');
 
 console.log(`\n━━ Best: ${best.kind} recall@5=${(best.metrics['recall@5'] * 100).toFixed(1)}% (${delta >= 0 ? '+' : ''}${delta.toFixed(1)}pp vs vanilla) ━━`);
@@ -156,6 +156,16 @@ server.setRequestHandler('tools/list', async () => {
               description: 'Maximum number of results',
               default: 10,
             },
+            explain: {
+              type: 'boolean',
+              description: 'Show why each hit matched (terms, similarity, dominant ranker, filters)',
+              default: false,
+            },
+            parse: {
+              type: 'boolean',
+              description: 'Turn time phrases, people and project names in the query into filters ("last week", "Siti", "CTK")',
+              default: false,
+            },
           },
           required: ['query'],
         },
@@ -230,9 +240,9 @@ server.setRequestHandler('tools/call', async (request) => {
       }
 
       case 'search_memory': {
-        const { query, limit = 10 } = args;
+        const { query, limit = 10, explain = false, parse = false } = args;
         const toolPath = join(CTK_ROOT, 'tools/rag-semantic-search.js');
-        const result = execSync(`node "${toolPath}" "${query}" --limit ${limit}`, {
+        const result = execSync(`node "${toolPath}" "${query}" --limit ${limit}${explain ? ' --explain' : ''}${parse ? ' --parse' : ''}`, {
           encoding: 'utf8',
         });
         return { content: [{ type: 'text', text: result }] };
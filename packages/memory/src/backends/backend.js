@@ -0,0 +1,33 @@
+/**
+ * Backend interface — where NeoBrain's rows live.
+ *
+ * NeoBrain talks to its backend through the slice of the supabase-js API it
+ * has always used, so a backend is anything that provides:
+ *
+ *   from(table)        a PostgREST-style query builder: select / insert /
+ *                      update / upsert / delete, the filters eq, neq, gt, gte,
+ *                      lt, lte, like, ilike, is, in, contains, overlaps, not,
+ *                      or; order, limit, range, single, maybeSingle. Awaiting
+ *                      it resolves { data, error, status } and never rejects.
+ *   rpc(name, args)    call a database function by named arguments →
+ *                      { data, error, status }
+ *   close()            release connections
+ *
+ * and, optionally, channel(name) / removeChannel(ch) for Supabase Realtime —
+ * without them brain.watch() polls. `error` is { message, code } with the
+ * Postgres SQLSTATE in `code` where there is one; `status` is the HTTP status
+ * PostgREST would have answered (0 when the server was never reached), which
+ * decides what the write-ahead journal treats as transient.
+ */
+
+export class Backend {
+  kind = "unknown";
+
+  /** @returns {object} query builder for `table` */
+  from(table) { throw new Error("not implemented"); }
+
+  /** @returns {Promise<{data:*, error:object|null, status:number}>} */
+  async rpc(name, args = {}) { throw new Error("not implemented"); }
+
+  async close() {}
+}
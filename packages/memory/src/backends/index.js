@@ -0,0 +1,36 @@
+/**
+ * Backends — where NeoBrain's rows live. The interface lives in
+ * ./backend.js.
+ *
+ * NeoBrain takes one via `new NeoBrain({ backend })`: a Backend, "supabase"
+ * or "pg". Without it the client reads NEO_BRAIN_BACKEND, which is
+ * "supabase" unless set.
+ */
+
+import { SupabaseBackend } from "./supabase.js";
+import { PgBackend } from "./pg.js";
+
+export { Backend } from "./backend.js";
+export { SupabaseBackend, PgBackend };
+
+export const BACKENDS = ["supabase", "pg"];
+
+/**
+ * Build a backend by name:
+ *   supabase   url + key (NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY / NEO_BRAIN_ANON_KEY)
+ *   pg         databaseUrl (NEO_BRAIN_DATABASE_URL) — a postgres:// connection string
+ *
+ * @param {string} kind
+ * @param {{url?:string, key?:string, databaseUrl?:string}} [opts]
+ * @returns {import("./backend.js").Backend}
+ */
+export function createBackend(kind, { url = null, key = null, databaseUrl = null } = {}) {
+  switch (kind) {
+    case "supabase":
+      return new SupabaseBackend({ url, key });
+    case "pg":
+      return new PgBackend({ connectionString: databaseUrl });
+    default:
+      throw new Error(`NEO_BRAIN_BACKEND: unknown backend "${kind}" (${BACKENDS.join(" | ")})`);
+  }
+}
@@ -0,0 +1,423 @@
+import { createRequire } from "node:module";
+import { Backend } from "./backend.js";
+
+/**
+ * Direct Postgres backend (node-postgres) — no PostgREST, no Supabase stack.
+ *
+ * Works against any Postgres with pgvector and the neo-brain schema and
+ * functions applied (a NAS-local instance, a CI container). It answers the
+ * query-builder calls NeoBrain makes the way PostgREST would: timestamps as
+ * ISO strings, numeric / bigint as numbers, vectors as "[…]" text,
+ * { data, error, status } results. Column and function types are read from
+ * the catalog once per table / function, so jsonb, arrays and vectors are
+ * encoded for what the column holds.
+ *
+ * No Realtime: brain.watch() falls back to polling.
+ *
+ *   new NeoBrain({ agent: "nas-job", backend: new PgBackend({ connectionString: "postgres://…" }) })
+ *   // or NEO_BRAIN_BACKEND=pg NEO_BRAIN_DATABASE_URL=postgres://…
+ */
+export class PgBackend extends Backend {
+  kind = "pg";
+
+  /**
+   * @param {{connectionString?:string, pool?:object, schema?:string, max?:number}} opts —
+   *   `pool`: anything with query(text, values) → { rows } (a pg.Pool) instead of a connection string
+   */
+  constructor({ connectionString = null, pool = null, schema = "public", max = 5 } = {}) {
+    super();
+    if (!pool && !connectionString) throw new Error("PgBackend: connectionString required (env NEO_BRAIN_DATABASE_URL)");
+    this.schema = schema;
+    this.pool = pool || createPool(connectionString, max);
+    this._columns = new Map();
+    this._functions = new Map();
+  }
+
+  from(table) {
+    return new PgQuery(this, table);
+  }
+
+  async rpc(name, args = {}) {
+    try {
+      const fn = await this._function(name, Object.keys(args || {}));
+      if (!fn) {
+        return { data: null, error: { code: "PGRST202", message: `Could not find the function ${this.schema}.${name}` }, status: 404 };
+      }
+      const entries = Object.entries(args || {});
+      const values = entries.map(([k, v]) => encodeValue(v, fn.args.get(k)));
+      const call = `${ident(this.schema)}.${ident(name)}(${entries.map(([k], i) => `${ident(k)} => $${i + 1}::${fn.args.get(k)}`).join(", ")})`;
+      if (fn.returnsSet || fn.composite) {
+        const { rows } = await this.pool.query(`select * from ${call}`, values);
+        return { data: fn.returnsSet ? rows : rows[0] ?? null, error: null, status: 200 };
+      }
+      const { rows } = await this.pool.query(`select ${call} as result`, values);
+      return { data: fn.void ? null : rows[0]?.result ?? null, error: null, status: 200 };
+    } catch (e) {
+      return { data: null, ...pgError(e) };
+    }
+  }
+
+  async close() {
+    await this.pool.end?.();
+  }
+
+  // column name → its type ("jsonb", "uuid[]", "vector", …), per table.
+  async _columnTypes(table) {
+    if (!this._columns.has(table)) {
+      const { rows } = await this.pool.query(
+        `select a.attname as name, format_type(a.atttypid, null) as type
+           from pg_attribute a
+          where a.attrelid = to_regclass($1) and a.attnum > 0 and not a.attisdropped`,
+        [`${ident(this.schema)}.${ident(table)}`],
+      );
+      this._columns.set(table, new Map(rows.map((r) => [r.name, r.type])));
+    }
+    return this._columns.get(table);
+  }
+
+  // The function `name` that takes the argument names given, or null.
+  async _function(name, argNames) {
+    if (!this._functions.has(name)) {
+      const { rows } = await this.pool.query(
+        `select p.proretset as returns_set, t.typtype = 'c' as composite, p.prorettype = 'void'::regtype as void,
+                coalesce(p.proargnames, '{}') as arg_names, coalesce(p.proargmodes::text[], '{}') as arg_modes,
+                array(select format_type(x, null) from unnest(coalesce(p.proallargtypes, p.proargtypes::oid[])) as x) as arg_types
+           from pg_proc p join pg_type t on t.oid = p.prorettype
+          where p.proname = $1 and p.pronamespace = to_regnamespace($2)`,
+        [name, this.schema],
+      );
+      this._functions.set(name, rows.map((r) => ({
+        returnsSet: r.returns_set,
+        composite: r.composite,
+        void: r.void,
+        // Input arguments only: RETURNS TABLE columns are OUT ("t") arguments.
+        args: new Map(r.arg_types.flatMap((type, i) => (!r.arg_modes.length || "ibv".includes(r.arg_modes[i]) ? [[r.arg_names[i], type]] : []))),
+      })));
+    }
+    return this._functions.get(name).find((fn) => argNames.every((a) => fn.args.has(a))) || null;
+  }
+}
+
+/**
+ * One query, built like a supabase-js PostgrestQueryBuilder and run when
+ * awaited.
+ */
+class PgQuery {
+  constructor(backend, table) {
+    this.backend = backend;
+    this.table = table;
+    this.op = "select";
+    this.columns = "*";
+    this.payload = null;
+    this.conflict = null;
+    this.returning = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.expect = null;
+  }
+
+  select(columns = "*") {
+    if (this.op === "select") this.columns = columns;
+    else this.returning = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.op = "insert";
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict = "id", ignoreDuplicates = false } = {}) {
+    this.op = "insert";
+    this.payload = [].concat(rows);
+    this.conflict = { columns: String(onConflict).split(",").map((c) => c.trim()), ignore: ignoreDuplicates };
+    return this;
+  }
+
+  update(patch) {
+    this.op = "update";
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.op = "delete";
+    return this;
+  }
+
+  eq(col, value) { return this._where(col, "eq", value); }
+  neq(col, value) { return this._where(col, "neq", value); }
+  gt(col, value) { return this._where(col, "gt", value); }
+  gte(col, value) { return this._where(col, "gte", value); }
+  lt(col, value) { return this._where(col, "lt", value); }
+  lte(col, value) { return this._where(col, "lte", value); }
+  like(col, pattern) { return this._where(col, "like", pattern); }
+  ilike(col, pattern) { return this._where(col, "ilike", pattern); }
+  is(col, value) { return this._where(col, "is", value); }
+  in(col, values) { return this._where(col, "in", values); }
+  contains(col, value) { return this._where(col, "cs", value); }
+  overlaps(col, value) { return this._where(col, "ov", value); }
+
+  not(col, op, value) {
+    this.filters.push({ col, op, value, negate: true });
+    return this;
+  }
+
+  /** PostgREST logic-tree syntax: "a.eq.1,and(b.gt.2,c.is.null)". */
+  or(expression) {
+    this.filters.push(parseLogicTree(expression, "or"));
+    return this;
+  }
+
+  order(col, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ col, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(n) {
+    this.limitCount = n;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.expect = "one";
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = "maybe";
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this._run().then(onFulfilled, onRejected);
+  }
+
+  _where(col, op, value) {
+    this.filters.push({ col, op, value, negate: false });
+    return this;
+  }
+
+  async _run() {
+    try {
+      const types = await this.backend._columnTypes(this.table);
+      const { text, values } = this._sql(types);
+      if (!text) return { data: [], error: null, status: 201 };
+      const { rows } = await this.backend.pool.query(text, values);
+      const data = this.op === "select" || this.returning != null ? rows : null;
+      if (this.expect && data) {
+        if (data.length > 1 || (this.expect === "one" && !data.length)) {
+          return { data: null, error: { code: "PGRST116", message: "JSON object requested, multiple (or no) rows returned" }, status: 406 };
+        }
+        return { data: data[0] ?? null, error: null, status: 200 };
+      }
+      return { data, error: null, status: this.op === "insert" ? 201 : 200 };
+    } catch (e) {
+      return { data: null, ...pgError(e) };
+    }
+  }
+
+  _sql(types) {
+    const values = [];
+    const param = (value, type) => {
+      values.push(encodeValue(value, type));
+      return type ? `$${values.length}::${type}` : `$${values.length}`;
+    };
+    const table = `${ident(this.backend.schema)}.${ident(this.table)}`;
+    // A function, so parameters are numbered in the order they appear.
+    const where = () => (this.filters.length ? ` where ${this.filters.map((f) => condition(f, param, types)).join(" and ")}` : "");
+    const returning = this.returning != null ? ` returning ${selectList(this.returning)}` : "";
+
+    if (this.op === "select") {
+      const order = this.orders.length
+        ? ` order by ${this.orders.map((o) => `${column(o.col)} ${o.ascending ? "asc" : "desc"}${o.nullsFirst == null ? "" : o.nullsFirst ? " nulls first" : " nulls last"}`).join(", ")}`
+        : "";
+      const limit = this.limitCount != null ? ` limit ${Number(this.limitCount)}` : "";
+      const offset = this.offsetCount ? ` offset ${Number(this.offsetCount)}` : "";
+      return { text: `select ${selectList(this.columns)} from ${table}${where()}${order}${limit}${offset}`, values };
+    }
+    if (this.op === "insert") {
+      if (!this.payload.length) return { text: null, values };
+      const cols = [...new Set(this.payload.flatMap((r) => Object.keys(r)))];
+      const rows = this.payload.map((r) => `(${cols.map((c) => (c in r ? param(r[c], types.get(c)) : "default")).join(", ")})`);
+      let conflict = "";
+      if (this.conflict) {
+        const rest = cols.filter((c) => !this.conflict.columns.includes(c));
+        conflict = ` on conflict (${this.conflict.columns.map(ident).join(", ")}) `
+          + (this.conflict.ignore || !rest.length ? "do nothing" : `do update set ${rest.map((c) => `${ident(c)} = excluded.${ident(c)}`).join(", ")}`);
+      }
+      return { text: `insert into ${table} (${cols.map(ident).join(", ")}) values ${rows.join(", ")}${conflict}${returning}`, values };
+    }
+    if (this.op === "update") {
+      const set = Object.entries(this.payload).map(([c, v]) => `${ident(c)} = ${param(v, types.get(c))}`).join(", ");
+      return { text: `update ${table} set ${set}${where()}${returning}`, values };
+    }
+    return { text: `delete from ${table}${where()}${returning}`, values };
+  }
+}
+
+const COMPARE = { eq: "=", neq: "<>", gt: ">", gte: ">=", lt: "<", lte: "<=", like: "like", ilike: "ilike" };
+
+// One filter (or logic tree) → SQL, pushing its values through `param`.
+function condition(f, param, types) {
+  if (f.or || f.and) {
+    const [joiner, items] = f.or ? [" or ", f.or] : [" and ", f.and];
+    return `(${items.map((i) => condition(i, param, types)).join(joiner)})`;
+  }
+  const col = column(f.col);
+  // A json path (`source_ref->>session_id`) compares as text.
+  const type = f.col.includes("->") ? null : types.get(f.col) || null;
+  let sql;
+  if (f.op === "is") {
+    const v = f.value === "null" ? null : f.value === "true" ? true : f.value === "false" ? false : f.value;
+    if (![null, true, false].includes(v)) throw new Error(`pg backend: is() takes null, true or false, got ${f.value}`);
+    sql = `${col} is ${v === null ? "null" : v}`;
+  } else if (f.op === "in") {
+    const list = Array.isArray(f.value) ? f.value : String(f.value).replace(/^\(|\)$/g, "").split(",").map(unquote);
+    sql = `${col} = any(${param(list, type ? `${type}[]` : null)})`;
+  } else if (f.op === "cs" || f.op === "ov") {
+    sql = `${col} ${f.op === "cs" ? "@>" : "&&"} ${param(f.value, type)}`;
+  } else if (COMPARE[f.op]) {
+    const value = f.op === "like" || f.op === "ilike" ? String(f.value).replace(/\*/g, "%") : f.value;
+    sql = `${col} ${COMPARE[f.op]} ${param(value, f.op === "like" || f.op === "ilike" ? "text" : type)}`;
+  } else {
+    throw new Error(`pg backend: unsupported filter operator "${f.op}"`);
+  }
+  return f.negate ? `not (${sql})` : sql;
+}
+
+/**
+ * Parse a PostgREST logic tree ("a.gt.1,and(a.eq.1,id.gt.x)") into
+ * { or: [...] } / { and: [...] } of { col, op, value, negate } leaves.
+ */
+export function parseLogicTree(expression, joiner = "or") {
+  const items = [];
+  let depth = 0, quoted = false, start = 0;
+  for (let i = 0; i <= expression.length; i++) {
+    const ch = expression[i];
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === "(") depth++;
+    else if (!quoted && ch === ")") depth--;
+    if (i === expression.length || (ch === "," && depth === 0 && !quoted)) {
+      const item = expression.slice(start, i).trim();
+      start = i + 1;
+      if (!item) continue;
+      const group = /^(not\.)?(and|or)\((.*)\)$/s.exec(item);
+      if (group) {
+        if (group[1]) throw new Error(`pg backend: not.${group[2]}() is not supported`);
+        items.push(parseLogicTree(group[3], group[2]));
+        continue;
+      }
+      const m = /^([^.]+)\.(not\.)?(\w+)\.(.*)$/s.exec(item);
+      if (!m) throw new Error(`pg backend: cannot parse filter "${item}"`);
+      items.push({ col: m[1], op: m[3], value: m[3] === "in" ? m[4] : unquote(m[4]), negate: !!m[2] });
+    }
+  }
+  return { [joiner]: items };
+}
+
+function unquote(s) {
+  s = s.trim();
+  return s.length > 1 && s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1) : s;
+}
+
+// JS value → a parameter for a column / argument of `type`.
+function encodeValue(value, type) {
+  if (value === undefined || value === null) return null;
+  if (type === "json" || type === "jsonb") return typeof value === "string" && isJsonText(value) ? value : JSON.stringify(value);
+  if (type?.startsWith("vector")) return Array.isArray(value) ? `[${value.join(",")}]` : value;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value) && !type?.endsWith("[]")) return JSON.stringify(value);
+  if (typeof value === "object" && !Array.isArray(value)) return JSON.stringify(value);
+  return value;
+}
+
+// A string filter value against a jsonb column is already JSON (contains()
+// is called with JSON.stringify([...])), as with PostgREST.
+function isJsonText(s) {
+  try {
+    JSON.parse(s);
+    return /^\s*[[{]/.test(s);
+  } catch {
+    return false;
+  }
+}
+
+function ident(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`pg backend: bad identifier "${name}"`);
+  return `"${name}"`;
+}
+
+// A column, or a json path into one: `source_ref->>session_id`, `metadata->a->>b`.
+function column(expr) {
+  const parts = String(expr).split(/(->>?)/);
+  let sql = ident(parts[0]);
+  for (let i = 1; i < parts.length; i += 2) sql += `${parts[i]}'${parts[i + 1].replace(/'/g, "''")}'`;
+  return sql;
+}
+
+function selectList(columns) {
+  const list = String(columns).split(",").map((c) => c.trim()).filter(Boolean);
+  if (!list.length || (list.length === 1 && list[0] === "*")) return "*";
+  return list.map((c) => (c === "*" ? "*" : ident(c))).join(", ");
+}
+
+// A pg / network error → { error, status } as PostgREST would report it.
+function pgError(e) {
+  const sqlstate = /^[0-9A-Z]{5}$/.test(e.code || "") ? e.code : null;
+  return {
+    error: { message: e.message, code: e.code ?? null, details: e.detail ?? null, hint: e.hint ?? null },
+    status: sqlstate ? statusFor(sqlstate) : 0,
+  };
+}
+
+function statusFor(sqlstate) {
+  if (sqlstate === "23505" || sqlstate === "23503") return 409;
+  if (sqlstate === "42P01" || sqlstate === "42883") return 404;
+  if (sqlstate === "42501") return 403;
+  if (/^(08|53|57)/.test(sqlstate) || sqlstate === "40001" || sqlstate === "40P01") return 503;
+  return 400;
+}
+
+/**
+ * Postgres text → what PostgREST's JSON would hold: "2026-05-04 10:00:00.123456+00"
+ * → "2026-05-04T10:00:00.123456+00:00" (full precision, so keyset cursors
+ * compare exactly).
+ */
+export function isoTimestamp(text) {
+  return text.replace(" ", "T").replace(/([+-]\d\d)$/, "$1:00");
+}
+
+const TYPE_PARSERS = {
+  20: Number, // int8
+  1700: Number, // numeric
+  1082: (text) => text, // date
+  1114: isoTimestamp, // timestamp
+  1184: isoTimestamp, // timestamptz
+};
+
+function createPool(connectionString, max) {
+  let pg;
+  try {
+    pg = createRequire(import.meta.url)("pg");
+  } catch {
+    throw new Error("PgBackend: the pg package is not installed (npm i pg)");
+  }
+  return new pg.Pool({
+    connectionString,
+    max,
+    allowExitOnIdle: true,
+    // Timestamps come back in UTC, as from Supabase.
+    options: "-c TimeZone=UTC",
+    types: { getTypeParser: (oid, format) => TYPE_PARSERS[oid] || pg.types.getTypeParser(oid, format) },
+  });
+}
@@ -0,0 +1,40 @@
+import { createClient } from "@supabase/supabase-js";
+import { Backend } from "./backend.js";
+
+/**
+ * The default backend: supabase-js against a Supabase project (PostgREST +
+ * Realtime). A thin pass-through — NeoBrain's queries are supabase-js calls.
+ */
+export class SupabaseBackend extends Backend {
+  kind = "supabase";
+
+  /**
+   * @param {{url?:string, key?:string, client?:object}} opts — `client`: an
+   *   existing supabase-js client instead of url + key
+   */
+  constructor({ url, key, client = null } = {}) {
+    super();
+    if (!client && (!url || !key)) throw new Error("SupabaseBackend: url and key required");
+    this.client = client || createClient(url, key, { auth: { persistSession: false } });
+  }
+
+  from(table) {
+    return this.client.from(table);
+  }
+
+  rpc(name, args = {}) {
+    return this.client.rpc(name, args);
+  }
+
+  channel(name, opts) {
+    return this.client.channel(name, opts);
+  }
+
+  removeChannel(channel) {
+    return this.client.removeChannel(channel);
+  }
+
+  async close() {
+    await this.client.removeAllChannels();
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Passage chunking for long memories.
+ *
+ * A memory longer than `minChars` keeps its pooled parent embedding (so the
+ * hybrid RPC still sees it) and also gets memory_chunks rows — one per
+ * passage, each with its own vector — so search({ chunks: true }) can find a
+ * specific paragraph of a long session summary instead of its blurred average.
+ */
+
+export const DEFAULT_CHUNKING = { minChars: 2048, size: 1200, overlap: 200 };
+
+/**
+ * Split `text` into overlapping passages of at most `size` chars. Cuts prefer
+ * a paragraph break, then a line break, then a sentence end, then a space in
+ * the back half of the window; `overlap` chars are repeated between chunks so
+ * a passage straddling a cut is whole in one of them.
+ *
+ * @param {string} text
+ * @param {{size?:number, overlap?:number}} [opts]
+ * @returns {{index:number, start:number, end:number, text:string}[]}  start/end are offsets into `text`
+ */
+export function chunkText(text, { size = DEFAULT_CHUNKING.size, overlap = DEFAULT_CHUNKING.overlap } = {}) {
+  if (!(size > 0) || !(overlap >= 0) || overlap >= size) throw new Error("chunkText: need size > overlap >= 0");
+  const out = [];
+  if (!text?.trim()) return out;
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) end = cutPoint(text, start, end);
+    const passage = text.slice(start, end);
+    if (passage.trim()) out.push({ index: out.length, start, end, text: passage });
+    if (end >= text.length) break;
+    // Next chunk starts `overlap` back, moved forward to a word start.
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(" ", next);
+    if (space > 0 && space < end) next = space + 1;
+    start = next;
+  }
+  return out;
+}
+
+function cutPoint(text, start, end) {
+  const min = start + Math.floor((end - start) / 2);
+  const window = text.slice(min, end);
+  for (const re of [/\n\s*\n/g, /\n/g, /[.!?](?=\s)/g, /\s/g]) {
+    let last = -1, m;
+    while ((m = re.exec(window)) !== null) last = m.index + m[0].length;
+    if (last > 0) return min + last;
+  }
+  return end;
+}
+
+/**
+ * `content` with the passage [start, end) wrapped in `pre`/`post`. Falls back
+ * to locating `passage` by text when the offsets no longer line up.
+ */
+export function highlightPassage(content, { start, end, text: passage }, { pre = "**", post = "**" } = {}) {
+  if (typeof content !== "string") return content;
+  let s = start, e = end;
+  if (content.slice(s, e) !== passage) {
+    s = passage ? content.indexOf(passage) : -1;
+    if (s < 0) return content;
+    e = s + passage.length;
+  }
+  return content.slice(0, s) + pre + content.slice(s, e) + post + content.slice(e);
+}
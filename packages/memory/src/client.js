@@ -1,15 +1,120 @@
 import { readFileSync } from "node:fs";
-import { createClient } from "@supabase/supabase-js";
-import { embedText, toPgVectorString } from "./gemini.js";
+import { createBackend } from "./backends/index.js";
+import { toPgVectorString } from "./gemini.js";
+import { EMBEDDING_DIMS, embeddingProviderFromEnv, shadowEmbedderFromEnv } from "./embeddings/index.js";
+import { CachedEmbeddingProvider, EmbeddingCache } from "./embeddings/cache.js";
+import { WriteJournal, isTransientError } from "./journal.js";
+import { RateLimiter, mapWithConcurrency } from "./throttle.js";
+import { DEDUPE_MODES, DEFAULT_DEDUPE_THRESHOLD, cosineSimilarity, memorySimilarity, normalizeForDedupe, parseVector } from "./dedupe.js";
+import { DEFAULT_CHUNKING, chunkText, highlightPassage } from "./chunking.js";
+import { rerankerFromEnv } from "./rerank/index.js";
+import { summarizerFromEnv } from "./summarize.js";
+import { AgentPolicy, policyFromEnv } from "./policy.js";
+import {
+  CREDENTIAL_GUARD_MODES,
+  DEFAULT_CREDENTIAL_GUARD,
+  collectStrings,
+  countByRule,
+  credentialServiceForRule,
+  leakedCredentialType,
+  replaceSecrets,
+  vaultPointer,
+} from "./leak-guard.js";
+import { DEFAULT_PII_MODE, PII_MODES, classifyPII, directoryNames, maxVisibilityFor } from "./pii.js";
+import { DEFAULT_METADATA_VALIDATION, METADATA_VALIDATION_MODES, MetadataSchemaRegistry, metadataSchemasFromEnv } from "./metadata-schema.js";
+import {
+  WATCH_EVENTS,
+  WATCH_MODES,
+  ChangeQueue,
+  RecentKeys,
+  afterCursor,
+  decodeWatchCursor,
+  encodeWatchCursor,
+  matchesWatchFilter,
+  realtimeFilter,
+  sleepUnlessAborted,
+  watchFilterEntries,
+} from "./watch.js";
+import {
+  EMBEDDED_TEXT,
+  EXPORT_COLUMNS,
+  EXPORT_FORMAT,
+  EXPORT_REFERENCES,
+  EXPORT_SECTIONS,
+  EXPORT_VERSION,
+  IMPORT_CONFLICT_MODES,
+  IMPORT_GUARDED_COLUMNS,
+  readExportRecords,
+  remapReferences,
+} from "./export.js";
+import {
+  DEFAULT_EVAL_MAX_DROP,
+  SEARCH_VECTORS,
+  SHADOW_TABLES,
+  compareEvalMetrics,
+  evalMetrics,
+  shadowColumnName,
+} from "./embedding-migration.js";
+import { DEFAULT_SCORING, rescore, scoringEnabled } from "./scoring.js";
+import { DEFAULT_SNIPPET_CHARS, highlightTerms, matchTerms, queryTerms, rankerContributions, snippet as snippetOf } from "./explain.js";
+import { parseQuery, peopleDirectory } from "./query-parse.js";
+import { PAGE_MAX_ROWS, PAGE_ORDERS, decodePageCursor, encodePageCursor, keysetFilter, withKeyColumns } from "./paging.js";
+import { DEFAULT_FACT_MATCH, DEFAULT_SUPERSEDED_DECAY, FACT_CONFLICT_MODES, classifyFact } from "./facts.js";
+import {
+  DEFAULT_PHONE_REGION,
+  WEAK_IDENTIFIER_TYPES,
+  detectIdentifier,
+  identifierLookupValues,
+  nameMatch,
+  normalizeIdentifier,
+  normalizeName,
+  unionIdentifiers,
+} from "./people.js";
 
 const NEO_SELF_ID = "00000000-0000-0000-0000-000000000001";
 
+// memories columns for rows search() fetches itself (chunk-matched parents,
+// superseding memories) — the match_memories_hybrid_v2 row shape minus scores.
+const SEARCH_COLUMNS = "id, content, category, memory_type, importance, visibility, source, subject_id, created_at";
+
+// memories columns captured in a memory_versions snapshot (everything but the
+// embedding, which is re-derived from content on revert).
+const VERSIONED_COLUMNS =
+  "id, content, category, memory_type, importance, visibility, subject_id, related_people, source_ref, media_id, metadata, archived";
+
+// How long the people-directory names classifyPII() matches are cached.
+const PII_DIRECTORY_TTL_MS = 10 * 60_000;
+// How long parseQuery() reuses the people directory.
+const QUERY_PEOPLE_TTL_MS = 10 * 60_000;
+// Closest live facts upsertFact() weighs a new statement against.
+const FACT_MATCH_COUNT = 20;
+
+// memories columns watch() delivers — everything but the embedding.
+const WATCH_MEMORY_COLUMNS =
+  "id, content, category, memory_type, importance, visibility, subject_id, related_people, source, source_ref, media_id, metadata, archived, created_at, last_accessed";
+
+// update() patch keys (save()-style names) → memories columns.
+const PATCH_COLUMNS = {
+  content: "content",
+  category: "category",
+  type: "memory_type",
+  importance: "importance",
+  visibility: "visibility",
+  subjectId: "subject_id",
+  relatedPeople: "related_people",
+  sourceRef: "source_ref",
+  mediaId: "media_id",
+  metadata: "metadata",
+  archived: "archived",
+};
+
 // Credential-detection ruleset — the single source of truth for credential
 // shapes. Generated by scripts/regen-credential-rules.mjs from the gitleaks
 // v8.30.1 baseline (prefix-anchored rules only) merged with CTK custom rules.
 // Do NOT hand-edit credential-rules.json — re-run the regen script.
-// Consumed by: redactMemory's safety check, tools/redact-memory.js, the
-// Phase S.2 leak-grep, and the planned pre-INSERT trigger (Layer 4).
+// Consumed by: redactMemory's safety check, the write-time leak guard
+// (_guardCredentials, leak-guard.js), tools/redact-memory.js, the Phase S.2
+// leak-grep, and the planned pre-INSERT trigger (Layer 4).
 const _CREDENTIAL_RULESET = JSON.parse(
   readFileSync(new URL("./credential-rules.json", import.meta.url), "utf8"),
 );
@@ -68,6 +173,7 @@ export function _extractCredentialMatchesDetailed(text) {
  *
  * Usage:
  *   const brain = new NeoBrain({ url, serviceRoleKey, agent: "nclaw-hetzner", storage });
+ *   // or embed locally: new NeoBrain({ agent: "tr-home", embedder: new OllamaEmbeddingProvider() })
  *   await brain.save("Neo is in Hong Kong for client meeting", { category:"travel", type:"event", importance:6, visibility:"private" });
  *   const results = await brain.search("what did I do in Hong Kong");
  *   await brain.saveMedia({ kind:"audio", buffer, mimeType:"audio/mp3", transcript:"..." });
@@ -77,17 +183,434 @@ export class NeoBrain {
     url = process.env.NEO_BRAIN_URL,
     serviceRoleKey = process.env.NEO_BRAIN_SERVICE_ROLE_KEY,
     anonKey = process.env.NEO_BRAIN_ANON_KEY,
+    backend = process.env.NEO_BRAIN_BACKEND || "supabase",
+    databaseUrl = process.env.NEO_BRAIN_DATABASE_URL,
     agent,
     storage = null,
     geminiApiKey = process.env.GEMINI_API_KEY,
+    embedder = null,
+    embeddingCache = undefined,
+    shadowEmbedder = undefined,
+    searchVectors = process.env.NEO_BRAIN_SEARCH_VECTORS || "primary",
+    chunking = undefined,
+    reranker = undefined,
+    summarizer = undefined,
+    journal = process.env.NEO_BRAIN_JOURNAL_DIR || null,
+    phoneRegion = process.env.NEO_BRAIN_PHONE_REGION || DEFAULT_PHONE_REGION,
+    policy = undefined,
+    credentialGuard = process.env.NEO_BRAIN_CREDENTIAL_GUARD || DEFAULT_CREDENTIAL_GUARD,
+    pii = process.env.NEO_BRAIN_PII || DEFAULT_PII_MODE,
+    metadataSchemas = undefined,
+    metadataValidation = process.env.NEO_BRAIN_METADATA_VALIDATION || DEFAULT_METADATA_VALIDATION,
+    projects = (process.env.NEO_BRAIN_PROJECTS || "").split(",").map((p) => p.trim()).filter(Boolean),
+    utcOffsetMinutes = process.env.NEO_BRAIN_UTC_OFFSET_MINUTES ? Number(process.env.NEO_BRAIN_UTC_OFFSET_MINUTES) : null,
   } = {}) {
-    if (!url) throw new Error("NeoBrain: url required (env NEO_BRAIN_URL)");
-    if (!serviceRoleKey && !anonKey) throw new Error("NeoBrain: serviceRoleKey or anonKey required");
+    if (backend === "supabase") {
+      if (!url) throw new Error("NeoBrain: url required (env NEO_BRAIN_URL)");
+      if (!serviceRoleKey && !anonKey) throw new Error("NeoBrain: serviceRoleKey or anonKey required");
+    }
     if (!agent) throw new Error("NeoBrain: agent name required (e.g. 'nclaw-hetzner', 'claude-desktop', 'claude-code-vps')");
-    this.sb = createClient(url, serviceRoleKey || anonKey, { auth: { persistSession: false } });
+    // Where rows live (backends/): "supabase" (default), "pg" for a direct
+    // Postgres connection (databaseUrl / NEO_BRAIN_DATABASE_URL), or a
+    // Backend — anything with the supabase-js from() / rpc() surface. Kept
+    // as `sb`: every query below is written against that surface.
+    this.sb = typeof backend === "string" ? createBackend(backend, { url, key: serviceRoleKey || anonKey, databaseUrl }) : backend;
     this.agent = agent;
     this.storage = storage;
     this.geminiApiKey = geminiApiKey;
+    // Any EmbeddingProvider (embeddings/). Must yield 768-dim vectors — a
+    // provider declaring another width is refused here, and one that returns
+    // another width throws before anything is written. Only the shadowEmbedder
+    // (below) may differ.
+    this.embedder = embedder || embeddingProviderFromEnv({ geminiApiKey });
+    if (this.embedder.dims !== EMBEDDING_DIMS) {
+      throw new Error(`NeoBrain: embedder ${this.embedder.name} yields ${this.embedder.dims}-dim vectors; the embedding columns are vector(${EMBEDDING_DIMS}) — another width goes through shadowEmbedder`);
+    }
+    // Content-hash embedding cache (embeddings/cache.js) in front of the
+    // embedder: an EmbeddingCache, false to disable, or default — in-process
+    // LRU plus a disk tier when NEO_BRAIN_EMBED_CACHE_DIR is set.
+    this.embeddingCache = embeddingCache === false ? null
+      : embeddingCache || new EmbeddingCache({ dir: process.env.NEO_BRAIN_EMBED_CACHE_DIR || null });
+    if (this.embeddingCache) this.embedder = new CachedEmbeddingProvider(this.embedder, this.embeddingCache);
+    // Target model of an embedding migration (embedding-migration.js): an
+    // EmbeddingProvider, false for none, or default shadowEmbedderFromEnv() —
+    // none unless NEO_BRAIN_SHADOW_EMBED_PROVIDER is set. When set, memory
+    // writes also fill its shadow column, so configure it only once
+    // startEmbeddingMigration() has added the column.
+    if (shadowEmbedder === undefined) shadowEmbedder = shadowEmbedderFromEnv({ geminiApiKey });
+    this.shadowEmbedder = !shadowEmbedder ? null
+      : this.embeddingCache ? new CachedEmbeddingProvider(shadowEmbedder, this.embeddingCache)
+      : shadowEmbedder;
+    this.shadowColumn = this.shadowEmbedder ? shadowColumnName(this.shadowEmbedder) : null;
+    // Which vectors search() ranks by unless told otherwise: primary
+    // (`embedding`, default) | shadow (the migration's column).
+    if (!SEARCH_VECTORS.includes(searchVectors)) throw new Error(`NeoBrain: searchVectors must be one of ${SEARCH_VECTORS.join(", ")}`);
+    if (searchVectors === "shadow" && !this.shadowEmbedder) throw new Error("NeoBrain: searchVectors shadow needs a shadowEmbedder");
+    this.searchVectors = searchVectors;
+    // Memories longer than chunking.minChars also get per-passage rows in
+    // memory_chunks (chunking.js). false disables; {size, overlap, minChars} tunes.
+    this.chunking = chunking === false ? null : { ...DEFAULT_CHUNKING, ...(chunking || {}) };
+    // Second-stage reranker for search() (rerank/): a Reranker, false/null for
+    // none, or default — rerankerFromEnv(), which is none unless NEO_BRAIN_RERANKER is set.
+    this.reranker = reranker === undefined ? rerankerFromEnv() : reranker || null;
+    // Summarizer for endSession({ summarize: true }) (summarize.js) — default
+    // summarizerFromEnv(), which is extractive unless NEO_BRAIN_SUMMARIZER=llm.
+    this.summarizer = summarizer === undefined ? summarizerFromEnv() : summarizer;
+    // Opt-in write-ahead journal (journal.js): a WriteJournal or a directory.
+    // When set, saves that fail because the backend is unreachable are queued
+    // locally instead of thrown, and replayed by flushPending().
+    this.journal = typeof journal === "string" ? new WriteJournal({ dir: journal }) : journal;
+    this._flushing = null;
+    // Region for phone numbers written without a country code (people.js).
+    this.phoneRegion = phoneRegion;
+    // Set by startSession(); save() stamps it into source_ref.session_id.
+    this.sessionId = null;
+    // Per-agent policy (policy.js): an AgentPolicy, a policy document, a JSON
+    // file path, "db" for the agent_policies table, or false for none.
+    // Default policyFromEnv() — none unless NEO_BRAIN_POLICY is set. "db"
+    // denies everything until loadPolicy() has read the table.
+    if (policy === undefined) policy = policyFromEnv();
+    this.policy = !policy ? null
+      : policy === "db" ? new AgentPolicy({ agents: {} }, { origin: "agent_policies not loaded — call loadPolicy()" })
+      : policy instanceof AgentPolicy ? policy
+      : typeof policy === "string" ? AgentPolicy.fromFile(policy)
+      : new AgentPolicy(policy);
+    // What writes do with credential-shaped text (leak-guard.js): reject
+    // (default) | redact-with-vault-pointer | warn | off. Per call too.
+    if (!CREDENTIAL_GUARD_MODES.includes(credentialGuard)) {
+      throw new Error(`NeoBrain: credentialGuard must be one of ${CREDENTIAL_GUARD_MODES.join(", ")}`);
+    }
+    this.credentialGuard = credentialGuard;
+    // What save() does with PII (pii.js): downgrade (default) | reject-public
+    // | tag | off. Per call too.
+    if (!PII_MODES.includes(pii)) throw new Error(`NeoBrain: pii must be one of ${PII_MODES.join(", ")}`);
+    this.pii = pii;
+    this._piiNames = null;
+    // Per-category metadata schemas (metadata-schema.js): a
+    // MetadataSchemaRegistry, a registry document, a JSON file path, "db" for
+    // the metadata_schemas table, or false for none. Default
+    // metadataSchemasFromEnv() — the bundled registry unless
+    // NEO_BRAIN_METADATA_SCHEMAS says otherwise. "db" checks nothing until
+    // loadMetadataSchemas() has read the table.
+    if (metadataSchemas === undefined) metadataSchemas = metadataSchemasFromEnv();
+    this.metadataSchemas = !metadataSchemas ? null
+      : metadataSchemas === "db" ? new MetadataSchemaRegistry({ categories: {} }, { origin: "metadata_schemas not loaded — call loadMetadataSchemas()" })
+      : metadataSchemas instanceof MetadataSchemaRegistry ? metadataSchemas
+      : typeof metadataSchemas === "string" ? MetadataSchemaRegistry.fromFile(metadataSchemas)
+      : new MetadataSchemaRegistry(metadataSchemas);
+    // What writes do with metadata that breaks its category's schema: warn
+    // (default) | strict | off. Per call too.
+    if (!METADATA_VALIDATION_MODES.includes(metadataValidation)) {
+      throw new Error(`NeoBrain: metadataValidation must be one of ${METADATA_VALIDATION_MODES.join(", ")}`);
+    }
+    this.metadataValidation = metadataValidation;
+    // Query understanding (query-parse.js): the project names parseQuery()
+    // lifts out as category filters, and the UTC offset its calendar words
+    // ("yesterday", "minggu lepas") are read in — null for the host's.
+    if (utcOffsetMinutes != null && !Number.isFinite(utcOffsetMinutes)) throw new Error("NeoBrain: utcOffsetMinutes must be a number");
+    this.projects = projects;
+    this.utcOffsetMinutes = utcOffsetMinutes;
+    this._queryPeople = null;
+  }
+
+  /**
+   * Release the backend's connections (the pg pool; Supabase Realtime
+   * channels). Only needed by processes that must exit promptly or that
+   * create many clients — an idle pg pool doesn't keep the process alive.
+   */
+  async close() {
+    await this.sb.close?.();
+  }
+
+  // ---------- POLICY ----------
+
+  /**
+   * Whether this agent's policy allows `action` on `target`, so callers can
+   * check up front instead of catching the rejection. Only the target fields
+   * given are checked. Always true without a policy.
+   *
+   * @param {'read'|'write'|'credential'} action
+   * @param {{category?:string, visibility?:string|string[], subjectId?:string, source?:string, service?:string}} [target]
+   * @returns {boolean}
+   */
+  can(action, target = {}) {
+    return !this.policy || this.policy.check(this.agent, action, target).allowed;
+  }
+
+  /**
+   * (Re)load the policy from the agent_policies table (migration
+   * sql/agent-policies.sql) — one row per agent name or glob.
+   * @returns {Promise<AgentPolicy>}
+   */
+  async loadPolicy() {
+    const { data, error } = await this.sb.from("agent_policies").select("agent, rules");
+    if (error) throw new Error(`loadPolicy: ${error.message}`);
+    this.policy = AgentPolicy.fromRows(data || []);
+    return this.policy;
+  }
+
+  // Throw if the policy denies `action` on `target`. Synchronous, so it runs
+  // before the call it guards touches the network; the denial is logged to
+  // policy_violations on the side.
+  _enforce(action, target, label) {
+    if (!this.policy) return;
+    const decision = this.policy.check(this.agent, action, target);
+    if (decision.allowed) return;
+    this._logViolation(action, target, decision, label);
+    const err = new Error(`${label}: policy denies ${action} for ${this.agent} — ${decision.reason}`);
+    err.code = "POLICY_DENIED";
+    err.policy = { action, target, ...decision };
+    throw err;
+  }
+
+  // Best effort: a missing table or an outage never turns a denial into a
+  // different error.
+  _logViolation(action, target, { reason, rule = null }, label) {
+    this.sb
+      .from("policy_violations")
+      .insert({ agent: this.agent, action, operation: label, target, reason, rule })
+      .then(() => {}, () => {});
+  }
+
+  // Narrow `visibility` to what the policy lets this agent read, and check
+  // the other read filters. Throws when nothing readable is left.
+  _readScope(label, { visibility, subjectId = null, category = null }) {
+    if (!this.policy) return visibility;
+    const target = {};
+    if (subjectId) target.subjectId = subjectId;
+    if (category) target.category = category;
+    this._enforce("read", target, label);
+    const readable = this.policy.readableVisibilities(this.agent, visibility || VISIBILITY_ORDER);
+    if (!readable.length) this._enforce("read", { visibility }, label);
+    return readable;
+  }
+
+  // Drop fetched rows the policy doesn't let this agent read.
+  _readableRows(rows) {
+    return this.policy ? rows.filter((r) => this.policy.canReadRow(this.agent, r)) : rows;
+  }
+
+  // Check write access to an existing memory (archive, redact): fetches the
+  // row, so only when a policy is set.
+  async _enforceOnMemory(memoryId, label) {
+    if (!this.policy) return;
+    const { data, error } = await this.sb.from("memories").select("category, visibility, subject_id").eq("id", memoryId).maybeSingle();
+    if (error) throw new Error(`${label} fetch: ${error.message}`);
+    if (data) this._enforce("write", { category: data.category, visibility: data.visibility, subjectId: data.subject_id }, label);
+  }
+
+  // ---------- CREDENTIAL LEAK GUARD ----------
+
+  // Scan what a write is about to store (`fields`: strings, or metadata
+  // objects holding them) for credential-shaped text. Returns the fields —
+  // unchanged, or with each secret moved to the vault and replaced by a
+  // pointer — and the per-rule report to merge into the write's result.
+  // Throws in reject mode. Runs after the policy check, before the embedder.
+  // With `dryRun` a redaction is checked and reported but nothing is vaulted.
+  async _guardCredentials(fields, label, mode = this.credentialGuard, { dryRun = false } = {}) {
+    if (!CREDENTIAL_GUARD_MODES.includes(mode)) throw new Error(`${label}: credentialGuard must be one of ${CREDENTIAL_GUARD_MODES.join(", ")}`);
+    if (mode === "off") return { fields, report: {} };
+    const findings = [];
+    const seen = new Set();
+    for (const text of collectStrings(fields)) {
+      for (const f of _extractCredentialMatchesDetailed(text)) {
+        const key = `${f.ruleId} ${f.value}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        findings.push(f);
+      }
+    }
+    if (!findings.length) return { fields, report: {} };
+    const byRule = countByRule(findings);
+    if (mode === "warn") return { fields, report: { credentialWarnings: byRule } };
+    if (mode === "reject") {
+      const err = new Error(
+        `${label}: refusing to store credential-shaped text (${Object.keys(byRule).join(", ")}) — ` +
+        `put the secret in the vault with upsertCredential() and save a pointer, or pass credentialGuard: "redact-with-vault-pointer"`,
+      );
+      err.code = "CREDENTIAL_LEAK";
+      err.credentialLeak = byRule;
+      throw err;
+    }
+
+    const moves = new Map();
+    for (const { value, ruleId } of findings) {
+      if (!moves.has(value)) moves.set(value, { ruleId, service: credentialServiceForRule(ruleId), type: leakedCredentialType(value) });
+    }
+    // Every service must be writable before any secret moves.
+    for (const { service } of moves.values()) this._enforce("credential", { service }, label);
+    for (const [value, m] of dryRun ? [] : moves) {
+      await this.upsertCredential({
+        service: m.service,
+        type: m.type,
+        value,
+        description: `Moved out of a ${label} write by ${this.agent} (${m.ruleId})`,
+        metadata: { rule_id: m.ruleId, moved_by: this.agent, moved_from: label },
+      });
+    }
+    return { fields: replaceSecrets(fields, [...moves].map(([value, m]) => [value, vaultPointer(m)])), report: { redactions: byRule } };
+  }
+
+  // ---------- PII ----------
+
+  /**
+   * Classify `text` for PII (pii.js): regexes plus names from the people
+   * directory. `maxVisibility` is the most open visibility a memory holding
+   * it should have.
+   * @param {string} text
+   * @returns {Promise<{kinds:string[], counts:Object<string,number>, maxVisibility:'public'|'internal'|'private'}>}
+   */
+  async classifyPII(text) {
+    const { kinds, counts } = classifyPII(text, { names: await this._directoryNames(), region: this.phoneRegion });
+    return { kinds, counts, maxVisibility: maxVisibilityFor(kinds) };
+  }
+
+  /**
+   * Existing memories whose visibility is more open than their PII allows —
+   * the backfill for rows saved before save() classified them. Read-only;
+   * keyset-pages through the memories this agent may read, oldest first.
+   *
+   * @param {{visibility?:string[], since?:Date|string|null, pageSize?:number, limit?:number}} [opts]
+   * @returns {AsyncGenerator<{id:string, created_at:string, category:string, memory_type:string, visibility:string, suggested:string, kinds:string[], counts:Object<string,number>, tagged:boolean, content:string}>}
+   */
+  async *piiReport({ visibility = ["public", "internal"], since = null, pageSize = 500, limit = Infinity } = {}) {
+    let found = 0;
+    let cursor = null;
+    do {
+      let q = this.sb
+        .from("memories")
+        .select(this._pageColumns("id, content, category, memory_type, visibility, metadata, created_at", "subject_id"))
+        .eq("archived", false)
+        .in("visibility", visibility);
+      if (since) q = q.gte("created_at", new Date(since).toISOString());
+      const page = await this._keysetPage(q, "piiReport", { order: "asc", cursor, limit: pageSize });
+      for (const row of page) {
+        const { kinds, counts, maxVisibility } = await this.classifyPII(row.content);
+        if (VISIBILITY_ORDER.indexOf(row.visibility) >= VISIBILITY_ORDER.indexOf(maxVisibility)) continue;
+        yield {
+          id: row.id,
+          created_at: row.created_at,
+          category: row.category,
+          memory_type: row.memory_type,
+          visibility: row.visibility,
+          suggested: maxVisibility,
+          kinds,
+          counts,
+          tagged: Array.isArray(row.metadata?.pii_kinds),
+          content: row.content,
+        };
+        if (++found >= limit) return;
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  // Normalized people-directory names for classifyPII(), cached for
+  // PII_DIRECTORY_TTL_MS. A failed lookup falls back to regexes only — it
+  // never fails a save.
+  async _directoryNames() {
+    if (this._piiNames && Date.now() - this._piiNames.at < PII_DIRECTORY_TTL_MS) return this._piiNames.names;
+    const { data, error } = await this.sb.from("people").select("id, display_name, identifiers, metadata").limit(5000);
+    const names = error ? [] : directoryNames(data || [], { selfId: NEO_SELF_ID });
+    this._piiNames = { at: Date.now(), names };
+    return names;
+  }
+
+  // Apply the PII mode to a row about to be written ({content, visibility,
+  // metadata}, mutated): tag metadata.pii_kinds and lower — or, for
+  // reject-public, refuse — a visibility too open for what the text holds.
+  // Returns { pii: { kinds, downgradedFrom? } } for the result, or {}.
+  async _applyPII(row, label, mode = this.pii) {
+    if (!PII_MODES.includes(mode)) throw new Error(`${label}: pii must be one of ${PII_MODES.join(", ")}`);
+    if (mode === "off") return {};
+    const { kinds, maxVisibility } = await this.classifyPII(row.content);
+    if (!kinds.length) return {};
+    row.metadata = { ...(row.metadata || {}), pii_kinds: kinds };
+    if (mode === "tag" || VISIBILITY_ORDER.indexOf(row.visibility) >= VISIBILITY_ORDER.indexOf(maxVisibility)) return { pii: { kinds } };
+    if (mode === "reject-public" && row.visibility === "public") {
+      const err = new Error(`${label}: refusing public visibility for text with PII (${kinds.join(", ")}) — save it as ${maxVisibility}`);
+      err.code = "PII_PUBLIC";
+      err.piiKinds = kinds;
+      throw err;
+    }
+    this._enforce("write", { visibility: maxVisibility }, label);
+    const downgradedFrom = row.visibility;
+    row.visibility = maxVisibility;
+    return { pii: { kinds, downgradedFrom } };
+  }
+
+  // ---------- METADATA SCHEMAS ----------
+
+  /**
+   * Problems with `metadata` for `category` under the schema registry, as
+   * "metadata.path: problem" strings — [] when it conforms, the category has
+   * no schema, or there is no registry.
+   * @returns {string[]}
+   */
+  validateMetadata(category, metadata) {
+    return this.metadataSchemas ? this.metadataSchemas.validate(category, metadata) : [];
+  }
+
+  /**
+   * (Re)load the registry from the metadata_schemas table (migration
+   * sql/metadata-schemas.sql) — one row per category.
+   * @returns {Promise<MetadataSchemaRegistry>}
+   */
+  async loadMetadataSchemas() {
+    const { data, error } = await this.sb.from("metadata_schemas").select("category, schema");
+    if (error) throw new Error(`loadMetadataSchemas: ${error.message}`);
+    this.metadataSchemas = MetadataSchemaRegistry.fromRows(data || []);
+    return this.metadataSchemas;
+  }
+
+  /**
+   * Live memories in registered categories whose metadata breaks the schema,
+   * oldest first, for backfilling. Keyset-pages by `pageSize` through the
+   * rows this agent may read; stops after `limit` hits.
+   * @param {{categories?:string[]|null, since?:string|Date|null, pageSize?:number, limit?:number}} [opts]
+   * @returns {AsyncGenerator<{id:string, created_at:string, category:string, source:string, errors:string[], metadata:object}>}
+   */
+  async *metadataAudit({ categories = null, since = null, pageSize = 500, limit = Infinity } = {}) {
+    const registered = this.metadataSchemas?.categories() || [];
+    const unknown = (categories || []).filter((c) => !registered.includes(c));
+    if (unknown.length) throw new Error(`metadataAudit: no schema for ${unknown.join(", ")}`);
+    const scope = categories || registered;
+    if (!scope.length) return;
+    let found = 0;
+    let cursor = null;
+    do {
+      let q = this.sb
+        .from("memories")
+        .select(this._pageColumns("id, category, source, metadata, created_at", "visibility, subject_id"))
+        .eq("archived", false)
+        .in("category", scope);
+      if (since) q = q.gte("created_at", new Date(since).toISOString());
+      const page = await this._keysetPage(q, "metadataAudit", { order: "asc", cursor, limit: pageSize });
+      for (const row of page) {
+        const errors = this.validateMetadata(row.category, row.metadata);
+        if (!errors.length) continue;
+        yield { id: row.id, created_at: row.created_at, category: row.category, source: row.source, errors, metadata: row.metadata };
+        if (++found >= limit) return;
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  // Apply metadataValidation to metadata about to be written: {} when it
+  // conforms, { metadataWarnings } in warn mode; strict throws
+  // METADATA_INVALID before anything is embedded or written.
+  _checkMetadata(category, metadata, label, mode = this.metadataValidation) {
+    if (!METADATA_VALIDATION_MODES.includes(mode)) {
+      throw new Error(`${label}: metadataValidation must be one of ${METADATA_VALIDATION_MODES.join(", ")}`);
+    }
+    if (mode === "off") return {};
+    const errors = this.validateMetadata(category, metadata);
+    if (!errors.length) return {};
+    if (mode === "warn") return { metadataWarnings: errors };
+    const err = new Error(`${label}: metadata does not match the schema for category ${category} — ${errors.join("; ")}`);
+    err.code = "METADATA_INVALID";
+    err.metadataErrors = errors;
+    throw err;
   }
 
   // ---------- MEMORIES ----------
@@ -106,13 +629,65 @@ export class NeoBrain {
    * is by rrf_score (not raw cosine). For pure-semantic ranking, call the
    * match_memories RPC directly.
    *
+   * `chunks: true` also matches passages of long memories (memory_chunks via
+   * match_memory_chunks) and RRF-fuses the two lists by parent. A memory hit
+   * through a passage carries `passage` ({index, start, end, text,
+   * similarity, rank}) and `highlighted` (its content with the passage in **…**).
+   *
+   * With a reranker (constructor `reranker`, or per call `rerank`), the first
+   * stage over-fetches `rerankCandidates` rows, the reranker scores each
+   * (query, passage-or-content) pair, and the top k by that score are
+   * returned with `rerank_score` and `first_stage_rank` (1-based). If the
+   * reranker fails, the first-stage top k come back tagged `rerank_error`
+   * unless `rerankFallback: false`. `rerank: false` skips it for one call.
+   *
+   * Recency / importance scoring (scoring.js) re-sorts the candidates after
+   * the RPC (and any rerank), before the cut to k:
+   *   - `halfLifeDays` — exponential time decay; `recencyWeight` (0..1,
+   *     default 0.5) is the most it can take off an old memory's score
+   *   - `importanceWeight` — importance 10 scores ×(1+w), 1 scores ×(1−0.8w)
+   *   - `preferSuperseding` — a memory with a `supersedes` edge pointing at
+   *     it (save({ supersedes }) / supersede()) is scored ×`supersededPenalty`
+   *     (default 0.5) and tagged `superseded_by`; the superseding memory is
+   *     pulled into the candidates at its predecessor's relevance if the RPC
+   *     missed it. One hop — chains are resolved by marking each link.
+   * Any of these over-fetches like rerank and adds `score` and
+   * `score_breakdown` ({base, base_field, age_days, recency, importance,
+   * superseded}) to every row.
+   *
+   * `vectors: "shadow"` ranks by an embedding migration's shadow column
+   * instead — the query is embedded with the shadowEmbedder and matched
+   * through match_memories_hybrid_by_column (sql/embedding-migrations.sql),
+   * same ranking otherwise. Default: the constructor's `searchVectors`.
+   *
+   * `snippet` (chars, or true for DEFAULT_SNIPPET_CHARS) adds `snippet`: that
+   * much of the content around its best-matching part — the matched passage
+   * on a chunk hit, else the densest run of query terms (explain.js).
+   * `explain: true` implies a snippet and adds `explain` to every row:
+   *   - terms       query terms found in the content, [{term, count}]
+   *   - highlighted the snippet with those terms in **…**
+   *   - similarity  cosine similarity to the query
+   *   - rankers     what semantic / lexical (/ passage) added to the fused
+   *                 score; `dominant` names the largest
+   *   - filters     the filters the search ran with, visibility after policy
+   *   - parsed      with `parse`: the text searched and what was lifted out
+   *
+   * `since` / `until` (created_at), `category` (one or more, any case) and
+   * `people` (ids — the memory's subject or one of its related_people) are
+   * filters of match_memories_hybrid_v2 (sql/search-filters.sql). With
+   * `chunks`, shadow vectors, or a database without that migration they
+   * narrow the candidates after the RPC instead, which over-fetches
+   * `rerankCandidates` rows for them. `parse: true` fills them from the
+   * query itself — time phrases, people and project names (parseQuery();
+   * pass its options instead of `true` to set them) — and searches what's
+   * left; filters given explicitly win.
+   *
    * @param {string} query
-   * @param {{k?:number, visibility?:string[], subjectId?:string|null, source?:string[]|null, sourceExclude?:string[]|null, minSimilarity?:number, rrfK?:number, semanticWeight?:number, lexicalWeight?:number}} [opts]
+   * @param {{k?:number, vectors?:"primary"|"shadow", visibility?:string[], subjectId?:string|null, source?:string[]|null, sourceExclude?:string[]|null, minSimilarity?:number, rrfK?:number, semanticWeight?:number, lexicalWeight?:number, chunks?:boolean, rerank?:import("./rerank/reranker.js").Reranker|boolean, rerankCandidates?:number, rerankFallback?:boolean, halfLifeDays?:number, recencyWeight?:number, importanceWeight?:number, preferSuperseding?:boolean, supersededPenalty?:number, explain?:boolean, snippet?:number|boolean, parse?:boolean|object, since?:Date|string, until?:Date|string, category?:string|string[], people?:string[]}} [opts]
    */
   async search(query, opts = {}) {
     const {
       k = 5,
-      visibility = ["public", "internal", "private"],
       subjectId = null,
       source = null,
       sourceExclude = null,
@@ -120,13 +695,49 @@ export class NeoBrain {
       rrfK = 30,
       semanticWeight = 3.0,
       lexicalWeight = 1.0,
+      chunks = false,
+      rerank = undefined,
+      rerankCandidates = Math.max(k * 4, 20),
+      rerankFallback = true,
+      halfLifeDays = DEFAULT_SCORING.halfLifeDays,
+      recencyWeight = DEFAULT_SCORING.recencyWeight,
+      importanceWeight = DEFAULT_SCORING.importanceWeight,
+      preferSuperseding = DEFAULT_SCORING.preferSuperseding,
+      supersededPenalty = DEFAULT_SCORING.supersededPenalty,
+      vectors = this.searchVectors,
+      explain = false,
+      snippet = explain,
+      parse = false,
     } = opts;
-    const embedding = await embedText(query, { apiKey: this.geminiApiKey });
+    let { since = null, until = null, category = null, people = null } = opts;
+    let parsed = null;
+    if (parse) {
+      parsed = await this.parseQuery(query, parse === true ? {} : parse);
+      since ??= parsed.since;
+      until ??= parsed.until;
+      category ??= parsed.category;
+      people ??= parsed.people;
+      query = parsed.text || query;
+    }
+    const narrow = { since, until, category, people };
+    const narrowing = Object.values(narrow).some((v) => v != null);
+    if (!SEARCH_VECTORS.includes(vectors)) throw new Error(`search: vectors must be one of ${SEARCH_VECTORS.join(", ")}`);
+    const snippetChars = snippet === true || (explain && !snippet) ? DEFAULT_SNIPPET_CHARS : snippet;
+    if (snippetChars !== false && !(snippetChars > 0)) throw new Error("search: snippet must be true or a window in chars > 0");
+    const shadow = vectors === "shadow";
+    if (shadow) this._requireShadow("search");
+    const visibility = this._readScope("search", { visibility: opts.visibility === undefined ? ["public", "internal", "private"] : opts.visibility, subjectId });
+    const scoring = { halfLifeDays, recencyWeight, importanceWeight, preferSuperseding, supersededPenalty };
+    const rescoring = scoringEnabled(scoring);
+    const reranker = rerank === false ? null : rerank === undefined || rerank === true ? this.reranker : rerank;
+    if (rerank === true && !reranker) throw new Error("search: rerank requested but no reranker configured");
+    const embedding = await (shadow ? this.shadowEmbedder : this.embedder).embed(query);
     if (!embedding) return [];
-    const { data, error } = await this.sb.rpc("match_memories_hybrid_v2", {
-      query_embedding: embedding,
+    const args = {
+      ...(shadow ? { p_column: this.shadowColumn } : {}),
+      query_embedding: shadow ? toPgVectorString(embedding) : embedding,
       query_text: query,
-      match_count: k,
+      match_count: reranker || rescoring || narrowing ? Math.max(rerankCandidates, k) : k,
       min_similarity: minSimilarity,
       visibility_filter: visibility,
       p_subject_id: subjectId,
@@ -135,17 +746,571 @@ export class NeoBrain {
       rrf_k: rrfK,
       semantic_weight: semanticWeight,
       lexical_weight: lexicalWeight,
+    };
+    let rows;
+    let narrowed = false;
+    if (chunks) {
+      rows = await this._searchWithChunks(args);
+    } else {
+      const rpc = shadow ? "match_memories_hybrid_by_column" : "match_memories_hybrid_v2";
+      const filtered = narrowing && !shadow;
+      let { data, error } = await this.sb.rpc(rpc, filtered ? { ...args, ...hybridFilterArgs(narrow) } : args);
+      if (filtered && isMissingFunction(error)) ({ data, error } = await this.sb.rpc(rpc, args));
+      else narrowed = filtered;
+      if (error) throw new Error(`${rpc}: ${error.message}`);
+      rows = data || [];
+    }
+    rows = this._readableRows(rows);
+    if (narrowing && !narrowed) rows = await this._narrowHits(rows, narrow);
+    if (reranker) rows = await this._rerank(query, rows, reranker, { fallback: rerankFallback });
+    if (rescoring) rows = await this._rescore(rows, scoring, args);
+    rows = rows.slice(0, k);
+    return snippetChars ? this._explainRows(query, rows, args, { explain, snippetChars, chunks, vectors, narrow, parsed }) : rows;
+  }
+
+  // search()'s since / until / category / people over the RPC's candidates,
+  // where the RPC couldn't apply them itself.
+  async _narrowHits(rows, { since, until, category, people }) {
+    const from = since ? new Date(since).getTime() : null;
+    const to = until ? new Date(until).getTime() : null;
+    const cats = category ? [].concat(category).map((c) => String(c).toLowerCase()) : null;
+    rows = rows.filter((r) => {
+      const t = new Date(r.created_at).getTime();
+      if ((from != null && !(t >= from)) || (to != null && !(t < to))) return false;
+      return !cats || cats.includes(String(r.category).toLowerCase());
     });
-    if (error) throw new Error(`match_memories_hybrid_v2: ${error.message}`);
-    return data || [];
+    if (!people?.length || !rows.length) return rows;
+    const ids = new Set(people);
+    const { data, error } = await this.sb.from("memories").select("id, related_people").in("id", rows.map((r) => r.id));
+    if (error) throw new Error(`search people: ${error.message}`);
+    const related = new Map((data || []).map((r) => [r.id, r.related_people || []]));
+    return rows.filter((r) => ids.has(r.subject_id) || (related.get(r.id) || []).some((id) => ids.has(id)));
+  }
+
+  // search() rows with `snippet`, and `explain` when asked.
+  _explainRows(query, rows, args, { explain, snippetChars, chunks, vectors, narrow, parsed }) {
+    const terms = queryTerms(query);
+    const filters = {
+      vectors,
+      visibility: args.visibility_filter,
+      minSimilarity: args.min_similarity,
+      ...(args.p_subject_id ? { subjectId: args.p_subject_id } : {}),
+      ...(args.source_filter ? { source: args.source_filter } : {}),
+      ...(args.source_exclude ? { sourceExclude: args.source_exclude } : {}),
+      ...(chunks ? { chunks } : {}),
+      ...Object.fromEntries(Object.entries(narrow).filter(([, v]) => v != null)),
+    };
+    const weights = { rrfK: args.rrf_k, semanticWeight: args.semantic_weight, lexicalWeight: args.lexical_weight };
+    return rows.map((row) => {
+      const text = snippetOf(row.content, { terms, passage: row.passage, window: snippetChars });
+      if (!explain) return { ...row, snippet: text };
+      return {
+        ...row,
+        snippet: text,
+        explain: {
+          terms: matchTerms(row.content, terms),
+          highlighted: highlightTerms(text, terms),
+          similarity: row.similarity ?? null,
+          ...rankerContributions(row, weights),
+          filters,
+          ...(parsed ? { parsed: { text: query, matches: parsed.matches } } : {}),
+        },
+      };
+    });
+  }
+
+  async _rerank(query, rows, reranker, { fallback }) {
+    if (!rows.length) return rows;
+    let scores;
+    try {
+      scores = await reranker.rerank(query, rows.map((r) => r.passage?.text || r.content || ""));
+    } catch (e) {
+      if (!fallback) throw e;
+      return rows.map((r, i) => ({ ...r, first_stage_rank: i + 1, rerank_error: e.message }));
+    }
+    return rows
+      .map((r, i) => ({ ...r, first_stage_rank: i + 1, rerank_score: scores[i] }))
+      .sort((a, b) => b.rerank_score - a.rerank_score || a.first_stage_rank - b.first_stage_rank);
+  }
+
+  async _rescore(rows, scoring, args) {
+    if (!rows.length) return rows;
+    const supersededBy = new Map();
+    const inherit = new Map();
+    if (scoring.preferSuperseding) {
+      const ids = rows.map((r) => r.id);
+      const { data: edges, error } = await this.sb
+        .from("memory_edges")
+        .select("src, dst")
+        .eq("relation", "supersedes")
+        .in("dst", ids);
+      if (error && !isMissingTable(error)) throw new Error(`search supersedes: ${error.message}`);
+      for (const e of edges || []) if (!supersededBy.has(e.dst)) supersededBy.set(e.dst, e.src);
+
+      // Superseding memories the RPC didn't return, under the same filters.
+      const have = new Set(ids);
+      const missing = [...new Set(supersededBy.values())].filter((id) => !have.has(id));
+      if (missing.length) {
+        let q = this.sb.from("memories").select(SEARCH_COLUMNS).in("id", missing).eq("archived", false).in("visibility", args.visibility_filter);
+        if (args.p_subject_id) q = q.eq("subject_id", args.p_subject_id);
+        const { data, error: rowErr } = await q;
+        if (rowErr) throw new Error(`search supersedes: ${rowErr.message}`);
+        const fetched = new Map((data || []).map((r) => [r.id, r]));
+        for (const [dst, src] of supersededBy) {
+          const r = fetched.get(src);
+          if (!r || !this._sourceAllowed(r.source, args) || inherit.has(src)) continue;
+          rows.push({ ...r, supersedes: dst });
+          inherit.set(src, dst);
+        }
+      }
+    }
+    return rescore(rows, { ...scoring, supersededBy, inherit });
+  }
+
+  _sourceAllowed(source, { source_filter, source_exclude }) {
+    if (source_filter?.length && !source_filter.includes(source)) return false;
+    return !(source_exclude?.length && source_exclude.includes(source));
+  }
+
+  /**
+   * Mark `memoryId` as superseding each of `olderIds` (memory_edges relation
+   * 'supersedes', newer → older). search({ preferSuperseding: true }) then
+   * demotes the older memories in favour of this one. Idempotent.
+   *
+   * @param {string} memoryId
+   * @param {string|string[]} olderIds
+   * @param {{reason?:string}} [opts]
+   * @returns {Promise<{memoryId:string, supersedes:string[]}>}
+   */
+  async supersede(memoryId, olderIds, { reason = null } = {}) {
+    const dsts = [...new Set([].concat(olderIds || []))];
+    if (!memoryId || !dsts.length) throw new Error("supersede: memoryId and at least one older id required");
+    if (dsts.includes(memoryId)) throw new Error("supersede: a memory cannot supersede itself");
+    const { error } = await this.sb.from("memory_edges").upsert(
+      dsts.map((dst) => ({
+        src: memoryId,
+        dst,
+        relation: "supersedes",
+        weight: 1,
+        metadata: reason ? { reason } : {},
+        created_by: this.agent,
+      })),
+      { onConflict: "src,dst,relation", ignoreDuplicates: true },
+    );
+    if (error) throw new Error(`supersede: ${error.message}`);
+    return { memoryId, supersedes: dsts };
+  }
+
+  async _searchWithChunks(args) {
+    const { match_count: k, rrf_k: rrfK } = args;
+    const [rpc, chunkRpc] = args.p_column
+      ? ["match_memories_hybrid_by_column", "match_memory_chunks_by_column"]
+      : ["match_memories_hybrid_v2", "match_memory_chunks"];
+    const [hybrid, passages] = await Promise.all([
+      this.sb.rpc(rpc, args),
+      this.sb.rpc(chunkRpc, {
+        ...(args.p_column ? { p_column: args.p_column } : {}),
+        query_embedding: args.query_embedding,
+        match_count: k * 3,
+        min_similarity: args.min_similarity,
+        visibility_filter: args.visibility_filter,
+        p_subject_id: args.p_subject_id,
+        source_filter: args.source_filter,
+        source_exclude: args.source_exclude,
+      }),
+    ]);
+    if (hybrid.error) throw new Error(`${rpc}: ${hybrid.error.message}`);
+    if (passages.error) throw new Error(`${chunkRpc}: ${passages.error.message}`);
+
+    // Best passage per parent, parents ranked by it.
+    const best = new Map();
+    for (const c of passages.data || []) {
+      if (!best.has(c.memory_id) || c.similarity > best.get(c.memory_id).similarity) best.set(c.memory_id, c);
+    }
+    const byPassage = [...best.values()].sort((a, b) => b.similarity - a.similarity);
+    const passageRank = new Map(byPassage.map((c, i) => [c.memory_id, i + 1]));
+
+    const rows = new Map((hybrid.data || []).map((r) => [r.id, { ...r }]));
+    const missing = byPassage.map((c) => c.memory_id).filter((id) => !rows.has(id));
+    if (missing.length) {
+      const { data, error } = await this.sb
+        .from("memories")
+        .select(SEARCH_COLUMNS)
+        .in("id", missing);
+      if (error) throw new Error(`search parents: ${error.message}`);
+      for (const r of data || []) rows.set(r.id, { ...r, similarity: best.get(r.id).similarity });
+    }
+
+    const score = new Map();
+    const fuse = (id, rank) => score.set(id, (score.get(id) || 0) + 1 / (rrfK + rank));
+    (hybrid.data || []).forEach((r, i) => fuse(r.id, i + 1));
+    byPassage.forEach((c, i) => fuse(c.memory_id, i + 1));
+
+    return [...score.entries()]
+      .filter(([id]) => rows.has(id))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id, fused]) => {
+        const row = rows.get(id);
+        row.fused_score = fused;
+        const c = best.get(id);
+        if (c) {
+          row.passage = { index: c.chunk_index, start: c.start_char, end: c.end_char, text: c.content, similarity: c.similarity, rank: passageRank.get(id) };
+          row.highlighted = highlightPassage(row.content, row.passage);
+        }
+        return row;
+      });
   }
 
   /**
    * Save a memory. Auto-embeds content.
+   *
+   * The id is generated client-side, so a save queued by the write-ahead
+   * journal replays into the same row. With a journal configured, a save that
+   * fails because Gemini / Supabase is unreachable resolves with
+   * `{ id, created_at: null, queued: true }` instead of throwing.
+   *
+   * `dedupe` probes the last `dedupeWindowHours` of memories with the same
+   * category + subject before inserting; a match at ≥ `dedupeThreshold`
+   * (identical normalized text, or embedding cosine) is a duplicate:
+   *   - 'skip'  — insert nothing, return the existing memory's id
+   *   - 'merge' — insert nothing, append this save to the existing row's
+   *               metadata.occurrences (last 50 kept, metadata.occurrence_count totals)
+   *   - 'link'  — insert anyway, plus a memory_edges duplicate_of edge new → existing
+   *   - 'off'   — default, no probe
+   * A save queued by the journal replays as a plain insert (no probe).
+   *
+   * Content longer than `chunking.minChars` also gets memory_chunks rows
+   * (`chunks` in the result). A chunk failure doesn't fail the save — the
+   * parent row is complete on its own; the result carries `chunkError` and
+   * tools/rechunk-memories.mjs --missing backfills it. Queued saves are
+   * chunked the same way, by that tool, after replay.
+   *
+   * `supersedes` (an id or ids) marks the new memory as replacing older ones
+   * — see supersede() and search({ preferSuperseding }). A queued save has no
+   * row to link yet, so the edges are skipped; call supersede() after replay.
+   *
    * @param {string} content
-   * @param {{category:string,type:string,importance?:number,visibility?:'public'|'internal'|'private',subjectId?:string,relatedPeople?:string[],source?:string,sourceRef?:object,mediaId?:string,metadata?:object}} opts
+   * @param {{category:string,type:string,importance?:number,visibility?:'public'|'internal'|'private',subjectId?:string,relatedPeople?:string[],source?:string,sourceRef?:object,mediaId?:string,metadata?:object,dedupe?:'skip'|'merge'|'link'|'off',dedupeThreshold?:number,dedupeWindowHours?:number,supersedes?:string|string[]}} opts
+   * @returns {Promise<{id:string, created_at:string|null, queued?:boolean, deduped?:'skip'|'merge'|'link', duplicateOf?:string, similarity?:number, chunks?:number, chunkError?:string, supersedes?:string[]}>}
    */
   async save(content, opts = {}) {
+    const {
+      dedupe = "off",
+      dedupeThreshold = DEFAULT_DEDUPE_THRESHOLD,
+      dedupeWindowHours = 72,
+      credentialGuard = this.credentialGuard,
+      pii = this.pii,
+      metadataValidation = this.metadataValidation,
+    } = opts;
+    if (!DEDUPE_MODES.includes(dedupe)) throw new Error(`save: dedupe must be one of ${DEDUPE_MODES.join(", ")}`);
+    const row = this._memoryRow(content, opts);
+    let report = this._checkMetadata(row.category, row.metadata, "save", metadataValidation);
+
+    let data, dup = null, checked = false;
+    try {
+      // Inside the journaled block: redact mode writes to the vault and the PII
+      // check reads the people directory, so either can hit the same outage as
+      // the insert. A save queued before both ran is marked `checks` and replay
+      // runs them before the row is stored.
+      const { fields, report: guardReport } = await this._guardCredentials({ content: row.content, metadata: row.metadata }, "save", credentialGuard);
+      Object.assign(row, fields);
+      report = { ...report, ...guardReport, ...(await this._applyPII(row, "save", pii)) };
+      content = row.content;
+      checked = true;
+      const embedding = await this.embedder.embed(content);
+      row.embedding = toPgVectorString(embedding);
+      await this._addShadowVectors([row]);
+      if (dedupe !== "off") {
+        dup = await this._findDuplicate(row, embedding, { threshold: dedupeThreshold, windowHours: dedupeWindowHours });
+        if (dup && dedupe === "merge" && !this._mayMergeInto(dup.row)) dup = null;
+      }
+      if (!dup || dedupe === "link") data = await this._insertMemory(row);
+    } catch (e) {
+      if (!this.journal || !isTransientError(e)) throw e;
+      const checks = checked ? {} : { checks: { credentialGuard, pii } };
+      await this.journal.enqueue({ op: "save", id: row.id, writtenBy: this.agent, row, ...checks }, e);
+      return { id: row.id, created_at: null, queued: true, ...report };
+    }
+
+    if (dup && dedupe !== "link") {
+      if (dedupe === "merge") await this._mergeOccurrence(dup.row, row, dup.similarity);
+      return { id: dup.row.id, created_at: dup.row.created_at, deduped: dedupe, duplicateOf: dup.row.id, similarity: dup.similarity, ...report };
+    }
+
+    const { error: logErr, status: logStatus } = await this.sb.from("memory_writes_log").insert({
+      memory_id: data.id,
+      action: "insert",
+      written_by: this.agent,
+      payload_preview: content.slice(0, 180),
+    });
+    if (this.journal) {
+      if (logErr && isTransientError(supabaseError("memory_writes_log", logErr, logStatus))) {
+        // Row landed, audit row didn't — replay finds the row and writes only the log.
+        await this.journal.enqueue({ op: "save", id: row.id, writtenBy: this.agent, row }, logErr);
+      } else if (!logErr) {
+        this._kickFlush();
+      }
+    }
+
+    const out = { id: data.id, created_at: data.created_at, ...(await this._chunkResult(data.id, content)), ...report };
+    if (opts.supersedes?.length) out.supersedes = (await this.supersede(data.id, opts.supersedes)).supersedes;
+    if (dup) {
+      const { error: edgeErr } = await this.sb.from("memory_edges").insert({
+        src: data.id,
+        dst: dup.row.id,
+        relation: "duplicate_of",
+        weight: dup.similarity,
+        created_by: this.agent,
+      });
+      if (edgeErr) throw new Error(`save: memory saved as ${data.id} but duplicate_of edge failed: ${edgeErr.message}`);
+      return { ...out, deduped: "link", duplicateOf: dup.row.id, similarity: dup.similarity };
+    }
+    return out;
+  }
+
+  // { chunks } / { chunks: 0, chunkError } for a long memory, {} for a short one.
+  async _chunkResult(memoryId, content) {
+    if (!this._needsChunks(content)) return {};
+    try {
+      return { chunks: await this._writeChunks(memoryId, content) };
+    } catch (e) {
+      return { chunks: 0, chunkError: e.message };
+    }
+  }
+
+  _needsChunks(content) {
+    return !!this.chunking && typeof content === "string" && content.length > this.chunking.minChars;
+  }
+
+  async _writeChunks(memoryId, content) {
+    if (!this._needsChunks(content)) return 0;
+    const pieces = chunkText(content, this.chunking);
+    const vecs = await this.embedder.embedMany(pieces.map((p) => p.text));
+    const { error, status } = await this.sb.from("memory_chunks").insert(pieces.map((p, i) => ({
+      memory_id: memoryId,
+      chunk_index: p.index,
+      start_char: p.start,
+      end_char: p.end,
+      content: p.text,
+      embedding: toPgVectorString(vecs[i]),
+    })));
+    if (error) throw supabaseError("memory_chunks insert", error, status);
+    return pieces.length;
+  }
+
+  // Drop a memory's chunks and re-derive them from `content`. The delete runs
+  // even with chunking disabled — stale passages (e.g. a redacted secret) must
+  // not outlive the content they came from.
+  async _replaceChunks(memoryId, content) {
+    const { error, status } = await this.sb.from("memory_chunks").delete().eq("memory_id", memoryId);
+    if (error && !isMissingTable(error)) throw supabaseError("memory_chunks delete", error, status);
+    if (error) return 0;
+    return this._writeChunks(memoryId, content);
+  }
+
+  /**
+   * Rebuild the memory_chunks rows of one memory from its current content
+   * (none if it's shorter than chunking.minChars). Used by
+   * tools/rechunk-memories.mjs.
+   * @param {string} memoryId
+   * @returns {Promise<{memoryId:string, chunks:number}>}
+   */
+  async rechunkMemory(memoryId) {
+    const { data, error } = await this.sb.from("memories").select("id, content").eq("id", memoryId).maybeSingle();
+    if (error) throw new Error(`rechunkMemory: ${error.message}`);
+    if (!data) throw new Error(`rechunkMemory: memory ${memoryId} not found`);
+    return { memoryId, chunks: await this._replaceChunks(memoryId, data.content) };
+  }
+
+  // Most similar recent memory with the same category + subject, if it clears
+  // `threshold`. Compared client-side: the probe set is small (≤ `limit` rows).
+  async _findDuplicate(row, embedding, { threshold, windowHours, limit = 50 }) {
+    let q = this.sb
+      .from("memories")
+      .select("id, content, embedding, metadata, category, visibility, subject_id, created_at")
+      .eq("archived", false)
+      .eq("category", row.category)
+      .gte("created_at", new Date(Date.now() - windowHours * 3600_000).toISOString());
+    q = row.subject_id ? q.eq("subject_id", row.subject_id) : q.is("subject_id", null);
+    const { data, error, status } = await q.order("created_at", { ascending: false }).limit(limit);
+    if (error) throw supabaseError("dedupe probe", error, status);
+    let best = null;
+    for (const cand of data || []) {
+      const similarity = memorySimilarity({ content: row.content, embedding }, cand);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) best = { row: cand, similarity };
+    }
+    if (best) best.similarity = Math.round(best.similarity * 1e4) / 1e4;
+    return best;
+  }
+
+  // A merge writes the existing row, which may be one this agent can't write
+  // (another visibility). Checked like any write; a denial is logged and the
+  // save inserts its own row instead.
+  _mayMergeInto(existing) {
+    try {
+      this._enforce("write", { category: existing.category, visibility: existing.visibility, subjectId: existing.subject_id }, "save (dedupe merge)");
+      return true;
+    } catch (e) {
+      if (e.code !== "POLICY_DENIED") throw e;
+      return false;
+    }
+  }
+
+  async _mergeOccurrence(existing, row, similarity) {
+    const metadata = { ...(existing.metadata || {}) };
+    const occurrence = { at: new Date().toISOString(), source: row.source, similarity };
+    if (row.content !== existing.content) occurrence.content = row.content;
+    if (row.source_ref && Object.keys(row.source_ref).length) occurrence.source_ref = row.source_ref;
+    metadata.occurrences = [...(metadata.occurrences || []), occurrence].slice(-50);
+    metadata.occurrence_count = (metadata.occurrence_count ?? 0) + 1;
+    const { error } = await this.sb.from("memories").update({ metadata }).eq("id", existing.id);
+    if (error) throw new Error(`save (dedupe merge): ${error.message}`);
+    await this.sb.from("memory_writes_log").insert({
+      memory_id: existing.id,
+      action: "update",
+      written_by: this.agent,
+      payload_preview: `[dedupe merge] ${row.content.slice(0, 160)}`,
+    });
+  }
+
+  /**
+   * Save many memories in bulk — for backfills, migrations and importers.
+   *
+   * Embeds through the provider's batch endpoint (Gemini batchEmbedContents,
+   * OpenAI-style array input), `batchSize` texts per request with up to
+   * `concurrency` requests in flight and at most `rpm` requests per minute.
+   * Rows then go in as one multi-row insert (per `insertBatchSize`), followed
+   * by one multi-row memory_writes_log insert.
+   *
+   * Per-item problems never throw: every input gets a result. When a batch
+   * embed or multi-row insert fails permanently, its items are retried one at
+   * a time so one bad row can't sink its neighbours. Transient failures are
+   * queued like save() when a journal is configured.
+   *
+   * @param {Array<{content:string,category:string,type:string}>} items  each takes the same options as save()
+   * @param {{concurrency?:number, rpm?:number|null, batchSize?:number, insertBatchSize?:number}} [opts]
+   * @returns {Promise<{saved:number, queued:number, failed:number, results:Array<{index:number, ok:boolean, id?:string, created_at?:string|null, queued?:boolean, error?:string, chunks?:number, chunkError?:string}>}>}
+   */
+  async saveMany(items, {
+    concurrency = 4,
+    rpm = null,
+    batchSize = this.embedder.batchSize || 100,
+    insertBatchSize = 500,
+    credentialGuard = this.credentialGuard,
+    pii = this.pii,
+    metadataValidation = this.metadataValidation,
+  } = {}) {
+    if (!Array.isArray(items)) throw new Error("saveMany: items array required");
+    const results = new Array(items.length);
+    const work = [];
+    for (const [i, item] of items.entries()) {
+      try {
+        if (typeof item?.content !== "string") throw new Error("saveMany: content (string) required");
+        const row = this._memoryRow(item.content, item);
+        const schemaReport = this._checkMetadata(row.category, row.metadata, "saveMany", item.metadataValidation ?? metadataValidation);
+        const { fields, report } = await this._guardCredentials(
+          { content: row.content, metadata: row.metadata },
+          "saveMany",
+          item.credentialGuard ?? credentialGuard,
+        );
+        Object.assign(row, fields);
+        Object.assign(report, schemaReport, await this._applyPII(row, "saveMany", item.pii ?? pii));
+        work.push({ i, row, report, error: null, created_at: null });
+      } catch (e) {
+        results[i] = { index: i, ok: false, error: e.message };
+      }
+    }
+
+    // 1. Embed — batched; on a permanent batch failure, isolate per item.
+    const rateLimiter = rpm ? new RateLimiter({ rpm }) : null;
+    await mapWithConcurrency(chunk(work, batchSize), concurrency, async (group) => {
+      try {
+        const vecs = await this.embedder.embedMany(group.map((w) => w.row.content), { rateLimiter });
+        group.forEach((w, j) => { w.row.embedding = toPgVectorString(vecs[j]); });
+      } catch (e) {
+        if (isTransientError(e)) {
+          for (const w of group) w.error = e;
+          return;
+        }
+        for (const w of group) {
+          try {
+            if (rateLimiter) await rateLimiter.acquire();
+            w.row.embedding = toPgVectorString(await this.embedder.embed(w.row.content));
+          } catch (e2) {
+            w.error = e2;
+          }
+        }
+      }
+    });
+
+    await this._addShadowVectors(work.filter((w) => !w.error).map((w) => w.row));
+
+    // 2. Insert — multi-row; on a permanent failure, isolate per row.
+    for (const group of chunk(work.filter((w) => !w.error), insertBatchSize)) {
+      const { data, error, status } = await this.sb
+        .from("memories")
+        .insert(group.map((w) => w.row))
+        .select("id, created_at");
+      if (!error) {
+        const createdAt = new Map((data || []).map((r) => [r.id, r.created_at]));
+        for (const w of group) w.created_at = createdAt.get(w.row.id) ?? null;
+        continue;
+      }
+      const err = supabaseError("saveMany insert", error, status);
+      if (err.transient) {
+        for (const w of group) w.error = err;
+        continue;
+      }
+      for (const w of group) {
+        try {
+          w.created_at = (await this._insertMemory(w.row)).created_at;
+        } catch (e) {
+          w.error = e;
+        }
+      }
+    }
+
+    // 3. Audit log — one multi-row insert per group.
+    const relog = new Set();
+    for (const group of chunk(work.filter((w) => !w.error), insertBatchSize)) {
+      const { error, status } = await this.sb.from("memory_writes_log").insert(group.map((w) => ({
+        memory_id: w.row.id,
+        action: "insert",
+        written_by: this.agent,
+        payload_preview: w.row.content.slice(0, 180),
+      })));
+      if (error && this.journal && isTransientError(supabaseError("memory_writes_log", error, status))) {
+        for (const w of group) relog.add(w);
+      }
+    }
+
+    // 4. Results; transient failures (and rows missing their log) go to the journal.
+    for (const w of work) {
+      const { i, row } = w;
+      if (!w.error) {
+        if (relog.has(w)) await this.journal.enqueue({ op: "save", id: row.id, writtenBy: this.agent, row }, "memory_writes_log unreachable");
+        results[i] = { index: i, ok: true, id: row.id, created_at: w.created_at, ...(await this._chunkResult(row.id, row.content)), ...w.report };
+      } else if (this.journal && isTransientError(w.error)) {
+        await this.journal.enqueue({ op: "save", id: row.id, writtenBy: this.agent, row }, w.error);
+        results[i] = { index: i, ok: true, id: row.id, created_at: null, queued: true, ...w.report };
+      } else {
+        results[i] = { index: i, ok: false, id: row.id, error: w.error.message };
+      }
+    }
+
+    const saved = results.filter((r) => r.ok && !r.queued).length;
+    if (saved && this.journal) this._kickFlush();
+    return {
+      saved,
+      queued: results.filter((r) => r.queued).length,
+      failed: results.filter((r) => !r.ok).length,
+      results,
+    };
+  }
+
+  // Build a memories row from save() options. Validates; assigns the client id.
+  _memoryRow(content, opts = {}) {
     const {
       category,
       type,
@@ -157,43 +1322,38 @@ export class NeoBrain {
       sourceRef = {},
       mediaId = null,
       metadata = {},
+      sessionId = this.sessionId,
     } = opts;
     if (!category || !type) throw new Error("save: category and type required");
+    this._enforce("write", { category, visibility, subjectId, source }, "save");
+    return {
+      id: crypto.randomUUID(),
+      content,
+      category,
+      memory_type: type,
+      importance,
+      visibility,
+      subject_id: subjectId,
+      related_people: relatedPeople,
+      source,
+      source_ref: sessionId && !sourceRef.session_id ? { ...sourceRef, session_id: sessionId } : sourceRef,
+      media_id: mediaId,
+      metadata,
+    };
+  }
 
-    const embedding = await embedText(content, { apiKey: this.geminiApiKey });
-    const embStr = toPgVectorString(embedding);
-
-    const { data, error } = await this.sb
+  async _insertMemory(row) {
+    const { data, error, status } = await this.sb
       .from("memories")
-      .insert({
-        content,
-        embedding: embStr,
-        category,
-        memory_type: type,
-        importance,
-        visibility,
-        subject_id: subjectId,
-        related_people: relatedPeople,
-        source,
-        source_ref: sourceRef,
-        media_id: mediaId,
-        metadata,
-      })
+      .insert(row)
       .select("id, created_at")
       .single();
-    if (error) throw new Error(`save memory: ${error.message}`);
-
-    await this.sb.from("memory_writes_log").insert({
-      memory_id: data.id,
-      action: "insert",
-      written_by: this.agent,
-      payload_preview: content.slice(0, 180),
-    });
-
-    return { id: data.id, created_at: data.created_at };
+    if (error) throw supabaseError("save memory", error, status);
+    return data;
   }
 
   async archive(memoryId) {
+    await this._enforceOnMemory(memoryId, "archive");
     const { error } = await this.sb.from("memories").update({ archived: true }).eq("id", memoryId);
     if (error) throw new Error(error.message);
     await this.sb.from("memory_writes_log").insert({
@@ -211,7 +1371,9 @@ export class NeoBrain {
    * secrets we were trying to redact.
    *
    * Auto re-embeds the new content. Writes a memory_writes_log row with
-   * action='redact' for traceability.
+   * action='redact' for traceability, and a memory_versions row holding the
+   * prior content with every credential-shape match replaced by
+   * `[REDACTED:<rule id>]` (older versions of the memory are scrubbed the same way).
    *
    * @param {string} memoryId
    * @param {{newContent:string, newImportance?:number, newVisibility?:'public'|'internal'|'private', reason:string}} opts
@@ -221,15 +1383,17 @@ export class NeoBrain {
     if (!memoryId) throw new Error("redactMemory: memoryId required");
     if (typeof newContent !== "string" || !newContent.length) throw new Error("redactMemory: newContent required");
     if (!reason || typeof reason !== "string") throw new Error("redactMemory: reason required");
+    if (newVisibility !== undefined) this._enforce("write", { visibility: newVisibility }, "redactMemory");
 
     // 1. Fetch current row
     const { data: cur, error: fetchErr } = await this.sb
       .from("memories")
-      .select("id, content")
+      .select(VERSIONED_COLUMNS)
       .eq("id", memoryId)
       .maybeSingle();
     if (fetchErr) throw new Error(`redactMemory fetch: ${fetchErr.message}`);
     if (!cur) throw new Error(`redactMemory: memory ${memoryId} not found`);
+    this._enforce("write", { category: cur.category, visibility: cur.visibility, subjectId: cur.subject_id }, "redactMemory");
 
     // 2. Safety check — extract credential-pattern matches from BOTH old and
     //    new content. Refuse if any OLD secret is still present verbatim in
@@ -246,16 +1410,23 @@ export class NeoBrain {
     }
 
     // 3. Re-embed new content
-    const embedding = await embedText(newContent, { apiKey: this.geminiApiKey });
-    if (!embedding) throw new Error("redactMemory: embedText returned null");
+    const embedding = await this.embedder.embed(newContent);
+    if (!embedding) throw new Error("redactMemory: embedder returned null");
     const embStr = toPgVectorString(embedding);
 
-    // 4. Build patch
+    // 4. Build patch — the shadow vector too, so none derived from the old
+    //    content survives.
     const patch = { content: newContent, embedding: embStr };
+    await this._addShadowVectors([patch]);
     if (typeof newImportance === "number") patch.importance = newImportance;
     if (newVisibility) patch.visibility = newVisibility;
 
-    // 5. Update
+    // 5. Snapshot the prior row into memory_versions — scrubbed, so the
+    //    history never holds the secret — and scrub older versions too.
+    await this._snapshotVersion(cur, { action: "redact", reason, redact: true });
+    await this._scrubVersions(memoryId);
+
+    // 6. Update
     const { data: updated, error: updErr } = await this.sb
       .from("memories")
       .update(patch)
@@ -263,8 +1434,13 @@ export class NeoBrain {
       .select("*")
       .single();
     if (updErr) throw new Error(`redactMemory update: ${updErr.message}`);
+    try {
+      await this._replaceChunks(memoryId, newContent);
+    } catch (e) {
+      throw new Error(`redactMemory: update succeeded but re-chunking failed — old passages may still hold the secret: ${e.message}`);
+    }
 
-    // 6. Log (capture errors — unlike save/archive which swallow them
+    // 7. Log (capture errors — unlike save/archive which swallow them
     //    historically, redact wants the audit trail to be loud)
     const { error: logErr } = await this.sb.from("memory_writes_log").insert({
       memory_id: memoryId,
@@ -278,60 +1454,713 @@ export class NeoBrain {
   }
 
   /**
-   * List memories chronologically (newest first). No embedding required.
-   * Use this for "what's recent" / activity scans / session-start briefs.
-   * For semantic lookup use search() instead.
-   * @param {{limit?:number, sinceHours?:number, source?:string, memoryType?:string, category?:string, minImportance?:number, visibility?:string[], subjectId?:string, includeArchived?:boolean}} [opts]
+   * Edit a memory in place, keeping the prior state in memory_versions.
+   * Re-embeds only when content changes. Writes a memory_writes_log row with
+   * action='update'.
+   *
+   * @param {string} memoryId
+   * @param {{content?:string,category?:string,type?:string,importance?:number,visibility?:'public'|'internal'|'private',subjectId?:string|null,relatedPeople?:string[],sourceRef?:object,mediaId?:string|null,metadata?:object,archived?:boolean}} patch
+   * @param {{reason?:string}} [opts]
+   * @returns updated memory row (with `version_id` of the snapshot just taken)
    */
-  async listMemories({
-    limit = 20,
-    sinceHours = null,
-    source = null,
-    memoryType = null,
-    category = null,
-    minImportance = null,
-    visibility = ["public", "internal", "private"],
-    subjectId = null,
-    includeArchived = false,
-  } = {}) {
-    let q = this.sb.from("memories").select("*");
-    if (!includeArchived) q = q.eq("archived", false);
-    if (sinceHours != null) q = q.gte("created_at", new Date(Date.now() - sinceHours * 3600_000).toISOString());
-    if (source) q = q.eq("source", source);
-    if (memoryType) q = q.eq("memory_type", memoryType);
-    if (category) q = q.eq("category", category);
-    if (minImportance != null) q = q.gte("importance", minImportance);
-    if (subjectId) q = q.eq("subject_id", subjectId);
-    if (visibility) q = q.in("visibility", visibility);
-    const { data, error } = await q.order("created_at", { ascending: false }).limit(limit);
-    if (error) throw new Error(`listMemories: ${error.message}`);
-    return data || [];
+  async update(memoryId, patch, { reason = null, credentialGuard = this.credentialGuard, pii = this.pii, metadataValidation = this.metadataValidation } = {}) {
+    if (!memoryId) throw new Error("update: memoryId required");
+    if (!patch || typeof patch !== "object") throw new Error("update: patch object required");
+    const unknown = Object.keys(patch).filter((k) => !(k in PATCH_COLUMNS));
+    if (unknown.length) throw new Error(`update: unknown field(s) ${unknown.join(", ")}`);
+    const cols = {};
+    for (const [k, v] of Object.entries(patch)) if (v !== undefined) cols[PATCH_COLUMNS[k]] = v;
+    if (!Object.keys(cols).length) throw new Error("update: empty patch");
+    if ("content" in cols && (typeof cols.content !== "string" || !cols.content.trim())) {
+      throw new Error("update: content must be a non-empty string");
+    }
+    this._enforce("write", { category: cols.category, visibility: cols.visibility, subjectId: cols.subject_id }, "update");
+    const scanned = Object.fromEntries(["content", "metadata"].filter((k) => k in cols).map((k) => [k, cols[k]]));
+    const { fields, report } = await this._guardCredentials(scanned, "update", credentialGuard);
+    Object.assign(cols, fields);
+    const prepare = this._checkVersioned(cols, "update", { pii, metadataValidation });
+    return { ...(await this._applyVersioned(memoryId, cols, { action: "update", reason, label: "update", prepare })), ...report };
   }
 
-  // ---------- MEDIA ----------
+  // _applyVersioned()'s prepare hook for update() and revert(): the merged
+  // row is checked — its metadata against the (new) category's schema, and
+  // new content or a wider visibility for PII.
+  _checkVersioned(cols, label, { pii, metadataValidation }) {
+    const checkSchema = "metadata" in cols || "category" in cols;
+    const checkPII = "content" in cols || "visibility" in cols;
+    if (!checkSchema && !checkPII) return null;
+    return async (cur, next) => {
+      const row = { content: next.content ?? cur.content, visibility: next.visibility ?? cur.visibility, metadata: next.metadata ?? cur.metadata };
+      const out = checkSchema ? this._checkMetadata(next.category ?? cur.category, row.metadata, label, metadataValidation) : {};
+      if (!checkPII) return out;
+      const piiOut = await this._applyPII(row, label, pii);
+      if (piiOut.pii) Object.assign(next, { visibility: row.visibility, metadata: row.metadata });
+      return { ...out, ...piiOut };
+    };
+  }
 
   /**
-   * Save a media blob to storage + create a media row with embedding of caption/transcript.
-   * @param {{kind:'image'|'audio'|'video', buffer:Buffer, mimeType:string, transcript?:string, caption?:string, source?:string, sourceRef?:object, subjectId?:string}} opts
+   * Versions of a memory, newest first. Each row's `snapshot` is the memory
+   * as it was BEFORE that change (no embedding); `redacted` versions have had
+   * credential-shape strings removed.
+   * @param {string} memoryId
+   * @returns {Promise<{id:string, memory_id:string, version:number, action:'update'|'redact'|'revert', reason:string|null, snapshot:object, redacted:boolean, created_by:string, created_at:string}[]>}
    */
-  async saveMedia(opts) {
-    const { kind, buffer, mimeType, transcript = null, caption = null, source = this.agent, sourceRef = {}, subjectId = NEO_SELF_ID } = opts;
-    if (!this.storage) throw new Error("saveMedia: no storage adapter configured");
-    if (!kind || !buffer || !mimeType) throw new Error("saveMedia: kind, buffer, mimeType required");
-
-    const ext = mimeType.split("/")[1] || "bin";
-    const key = `${kind}/${new Date().getUTCFullYear()}/${String(new Date().getUTCMonth() + 1).padStart(2, "0")}/${crypto.randomUUID()}.${ext}`;
-    const uploaded = await this.storage.put(key, buffer, { contentType: mimeType });
-
-    const embedSource = transcript || caption || "";
-    const embedding = embedSource ? await embedText(embedSource, { apiKey: this.geminiApiKey }) : null;
-
+  async history(memoryId) {
+    if (!memoryId) throw new Error("history: memoryId required");
     const { data, error } = await this.sb
-      .from("media")
-      .insert({
-        kind,
+      .from("memory_versions")
+      .select("*")
+      .eq("memory_id", memoryId)
+      .order("version", { ascending: false });
+    if (error) throw new Error(`history: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Restore a memory to a version from history(). The current state is
+   * snapshotted first, so a revert can itself be reverted. Reverting to a
+   * redacted version restores the scrubbed content, never the secret; any
+   * other snapshot's content and metadata go through the credential guard
+   * like an update, since they may predate it or have been written with it off.
+   * The restored row is re-checked for PII and against its category's
+   * metadata schema too, so a snapshot never widens a PII row back open.
+   * @param {string} memoryId
+   * @param {string} versionId  memory_versions.id
+   * @param {{reason?:string, credentialGuard?:string, pii?:string, metadataValidation?:string}} [opts]
+   * @returns updated memory row
+   */
+  async revert(memoryId, versionId, { reason = null, credentialGuard = this.credentialGuard, pii = this.pii, metadataValidation = this.metadataValidation } = {}) {
+    if (!memoryId || !versionId) throw new Error("revert: memoryId and versionId required");
+    const { data: ver, error } = await this.sb
+      .from("memory_versions")
+      .select("*")
+      .eq("id", versionId)
+      .maybeSingle();
+    if (error) throw new Error(`revert fetch: ${error.message}`);
+    if (!ver || ver.memory_id !== memoryId) throw new Error(`revert: version ${versionId} not found for memory ${memoryId}`);
+    const cols = {};
+    for (const c of Object.values(PATCH_COLUMNS)) if (c in ver.snapshot) cols[c] = ver.snapshot[c];
+    const scanned = Object.fromEntries(["content", "metadata"].filter((k) => k in cols).map((k) => [k, cols[k]]));
+    const { fields, report } = await this._guardCredentials(scanned, "revert", credentialGuard);
+    Object.assign(cols, fields);
+    const out = await this._applyVersioned(memoryId, cols, {
+      action: "revert",
+      reason: reason || `revert to v${ver.version}`,
+      label: "revert",
+      prepare: this._checkVersioned(cols, "revert", { pii, metadataValidation }),
+    });
+    return { ...out, ...report };
+  }
+
+  async _applyVersioned(memoryId, cols, { action, reason, label, prepare = null }) {
+    const { data: cur, error: fetchErr } = await this.sb
+      .from("memories")
+      .select(VERSIONED_COLUMNS)
+      .eq("id", memoryId)
+      .maybeSingle();
+    if (fetchErr) throw new Error(`${label} fetch: ${fetchErr.message}`);
+    if (!cur) throw new Error(`${label}: memory ${memoryId} not found`);
+    this._enforce("write", { category: cur.category, visibility: cur.visibility, subjectId: cur.subject_id }, label);
+    // And the row as it will be — a revert restores category, visibility and
+    // subject from a snapshot the caller never named.
+    const target = { ...cur, ...cols };
+    this._enforce("write", { category: target.category, visibility: target.visibility, subjectId: target.subject_id }, label);
+
+    const patch = { ...cols };
+    const extra = prepare ? await prepare(cur, patch) : {};
+    if ("content" in patch && patch.content !== cur.content) {
+      const embedding = await this.embedder.embed(patch.content);
+      if (!embedding) throw new Error(`${label}: embedder returned null`);
+      patch.embedding = toPgVectorString(embedding);
+      await this._addShadowVectors([patch]);
+    }
+
+    const version = await this._snapshotVersion(cur, { action, reason });
+
+    const { data: updated, error: updErr } = await this.sb
+      .from("memories")
+      .update(patch)
+      .eq("id", memoryId)
+      .select("*")
+      .single();
+    if (updErr) throw new Error(`${label} update: ${updErr.message}`);
+
+    if ("embedding" in patch) {
+      try {
+        await this._replaceChunks(memoryId, updated.content);
+      } catch (e) {
+        throw new Error(`${label}: memory updated but re-chunking failed: ${e.message}`);
+      }
+    }
+
+    const { error: logErr } = await this.sb.from("memory_writes_log").insert({
+      memory_id: memoryId,
+      action,
+      written_by: this.agent,
+      payload_preview: `[${reason || label}] ${(updated.content || "").slice(0, 160)}`,
+    });
+    if (logErr) throw new Error(`${label}: update succeeded but log write failed: ${logErr.message}`);
+
+    return { ...updated, version_id: version.id, ...extra };
+  }
+
+  // Insert the pre-change row as the next memory_versions row. `redact`
+  // scrubs credential-shape strings out of every string in the snapshot.
+  async _snapshotVersion(cur, { action, reason = null, redact = false }) {
+    const { data: last, error: lastErr } = await this.sb
+      .from("memory_versions")
+      .select("version")
+      .eq("memory_id", cur.id)
+      .order("version", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (lastErr) throw new Error(`memory_versions: ${lastErr.message}`);
+    const { id: _id, ...snapshot } = cur;
+    const { data, error } = await this.sb
+      .from("memory_versions")
+      .insert({
+        memory_id: cur.id,
+        version: (last?.version || 0) + 1,
+        action,
+        reason,
+        snapshot: redact ? scrubCredentials(snapshot) : snapshot,
+        redacted: redact,
+        created_by: this.agent,
+      })
+      .select("id, version")
+      .single();
+    if (error) throw new Error(`memory_versions: ${error.message}`);
+    return data;
+  }
+
+  // Scrub credential-shape strings out of every stored version of a memory.
+  async _scrubVersions(memoryId) {
+    const { data, error } = await this.sb
+      .from("memory_versions")
+      .select("id, snapshot")
+      .eq("memory_id", memoryId);
+    if (error) throw new Error(`memory_versions: ${error.message}`);
+    for (const v of data || []) {
+      const scrubbed = scrubCredentials(v.snapshot);
+      if (JSON.stringify(scrubbed) === JSON.stringify(v.snapshot)) continue;
+      const { error: updErr } = await this.sb
+        .from("memory_versions")
+        .update({ snapshot: scrubbed, redacted: true })
+        .eq("id", v.id);
+      if (updErr) throw new Error(`memory_versions scrub: ${updErr.message}`);
+    }
+  }
+
+  /**
+   * List memories chronologically (newest first; `order: "asc"` for oldest
+   * first). No embedding required. Use this for "what's recent" / activity
+   * scans / session-start briefs. For semantic lookup use search() instead.
+   *
+   * One page of up to `limit` rows. The array carries `nextCursor` — pass it
+   * back as `cursor` (with the same filters and order) for the next page, or
+   * use iterateMemories(). null when there is nothing after this page.
+   * `columns` narrows the select; id and created_at are always included.
+   *
+   * @param {{limit?:number, sinceHours?:number, since?:Date|string, until?:Date|string, source?:string, memoryType?:string, category?:string, minImportance?:number, visibility?:string[], subjectId?:string, includeArchived?:boolean, order?:'desc'|'asc', cursor?:string, columns?:string}} [opts]
+   * @returns {Promise<object[] & {nextCursor:string|null}>}
+   */
+  async listMemories({
+    limit = 20,
+    sinceHours = null,
+    since = null,
+    until = null,
+    source = null,
+    memoryType = null,
+    category = null,
+    minImportance = null,
+    visibility = ["public", "internal", "private"],
+    subjectId = null,
+    includeArchived = false,
+    order = "desc",
+    cursor = null,
+    columns = "*",
+  } = {}) {
+    visibility = this._readScope("listMemories", { visibility, subjectId, category });
+    let q = this.sb.from("memories").select(this._pageColumns(columns, "category, visibility, subject_id"));
+    if (!includeArchived) q = q.eq("archived", false);
+    q = this._createdBetween(q, { sinceHours, since, until });
+    if (source) q = q.eq("source", source);
+    if (memoryType) q = q.eq("memory_type", memoryType);
+    if (category) q = q.eq("category", category);
+    if (minImportance != null) q = q.gte("importance", minImportance);
+    if (subjectId) q = q.eq("subject_id", subjectId);
+    if (visibility) q = q.in("visibility", visibility);
+    return this._keysetPage(q, "listMemories", { order, cursor, limit });
+  }
+
+  /**
+   * Every memory matching listMemories() filters, one page of `pageSize` at
+   * a time, stopping after `limit` rows. Keyset-paged, so memories saved
+   * while it runs don't shift or repeat rows; with `order: "asc"` the ones
+   * saved after the current position are picked up at the end.
+   *
+   * @param {{pageSize?:number, limit?:number} & Parameters<NeoBrain["listMemories"]>[0]} [opts]
+   * @returns {AsyncGenerator<object>}
+   */
+  async *iterateMemories({ pageSize = 500, limit = Infinity, ...filter } = {}) {
+    yield* this._iteratePages((opts) => this.listMemories(opts), filter, { pageSize, limit });
+  }
+
+  // Narrow `q` to created_at in [since or sinceHours ago, until).
+  _createdBetween(q, { sinceHours = null, since = null, until = null }) {
+    if (sinceHours != null) q = q.gte("created_at", new Date(Date.now() - sinceHours * 3600_000).toISOString());
+    if (since) q = q.gte("created_at", new Date(since).toISOString());
+    if (until) q = q.lt("created_at", new Date(until).toISOString());
+    return q;
+  }
+
+  // Select list for a listing: `columns` plus the keyset columns, plus
+  // `policyColumns` when a policy has to judge the rows.
+  _pageColumns(columns, policyColumns) {
+    const cols = withKeyColumns(columns);
+    return this.policy && cols !== "*" ? withKeyColumns(`${cols}, ${policyColumns}`) : cols;
+  }
+
+  // One keyset page of `q` (paging.js): rows after `cursor` in (created_at,
+  // id) `order`, readable ones only. nextCursor comes from the last row
+  // fetched, so rows the policy drops don't end the listing early.
+  async _keysetPage(q, label, { order = "desc", cursor = null, limit }) {
+    if (!PAGE_ORDERS.includes(order)) throw new Error(`${label}: order must be one of ${PAGE_ORDERS.join(", ")}`);
+    if (cursor) {
+      const after = decodePageCursor(cursor, label);
+      if (after.order !== order) throw new Error(`${label}: cursor is for order "${after.order}", not "${order}"`);
+      q = q.or(keysetFilter(after));
+    }
+    const ascending = order === "asc";
+    const { data, error, status } = await q.order("created_at", { ascending }).order("id", { ascending }).limit(limit);
+    if (error) throw supabaseError(label, error, status);
+    const rows = data || [];
+    const last = rows.at(-1);
+    const page = this._readableRows(rows);
+    page.nextCursor = last && rows.length >= Math.min(limit, PAGE_MAX_ROWS) ? encodePageCursor({ at: last.created_at, id: last.id, order }) : null;
+    return page;
+  }
+
+  // Rows of successive list(filter) pages until nextCursor runs out or
+  // `limit` rows have been yielded.
+  async *_iteratePages(list, { cursor = null, ...filter }, { pageSize, limit }) {
+    let n = 0;
+    while (n < limit) {
+      const page = await list({ ...filter, cursor, limit: Math.min(pageSize, limit - n) });
+      for (const row of page) {
+        yield row;
+        if (++n >= limit) return;
+      }
+      if (!page.nextCursor) return;
+      cursor = page.nextCursor;
+    }
+  }
+
+  // ---------- QUERY UNDERSTANDING ----------
+
+  /**
+   * Split a natural-language query into filters and the text to search
+   * (query-parse.js): a time range (English or Malay, relative or
+   * absolute), people from the directory, and the client's `projects`.
+   * search({ parse: true }) applies the result; call this to show or adjust
+   * it first. `people` defaults to the people table (cached for ten
+   * minutes); pass a [{id, names}] list, or false for none.
+   *
+   * @param {string} query
+   * @param {{now?:Date, utcOffsetMinutes?:number, projects?:string[], people?:{id:string, names:string[]}[]|false}} [opts]
+   * @returns {Promise<{query:string, text:string, since:string|null, until:string|null, category:string[]|null, people:string[]|null, matches:Array<{kind:'time'|'project'|'person', text:string, value:*}>}>}
+   */
+  async parseQuery(query, { now = new Date(), utcOffsetMinutes = this.utcOffsetMinutes ?? -now.getTimezoneOffset(), projects = this.projects, people = undefined } = {}) {
+    const directory = people === undefined ? await this._peopleDirectory() : people || [];
+    return parseQuery(query, { now, utcOffsetMinutes, projects, people: directory });
+  }
+
+  // The people directory for parseQuery(), cached for QUERY_PEOPLE_TTL_MS. A
+  // failed lookup means no names are recognised — it never fails a search.
+  async _peopleDirectory() {
+    if (this._queryPeople && Date.now() - this._queryPeople.at < QUERY_PEOPLE_TTL_MS) return this._queryPeople.people;
+    const { data, error } = await this.sb.from("people").select("*").limit(5000);
+    const people = error ? [] : peopleDirectory(data || [], { selfId: NEO_SELF_ID });
+    this._queryPeople = { at: Date.now(), people };
+    return people;
+  }
+
+  // ---------- EMBEDDING CACHE ----------
+
+  /**
+   * Hit/miss counters of the embedding cache that search(), save() and
+   * saveMany() consult. null when the client was built with embeddingCache: false.
+   * @returns {{hits:number, misses:number, writes:number, hitRate:number, tierHits:number[]}|null}
+   */
+  embeddingCacheStats() {
+    return this.embeddingCache ? this.embeddingCache.snapshot() : null;
+  }
+
+  // ---------- EMBEDDING MIGRATION ----------
+
+  // Set the shadowEmbedder's vector on each memories row / patch from its
+  // content. A failed shadow embed leaves the column null rather than failing
+  // the write — reembedShadow() picks those rows up.
+  async _addShadowVectors(rows) {
+    if (!this.shadowEmbedder || !rows.length) return;
+    let vecs = [];
+    try {
+      vecs = await this.shadowEmbedder.embedMany(rows.map((r) => r.content));
+    } catch {
+      // left null, see above
+    }
+    rows.forEach((r, i) => { r[this.shadowColumn] = toPgVectorString(vecs[i]); });
+  }
+
+  _requireShadow(label) {
+    if (!this.shadowEmbedder) throw new Error(`${label}: no shadowEmbedder configured (NEO_BRAIN_SHADOW_EMBED_PROVIDER)`);
+    return this.shadowColumn;
+  }
+
+  /**
+   * The embedding_migrations row (sql/embedding-migrations.sql) for the
+   * shadowEmbedder's model — status, cursor, per-table progress, last eval —
+   * or null before startEmbeddingMigration().
+   */
+  async embeddingMigration() {
+    const column = this._requireShadow("embeddingMigration");
+    const { data, error } = await this.sb.from("embedding_migrations").select("*").eq("id", column).maybeSingle();
+    if (error) throw new Error(`embeddingMigration: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Start migrating to the shadowEmbedder's model: add its shadow column
+   * (shadowColumnName(), vector(dims)) to each of `tables` and record the
+   * migration. Idempotent; naming a table the migration doesn't cover yet
+   * adds it and sends the migration back to backfilling.
+   *
+   * @param {{tables?:string[]}} [opts]  default every table in SHADOW_TABLES
+   */
+  async startEmbeddingMigration({ tables = Object.keys(SHADOW_TABLES) } = {}) {
+    const column = this._requireShadow("startEmbeddingMigration");
+    if (!tables.length || tables.some((t) => !SHADOW_TABLES[t])) {
+      throw new Error(`startEmbeddingMigration: tables must be some of ${Object.keys(SHADOW_TABLES).join(", ")}`);
+    }
+    const existing = await this.embeddingMigration();
+    const added = tables.filter((t) => !existing?.tables.includes(t));
+    if (existing && !added.length) return existing;
+    if (existing?.status === "cut_over") throw new Error(`startEmbeddingMigration: ${column} is already cut over`);
+    for (const table of added) {
+      const { error } = await this.sb.rpc("add_shadow_embedding_column", { p_table: table, p_column: column, p_dims: this.shadowEmbedder.dims });
+      if (error) throw new Error(`startEmbeddingMigration ${table}: ${error.message}`);
+    }
+    const inOrder = (list) => Object.keys(SHADOW_TABLES).filter((t) => list.includes(t));
+    const q = existing
+      ? this.sb.from("embedding_migrations")
+        .update({ tables: inOrder([...existing.tables, ...added]), status: "backfilling", ready_at: null, updated_at: new Date().toISOString() })
+        .eq("id", column)
+      : this.sb.from("embedding_migrations").insert({
+        id: column,
+        provider: this.shadowEmbedder.provider,
+        model: this.shadowEmbedder.model,
+        dims: this.shadowEmbedder.dims,
+        tables: inOrder(tables),
+        created_by: this.agent,
+      });
+    const { data, error } = await q.select("*").single();
+    if (error) throw new Error(`startEmbeddingMigration: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * The re-embed job: fill the shadow column of every row that lacks it, table
+   * by table in id order, `batchSize` rows per embedMany() call and at most
+   * `rpm` embedding requests a minute. The cursor ({table, id}) and per-table
+   * counts go to embedding_migrations after every batch, so a stopped job —
+   * killed, out of quota, `limit` rows done, `signal` aborted — resumes where
+   * it left off. Reaching the end marks the migration ready and clears the
+   * cursor; running it again sweeps up rows written since without a shadow
+   * vector (chunks, media and knowledge nodes aren't dual-written) and rows
+   * that failed.
+   *
+   * Yields one record per batch. A transient failure (quota, outage) throws
+   * and the batch is redone next run; a permanent embed failure is retried
+   * row by row, and rows that still fail are counted and passed over.
+   *
+   * @param {{batchSize?:number, rpm?:number|null, concurrency?:number, limit?:number, signal?:AbortSignal|null}} [opts]
+   * @returns {AsyncGenerator<{table:string, rows:number, embedded:number, empty:number, failed:number, cursor:{table:string, id:string}}>}
+   */
+  async *reembedShadow({
+    batchSize = this.shadowEmbedder?.batchSize || 100,
+    rpm = null,
+    concurrency = 4,
+    limit = Infinity,
+    signal = null,
+  } = {}) {
+    const column = this._requireShadow("reembedShadow");
+    const migration = await this.embeddingMigration();
+    if (!migration) throw new Error(`reembedShadow: no migration for ${column} — call startEmbeddingMigration() first`);
+    const rateLimiter = rpm ? new RateLimiter({ rpm }) : null;
+    const progress = { ...migration.progress };
+    let cursor = migration.tables.includes(migration.cursor?.table) ? migration.cursor : null;
+    let done = 0;
+    for (const table of migration.tables.slice(cursor ? migration.tables.indexOf(cursor.table) : 0)) {
+      const spec = SHADOW_TABLES[table];
+      let afterId = cursor?.table === table ? cursor.id : null;
+      for (;;) {
+        if (signal?.aborted || done >= limit) return;
+        let q = this.sb.from(table).select(spec.columns).is(column, null);
+        if (afterId) q = q.gt("id", afterId);
+        const { data: rows, error, status } = await q.order("id", { ascending: true }).limit(Math.min(batchSize, limit - done));
+        if (error) throw supabaseError(`reembedShadow ${table}`, error, status);
+        if (!rows?.length) break;
+        const counts = await this._reembedBatch(table, rows, column, { rateLimiter, concurrency });
+        afterId = rows[rows.length - 1].id;
+        cursor = { table, id: afterId };
+        done += rows.length;
+        progress[table] = (progress[table] || 0) + counts.embedded;
+        await this._updateMigration(column, { cursor, progress }, "reembedShadow");
+        yield { table, rows: rows.length, ...counts, cursor };
+      }
+      cursor = null;
+    }
+    const finished = migration.status === "backfilling" ? { status: "ready", ready_at: new Date().toISOString() } : {};
+    await this._updateMigration(column, { cursor: {}, progress, ...finished }, "reembedShadow");
+  }
+
+  async _reembedBatch(table, rows, column, { rateLimiter, concurrency }) {
+    const texts = rows.map((r) => SHADOW_TABLES[table].text(r) || null);
+    let vecs;
+    try {
+      vecs = await this.shadowEmbedder.embedMany(texts, { rateLimiter });
+    } catch (e) {
+      if (isTransientError(e)) throw e;
+      vecs = [];
+      for (const text of texts) {
+        try {
+          if (text && rateLimiter) await rateLimiter.acquire();
+          vecs.push(text ? await this.shadowEmbedder.embed(text) : null);
+        } catch (e2) {
+          if (isTransientError(e2)) throw e2;
+          vecs.push(undefined);
+        }
+      }
+    }
+    const counts = { embedded: 0, empty: 0, failed: 0 };
+    await mapWithConcurrency(rows, concurrency, async (row, i) => {
+      if (!texts[i]) return counts.empty++;
+      if (!vecs[i]) return counts.failed++;
+      const { error, status } = await this.sb.from(table).update({ [column]: toPgVectorString(vecs[i]) }).eq("id", row.id);
+      if (!error) return counts.embedded++;
+      const err = supabaseError(`reembedShadow ${table}`, error, status);
+      if (err.transient) throw err;
+      counts.failed++;
+    });
+    return counts;
+  }
+
+  async _updateMigration(column, patch, label) {
+    const { data, error } = await this.sb
+      .from("embedding_migrations")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", column)
+      .select("*")
+      .single();
+    if (error) throw new Error(`${label}: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Run an eval set (eval/neo-brain/eval-set-v1.json's `cases`) through
+   * search() on both columns — primary and shadow, no reranker, same options
+   * otherwise — and compare recall@5, recall@10 and MRR (compareEvalMetrics).
+   * It passes when the shadow column loses no more than `maxDrop` on any of
+   * them and no search failed. The report is stored on the migration
+   * (`record: false` to skip) — cutoverEmbeddingMigration() requires a
+   * passing one from after the backfill finished.
+   *
+   * @param {Array<{id:string, question:string, expected_ids:string[]}>} cases
+   * @param {{k?:number, maxDrop?:number, record?:boolean}} [opts]  plus any search() options
+   */
+  async compareEmbeddingSearch(cases, { k = 10, maxDrop = DEFAULT_EVAL_MAX_DROP, record = true, ...searchOpts } = {}) {
+    const column = this._requireShadow("compareEmbeddingSearch");
+    if (!Array.isArray(cases) || !cases.length) throw new Error("compareEmbeddingSearch: eval cases required");
+    const ids = { primary: new Map(), shadow: new Map() };
+    const errors = [];
+    for (const c of cases) {
+      for (const vectors of SEARCH_VECTORS) {
+        try {
+          const hits = await this.search(c.question, { ...searchOpts, k, vectors, rerank: false });
+          ids[vectors].set(c.id, hits.map((h) => h.id));
+        } catch (e) {
+          errors.push({ id: c.id, vectors, error: e.message });
+        }
+      }
+    }
+    const primary = evalMetrics(cases, ids.primary);
+    const shadow = evalMetrics(cases, ids.shadow);
+    const { pass, deltas, regressions } = compareEvalMetrics(primary, shadow, { maxDrop });
+    const firstHit = (list, expected) => list.findIndex((id) => expected.has(id)) + 1 || null;
+    const report = {
+      ran_at: new Date().toISOString(),
+      column,
+      k,
+      max_drop: maxDrop,
+      pass: pass && !errors.length,
+      primary,
+      shadow,
+      deltas,
+      regressions,
+      errors,
+      movement: cases
+        .filter((c) => c.expected_ids?.length)
+        .map((c) => {
+          const expected = new Set(c.expected_ids);
+          return { id: c.id, primary: firstHit(ids.primary.get(c.id) || [], expected), shadow: firstHit(ids.shadow.get(c.id) || [], expected) };
+        }),
+    };
+    if (record) await this._updateMigration(column, { eval: report }, "compareEmbeddingSearch");
+    return report;
+  }
+
+  /**
+   * Mark the migration cut over. Refused (err.code "CUTOVER_BLOCKED") unless
+   * the backfill has finished and a compareEmbeddingSearch() run since then
+   * passed; `force` skips both checks. Readers switch with
+   * NEO_BRAIN_SEARCH_VECTORS=shadow (or searchVectors / search({ vectors })).
+   */
+  async cutoverEmbeddingMigration({ force = false } = {}) {
+    const column = this._requireShadow("cutoverEmbeddingMigration");
+    const m = await this.embeddingMigration();
+    if (!m) throw new Error(`cutoverEmbeddingMigration: no migration for ${column}`);
+    if (m.status === "cut_over") return m;
+    const blocked = m.status !== "ready" ? `${column} is still backfilling — run reembedShadow() to the end`
+      : !m.eval ? "no compareEmbeddingSearch() run recorded"
+      : !m.eval.pass ? `the last eval comparison failed (${m.eval.regressions?.join(", ") || `${m.eval.errors?.length} search errors`})`
+      : Date.parse(m.eval.ran_at) < Date.parse(m.ready_at) ? "the last eval comparison ran before the backfill finished"
+      : null;
+    if (blocked && !force) {
+      const err = new Error(`cutoverEmbeddingMigration: ${blocked}`);
+      err.code = "CUTOVER_BLOCKED";
+      throw err;
+    }
+    return this._updateMigration(column, { status: "cut_over", cut_over_at: new Date().toISOString() }, "cutoverEmbeddingMigration");
+  }
+
+  // ---------- WRITE-AHEAD JOURNAL ----------
+
+  /**
+   * Replay saves queued by the write-ahead journal. Idempotent: each entry
+   * carries its client-generated memory id, so a row that already landed is
+   * skipped and only a missing memory_writes_log row is written.
+   *
+   * Stops at the first transient failure (backend still down). A permanent
+   * failure (constraint violation, dims mismatch…) dead-letters that entry so
+   * it can't block the rest — inspect with tools/neo-brain-journal.mjs.
+   *
+   * @param {{limit?:number}} [opts]
+   * @returns {Promise<{flushed:number, failed:{id:string,error:string}[], remaining:number, dead:number, stoppedOn:string|null}>}
+   */
+  async flushPending({ limit = Infinity } = {}) {
+    if (!this.journal) return { flushed: 0, failed: [], remaining: 0, dead: 0, stoppedOn: null };
+    const pending = await this.journal.pending();
+    let flushed = 0;
+    let stoppedOn = null;
+    const failed = [];
+    for (const item of pending.slice(0, limit)) {
+      try {
+        await this._replay(item.entry);
+        await this.journal.markDone(item.id);
+        flushed++;
+      } catch (e) {
+        if (isTransientError(e)) {
+          await this.journal.markAttempt(item.id, e);
+          stoppedOn = e.message;
+          break;
+        }
+        await this.journal.markDead(item.id, e);
+        failed.push({ id: item.id, error: e.message });
+      }
+    }
+    await this.journal.compact();
+    const state = await this.journal.read();
+    return { flushed, failed, remaining: state.pending.length, dead: state.dead.length, stoppedOn };
+  }
+
+  async _replay(entry) {
+    switch (entry.op) {
+      case "save": {
+        const row = { ...entry.row };
+        if (entry.checks) {
+          // Queued before save() could guard it: until this runs, the row (and
+          // the journal file) may still hold the secret.
+          const { fields } = await this._guardCredentials({ content: row.content, metadata: row.metadata }, "replay save", entry.checks.credentialGuard);
+          Object.assign(row, fields);
+          await this._applyPII(row, "replay save", entry.checks.pii);
+        }
+        if (!("embedding" in row)) row.embedding = toPgVectorString(await this.embedder.embed(row.content));
+        const { error, status } = await this.sb
+          .from("memories")
+          .upsert(row, { onConflict: "id", ignoreDuplicates: true });
+        if (error) throw supabaseError("replay save", error, status);
+        const { data: logged, error: readErr, status: readStatus } = await this.sb
+          .from("memory_writes_log")
+          .select("id")
+          .eq("memory_id", row.id)
+          .eq("action", "insert")
+          .limit(1);
+        if (readErr) throw supabaseError("replay save log lookup", readErr, readStatus);
+        if (!logged?.length) {
+          const { error: logErr, status: logStatus } = await this.sb.from("memory_writes_log").insert({
+            memory_id: row.id,
+            action: "insert",
+            written_by: entry.writtenBy || this.agent,
+            payload_preview: (row.content || "").slice(0, 180),
+          });
+          if (logErr) throw supabaseError("replay save log", logErr, logStatus);
+        }
+        return;
+      }
+      default:
+        throw new Error(`journal replay: unknown op "${entry.op}"`);
+    }
+  }
+
+  // Opportunistic drain after a write proves the backend is reachable again.
+  // Fire-and-forget; one flush in flight per client.
+  _kickFlush() {
+    if (this._flushing) return;
+    this._flushing = this.journal
+      .pending()
+      .then((p) => (p.length ? this.flushPending() : null))
+      .catch(() => null)
+      .finally(() => { this._flushing = null; });
+  }
+
+  // ---------- MEDIA ----------
+
+  /**
+   * Save a media blob to storage + create a media row with embedding of caption/transcript.
+   * @param {{kind:'image'|'audio'|'video', buffer:Buffer, mimeType:string, transcript?:string, caption?:string, source?:string, sourceRef?:object, subjectId?:string}} opts
+   */
+  async saveMedia(opts) {
+    const { kind, buffer, mimeType, source = this.agent, sourceRef = {}, subjectId = NEO_SELF_ID, credentialGuard = this.credentialGuard } = opts;
+    if (!this.storage) throw new Error("saveMedia: no storage adapter configured");
+    if (!kind || !buffer || !mimeType) throw new Error("saveMedia: kind, buffer, mimeType required");
+    this._enforce("write", { subjectId, source }, "saveMedia");
+    const { fields, report } = await this._guardCredentials({ transcript: opts.transcript ?? null, caption: opts.caption ?? null }, "saveMedia", credentialGuard);
+    const { transcript, caption } = fields;
+
+    const ext = mimeType.split("/")[1] || "bin";
+    const key = `${kind}/${new Date().getUTCFullYear()}/${String(new Date().getUTCMonth() + 1).padStart(2, "0")}/${crypto.randomUUID()}.${ext}`;
+    const uploaded = await this.storage.put(key, buffer, { contentType: mimeType });
+
+    const embedSource = transcript || caption || "";
+    const embedding = embedSource ? await this.embedder.embed(embedSource) : null;
+
+    const { data, error } = await this.sb
+      .from("media")
+      .insert({
+        kind,
         storage_url: uploaded.url,
-        storage_provider: "s3",
+        storage_provider: this.storage.provider || "s3",
         mime_type: mimeType,
         bytes: uploaded.bytes,
         transcript,
@@ -344,11 +2173,11 @@ export class NeoBrain {
       .select("id")
       .single();
     if (error) throw new Error(`save media row: ${error.message}`);
-    return { id: data.id, storage_key: key, storage_url: uploaded.url };
+    return { id: data.id, storage_key: key, storage_url: uploaded.url, ...report };
   }
 
   async searchMedia(query, { kind = null, k = 5, minSimilarity = 0.35 } = {}) {
-    const embedding = await embedText(query, { apiKey: this.geminiApiKey });
+    const embedding = await this.embedder.embed(query);
     if (!embedding) return [];
     const { data, error } = await this.sb.rpc("match_media", {
       query_embedding: embedding,
@@ -360,44 +2189,665 @@ export class NeoBrain {
     return data || [];
   }
 
+  /**
+   * One page of media rows, newest first — the listMemories() paging and
+   * date filters (cursor / nextCursor, order, since, until, sinceHours,
+   * columns) plus `kind`, `subjectId` and `source`.
+   *
+   * @param {{kind?:string, subjectId?:string, source?:string, limit?:number, sinceHours?:number, since?:Date|string, until?:Date|string, order?:'desc'|'asc', cursor?:string, columns?:string}} [opts]
+   * @returns {Promise<object[] & {nextCursor:string|null}>}
+   */
+  async listMedia({ kind = null, subjectId = null, source = null, limit = 20, sinceHours = null, since = null, until = null, order = "desc", cursor = null, columns = "*" } = {}) {
+    this._readScope("listMedia", { subjectId });
+    let q = this.sb.from("media").select(this._pageColumns(columns, "subject_id"));
+    q = this._createdBetween(q, { sinceHours, since, until });
+    if (kind) q = q.eq("kind", kind);
+    if (subjectId) q = q.eq("subject_id", subjectId);
+    if (source) q = q.eq("source", source);
+    return this._keysetPage(q, "listMedia", { order, cursor, limit });
+  }
+
+  /** Every media row matching listMedia() filters, paged like iterateMemories(). */
+  async *iterateMedia({ pageSize = 500, limit = Infinity, ...filter } = {}) {
+    yield* this._iteratePages((opts) => this.listMedia(opts), filter, { pageSize, limit });
+  }
+
   // ---------- PEOPLE ----------
 
+  /**
+   * Person id for an identifier, or null. The value is normalized first
+   * (people.js) and tried under each spelling the table may hold, so
+   * `+60 17-751 9610`, `0177519610` and `60177519610@s.whatsapp.net` all
+   * resolve alike. A merged row resolves to its canonical person.
+   *
+   * @param {string} type — phone | lid | email | …
+   * @param {string} value
+   * @returns {Promise<string|null>}
+   */
   async resolvePerson(type, value) {
-    const { data, error } = await this.sb.rpc("resolve_person", { p_type: type, p_value: value });
-    if (error) throw new Error(`resolve_person: ${error.message}`);
-    return data || null;
+    for (const v of identifierLookupValues({ type, value }, { region: this.phoneRegion })) {
+      const { data, error } = await this.sb.rpc("resolve_person", { p_type: v.type, p_value: v.value });
+      if (error) throw new Error(`resolve_person: ${error.message}`);
+      if (!data) continue;
+      const { data: row, error: rowError } = await this.sb.from("people").select("id, metadata").eq("id", data).maybeSingle();
+      if (rowError) throw new Error(`resolve_person: ${rowError.message}`);
+      return row ? (await this._canonicalPerson(row)).id : data;
+    }
+    return null;
+  }
+
+  /**
+   * Ranked people for free text: a phone number, email or LID is looked up
+   * as an identifier; anything else is matched fuzzily against display names,
+   * nicknames and push names (people.js nameMatch). Candidates come from the
+   * `search_people` RPC (sql/people-search.sql) and are re-scored here, so
+   * every hit says why it matched. Merged rows fold into their canonical
+   * person.
+   *
+   *   identifier  1.0
+   *   name        nameMatch() × 0.95 on display_name, × 0.9 on other names
+   *   +0.05 for each further identifier type or name field, capped at 1
+   *
+   * @param {string} query
+   * @param {{limit?:number, minScore?:number, kind?:string|null, includeMerged?:boolean}} [opts]
+   * @returns {Promise<object[]>} people rows with `score` and `reasons`
+   *   ({kind:'identifier', type, value} | {kind:'name', field, name, how, score} | {kind:'merged', from})
+   */
+  async findPeople(query, { limit = 10, minScore = 0.3, kind = null, includeMerged = false } = {}) {
+    const q = String(query ?? "").trim();
+    if (!q) throw new Error("findPeople: query required");
+    const found = new Map();
+    const add = (row, reason) => {
+      const entry = found.get(row.id) || { row, reasons: [] };
+      entry.reasons.push(reason);
+      found.set(row.id, entry);
+    };
+
+    const ident = detectIdentifier(q, { region: this.phoneRegion });
+    if (ident) {
+      for (const v of identifierLookupValues(ident, { region: this.phoneRegion })) {
+        const { data, error } = await this.sb
+          .from("people")
+          .select("*")
+          .contains("identifiers", JSON.stringify([v]))
+          .limit(limit * 5);
+        if (error) throw supabaseError("findPeople", error);
+        for (const row of data || []) add(row, { kind: "identifier", type: v.type, value: v.value, score: 1 });
+      }
+    } else {
+      for (const row of await this._peopleNameCandidates(q, limit * 5)) {
+        const names = [
+          { field: "display_name", name: row.display_name, weight: 0.95 },
+          ...(row.identifiers || []).filter((i) => WEAK_IDENTIFIER_TYPES.has(i?.type)).map((i) => ({ field: i.type, name: i.value, weight: 0.9 })),
+          ...(Array.isArray(row.nicknames) ? row.nicknames : []).map((n) => ({ field: "nickname", name: n, weight: 0.9 })),
+        ];
+        let best = null;
+        for (const { field, name, weight } of names) {
+          const m = nameMatch(q, name);
+          const score = m.score * weight;
+          if (score > 0 && (!best || score > best.score)) best = { kind: "name", field, name, how: m.how, score };
+        }
+        if (best) add(row, best);
+      }
+    }
+
+    if (!includeMerged) {
+      for (const [id, entry] of [...found]) {
+        if (!entry.row.metadata?.merged_into) continue;
+        found.delete(id);
+        const canon = await this._canonicalPerson(entry.row);
+        if (canon.metadata?.merged_into) continue;
+        for (const r of entry.reasons) add(canon, r);
+        add(canon, { kind: "merged", from: id });
+      }
+    }
+
+    return [...found.values()]
+      .map(({ row, reasons }) => {
+        const scores = reasons.filter((r) => r.score != null).map((r) => r.score);
+        const extra = new Set(reasons.filter((r) => r.kind !== "merged").map((r) => `${r.kind}:${r.field || r.type}`)).size - 1;
+        return { ...row, score: Math.min(1, Math.max(...scores) + 0.05 * Math.max(0, extra)), reasons };
+      })
+      .filter((p) => p.score >= minScore && (!kind || p.kind === kind))
+      .sort((a, b) => b.score - a.score || String(a.created_at).localeCompare(String(b.created_at)))
+      .slice(0, limit);
+  }
+
+  /** People whose names are close to `query` — the search_people RPC, or an ilike scan before that migration. */
+  async _peopleNameCandidates(query, limit) {
+    const { data, error } = await this.sb.rpc("search_people", { p_query: query, p_limit: limit });
+    if (!error) return data || [];
+    if (!isMissingFunction(error)) throw new Error(`search_people: ${error.message}`);
+    const words = normalizeName(query).split(" ").filter((w) => w.length >= 2);
+    if (!words.length) return [];
+    const { data: rows, error: scanError } = await this.sb
+      .from("people")
+      .select("*")
+      .or(words.map((w) => `display_name.ilike.*${w}*`).join(","))
+      .limit(limit);
+    if (scanError) throw supabaseError("findPeople", scanError);
+    return rows || [];
   }
 
-  async upsertPerson({ displayName, kind = "user", identifiers = [], notes = null, metadata = {} }) {
+  /**
+   * Record that a WhatsApp LID and a phone number are the same person: the
+   * missing identifier is added to whichever row already has the other.
+   * When each already belongs to a different person the phone's row is
+   * kept as canonical and the pair is returned as `conflict` — or merged
+   * right away with `merge: true`. When neither is known, a person is
+   * created if `displayName` is given.
+   *
+   * @param {string} lid
+   * @param {string} phone
+   * @param {{displayName?:string, merge?:boolean}} [opts]
+   * @returns {Promise<{personId:string|null, linked:boolean, conflict?:string[], mergeId?:string}>}
+   */
+  async linkLid(lid, phone, { displayName = null, merge = false } = {}) {
+    const l = normalizeIdentifier({ type: "lid", value: lid }, { region: this.phoneRegion });
+    const p = normalizeIdentifier({ type: "phone", value: phone }, { region: this.phoneRegion });
+    if (l.type !== "lid" || !/^\d+@lid$/.test(l.value)) throw new Error(`linkLid: not a LID: ${lid}`);
+    if (p.type !== "phone" || !p.value.startsWith("+")) throw new Error(`linkLid: not a phone number: ${phone}`);
+
+    const [byPhone] = await this._peopleByIdentifiers([p]);
+    const [byLid] = await this._peopleByIdentifiers([l]);
+    if (!byPhone && !byLid) {
+      if (!displayName) return { personId: null, linked: false };
+      const row = await this.upsertPerson({ displayName, identifiers: [p, l] }, { match: false });
+      return { personId: row.id, linked: true };
+    }
+    if (byPhone && byLid && byPhone.row.id !== byLid.row.id) {
+      if (!merge) return { personId: byPhone.row.id, linked: false, conflict: [byPhone.row.id, byLid.row.id] };
+      const m = await this.mergePeople(byPhone.row.id, [byLid.row.id], { reason: `linkLid ${l.value} ↔ ${p.value}` });
+      return { personId: byPhone.row.id, linked: true, mergeId: m.merge_id };
+    }
+    const row = (byPhone || byLid).row;
+    const identifiers = unionIdentifiers(row.identifiers || [], [p, l], { region: this.phoneRegion });
+    if (identifiers.length === (row.identifiers || []).length) return { personId: row.id, linked: false };
+    const { error } = await this.sb
+      .from("people")
+      .update({ identifiers, updated_at: new Date().toISOString() })
+      .eq("id", row.id);
+    if (error) throw supabaseError("linkLid", error);
+    return { personId: row.id, linked: true };
+  }
+
+  /**
+   * Find-or-create a person. Strong identifiers (phone, lid, email, … — not
+   * names) are looked up first; a row merged into another person resolves to
+   * its canonical row. On a hit the new identifiers are unioned into that row
+   * and it is returned with `matched: true` and `matchedOn`. When identifiers
+   * hit more than one live person the best match (most identifiers, then
+   * oldest) is used and the others are listed in `candidates` — pass them to
+   * mergePeople(). `match: false` always inserts.
+   *
+   * @param {{displayName:string, kind?:string, identifiers?:{type:string, value:string}[], notes?:string|null, metadata?:object}} person
+   * @param {{match?:boolean}} [opts]
+   */
+  async upsertPerson({ displayName, kind = "user", identifiers = [], notes = null, metadata = {} }, { match = true } = {}) {
     if (!displayName) throw new Error("displayName required");
+    identifiers = identifiers
+      .filter((i) => i?.type && i.value != null && i.value !== "")
+      .map((i) => normalizeIdentifier(i, { region: this.phoneRegion }));
+    const strong = identifiers.filter((i) => i?.type && i.value != null && i.value !== "" && !WEAK_IDENTIFIER_TYPES.has(i.type));
+    if (match && strong.length) {
+      const hits = await this._peopleByIdentifiers(strong);
+      if (hits.length) {
+        const [best, ...others] = hits;
+        const merged = unionIdentifiers(best.row.identifiers || [], identifiers, { region: this.phoneRegion });
+        let row = best.row;
+        if (merged.length > (row.identifiers || []).length) {
+          const { data, error } = await this.sb
+            .from("people")
+            .update({ identifiers: merged, updated_at: new Date().toISOString() })
+            .eq("id", row.id)
+            .select()
+            .single();
+          if (error) throw new Error(`upsertPerson: ${error.message}`);
+          row = data;
+        }
+        return {
+          ...row,
+          matched: true,
+          matchedOn: best.matchedOn,
+          ...(others.length ? { candidates: others.map((h) => ({ id: h.row.id, display_name: h.row.display_name, matchedOn: h.matchedOn })) } : {}),
+        };
+      }
+    }
     const { data, error } = await this.sb
       .from("people")
       .insert({ display_name: displayName, kind, identifiers, notes, metadata })
       .select()
       .single();
     if (error) throw new Error(`upsertPerson: ${error.message}`);
+    return { ...data, matched: false };
+  }
+
+  /**
+   * Live people holding any of `identifiers`, merged rows followed to their
+   * canonical row, best match first.
+   * @returns {Promise<{row:object, matchedOn:{type:string, value:string}[]}[]>}
+   */
+  async _peopleByIdentifiers(identifiers) {
+    const byId = new Map();
+    for (const { type, value } of identifiers) {
+      const hits = new Map();
+      for (const v of identifierLookupValues({ type, value }, { region: this.phoneRegion })) {
+        const { data, error } = await this.sb
+          .from("people")
+          .select("*")
+          .contains("identifiers", JSON.stringify([v]))
+          .limit(20);
+        if (error) throw new Error(`upsertPerson: ${error.message}`);
+        for (const row of data || []) hits.set(row.id, row);
+      }
+      for (const hit of hits.values()) {
+        const row = await this._canonicalPerson(hit);
+        const entry = byId.get(row.id) || { row, matchedOn: [] };
+        if (!entry.matchedOn.some((m) => m.type === type && m.value === value)) entry.matchedOn.push({ type, value });
+        byId.set(row.id, entry);
+      }
+    }
+    return [...byId.values()].sort(
+      (a, b) => b.matchedOn.length - a.matchedOn.length || String(a.row.created_at).localeCompare(String(b.row.created_at)),
+    );
+  }
+
+  /** Follow metadata.merged_into to the live row (bounded, in case of a cycle). */
+  async _canonicalPerson(row) {
+    for (let hops = 0; row?.metadata?.merged_into && hops < 5; hops++) {
+      const { data, error } = await this.sb.from("people").select("*").eq("id", row.metadata.merged_into).maybeSingle();
+      if (error) throw new Error(`people ${row.metadata.merged_into}: ${error.message}`);
+      if (!data) break;
+      row = data;
+    }
+    return row;
+  }
+
+  /**
+   * Merge duplicate people into `canonicalId` in one transaction (RPC
+   * `merge_people`, migration `sql/person-merges.sql`): facts and memories
+   * move to the canonical subject, `related_people` arrays are rewritten,
+   * identifiers and nicknames are unioned into the canonical row and each
+   * dupe is soft-marked with `metadata.merged_into`. Every change is recorded
+   * in the merge ledger so unmergePerson(mergeId) can undo it.
+   *
+   * @param {string} canonicalId
+   * @param {string|string[]} dupeIds
+   * @param {{reason?:string}} [opts]
+   * @returns {Promise<{merge_id:string, canonical_id:string, dupe_ids:string[], moved:{facts:number, memories:number, related_people:number, identifiers:number, nicknames:number}}>}
+   */
+  async mergePeople(canonicalId, dupeIds, { reason = null } = {}) {
+    const dupes = [...new Set([dupeIds].flat().filter(Boolean))];
+    if (!canonicalId) throw new Error("mergePeople: canonicalId required");
+    if (!dupes.length) throw new Error("mergePeople: at least one dupe id required");
+    if (dupes.includes(canonicalId)) throw new Error("mergePeople: canonical id is also listed as a dupe");
+    if (dupes.includes(NEO_SELF_ID)) throw new Error("mergePeople: Neo's self row cannot be merged away");
+    const { data, error } = await this.sb.rpc("merge_people", {
+      p_canonical: canonicalId,
+      p_dupes: dupes,
+      p_reason: reason,
+      p_agent: this.agent,
+    });
+    if (error) throw new Error(`merge_people: ${error.message}`);
     return data;
   }
 
+  /**
+   * Undo a merge from its ledger. Rows edited since the merge keep their
+   * current value and are counted as `*_skipped` in `restored`; identifiers
+   * and nicknames added to the canonical row after the merge stay.
+   *
+   * @param {string} mergeId — `merge_id` from mergePeople()
+   * @returns {Promise<{merge_id:string, canonical_id:string, dupe_ids:string[], restored:object}>}
+   */
+  async unmergePerson(mergeId) {
+    if (!mergeId) throw new Error("unmergePerson: mergeId required");
+    const { data, error } = await this.sb.rpc("unmerge_person", { p_merge_id: mergeId, p_agent: this.agent });
+    if (error) throw new Error(`unmerge_person: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Merge ledger entries, newest first.
+   * @param {{canonicalId?:string, status?:'merged'|'unmerged', limit?:number}} [opts]
+   */
+  async listPersonMerges({ canonicalId = null, status = null, limit = 50 } = {}) {
+    let q = this.sb.from("person_merges").select("*").order("created_at", { ascending: false }).limit(limit);
+    if (canonicalId) q = q.eq("canonical_id", canonicalId);
+    if (status) q = q.eq("status", status);
+    const { data, error } = await q;
+    if (error) throw supabaseError("listPersonMerges", error);
+    return data || [];
+  }
+
+  /**
+   * One page of people, newest first — the listMemories() paging and date
+   * filters (cursor / nextCursor, order, since, until, sinceHours, columns)
+   * plus `kind`. Rows merged into another person are left out unless
+   * `includeMerged`.
+   *
+   * @param {{kind?:string, includeMerged?:boolean, limit?:number, sinceHours?:number, since?:Date|string, until?:Date|string, order?:'desc'|'asc', cursor?:string, columns?:string}} [opts]
+   * @returns {Promise<object[] & {nextCursor:string|null}>}
+   */
+  async listPeople({ kind = null, includeMerged = false, limit = 20, sinceHours = null, since = null, until = null, order = "desc", cursor = null, columns = "*" } = {}) {
+    let q = this.sb.from("people").select(withKeyColumns(columns));
+    q = this._createdBetween(q, { sinceHours, since, until });
+    if (kind) q = q.eq("kind", kind);
+    if (!includeMerged) q = q.is("metadata->>merged_into", null);
+    return this._keysetPage(q, "listPeople", { order, cursor, limit });
+  }
+
+  /** Every person matching listPeople() filters, paged like iterateMemories(). */
+  async *iteratePeople({ pageSize = 500, limit = Infinity, ...filter } = {}) {
+    yield* this._iteratePages((opts) => this.listPeople(opts), filter, { pageSize, limit });
+  }
+
   // ---------- FACTS ----------
 
-  async getFacts({ subjectId = NEO_SELF_ID, category = null, limit = 100 } = {}) {
+  /**
+   * Facts about a subject, most recently updated first. Only current facts
+   * unless `includeHistory` — then superseded and disputed rows too, linked
+   * by `supersedes` / `superseded_by` (sql/facts-history.sql).
+   *
+   * @param {{subjectId?:string, category?:string|null, limit?:number, includeHistory?:boolean}} [opts]
+   */
+  async getFacts({ subjectId = NEO_SELF_ID, category = null, limit = 100, includeHistory = false } = {}) {
+    this._readScope("getFacts", { subjectId, category });
     let q = this.sb.from("facts").select("*").eq("subject_id", subjectId);
     if (category) q = q.eq("category", category);
+    if (!includeHistory) q = q.eq("status", "current");
     const { data, error } = await q.order("updated_at", { ascending: false }).limit(limit);
     if (error) throw new Error(error.message);
-    return data || [];
+    return this._readableRows(data || []);
+  }
+
+  /**
+   * One page of facts by creation time, newest first — the listMemories()
+   * paging and date filters (cursor / nextCursor, order, since, until,
+   * sinceHours, columns) plus `subjectId` (any subject when null),
+   * `category` and `includeHistory`. For "what do we know about X now" use
+   * getFacts().
+   *
+   * @param {{subjectId?:string|null, category?:string, includeHistory?:boolean, limit?:number, sinceHours?:number, since?:Date|string, until?:Date|string, order?:'desc'|'asc', cursor?:string, columns?:string}} [opts]
+   * @returns {Promise<object[] & {nextCursor:string|null}>}
+   */
+  async listFacts({ subjectId = null, category = null, includeHistory = false, limit = 20, sinceHours = null, since = null, until = null, order = "desc", cursor = null, columns = "*" } = {}) {
+    this._readScope("listFacts", { subjectId, category });
+    let q = this.sb.from("facts").select(this._pageColumns(columns, "category, subject_id"));
+    q = this._createdBetween(q, { sinceHours, since, until });
+    if (subjectId) q = q.eq("subject_id", subjectId);
+    if (category) q = q.eq("category", category);
+    if (!includeHistory) q = q.eq("status", "current");
+    return this._keysetPage(q, "listFacts", { order, cursor, limit });
   }
 
-  async upsertFact(fact, { subjectId = NEO_SELF_ID, category, confidence = 0.8, sourceMemoryIds = [] } = {}) {
+  /** Every fact matching listFacts() filters, paged like iterateMemories(). */
+  async *iterateFacts({ pageSize = 500, limit = Infinity, ...filter } = {}) {
+    yield* this._iteratePages((opts) => this.listFacts(opts), filter, { pageSize, limit });
+  }
+
+  /**
+   * Insert or update a fact about `subjectId`. The statement is matched
+   * against the subject's current (and disputed) facts in `category` — see
+   * facts.js for the rules:
+   *   - 'merge'     — restatement (≥ sameThreshold): the existing row gets
+   *                   max(confidence) and the union of source_memory_ids
+   *   - 'supersede' — same topic, new value (≥ relatedThreshold): inserted
+   *                   with `supersedes` → old; the old row becomes
+   *                   'superseded' with confidence × supersededDecay
+   *   - 'dispute'   — like supersede, but less confident than the fact it
+   *                   contradicts (or onConflict 'review'): inserted as
+   *                   'disputed', old row untouched, a fact_reviews row opened
+   *   - 'insert'    — nothing related
+   *
+   * @param {string} fact
+   * @param {{subjectId?:string, category:string, confidence?:number, sourceMemoryIds?:string[], onConflict?:'auto'|'supersede'|'review', sameThreshold?:number, relatedThreshold?:number, supersededDecay?:number, reason?:string}} opts
+   * @returns {Promise<object>} the written fact row plus `action`, `matched` ({id, fact, similarity}) when one was found, and `reviewId` for a dispute
+   */
+  async upsertFact(fact, {
+    subjectId = NEO_SELF_ID,
+    category,
+    confidence = 0.8,
+    sourceMemoryIds = [],
+    onConflict = "auto",
+    sameThreshold = DEFAULT_FACT_MATCH.same,
+    relatedThreshold = DEFAULT_FACT_MATCH.related,
+    supersededDecay = DEFAULT_SUPERSEDED_DECAY,
+    reason = null,
+    credentialGuard = this.credentialGuard,
+  } = {}) {
     if (!category) throw new Error("upsertFact: category required");
+    if (!fact?.trim()) throw new Error("upsertFact: fact text required");
+    if (!FACT_CONFLICT_MODES.includes(onConflict)) throw new Error(`upsertFact: onConflict must be one of ${FACT_CONFLICT_MODES.join(", ")}`);
+    this._enforce("write", { category, subjectId }, "upsertFact");
+    const { fields, report } = await this._guardCredentials({ fact }, "upsertFact", credentialGuard);
+    fact = fields.fact;
+
+    const vector = await this.embedder.embed(fact);
+    const { scored, stored } = await this._scoreFacts(fact, vector, { subjectId, category });
+
+    // A restatement of any live row (even a disputed one) merges into it;
+    // otherwise only current facts can be superseded or disputed.
+    const same = scored.find((m) => m.similarity >= sameThreshold);
+    const best = same || scored.find((m) => m.row.status === "current") || null;
+    const action = classifyFact(best && { similarity: best.similarity, confidence, matchedConfidence: best.row.confidence }, {
+      same: sameThreshold,
+      related: relatedThreshold,
+      onConflict,
+    });
+    const matched = best && action !== "insert" ? { id: best.row.id, fact: best.row.fact, similarity: best.similarity } : undefined;
+    const now = new Date().toISOString();
+
+    if (action === "merge") {
+      const { data, error } = await this.sb
+        .from("facts")
+        .update({
+          confidence: Math.max(best.row.confidence ?? 0, confidence),
+          source_memory_ids: [...new Set([...(best.row.source_memory_ids || []), ...sourceMemoryIds])],
+          updated_at: now,
+        })
+        .eq("id", best.row.id)
+        .select()
+        .single();
+      if (error) throw new Error(`upsertFact: ${error.message}`);
+      return { ...data, action, matched, ...report };
+    }
+
     const { data, error } = await this.sb
       .from("facts")
-      .insert({ subject_id: subjectId, fact, category, confidence, source_memory_ids: sourceMemoryIds })
+      .insert({
+        subject_id: subjectId,
+        fact,
+        category,
+        confidence,
+        source_memory_ids: sourceMemoryIds,
+        status: action === "dispute" ? "disputed" : "current",
+        supersedes: action === "supersede" ? best.row.id : null,
+        ...(stored ? { embedding: toPgVectorString(vector) } : {}),
+      })
       .select()
       .single();
     if (error) throw new Error(error.message);
-    return data;
+
+    if (action === "supersede") {
+      await this._supersedeFact(best.row, data.id, supersededDecay, now);
+      return { ...data, action, matched, ...report };
+    }
+    if (action === "dispute") {
+      const { data: review, error: reviewErr } = await this.sb
+        .from("fact_reviews")
+        .insert({
+          subject_id: subjectId,
+          category,
+          fact_id: data.id,
+          conflicting_fact_id: best.row.id,
+          similarity: best.similarity,
+          reason,
+          created_by: this.agent,
+        })
+        .select("id")
+        .single();
+      if (reviewErr) throw new Error(`upsertFact: fact ${data.id} saved as disputed but review failed: ${reviewErr.message}`);
+      return { ...data, action, matched, reviewId: review.id, ...report };
+    }
+    return { ...data, action, ...report };
+  }
+
+  // The subject's live facts (current + disputed) in `category` with their
+  // similarity to `fact` (identical normalized text = 1), best first. The
+  // match_facts RPC (sql/facts-history.sql) ranks stored fact embeddings;
+  // `stored` says the facts table has the column. Before that migration, a
+  // scan scored against the embedding cache only — rows whose vector isn't
+  // cached are skipped, never re-embedded on a write.
+  async _scoreFacts(fact, vector, { subjectId, category }) {
+    const norm = normalizeForDedupe(fact);
+    const score = (row, similarity) => ({ row, similarity: normalizeForDedupe(row.fact) === norm ? 1 : similarity });
+    const { data: hits, error } = await this.sb.rpc("match_facts", {
+      query_embedding: toPgVectorString(vector),
+      p_subject_id: subjectId,
+      p_category: category,
+      p_fact: fact,
+      match_count: FACT_MATCH_COUNT,
+    });
+    let scored;
+    if (!error) {
+      const sims = new Map((hits || []).map((h) => [h.id, h.similarity]));
+      if (!sims.size) return { scored: [], stored: true };
+      const { data: rows, error: readErr } = await this.sb.from("facts").select("*").in("id", [...sims.keys()]);
+      if (readErr) throw new Error(`upsertFact: ${readErr.message}`);
+      scored = (rows || []).map((row) => score(row, sims.get(row.id)));
+    } else {
+      if (!isMissingFunction(error)) throw new Error(`upsertFact: match_facts: ${error.message}`);
+      const { data: rows, error: readErr } = await this.sb
+        .from("facts")
+        .select("*")
+        .eq("subject_id", subjectId)
+        .eq("category", category)
+        .in("status", ["current", "disputed"])
+        .order("updated_at", { ascending: false })
+        .limit(500);
+      if (readErr) throw new Error(`upsertFact: ${readErr.message}`);
+      scored = [];
+      for (const row of rows || []) {
+        if (normalizeForDedupe(row.fact) === norm) scored.push(score(row, 1));
+        else {
+          const cached = await this._cachedVector(row.fact);
+          if (cached) scored.push(score(row, cosineSimilarity(vector, cached)));
+        }
+      }
+    }
+    return { scored: scored.sort((a, b) => b.similarity - a.similarity), stored: !error };
+  }
+
+  // `text`'s vector if the embedding cache already holds it, else null.
+  async _cachedVector(text) {
+    if (!this.embeddingCache) return null;
+    return this.embeddingCache.get(EmbeddingCache.key(this.embedder.model, this.embedder.dims, text));
+  }
+
+  /**
+   * Embed facts saved before facts.embedding existed, so match_facts can
+   * compare them with new statements (until then they match only on
+   * identical text). Pages by id; a fact whose embed comes back empty is
+   * left for the next run.
+   * @param {{pageSize?:number}} [opts]
+   * @returns {Promise<{embedded:number, skipped:number}>}
+   */
+  async backfillFactEmbeddings({ pageSize = 100 } = {}) {
+    let embedded = 0, skipped = 0, after = null;
+    for (;;) {
+      let q = this.sb.from("facts").select("id, fact").is("embedding", null);
+      if (after) q = q.gt("id", after);
+      const { data, error, status } = await q.order("id", { ascending: true }).limit(pageSize);
+      if (error) throw supabaseError("backfillFactEmbeddings", error, status);
+      if (!data?.length) return { embedded, skipped };
+      const vectors = await this.embedder.embedMany(data.map((r) => r.fact));
+      for (let i = 0; i < data.length; i++) {
+        if (!vectors[i]) { skipped++; continue; }
+        const { error: updErr, status: updStatus } = await this.sb
+          .from("facts")
+          .update({ embedding: toPgVectorString(vectors[i]) })
+          .eq("id", data[i].id);
+        if (updErr) throw supabaseError("backfillFactEmbeddings", updErr, updStatus);
+        embedded++;
+      }
+      after = data.at(-1).id;
+    }
+  }
+
+  async _supersedeFact(oldRow, newId, decay, now) {
+    const { error } = await this.sb
+      .from("facts")
+      .update({
+        status: "superseded",
+        superseded_by: newId,
+        superseded_at: now,
+        confidence: Math.round((oldRow.confidence ?? 0) * decay * 1000) / 1000,
+        updated_at: now,
+      })
+      .eq("id", oldRow.id);
+    if (error) throw new Error(`upsertFact: fact ${newId} saved but superseding ${oldRow.id} failed: ${error.message}`);
+  }
+
+  /**
+   * Contradictions upsertFact() queued for review, newest first, each with
+   * the disputed `fact` row and the `conflicting` current fact.
+   *
+   * @param {{status?:'open'|'resolved'|null, subjectId?:string|null, limit?:number}} [opts]
+   */
+  async listFactReviews({ status = "open", subjectId = null, limit = 100 } = {}) {
+    let q = this.sb.from("fact_reviews").select("*");
+    if (status) q = q.eq("status", status);
+    if (subjectId) q = q.eq("subject_id", subjectId);
+    const { data: reviews, error } = await q.order("created_at", { ascending: false }).limit(limit);
+    if (error) throw new Error(`listFactReviews: ${error.message}`);
+    if (!reviews?.length) return [];
+    const ids = [...new Set(reviews.flatMap((r) => [r.fact_id, r.conflicting_fact_id]))];
+    const { data: facts, error: factErr } = await this.sb.from("facts").select("*").in("id", ids);
+    if (factErr) throw new Error(`listFactReviews: ${factErr.message}`);
+    const byId = new Map((facts || []).map((f) => [f.id, f]));
+    return reviews.map((r) => ({ ...r, fact: byId.get(r.fact_id) || null, conflicting: byId.get(r.conflicting_fact_id) || null }));
+  }
+
+  /**
+   * Settle an open fact review:
+   *   - 'keep_new'  — the disputed fact supersedes the one it contradicted
+   *   - 'keep_old'  — the disputed fact is marked superseded by the old one
+   *   - 'keep_both' — both stand (e.g. two true facts); the new one becomes current
+   *
+   * @param {string} reviewId
+   * @param {{keep:'keep_new'|'keep_old'|'keep_both', reason?:string, supersededDecay?:number}} opts
+   */
+  async resolveFactReview(reviewId, { keep, reason = null, supersededDecay = DEFAULT_SUPERSEDED_DECAY } = {}) {
+    if (!["keep_new", "keep_old", "keep_both"].includes(keep)) throw new Error("resolveFactReview: keep must be keep_new, keep_old or keep_both");
+    const { data: review, error } = await this.sb.from("fact_reviews").select("*").eq("id", reviewId).maybeSingle();
+    if (error) throw new Error(`resolveFactReview: ${error.message}`);
+    if (!review) throw new Error(`resolveFactReview: review ${reviewId} not found`);
+    if (review.status !== "open") throw new Error(`resolveFactReview: review ${reviewId} is already ${review.status}`);
+    const { data: pair, error: pairErr } = await this.sb.from("facts").select("*").in("id", [review.fact_id, review.conflicting_fact_id]);
+    if (pairErr) throw new Error(`resolveFactReview: ${pairErr.message}`);
+    const fresh = pair.find((f) => f.id === review.fact_id);
+    const old = pair.find((f) => f.id === review.conflicting_fact_id);
+    if (!fresh || !old) throw new Error(`resolveFactReview: facts of review ${reviewId} no longer exist`);
+
+    const now = new Date().toISOString();
+    if (keep === "keep_old") {
+      await this._supersedeFact(fresh, old.id, supersededDecay, now);
+    } else {
+      const patch = { status: "current", updated_at: now, ...(keep === "keep_new" ? { supersedes: old.id } : {}) };
+      const { error: upErr } = await this.sb.from("facts").update(patch).eq("id", fresh.id);
+      if (upErr) throw new Error(`resolveFactReview: ${upErr.message}`);
+      if (keep === "keep_new") await this._supersedeFact(old, fresh.id, supersededDecay, now);
+    }
+
+    const { data: resolved, error: resErr } = await this.sb
+      .from("fact_reviews")
+      .update({ status: "resolved", resolution: keep, reason: reason ?? review.reason, resolved_by: this.agent, resolved_at: now })
+      .eq("id", reviewId)
+      .select()
+      .single();
+    if (resErr) throw new Error(`resolveFactReview: ${resErr.message}`);
+    return resolved;
   }
 
   // ---------- PERSONALITY ----------
@@ -422,6 +2872,7 @@ export class NeoBrain {
    */
   async getCredential(service, { type = null, environment = "production", ownerId = NEO_SELF_ID } = {}) {
     if (!service) throw new Error("getCredential: service required");
+    this._enforce("credential", { service }, "getCredential");
     const { data, error } = await this.sb.rpc("get_credential", {
       p_owner_id: ownerId,
       p_service: service,
@@ -446,13 +2897,14 @@ export class NeoBrain {
    * List credentials metadata (no values). Safe to log / return to UIs.
    */
   async listCredentials({ ownerId = null, service = null, activeOnly = true } = {}) {
+    if (service) this._enforce("credential", { service }, "listCredentials");
     const { data, error } = await this.sb.rpc("list_credentials", {
       p_owner_id: ownerId,
       p_service: service,
       p_active_only: activeOnly,
     });
     if (error) throw new Error(`list_credentials: ${error.message}`);
-    return data || [];
+    return (data || []).filter((c) => this.can("credential", { service: c.service }));
   }
 
   /**
@@ -460,6 +2912,7 @@ export class NeoBrain {
    */
   async upsertCredential({ service, type, value, description = null, environment = "production", expiresAt = null, ownerId = NEO_SELF_ID, metadata = {} }) {
     if (!service || !type || !value) throw new Error("upsertCredential: service, type, value required");
+    this._enforce("credential", { service }, "upsertCredential");
     const { data, error } = await this.sb.rpc("upsert_credential", {
       p_owner_id: ownerId,
       p_service: service,
@@ -476,21 +2929,908 @@ export class NeoBrain {
 
   // ---------- SESSIONS ----------
 
-  async startSession({ taskSummary = null, metadata = {} } = {}) {
+  /**
+   * Open an agent_sessions row. By default it becomes this client's current
+   * session: save() stamps `source_ref.session_id` on every memory until
+   * endSession(). Pass `current: false` to only record the row.
+   *
+   * @param {{taskSummary?:string|null, metadata?:object, current?:boolean}} [opts]
+   * @returns {Promise<string>} session id
+   */
+  async startSession({ taskSummary = null, metadata = {}, current = true } = {}) {
     const { data, error } = await this.sb
       .from("agent_sessions")
       .insert({ agent: this.agent, task_summary: taskSummary, metadata })
       .select("id")
       .single();
     if (error) throw new Error(error.message);
+    if (current) this.sessionId = data.id;
     return data.id;
   }
 
-  async endSession(sessionId, { transcriptUrl = null, memoryIds = [] } = {}) {
-    const { error } = await this.sb
+  /**
+   * Close a session. `memory_ids` becomes every memory written under it
+   * (source_ref.session_id) plus any `memoryIds` passed in. With
+   * `summarize: true` it then runs summarizeSession().
+   *
+   * @param {string} sessionId
+   * @param {{transcriptUrl?:string|null, memoryIds?:string[], summarize?:boolean, summarizer?:import("./summarize.js").Summarizer, visibility?:'public'|'internal'|'private', importance?:number}} [opts]
+   * @returns {Promise<{sessionId:string, memoryIds:string[], summaryId?:string|null, summarizer?:string, fallbackError?:string, queued?:boolean}>}
+   */
+  async endSession(sessionId, { transcriptUrl = null, memoryIds = [], summarize = false, ...summaryOpts } = {}) {
+    if (!sessionId) throw new Error("endSession: sessionId required");
+    const memories = await this._sessionMemories(sessionId, memoryIds);
+    const ids = memories.map((m) => m.id);
+    const { data: session, error } = await this.sb
       .from("agent_sessions")
-      .update({ ended_at: new Date().toISOString(), transcript_url: transcriptUrl, memory_ids: memoryIds })
-      .eq("id", sessionId);
+      .update({ ended_at: new Date().toISOString(), transcript_url: transcriptUrl, memory_ids: ids })
+      .eq("id", sessionId)
+      .select()
+      .maybeSingle();
     if (error) throw new Error(error.message);
+    if (!session) throw new Error(`endSession: session ${sessionId} not found`);
+    if (this.sessionId === sessionId) this.sessionId = null;
+    const out = { sessionId, memoryIds: ids };
+    if (!summarize) return out;
+    return { ...out, ...(await this._summarizeSession(session, memories, summaryOpts)) };
+  }
+
+  /**
+   * Summarize a session's memories into a `session_summary` memory. The
+   * summarizer is the `summarizer` option, else the client's (summarize.js).
+   * The summary is category `session`, as private as the most private memory
+   * it covers unless `visibility` is given, has a `summarizes` edge to each
+   * source, and `agent_sessions.summary_memory_id` points at it (migration
+   * sql/session-summaries.sql). A session with no memories gets no summary
+   * (`summaryId: null`). Running it again writes a fresh summary and
+   * repoints the session.
+   *
+   * @param {string} sessionId
+   * @param {{summarizer?:import("./summarize.js").Summarizer, visibility?:'public'|'internal'|'private', importance?:number}} [opts]
+   * @returns {Promise<{summaryId:string|null, summarizer?:string, fallbackError?:string, queued?:boolean}>}
+   */
+  async summarizeSession(sessionId, opts = {}) {
+    const { data: session, error } = await this.sb.from("agent_sessions").select("*").eq("id", sessionId).maybeSingle();
+    if (error) throw supabaseError("summarizeSession", error);
+    if (!session) throw new Error(`summarizeSession: session ${sessionId} not found`);
+    return this._summarizeSession(session, await this._sessionMemories(sessionId, session.memory_ids || []), opts);
+  }
+
+  async _summarizeSession(session, memories, { summarizer = null, visibility = null, importance = 5 } = {}) {
+    const sessionId = session.id;
+    if (!memories.length) return { summaryId: null };
+    const using = summarizer || this.summarizer;
+    if (!using) throw new Error("summarizeSession: no summarizer (constructor or option)");
+    const { text, summarizer: name, fallbackError } = await using.summarize(session, memories);
+    const saved = await this.save(text, {
+      category: "session",
+      type: "session_summary",
+      importance,
+      visibility: visibility || strictestVisibility(memories),
+      sessionId,
+      metadata: { session_id: sessionId, memory_count: memories.length, summarizer: name, ...(fallbackError ? { fallback_error: fallbackError } : {}) },
+    });
+    const out = { summaryId: saved.id, summarizer: name, ...(fallbackError ? { fallbackError } : {}) };
+    // A queued save has no row to link yet; replay stores the summary without edges.
+    if (saved.queued) return { ...out, queued: true };
+
+    const { error: edgeErr } = await this.sb.from("memory_edges").upsert(
+      memories.map((m) => ({ src: saved.id, dst: m.id, relation: "summarizes", created_by: this.agent })),
+      { onConflict: "src,dst,relation", ignoreDuplicates: true },
+    );
+    if (edgeErr && !isMissingTable(edgeErr)) throw supabaseError("summarizeSession: summarizes edges", edgeErr);
+    const { error: linkErr } = await this.sb
+      .from("agent_sessions")
+      .update({ summary_memory_id: saved.id, summarized_at: new Date().toISOString() })
+      .eq("id", sessionId);
+    if (linkErr) throw supabaseError("summarizeSession: summary link", linkErr);
+    return out;
+  }
+
+  // Memories written under a session (oldest first) plus explicitly listed
+  // ids; earlier session summaries are not source material.
+  async _sessionMemories(sessionId, extraIds = []) {
+    const cols = "id, content, category, memory_type, importance, visibility, source, created_at";
+    const { data, error } = await this.sb
+      .from("memories")
+      .select(cols)
+      .eq("source_ref->>session_id", sessionId)
+      .eq("archived", false)
+      .order("created_at", { ascending: true })
+      .limit(1000);
+    if (error) throw supabaseError("session memories", error);
+    const rows = data || [];
+    const missing = [...new Set(extraIds)].filter((id) => !rows.some((r) => r.id === id));
+    for (const ids of chunk(missing, 100)) {
+      const { data: extra, error: extraErr } = await this.sb.from("memories").select(cols).in("id", ids);
+      if (extraErr) throw supabaseError("session memories", extraErr);
+      rows.push(...(extra || []));
+    }
+    return rows
+      .filter((r) => r.memory_type !== "session_summary")
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  }
+
+  /**
+   * One session as a chronological story: its row, its memories, its summary
+   * (if endSession summarized it) and a merged `events` list — start, each
+   * memory, summary, end. Feed to renderHandoff() (sessions.js) for a
+   * SESSION-HANDOFF doc.
+   *
+   * @param {string} sessionId
+   * @returns {Promise<{session:object, memories:object[], summary:object|null, events:{at:string, kind:'start'|'memory'|'summary'|'end', memory?:object, taskSummary?:string}[]}>}
+   */
+  async sessionTimeline(sessionId) {
+    const { data: session, error } = await this.sb.from("agent_sessions").select("*").eq("id", sessionId).maybeSingle();
+    if (error) throw supabaseError("sessionTimeline", error);
+    if (!session) throw new Error(`sessionTimeline: session ${sessionId} not found`);
+    const memories = await this._sessionMemories(sessionId, session.memory_ids || []);
+
+    let summary = null;
+    if (session.summary_memory_id) {
+      const { data, error: sumErr } = await this.sb
+        .from("memories")
+        .select("id, content, visibility, metadata, created_at")
+        .eq("id", session.summary_memory_id)
+        .maybeSingle();
+      if (sumErr) throw supabaseError("sessionTimeline", sumErr);
+      summary = data;
+    }
+
+    const events = [
+      { at: session.started_at, kind: "start", taskSummary: session.task_summary },
+      ...memories.map((m) => ({ at: m.created_at, kind: "memory", memory: m })),
+      ...(summary ? [{ at: summary.created_at, kind: "summary", memory: summary }] : []),
+      ...(session.ended_at ? [{ at: session.ended_at, kind: "end" }] : []),
+    ].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    return { session, memories, summary, events };
+  }
+
+  /**
+   * agent_sessions rows, newest first. `agent: true` means this client's agent.
+   * @param {{agent?:string|true|null, since?:string|Date|null, until?:string|Date|null, open?:boolean|null, limit?:number}} [opts]
+   */
+  async listSessions({ agent = null, since = null, until = null, open = null, limit = 50 } = {}) {
+    let q = this.sb.from("agent_sessions").select("*").order("started_at", { ascending: false }).limit(limit);
+    if (agent) q = q.eq("agent", agent === true ? this.agent : agent);
+    if (since) q = q.gte("started_at", new Date(since).toISOString());
+    if (until) q = q.lt("started_at", new Date(until).toISOString());
+    if (open === true) q = q.is("ended_at", null);
+    if (open === false) q = q.not("ended_at", "is", null);
+    const { data, error } = await q;
+    if (error) throw supabaseError("listSessions", error);
+    return (data || []).map((s) => ({ ...s, memory_count: (s.memory_ids || []).length }));
   }
+
+  // ---------- CHANGE FEED ----------
+
+  /**
+   * Inserts and updates on a table as they happen, instead of polling it in
+   * a loop:
+   *
+   *   for await (const ev of brain.watch({ table: "agent_commands", filter: { to_agent: "siti" } })) {
+   *     ev.type;    // "insert" | "update"
+   *     ev.row;     // the row after the change
+   *     ev.cursor;  // pass as `after` to resume past this event
+   *   }
+   *
+   * `mode`: "realtime" listens on Supabase Realtime (the table must be in the
+   * supabase_realtime publication, sql/change-feed.sql); "poll" pages rows
+   * after a (cursorColumn, id) cursor every `pollMs` — any PostgREST will do,
+   * but it sees only inserts unless `cursorColumn` is a last-modified column;
+   * "auto" (default) uses Realtime and drops to polling for good when the
+   * channel cannot be opened.
+   *
+   * Starts after the newest row, after `after` (an event's cursor) or at
+   * `since` (a time). A Realtime channel that drops is reopened with
+   * backoff, and what changed while it was down is replayed by polling from
+   * the cursor before live events resume; poll errors are retried the same
+   * way. `onStatus(status, detail)` hears "realtime" / "polling" /
+   * "reconnecting". Ends when `signal` aborts or the loop breaks.
+   *
+   * memories rows come without the embedding, filtered by the agent policy.
+   *
+   * @param {{table?:string, filter?:Object<string,*>, events?:string[], mode?:string, after?:string|null,
+   *   since?:string|Date|null, cursorColumn?:string, pollMs?:number, batchSize?:number, maxBackoffMs?:number,
+   *   signal?:AbortSignal|null, onStatus?:Function|null}} [opts]
+   * @returns {AsyncGenerator<{type:string, table:string, row:object, cursor:string}>}
+   */
+  async *watch({
+    table = "memories",
+    filter = {},
+    events = WATCH_EVENTS,
+    mode = "auto",
+    after = null,
+    since = null,
+    cursorColumn = "created_at",
+    pollMs = 2000,
+    batchSize = 200,
+    maxBackoffMs = 30_000,
+    signal = null,
+    onStatus = null,
+  } = {}) {
+    if (!WATCH_MODES.includes(mode)) throw new Error(`watch: mode must be one of ${WATCH_MODES.join(", ")}`);
+    const unknown = events.find((e) => !WATCH_EVENTS.includes(e));
+    if (unknown) throw new Error(`watch: unknown event "${unknown}" (${WATCH_EVENTS.join(" | ")})`);
+    const hasRealtime = typeof this.sb.channel === "function";
+    if (mode === "realtime" && !hasRealtime) throw new Error("watch: Realtime is not available on this client");
+    if (table === "memories") this._readScope("watch", {});
+    const feed = {
+      table,
+      filter: watchFilterEntries(filter),
+      events,
+      cursorColumn,
+      batchSize,
+      signal,
+      cursor: after ? decodeWatchCursor(after) : since ? { at: new Date(since).toISOString(), id: null } : await this._watchHead(table, cursorColumn),
+      seen: new RecentKeys(),
+      status: (status, detail = {}) => onStatus?.(status, { table, ...detail }),
+    };
+
+    let realtime = mode !== "poll" && hasRealtime;
+    let failures = 0;
+    while (!signal?.aborted) {
+      let error;
+      try {
+        if (!realtime) {
+          yield* this._watchPoll(feed, pollMs);
+          return;
+        }
+        const out = yield* this._watchRealtime(feed);
+        if (signal?.aborted) return;
+        if (out.subscribed) failures = 0;
+        else if (mode === "auto") {
+          realtime = false;
+          feed.status("polling", { reason: out.error });
+          continue;
+        }
+        error = out.error;
+      } catch (e) {
+        if (signal?.aborted) return;
+        if (!isTransientError(e)) throw e;
+        error = e.message;
+      }
+      failures++;
+      const inMs = Math.min(maxBackoffMs, 1000 * 2 ** (failures - 1));
+      feed.status("reconnecting", { attempt: failures, inMs, error });
+      await sleepUnlessAborted(inMs, signal);
+    }
+  }
+
+  // Cursor just past the newest row, so a fresh watch() starts at "now" by
+  // the database's clock rather than this machine's.
+  async _watchHead(table, cursorColumn) {
+    const { data, error, status } = await this.sb
+      .from(table)
+      .select(`${cursorColumn}, id`)
+      .order(cursorColumn, { ascending: false })
+      .order("id", { ascending: false })
+      .limit(1);
+    if (error) throw supabaseError("watch", error, status);
+    return data?.[0] ? { at: data[0][cursorColumn], id: data[0].id } : { at: null, id: null };
+  }
+
+  async *_watchPoll(feed, pollMs) {
+    feed.status("polling");
+    while (!feed.signal?.aborted) {
+      yield* this._watchCatchUp(feed);
+      await sleepUnlessAborted(pollMs, feed.signal);
+    }
+  }
+
+  // Page through everything after the cursor until a short page.
+  async *_watchCatchUp(feed) {
+    const { table, cursorColumn, batchSize } = feed;
+    for (;;) {
+      let q = this.sb.from(table).select(table === "memories" ? WATCH_MEMORY_COLUMNS : "*");
+      for (const [col, values] of feed.filter) q = values.length === 1 ? (values[0] === null ? q.is(col, null) : q.eq(col, values[0])) : q.in(col, values);
+      const { at, id } = feed.cursor;
+      if (at != null && id == null) q = q.gte(cursorColumn, at);
+      else if (at != null) q = q.or(`${cursorColumn}.gt.${at},and(${cursorColumn}.eq.${at},id.gt.${id})`);
+      const { data, error, status } = await q
+        .order(cursorColumn, { ascending: true })
+        .order("id", { ascending: true })
+        .limit(batchSize);
+      if (error) throw supabaseError("watch", error, status);
+      for (const row of data || []) {
+        const type = cursorColumn === "created_at" || row[cursorColumn] === row.created_at ? "insert" : "update";
+        const ev = this._watchEvent(feed, type, row);
+        if (ev) yield ev;
+      }
+      if (!data || data.length < batchSize) return;
+    }
+  }
+
+  // One Realtime channel, until it closes or errors: { subscribed, error }.
+  // Events that arrive while the catch-up poll runs wait in the queue.
+  async *_watchRealtime(feed) {
+    const queue = new ChangeQueue();
+    const serverFilter = realtimeFilter(feed.filter);
+    const channel = this.sb
+      .channel(`neo-brain-watch:${feed.table}:${crypto.randomUUID()}`)
+      .on("postgres_changes", { event: "*", schema: "public", table: feed.table, ...(serverFilter ? { filter: serverFilter } : {}) }, (payload) =>
+        queue.push({ payload }),
+      )
+      .subscribe((status, err) => queue.push({ status, error: err?.message || null }));
+    let subscribed = false;
+    try {
+      for (;;) {
+        const item = await queue.next(feed.signal);
+        if (!item) return { subscribed };
+        if (item.payload) {
+          const type = String(item.payload.eventType || "").toLowerCase();
+          const ev = WATCH_EVENTS.includes(type) ? this._watchEvent(feed, type, item.payload.new || {}) : null;
+          if (ev) yield ev;
+        } else if (item.status === "SUBSCRIBED") {
+          subscribed = true;
+          feed.status("realtime");
+          yield* this._watchCatchUp(feed);
+        } else {
+          // CHANNEL_ERROR | TIMED_OUT | CLOSED
+          return { subscribed, error: item.error || item.status };
+        }
+      }
+    } finally {
+      await Promise.resolve(this.sb.removeChannel(channel)).catch(() => {});
+    }
+  }
+
+  // Advance the cursor past `row` and turn it into an event, or null when
+  // it is filtered out, unreadable, or already delivered.
+  _watchEvent(feed, type, row) {
+    if (!matchesWatchFilter(row, feed.filter)) return null;
+    const at = row[feed.cursorColumn];
+    // A catch-up poll and the live channel can both deliver the same insert
+    // (or the same last-modified stamp); created_at-keyed updates only come live.
+    if (at != null && (type === "insert" || feed.cursorColumn !== "created_at")) {
+      if (!feed.seen.add(`${type}:${row.id}@${Date.parse(at)}`)) return null;
+    }
+    if (at != null && afterCursor(at, row.id, feed.cursor)) feed.cursor = { at, id: row.id };
+    if (!feed.events.includes(type)) return null;
+    if (feed.table === "memories") {
+      delete row.embedding;
+      if (this.shadowColumn) delete row[this.shadowColumn];
+      if (!this._readableRows([row]).length) return null;
+    }
+    return { type, table: feed.table, row, cursor: encodeWatchCursor(feed.cursor) };
+  }
+
+  // ---------- EXPORT / IMPORT ----------
+
+  /**
+   * Export the brain, or a slice of it, as records in the versioned
+   * neo-brain-export format (src/export.js): a header, then people, media,
+   * memories, facts, memory_edges, knowledge_nodes and knowledge_edges rows,
+   * then an `{ end: true, counts }` trailer. Serialize with exportLine() for
+   * NDJSON; brain.import() reads it back, here or in another project.
+   *
+   * Filters (any combination; memories, facts and media by created_at):
+   *   subjectId     a person id, or several
+   *   category      a category, or several (memories and facts)
+   *   since, until  created_at >= since, < until
+   *
+   * A filtered export is self-contained: it carries the people its rows
+   * point to (followed through merges), the media its memories reference,
+   * and memory_edges only between exported memories. The knowledge graph has
+   * no subject or time, so it is only in unfiltered exports unless
+   * `sections` asks for it. Media rows are references — the blobs stay in
+   * storage. Archived memories are left out unless `includeArchived`;
+   * `embeddings: false` leaves vectors out (import re-embeds). Rows the
+   * agent policy doesn't let this agent read are skipped.
+   *
+   * @param {{subjectId?:string|string[]|null, category?:string|string[]|null, since?:string|Date|null,
+   *   until?:string|Date|null, includeArchived?:boolean, sections?:string[]|null, embeddings?:boolean, pageSize?:number}} [filter]
+   * @returns {AsyncGenerator<object>}
+   */
+  async *export({
+    subjectId = null,
+    category = null,
+    since = null,
+    until = null,
+    includeArchived = false,
+    sections = null,
+    embeddings = true,
+    pageSize = 500,
+  } = {}) {
+    const subjects = subjectId == null ? null : [].concat(subjectId);
+    const categories = category == null ? null : [].concat(category);
+    const scoped = !!(subjects || categories || since || until);
+    const unknown = (sections || []).find((s) => !EXPORT_SECTIONS.includes(s));
+    if (unknown) throw new Error(`export: unknown section "${unknown}" (${EXPORT_SECTIONS.join(" | ")})`);
+    const wanted = new Set(sections || EXPORT_SECTIONS.filter((s) => !scoped || !s.startsWith("knowledge_")));
+    const included = EXPORT_SECTIONS.filter((s) => wanted.has(s));
+
+    const visibility = this._readScope("export", { visibility: null });
+    for (const s of subjects || []) this._readScope("export", { subjectId: s });
+    for (const c of categories || []) this._readScope("export", { category: c });
+
+    const columns = Object.fromEntries(included.map((s) => [s, EXPORT_COLUMNS[s].filter((c) => embeddings || c !== "embedding")]));
+    const timed = (q) => {
+      if (since) q = q.gte("created_at", new Date(since).toISOString());
+      if (until) q = q.lt("created_at", new Date(until).toISOString());
+      return q;
+    };
+    const memoryFilter = (q) => {
+      if (!includeArchived) q = q.eq("archived", false);
+      if (subjects) q = q.in("subject_id", subjects);
+      if (categories) q = q.in("category", categories);
+      if (visibility) q = q.in("visibility", visibility);
+      return timed(q);
+    };
+    const factFilter = (q) => {
+      if (subjects) q = q.in("subject_id", subjects);
+      if (categories) q = q.in("category", categories);
+      return timed(q);
+    };
+    const mediaFilter = (q) => timed(subjects ? q.in("subject_id", subjects) : q);
+
+    yield {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      exported_by: this.agent,
+      filter: {
+        subjectIds: subjects,
+        categories,
+        since: since ? new Date(since).toISOString() : null,
+        until: until ? new Date(until).toISOString() : null,
+        includeArchived,
+      },
+      sections: included,
+      embeddings: embeddings ? { model: this.embedder.model ?? null, dims: this.embedder.dims ?? null } : null,
+      columns,
+      references: Object.fromEntries(included.map((s) => [s, EXPORT_REFERENCES[s]])),
+    };
+
+    // First pass: which memories go out, and which people and media they
+    // (and the facts) point to.
+    const memoryIds = new Set();
+    const personIds = new Set();
+    const mediaIds = new Set();
+    const needIds = wanted.has("memory_edges") || (scoped && (wanted.has("people") || wanted.has("media")));
+    if (needIds && wanted.has("memories")) {
+      for await (const rows of this._exportPages("memories", "id, subject_id, related_people, media_id, category, visibility", memoryFilter, pageSize)) {
+        for (const r of rows) {
+          memoryIds.add(r.id);
+          if (r.subject_id) personIds.add(r.subject_id);
+          for (const p of r.related_people || []) personIds.add(p);
+          if (r.media_id) mediaIds.add(r.media_id);
+        }
+      }
+    }
+    if (scoped && wanted.has("people") && wanted.has("facts")) {
+      for await (const rows of this._exportPages("facts", "id, subject_id, category", factFilter, pageSize)) {
+        for (const r of rows) personIds.add(r.subject_id);
+      }
+    }
+
+    const counts = {};
+    const emit = (section, row) => {
+      counts[section] = (counts[section] || 0) + 1;
+      return { section, row: "embedding" in row ? { ...row, embedding: parseVector(row.embedding) } : row };
+    };
+    const select = (section) => columns[section].join(", ");
+
+    // Media before people, so the people its subjects need are known.
+    const media = [];
+    if (wanted.has("media")) {
+      const seen = new Set();
+      const take = (rows) => rows.filter((r) => !seen.has(r.id) && seen.add(r.id));
+      if (!categories) {
+        for await (const rows of this._exportPages("media", select("media"), mediaFilter, pageSize)) media.push(...take(rows));
+      }
+      if (scoped) {
+        for (const ids of chunk([...mediaIds], 100)) {
+          for await (const rows of this._exportPages("media", select("media"), (q) => q.in("id", ids), pageSize)) media.push(...take(rows));
+        }
+      }
+      for (const r of media) if (r.subject_id) personIds.add(r.subject_id);
+    }
+
+    if (wanted.has("people")) {
+      if (!scoped) {
+        for await (const rows of this._exportPages("people", select("people"), (q) => q, pageSize)) {
+          for (const r of rows) yield emit("people", r);
+        }
+      } else {
+        // Referenced people, then the canonical rows merged ones point to.
+        const done = new Set();
+        for (let pending = [...personIds]; pending.length; ) {
+          const next = [];
+          for (const ids of chunk(pending, 100)) {
+            for await (const rows of this._exportPages("people", select("people"), (q) => q.in("id", ids), pageSize)) {
+              for (const r of rows) {
+                if (done.has(r.id)) continue;
+                done.add(r.id);
+                const canonical = r.metadata?.merged_into;
+                if (canonical && !done.has(canonical) && !personIds.has(canonical)) next.push(canonical);
+                yield emit("people", r);
+              }
+            }
+          }
+          for (const id of next) personIds.add(id);
+          pending = next;
+        }
+      }
+    }
+
+    for (const r of media) yield emit("media", r);
+
+    if (wanted.has("memories")) {
+      for await (const rows of this._exportPages("memories", select("memories"), memoryFilter, pageSize)) {
+        for (const r of rows) yield emit("memories", r);
+      }
+    }
+    if (wanted.has("facts")) {
+      for await (const rows of this._exportPages("facts", select("facts"), factFilter, pageSize)) {
+        for (const r of rows) yield emit("facts", r);
+      }
+    }
+    if (wanted.has("memory_edges")) {
+      for (const ids of chunk([...memoryIds], 100)) {
+        for await (const rows of this._exportPages("memory_edges", select("memory_edges"), (q) => q.in("src", ids), pageSize)) {
+          for (const r of rows) if (memoryIds.has(r.dst)) yield emit("memory_edges", r);
+        }
+      }
+    }
+    for (const section of ["knowledge_nodes", "knowledge_edges"]) {
+      if (!wanted.has(section)) continue;
+      for await (const rows of this._exportPages(section, select(section), (q) => q, pageSize)) {
+        for (const r of rows) yield emit(section, r);
+      }
+    }
+
+    yield { end: true, counts: Object.fromEntries(included.map((s) => [s, counts[s] || 0])) };
+  }
+
+  // Pages of readable `section` rows narrowed by `filter(query)`, oldest
+  // first — keyset-paged on (created_at, id) so rows written during the
+  // export can't shift the pages; on id alone where there is no created_at.
+  async *_exportPages(section, columns, filter, pageSize) {
+    if (EXPORT_COLUMNS[section].includes("created_at")) {
+      let cursor = null;
+      do {
+        const q = filter(this.sb.from(section).select(withKeyColumns(columns)));
+        const page = await this._keysetPage(q, `export ${section}`, { order: "asc", cursor, limit: pageSize });
+        yield page;
+        cursor = page.nextCursor;
+      } while (cursor);
+      return;
+    }
+    for (let after = null; ; ) {
+      let q = filter(this.sb.from(section).select(columns));
+      if (after) q = q.gt("id", after);
+      const { data, error, status } = await q.order("id", { ascending: true }).limit(pageSize);
+      if (error) throw supabaseError(`export ${section}`, error, status);
+      yield this._readableRows(data || []);
+      if (!data || data.length < Math.min(pageSize, PAGE_MAX_ROWS)) return;
+      after = data.at(-1).id;
+    }
+  }
+
+  /**
+   * Load an export (brain.export() records, or NDJSON text from a file) into
+   * this brain. Rows are written in batches as the stream is read.
+   *
+   *   reembed    "auto" (default): embed again when the export has no
+   *              vectors or another model / dims made them; true / false force it
+   *   remapIds   give every row a new id and rewrite the references to it
+   *              (subject_id, related_people, media_id, source_memory_ids,
+   *              supersedes / superseded_by, edge ends, merged_into) — for
+   *              loading into a brain that already has rows of its own.
+   *              People are then matched to existing ones by strong
+   *              identifiers (phone, lid, email, …) instead of duplicated
+   *   conflict   "skip" (default) leaves rows whose id already exists alone;
+   *              "overwrite" replaces them. Without remapIds a re-run with
+   *              "skip" picks up where a failed one stopped
+   *   dryRun     read, check and count, but write nothing — redactions are
+   *              reported, not moved to the vault
+   *   credentialGuard, pii, metadataValidation
+   *              as for save(); default to the brain's own
+   *
+   * Neo's own row (NEO_SELF_ID) is never written — every brain has it.
+   * Memories, media and facts are checked against the agent policy (source
+   * included) and go through the checks a save(), saveMedia() or
+   * upsertFact() write would: the credential guard on their text and
+   * metadata, and for memories the metadata schema and the PII mode. What
+   * those checks changed or warned about is listed per row in `findings`; a
+   * redacted row is embedded again. Each memory gets its memory_writes_log
+   * row, and long memories get memory_chunks. Bad rows don't stop the import:
+   * they're counted as failed and listed in `errors`. `complete` is false
+   * when the stream ended without its trailer, or with counts that don't
+   * match it.
+   *
+   * @param {AsyncIterable<object|string|Buffer>|Iterable<object|string|Buffer>|string} stream
+   * @param {{reembed?:boolean|"auto", remapIds?:boolean, conflict?:"skip"|"overwrite", dryRun?:boolean, batchSize?:number,
+   *   credentialGuard?:string, pii?:string, metadataValidation?:string}} [opts]
+   * @returns {Promise<{dryRun:boolean, version:number, complete:boolean, reembedded:boolean,
+   *   counts:Object<string,{inserted:number, updated:number, skipped:number, matched:number, failed:number}>,
+   *   errors:{section:string|null, id:string|null, error:string}[],
+   *   findings:{section:string, id:string, redactions?:object, credentialWarnings?:object, pii?:object, metadataWarnings?:string[]}[],
+   *   idMap?:Object<string,string>}>}
+   */
+  async import(stream, {
+    reembed = "auto",
+    remapIds = false,
+    conflict = "skip",
+    dryRun = false,
+    batchSize = 200,
+    credentialGuard = this.credentialGuard,
+    pii = this.pii,
+    metadataValidation = this.metadataValidation,
+  } = {}) {
+    if (!IMPORT_CONFLICT_MODES.includes(conflict)) throw new Error(`import: conflict must be one of ${IMPORT_CONFLICT_MODES.join(", ")}`);
+    if (![true, false, "auto"].includes(reembed)) throw new Error('import: reembed must be true, false or "auto"');
+    if (!CREDENTIAL_GUARD_MODES.includes(credentialGuard)) throw new Error(`import: credentialGuard must be one of ${CREDENTIAL_GUARD_MODES.join(", ")}`);
+    if (!PII_MODES.includes(pii)) throw new Error(`import: pii must be one of ${PII_MODES.join(", ")}`);
+    if (!METADATA_VALIDATION_MODES.includes(metadataValidation)) {
+      throw new Error(`import: metadataValidation must be one of ${METADATA_VALIDATION_MODES.join(", ")}`);
+    }
+    this._enforce("write", {}, "import");
+
+    const report = { dryRun, version: null, complete: false, reembedded: false, counts: {}, errors: [], findings: [] };
+    const checks = { credentialGuard, pii, metadataValidation };
+    const state = { report, remapIds, conflict, dryRun, checks, reembed: false, idMap: new Map(), links: [] };
+    const seen = {};
+    let header = null;
+    let ended = false;
+    let batch = [];
+    let batchSection = null;
+    const flush = async () => {
+      if (batch.length) await this._importBatch(batchSection, batch, state);
+      batch = [];
+    };
+
+    for await (const record of readExportRecords(stream)) {
+      if (!header) {
+        if (record?.format !== EXPORT_FORMAT) throw new Error("import: not a neo-brain export (no header)");
+        if (!Number.isInteger(record.version) || record.version > EXPORT_VERSION) {
+          throw new Error(`import: unsupported export version ${record.version} (this SDK reads up to ${EXPORT_VERSION})`);
+        }
+        header = record;
+        const e = header.embeddings;
+        state.reembed = reembed === "auto" ? !(e && e.model === this.embedder.model && e.dims === this.embedder.dims) : reembed;
+        report.version = header.version;
+        report.reembedded = state.reembed;
+        continue;
+      }
+      if (record.end) {
+        await flush();
+        ended = true;
+        const mismatch = Object.entries(record.counts || {}).filter(([s, n]) => (seen[s] || 0) !== n);
+        report.complete = !mismatch.length;
+        for (const [s, n] of mismatch) report.errors.push({ section: s, id: null, error: `export lists ${n} rows, stream held ${seen[s] || 0}` });
+        break;
+      }
+      if (!EXPORT_SECTIONS.includes(record.section) || !record.row || typeof record.row !== "object") {
+        throw new Error(`import: unexpected record ${JSON.stringify(record).slice(0, 120)}`);
+      }
+      if (batch.length && (record.section !== batchSection || batch.length >= batchSize)) await flush();
+      batchSection = record.section;
+      batch.push(record.row);
+      seen[record.section] = (seen[record.section] || 0) + 1;
+    }
+    if (!header) throw new Error("import: empty stream");
+    await flush();
+    if (!ended) {
+      report.errors.push({ section: null, id: null, error: "stream ended without the export trailer — truncated?" });
+    }
+
+    // Links between rows of one section, once every id is known.
+    for (const { section, id, patch } of dryRun ? [] : state.links) {
+      const { error } = await this.sb.from(section).update(remapReferences(section, patch, state.idMap)).eq("id", id);
+      if (error) report.errors.push({ section, id, error: `link: ${error.message}` });
+    }
+    if (remapIds) report.idMap = Object.fromEntries(state.idMap);
+    return report;
+  }
+
+  async _importBatch(section, rows, state) {
+    const counts = (state.report.counts[section] ||= { inserted: 0, updated: 0, skipped: 0, matched: 0, failed: 0 });
+    const fail = (id, message) => {
+      counts.failed++;
+      state.report.errors.push({ section, id: id ?? null, error: message });
+    };
+
+    const ready = [];
+    const links = new Map();
+    const redacted = new Set();
+    for (const original of rows) {
+      let row = Object.fromEntries(EXPORT_COLUMNS[section].filter((c) => c in original).map((c) => [c, original[c]]));
+      try {
+        if (!row.id) throw new Error("row has no id");
+        if (section === "people") {
+          if (row.id === NEO_SELF_ID) {
+            counts.matched++;
+            continue;
+          }
+          if (state.remapIds) {
+            const strong = (row.identifiers || [])
+              .filter((i) => i?.type && i.value != null && i.value !== "" && !WEAK_IDENTIFIER_TYPES.has(i.type))
+              .map((i) => normalizeIdentifier(i, { region: this.phoneRegion }));
+            const [hit] = strong.length ? await this._peopleByIdentifiers(strong) : [];
+            if (hit) {
+              state.idMap.set(row.id, hit.row.id);
+              counts.matched++;
+              continue;
+            }
+          }
+        }
+        row = remapReferences(section, row, state.idMap);
+        if (state.remapIds) {
+          const id = crypto.randomUUID();
+          state.idMap.set(row.id, id);
+          row.id = id;
+        }
+        if (section === "memories") {
+          this._enforce("write", { category: row.category, visibility: row.visibility, subjectId: row.subject_id ?? undefined, source: row.source }, "import");
+        } else if (section === "facts") {
+          this._enforce("write", { category: row.category, subjectId: row.subject_id }, "import");
+        } else if (section === "media") {
+          this._enforce("write", { subjectId: row.subject_id ?? undefined, source: row.source }, "import");
+        }
+        const found = await this._importChecks(section, row, state);
+        if (found) {
+          state.report.findings.push({ section, id: original.id, ...found });
+          if (found.redactions) redacted.add(row.id);
+        }
+        // Supersede links and merges may point at rows later in the stream.
+        if (section === "facts" && (row.supersedes || row.superseded_by)) {
+          links.set(row.id, { supersedes: row.supersedes ?? null, superseded_by: row.superseded_by ?? null });
+          row.supersedes = null;
+          row.superseded_by = null;
+        }
+        if (section === "people" && state.remapIds && row.metadata?.merged_into) links.set(row.id, { metadata: row.metadata });
+        ready.push(row);
+      } catch (e) {
+        fail(original.id, e.message);
+      }
+    }
+    if (!ready.length) return;
+
+    const existing = new Set();
+    if (!state.remapIds) {
+      const { data, error } = await this.sb.from(section).select("id").in("id", ready.map((r) => r.id));
+      if (error) throw new Error(`import ${section}: ${error.message}`);
+      for (const r of data || []) existing.add(r.id);
+    }
+    let toWrite = ready;
+    if (state.conflict === "skip") {
+      toWrite = ready.filter((r) => !existing.has(r.id));
+      counts.skipped += ready.length - toWrite.length;
+    }
+    if (!toWrite.length) return;
+
+    const text = EMBEDDED_TEXT[section];
+    if (text && !state.dryRun) {
+      // Everything when re-embedding; otherwise only rows whose text a
+      // redaction changed — their exported vector is of the secret.
+      const stale = state.reembed ? toWrite : toWrite.filter((r) => redacted.has(r.id));
+      for (const r of toWrite) r.embedding = stale.includes(r) ? null : toPgVectorString(parseVector(r.embedding));
+      const targets = stale.filter((r) => text(r));
+      try {
+        const vecs = targets.length ? await this.embedder.embedMany(targets.map(text)) : [];
+        targets.forEach((r, i) => (r.embedding = toPgVectorString(vecs[i])));
+      } catch (e) {
+        for (const r of stale) fail(r.id, `embed: ${e.message}`);
+        toWrite = toWrite.filter((r) => !stale.includes(r));
+        if (!toWrite.length) return;
+      }
+    }
+
+    let written = toWrite;
+    if (!state.dryRun) {
+      const write = (group) => (state.conflict === "overwrite" && existing.size ? this.sb.from(section).upsert(group, { onConflict: "id" }) : this.sb.from(section).insert(group));
+      const { error } = await write(toWrite);
+      if (error) {
+        // One bad row (a dangling reference, a CHECK) shouldn't sink the batch.
+        written = [];
+        for (const row of toWrite) {
+          const { error: rowError } = await write([row]);
+          if (rowError) fail(row.id, rowError.message);
+          else written.push(row);
+        }
+      }
+    }
+    for (const row of written) {
+      if (existing.has(row.id)) counts.updated++;
+      else counts.inserted++;
+      if (links.has(row.id)) state.links.push({ section, id: row.id, patch: links.get(row.id) });
+    }
+    if (state.dryRun || section !== "memories" || !written.length) return;
+
+    const { error: logError } = await this.sb.from("memory_writes_log").insert(written.map((r) => ({
+      memory_id: r.id,
+      action: existing.has(r.id) ? "update" : "insert",
+      written_by: this.agent,
+      payload_preview: `[import] ${String(r.content).slice(0, 171)}`,
+    })));
+    if (logError) state.report.errors.push({ section, id: null, error: `memory_writes_log: ${logError.message}` });
+    for (const r of written) {
+      if (!this._needsChunks(r.content)) continue;
+      try {
+        await (existing.has(r.id) ? this._replaceChunks(r.id, r.content) : this._writeChunks(r.id, r.content));
+      } catch (e) {
+        state.report.errors.push({ section, id: r.id, error: `chunks: ${e.message}` });
+      }
+    }
+  }
+
+  // The write-time checks on one imported row (mutated): the credential
+  // guard over IMPORT_GUARDED_COLUMNS, and for memories the metadata schema
+  // and the PII mode, in save()'s order. Returns the merged report, or null
+  // when there was nothing to say; a rejection throws.
+  async _importChecks(section, row, { checks, dryRun }) {
+    const columns = IMPORT_GUARDED_COLUMNS[section];
+    if (!columns) return null;
+    const isMemory = section === "memories";
+    let report = isMemory ? this._checkMetadata(row.category, row.metadata, "import", checks.metadataValidation) : {};
+    const scanned = Object.fromEntries(columns.filter((c) => row[c] != null).map((c) => [c, row[c]]));
+    const { fields, report: guardReport } = await this._guardCredentials(scanned, "import", checks.credentialGuard, { dryRun });
+    if (!dryRun) Object.assign(row, fields);
+    report = { ...report, ...guardReport };
+    if (isMemory) Object.assign(report, await this._applyPII(row, "import", checks.pii));
+    return Object.keys(report).length ? report : null;
+  }
+}
+
+// Wrap a supabase-js error as an Error, flagging whether it's worth queueing:
+// 5xx / 429 / no-response (network) are transient; 4xx (constraint, auth,
+// validation) are not.
+function supabaseError(label, error, status) {
+  const err = new Error(`${label}: ${error.message}`);
+  err.code = error.code;
+  err.status = status;
+  err.transient = status >= 500 || status === 429 || ((!status || status === 0) && isTransientError(error));
+  return err;
+}
+
+// Deep-copy `value` with every credential-shape match in its strings replaced
+// by [REDACTED:<rule id>].
+function scrubCredentials(value) {
+  if (typeof value === "string") {
+    let out = value;
+    for (const { value: secret, ruleId } of _extractCredentialMatchesDetailed(value)) {
+      out = out.split(secret).join(`[REDACTED:${ruleId}]`);
+    }
+    return out;
+  }
+  if (Array.isArray(value)) return value.map(scrubCredentials);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrubCredentials(v)]));
+  }
+  return value;
+}
+
+// PostgREST / Postgres "table doesn't exist" — a migration not applied yet.
+function isMissingTable(error) {
+  return error?.code === "42P01" || error?.code === "PGRST205" || /does not exist|could not find the table/i.test(error?.message || "");
+}
+
+const VISIBILITY_ORDER = ["public", "internal", "private"];
+
+// A summary is as private as the most private thing it summarizes.
+function strictestVisibility(rows) {
+  return rows.reduce((v, r) => (VISIBILITY_ORDER.indexOf(r.visibility) > VISIBILITY_ORDER.indexOf(v) ? r.visibility : v), "public");
+}
+
+function isMissingFunction(error) {
+  return error?.code === "PGRST202" || error?.code === "42883" || /could not find the function/i.test(error?.message || "");
+}
+
+// search()'s since / until / category / people as match_memories_hybrid_v2
+// arguments (sql/search-filters.sql); categories lower-cased, as it compares them.
+function hybridFilterArgs({ since, until, category, people }) {
+  return {
+    p_since: since ? new Date(since).toISOString() : null,
+    p_until: until ? new Date(until).toISOString() : null,
+    category_filter: category ? [].concat(category).map((c) => String(c).toLowerCase()) : null,
+    people_filter: people?.length ? people : null,
+  };
+}
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
 }
@@ -0,0 +1,106 @@
+/**
+ * Near-duplicate detection for memories.
+ *
+ * Used two ways: NeoBrain.save({ dedupe }) probes recent memories in the same
+ * category/subject before inserting, and tools/find-duplicate-memories.mjs
+ * clusters the whole table offline. Both score pairs the same way: identical
+ * normalized text is a duplicate outright (1.0), otherwise cosine similarity
+ * of the stored embeddings.
+ */
+
+export const DEDUPE_MODES = ["off", "skip", "merge", "link"];
+export const DEFAULT_DEDUPE_THRESHOLD = 0.95;
+
+/** Parse a pgvector value as PostgREST returns it ("[0.1,0.2]") or pass an array through. */
+export function parseVector(v) {
+  if (!v) return null;
+  if (Array.isArray(v) || ArrayBuffer.isView(v)) return v;
+  if (typeof v === "string") {
+    try {
+      const arr = JSON.parse(v);
+      return Array.isArray(arr) ? arr : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || !a.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/** Case-, whitespace- and trailing-punctuation-insensitive form used for exact matches. */
+export function normalizeForDedupe(text) {
+  return String(text || "").toLowerCase().replace(/\s+/g, " ").replace(/[\s.!?,;:]+$/, "").trim();
+}
+
+/**
+ * Similarity of two memories: 1 for identical normalized content, else the
+ * cosine of their embeddings (0 when either is missing).
+ * @param {{content:string, embedding?:any}} a
+ * @param {{content:string, embedding?:any}} b
+ */
+export function memorySimilarity(a, b) {
+  if (normalizeForDedupe(a.content) === normalizeForDedupe(b.content)) return 1;
+  return cosineSimilarity(parseVector(a.embedding), parseVector(b.embedding));
+}
+
+/**
+ * Group near-duplicate memories. Rows are only compared within the same
+ * (category, subject_id) and, when `windowMs` is set, only with rows created
+ * within that span of each other. Pairs ≥ threshold are joined transitively
+ * (union-find), so A≈B and B≈C makes one cluster.
+ *
+ * @param {{id:string, content:string, embedding?:any, category?:string, subject_id?:string|null, created_at:string}[]} rows
+ * @param {{threshold?:number, windowMs?:number|null}} [opts]
+ * @returns {{canonical:object, members:{row:object, similarity:number}[], category:string|null, subjectId:string|null}[]}
+ *   canonical = oldest row; members = the rest with their similarity to it; largest clusters first
+ */
+export function findDuplicateClusters(rows, { threshold = DEFAULT_DEDUPE_THRESHOLD, windowMs = null } = {}) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = `${r.category ?? ""}\n${r.subject_id ?? ""}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...r, embedding: parseVector(r.embedding) });
+  }
+
+  const clusters = [];
+  for (const group of groups.values()) {
+    group.sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+    const parent = group.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const times = group.map((r) => Date.parse(r.created_at));
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        if (windowMs != null && times[j] - times[i] > windowMs) break;
+        if (find(i) === find(j)) continue;
+        if (memorySimilarity(group[i], group[j]) >= threshold) parent[find(j)] = find(i);
+      }
+    }
+    const byRoot = new Map();
+    group.forEach((r, i) => {
+      const root = find(i);
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(r);
+    });
+    for (const members of byRoot.values()) {
+      if (members.length < 2) continue;
+      const [canonical, ...rest] = members;
+      clusters.push({
+        canonical,
+        members: rest.map((row) => ({ row, similarity: memorySimilarity(canonical, row) })),
+        category: canonical.category ?? null,
+        subjectId: canonical.subject_id ?? null,
+      });
+    }
+  }
+  return clusters.sort((a, b) => b.members.length - a.members.length);
+}
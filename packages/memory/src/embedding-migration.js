@@ -0,0 +1,90 @@
+/**
+ * Embedding model migrations — moving neo-brain's vectors to another model
+ * without a big-bang re-embed.
+ *
+ * The new model's vectors live in a shadow column next to `embedding` on
+ * every embedded table, named for the model (shadowColumnName()). The
+ * re-embed job (NeoBrain.reembedShadow()) fills it in id order, keeping its
+ * cursor in embedding_migrations (sql/embedding-migrations.sql);
+ * search({ vectors: "shadow" }) queries it; compareEmbeddingSearch() scores
+ * both columns on the eval set with evalMetrics() / compareEvalMetrics(),
+ * and cutover requires that comparison to pass.
+ */
+
+import { EMBEDDED_TEXT } from "./export.js";
+
+// Tables the job re-embeds, in order: the columns it reads and the text it
+// embeds (the same text the SDK embeds on write).
+export const SHADOW_TABLES = {
+  memories: { columns: "id, content", text: EMBEDDED_TEXT.memories },
+  memory_chunks: { columns: "id, content", text: (r) => r.content },
+  media: { columns: "id, transcript, caption", text: EMBEDDED_TEXT.media },
+  knowledge_nodes: { columns: "id, label, description", text: EMBEDDED_TEXT.knowledge_nodes },
+};
+
+export const MIGRATION_STATUSES = ["backfilling", "ready", "cut_over"];
+
+// Which column search() ranks by.
+export const SEARCH_VECTORS = ["primary", "shadow"];
+
+// Metrics the cutover gate compares, and how far the shadow column may fall
+// below the primary on each (absolute, 0..1) and still pass.
+export const EVAL_GATE_METRICS = ["recall@5", "recall@10", "MRR"];
+export const DEFAULT_EVAL_MAX_DROP = 0.02;
+
+/**
+ * The shadow column for a model: embedding_<model>_<dims>, lowercased, with
+ * anything but [a-z0-9] folded to "_" — e.g. text-embedding-3-small at 1536
+ * → embedding_text_embedding_3_small_1536. Fits a Postgres identifier.
+ *
+ * @param {{model:string, dims:number}} embedder
+ */
+export function shadowColumnName({ model, dims } = {}) {
+  if (!model || !(dims > 0)) throw new Error("shadowColumnName: embedder with model and dims required");
+  const slug = String(model).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  const suffix = `_${dims}`;
+  return `embedding_${slug.slice(0, 52 - suffix.length).replace(/_+$/, "")}${suffix}`;
+}
+
+/**
+ * Retrieval metrics over an eval set — the ones eval/neo-brain reports.
+ * Cases with no expected ids are diagnostic and not scored.
+ *
+ * @param {Array<{id:string, expected_ids:string[]}>} cases
+ * @param {Map<string,string[]>} idsByCase  case id → returned memory ids, best first
+ * @returns {{"recall@5":number, "recall@10":number, "hit@5":number, "hit@10":number, MRR:number, n:number}}
+ */
+export function evalMetrics(cases, idsByCase) {
+  let r5 = 0, r10 = 0, h5 = 0, h10 = 0, mrr = 0, n = 0;
+  for (const c of cases) {
+    const expected = new Set(c.expected_ids || []);
+    if (!expected.size) continue;
+    n++;
+    const ids = idsByCase.get(c.id) || [];
+    const f5 = ids.slice(0, 5).filter((id) => expected.has(id)).length;
+    const f10 = ids.slice(0, 10).filter((id) => expected.has(id)).length;
+    const rank = ids.findIndex((id) => expected.has(id)) + 1;
+    r5 += f5 / expected.size;
+    r10 += f10 / expected.size;
+    h5 += f5 > 0 ? 1 : 0;
+    h10 += f10 > 0 ? 1 : 0;
+    mrr += rank ? 1 / rank : 0;
+  }
+  const mean = (v) => (n ? v / n : 0);
+  return { "recall@5": mean(r5), "recall@10": mean(r10), "hit@5": mean(h5), "hit@10": mean(h10), MRR: mean(mrr), n };
+}
+
+/**
+ * Compare shadow-column metrics against the primary's. Passes when no gate
+ * metric drops by more than `maxDrop`.
+ *
+ * @returns {{pass:boolean, deltas:object, regressions:string[]}}
+ */
+export function compareEvalMetrics(primary, shadow, { maxDrop = DEFAULT_EVAL_MAX_DROP, metrics = EVAL_GATE_METRICS } = {}) {
+  const deltas = Object.fromEntries(
+    Object.keys(primary).filter((m) => m !== "n").map((m) => [m, shadow[m] - primary[m]]),
+  );
+  // Rounded so that a drop of exactly maxDrop passes despite float noise.
+  const regressions = metrics.filter((m) => Math.round((primary[m] - shadow[m] - maxDrop) * 1e9) > 0);
+  return { pass: regressions.length === 0, deltas, regressions };
+}
@@ -0,0 +1,198 @@
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { EmbeddingProvider } from "./provider.js";
+
+/**
+ * Content-hash embedding cache.
+ *
+ * Key = sha256(model, dims, text) — the same text embedded by the same model at
+ * the same dimensionality is the same vector, so eval reruns, redaction
+ * re-embeds, repeated search queries and hook saves stop paying for a call.
+ *
+ * Tiers are consulted in order (in-process LRU first, then disk); a hit in a
+ * lower tier is copied up. A tier is any object with get(key) → number[]|undefined
+ * and set(key, vector) — sync or async — so a Redis/SQLite tier can be plugged in
+ * via `tiers`.
+ */
+export class EmbeddingCache {
+  /**
+   * @param {{maxEntries?:number, dir?:string|null, tiers?:object[]}} [opts]
+   *   maxEntries  in-process LRU size (default 2000 ≈ 12 MB at 768 dims)
+   *   dir         add an on-disk tier under this directory
+   *   tiers       replace the default tiers entirely
+   */
+  constructor({ maxEntries = 2000, dir = null, tiers = null } = {}) {
+    this.tiers = tiers || [new MemoryLRUTier({ maxEntries }), ...(dir ? [new DiskTier({ dir })] : [])];
+    this.stats = { hits: 0, misses: 0, writes: 0, tierHits: this.tiers.map(() => 0) };
+  }
+
+  static key(model, dims, text) {
+    return createHash("sha256").update(`${model}\n${dims}\n${text}`).digest("hex");
+  }
+
+  async get(key) {
+    for (let i = 0; i < this.tiers.length; i++) {
+      let v;
+      try {
+        v = await this.tiers[i].get(key);
+      } catch {
+        v = undefined; // a broken tier degrades to a miss, never fails the embed
+      }
+      if (v) {
+        this.stats.hits++;
+        this.stats.tierHits[i]++;
+        for (let j = 0; j < i; j++) await this._setTier(j, key, v);
+        return v;
+      }
+    }
+    this.stats.misses++;
+    return undefined;
+  }
+
+  async set(key, vector) {
+    if (!vector) return;
+    this.stats.writes++;
+    for (let i = 0; i < this.tiers.length; i++) await this._setTier(i, key, vector);
+  }
+
+  async _setTier(i, key, vector) {
+    try {
+      await this.tiers[i].set(key, vector);
+    } catch {
+      // best-effort: a full disk or read-only NAS mount must not fail the write path
+    }
+  }
+
+  /** Counters snapshot: { hits, misses, writes, hitRate, tierHits[] }. */
+  snapshot() {
+    const total = this.stats.hits + this.stats.misses;
+    return { ...this.stats, tierHits: [...this.stats.tierHits], hitRate: total ? this.stats.hits / total : 0 };
+  }
+}
+
+/** In-process LRU on a Map (insertion order = recency). */
+export class MemoryLRUTier {
+  constructor({ maxEntries = 2000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.map = new Map();
+  }
+
+  get(key) {
+    const v = this.map.get(key);
+    if (v === undefined) return undefined;
+    this.map.delete(key);
+    this.map.set(key, v);
+    return v;
+  }
+
+  set(key, vector) {
+    this.map.delete(key);
+    this.map.set(key, vector);
+    while (this.map.size > this.maxEntries) this.map.delete(this.map.keys().next().value);
+  }
+}
+
+/**
+ * On-disk tier: `<dir>/<aa>/<key>.f64`, raw little-endian float64 — exact
+ * round-trip of the vector, ~6 KB per entry at 768 dims. Writes are atomic
+ * (temp + rename) so concurrent processes can share a directory. No eviction:
+ * prune old entries with `find <dir> -name '*.f64' -atime +30 -delete`.
+ */
+export class DiskTier {
+  constructor({ dir } = {}) {
+    if (!dir) throw new Error("DiskTier: dir required");
+    this.dir = resolve(dir);
+  }
+
+  _path(key) {
+    return join(this.dir, key.slice(0, 2), `${key}.f64`);
+  }
+
+  async get(key) {
+    let buf;
+    try {
+      buf = await readFile(this._path(key));
+    } catch (e) {
+      if (e.code === "ENOENT") return undefined;
+      throw e;
+    }
+    if (!buf.length || buf.length % 8) return undefined;
+    const out = new Array(buf.length / 8);
+    for (let i = 0; i < out.length; i++) out[i] = buf.readDoubleLE(i * 8);
+    return out;
+  }
+
+  async set(key, vector) {
+    const path = this._path(key);
+    const buf = Buffer.alloc(vector.length * 8);
+    vector.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+    await mkdir(join(this.dir, key.slice(0, 2)), { recursive: true });
+    const tmp = `${path}.${randomUUID()}.tmp`;
+    try {
+      await writeFile(tmp, buf);
+      await rename(tmp, path);
+    } catch (e) {
+      await rm(tmp, { force: true });
+      throw e;
+    }
+  }
+}
+
+/**
+ * Provider decorator: consults `cache` before delegating to `inner`. Same
+ * provider/model/dims as the wrapped provider, so cache keys and logs are
+ * unchanged. NeoBrain wraps its embedder in one of these by default.
+ */
+export class CachedEmbeddingProvider extends EmbeddingProvider {
+  constructor(inner, cache) {
+    super({ model: inner.model, dims: inner.dims, maxChars: inner.maxChars, batchSize: inner.batchSize });
+    this.provider = inner.provider;
+    this.inner = inner;
+    this.cache = cache;
+  }
+
+  _key(text) {
+    return EmbeddingCache.key(this.model, this.dims, text);
+  }
+
+  async embed(text) {
+    if (!text?.trim()) return null;
+    const key = this._key(text);
+    const hit = await this.cache.get(key);
+    if (hit) return hit;
+    const v = await this.inner.embed(text);
+    await this.cache.set(key, v);
+    return v;
+  }
+
+  async embedMany(texts, opts = {}) {
+    const out = new Array(texts.length).fill(null);
+    const missIdx = [];
+    for (let i = 0; i < texts.length; i++) {
+      if (!texts[i]?.trim()) continue;
+      const hit = await this.cache.get(this._key(texts[i]));
+      if (hit) out[i] = hit;
+      else missIdx.push(i);
+    }
+    if (missIdx.length) {
+      const fresh = await this.inner.embedMany(missIdx.map((i) => texts[i]), opts);
+      for (let j = 0; j < missIdx.length; j++) {
+        out[missIdx[j]] = fresh[j];
+        await this.cache.set(this._key(texts[missIdx[j]]), fresh[j]);
+      }
+    }
+    return out;
+  }
+}
+
+let _defaultCache = null;
+
+/**
+ * Process-wide cache used by embedText() when no `cache` option is passed.
+ * In-process LRU, plus a disk tier when NEO_BRAIN_EMBED_CACHE_DIR is set.
+ */
+export function defaultEmbeddingCache() {
+  if (!_defaultCache) _defaultCache = new EmbeddingCache({ dir: process.env.NEO_BRAIN_EMBED_CACHE_DIR || null });
+  return _defaultCache;
+}
@@ -0,0 +1,50 @@
+import { embedText } from "../gemini.js";
+import { EmbeddingProvider, postJson } from "./provider.js";
+
+/**
+ * Gemini embedContent (gemini-embedding-001 @ 768 by default) — the provider
+ * every neo-brain row was embedded with. Single texts go through embedText();
+ * embedMany() uses batchEmbedContents, up to 100 texts per request.
+ */
+export class GeminiEmbeddingProvider extends EmbeddingProvider {
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_EMBED_MODEL || "gemini-embedding-001",
+    dims,
+    timeoutMs = 15000,
+  } = {}) {
+    super({ model, dims });
+    this.provider = "gemini";
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async _embedChunk(text) {
+    // Chunks bypass embedText's cache — whole texts are cached one level up
+    // (CachedEmbeddingProvider), keyed the same way.
+    return embedText(text, { apiKey: this.apiKey, model: this.model, dims: this.dims, timeoutMs: this.timeoutMs, cache: null });
+  }
+
+  async _embedChunks(texts, { rateLimiter = null } = {}) {
+    if (!this.apiKey) throw new Error("GEMINI_API_KEY not set");
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:batchEmbedContents?key=${this.apiKey}`;
+    const out = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      if (rateLimiter) await rateLimiter.acquire();
+      const data = await postJson(url, {
+        requests: batch.map((text) => ({
+          model: `models/${this.model}`,
+          content: { parts: [{ text }] },
+          outputDimensionality: this.dims,
+        })),
+      }, { timeoutMs: this.timeoutMs * 2, label: "gemini batch embed" });
+      const values = (data?.embeddings || []).map((e) => e?.values || null);
+      if (values.length !== batch.length) {
+        throw new Error(`gemini batch embed: asked for ${batch.length} embeddings, got ${values.length}`);
+      }
+      out.push(...values);
+    }
+    return out;
+  }
+}
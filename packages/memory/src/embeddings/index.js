@@ -0,0 +1,64 @@
+/**
+ * Embedding providers. The interface lives in ./provider.js.
+ *
+ * NeoBrain takes one via `new NeoBrain({ embedder })`; without it the client
+ * calls embeddingProviderFromEnv(), which is Gemini unless configured otherwise.
+ */
+
+import { GeminiEmbeddingProvider } from "./gemini.js";
+import { OllamaEmbeddingProvider } from "./ollama.js";
+import { OpenAICompatibleEmbeddingProvider } from "./openai-compatible.js";
+
+export { EmbeddingProvider, EMBEDDING_DIMS } from "./provider.js";
+export { GeminiEmbeddingProvider, OllamaEmbeddingProvider, OpenAICompatibleEmbeddingProvider };
+export { EmbeddingCache, MemoryLRUTier, DiskTier, CachedEmbeddingProvider, defaultEmbeddingCache } from "./cache.js";
+
+/**
+ * Build a provider from env:
+ *   NEO_BRAIN_EMBED_PROVIDER  gemini (default) | ollama | openai-compatible
+ *   NEO_BRAIN_EMBED_URL       base URL for ollama / openai-compatible
+ *   NEO_BRAIN_EMBED_MODEL     model name (provider default if unset)
+ *   NEO_BRAIN_EMBED_API_KEY   bearer token for openai-compatible
+ *   NEO_BRAIN_EMBED_DIMS      vector width (default 768 — what neo-brain's columns hold)
+ *
+ * @param {{geminiApiKey?:string, env?:object}} [opts]
+ */
+export function embeddingProviderFromEnv({ geminiApiKey, env = process.env } = {}) {
+  const kind = (env.NEO_BRAIN_EMBED_PROVIDER || "gemini").toLowerCase();
+  const model = env.NEO_BRAIN_EMBED_MODEL || undefined;
+  const dims = env.NEO_BRAIN_EMBED_DIMS ? Number(env.NEO_BRAIN_EMBED_DIMS) : undefined;
+  if (dims !== undefined && !(Number.isInteger(dims) && dims > 0)) {
+    throw new Error(`NEO_BRAIN_EMBED_DIMS: expected a positive integer (got "${env.NEO_BRAIN_EMBED_DIMS}")`);
+  }
+  switch (kind) {
+    case "gemini":
+      return new GeminiEmbeddingProvider({ apiKey: geminiApiKey ?? env.GEMINI_API_KEY, model, dims });
+    case "ollama":
+      return new OllamaEmbeddingProvider({ baseUrl: env.NEO_BRAIN_EMBED_URL || undefined, model, dims });
+    case "openai":
+    case "openai-compatible":
+      return new OpenAICompatibleEmbeddingProvider({
+        baseUrl: env.NEO_BRAIN_EMBED_URL,
+        model,
+        dims,
+        apiKey: env.NEO_BRAIN_EMBED_API_KEY || null,
+        sendDimensions: dims !== undefined,
+      });
+    default:
+      throw new Error(`NEO_BRAIN_EMBED_PROVIDER: unknown provider "${kind}" (gemini | ollama | openai-compatible)`);
+  }
+}
+
+/**
+ * The target model of an embedding migration (embedding-migration.js), from
+ * the same variables with a SHADOW_ prefix — NEO_BRAIN_SHADOW_EMBED_PROVIDER,
+ * _MODEL, _URL, _API_KEY, _DIMS. null unless NEO_BRAIN_SHADOW_EMBED_PROVIDER is set.
+ *
+ * @param {{geminiApiKey?:string, env?:object}} [opts]
+ */
+export function shadowEmbedderFromEnv({ geminiApiKey, env = process.env } = {}) {
+  if (!env.NEO_BRAIN_SHADOW_EMBED_PROVIDER) return null;
+  const shadowEnv = { GEMINI_API_KEY: env.GEMINI_API_KEY };
+  for (const k of ["PROVIDER", "MODEL", "URL", "API_KEY", "DIMS"]) shadowEnv[`NEO_BRAIN_EMBED_${k}`] = env[`NEO_BRAIN_SHADOW_EMBED_${k}`];
+  return embeddingProviderFromEnv({ geminiApiKey, env: shadowEnv });
+}
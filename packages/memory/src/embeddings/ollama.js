@@ -0,0 +1,23 @@
+import { EmbeddingProvider, postJson } from "./provider.js";
+
+/**
+ * Local Ollama `/api/embeddings` — lets a fleet node (e.g. tr-home) embed on its
+ * own GPU/CPU. The model must natively produce 768 dims (nomic-embed-text does);
+ * Ollama has no output-dimensionality knob, so anything else fails the dims check.
+ */
+export class OllamaEmbeddingProvider extends EmbeddingProvider {
+  constructor({ baseUrl = "http://127.0.0.1:11434", model = "nomic-embed-text", dims, timeoutMs = 30000 } = {}) {
+    super({ model, dims });
+    this.provider = "ollama";
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.timeoutMs = timeoutMs;
+  }
+
+  async _embedChunk(text) {
+    const data = await postJson(`${this.baseUrl}/api/embeddings`, { model: this.model, prompt: text }, {
+      timeoutMs: this.timeoutMs,
+      label: "ollama embed",
+    });
+    return data?.embedding || null;
+  }
+}
@@ -0,0 +1,53 @@
+import { EmbeddingProvider, postJson } from "./provider.js";
+
+/**
+ * Any server speaking OpenAI's `POST /v1/embeddings` — OpenAI itself, vLLM,
+ * llama.cpp server, LM Studio, TEI, or a stub in tests.
+ *
+ * `sendDimensions` adds `dimensions: dims` to the request (OpenAI
+ * text-embedding-3-* support it; many local servers reject the field), so it
+ * is off by default. embedMany() sends `input` as an array, `batchSize` per request.
+ */
+export class OpenAICompatibleEmbeddingProvider extends EmbeddingProvider {
+  constructor({ baseUrl, model, apiKey = null, dims, sendDimensions = false, timeoutMs = 15000 } = {}) {
+    if (!baseUrl || !model) throw new Error("OpenAICompatibleEmbeddingProvider: baseUrl and model required");
+    super({ model, dims });
+    this.provider = "openai-compatible";
+    this.baseUrl = baseUrl.replace(/\/$/, "").replace(/\/v1$/, "");
+    this.apiKey = apiKey;
+    this.sendDimensions = sendDimensions;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async _embedChunk(text) {
+    const body = { model: this.model, input: text };
+    if (this.sendDimensions) body.dimensions = this.dims;
+    const data = await postJson(`${this.baseUrl}/v1/embeddings`, body, {
+      headers: this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {},
+      timeoutMs: this.timeoutMs,
+      label: "openai-compatible embed",
+    });
+    return data?.data?.[0]?.embedding || null;
+  }
+
+  async _embedChunks(texts, { rateLimiter = null } = {}) {
+    const out = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const body = { model: this.model, input: batch };
+      if (this.sendDimensions) body.dimensions = this.dims;
+      if (rateLimiter) await rateLimiter.acquire();
+      const data = await postJson(`${this.baseUrl}/v1/embeddings`, body, {
+        headers: this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {},
+        timeoutMs: this.timeoutMs * 2,
+        label: "openai-compatible embed",
+      });
+      const rows = [...(data?.data || [])].sort((a, b) => a.index - b.index);
+      if (rows.length !== batch.length) {
+        throw new Error(`openai-compatible embed: asked for ${batch.length} embeddings, got ${rows.length}`);
+      }
+      out.push(...rows.map((r) => r.embedding || null));
+    }
+    return out;
+  }
+}
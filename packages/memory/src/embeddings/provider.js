@@ -0,0 +1,129 @@
+/**
+ * Embedding provider interface.
+ *
+ * Every vector column in neo-brain is vector(768), so every provider is held to
+ * EMBEDDING_DIMS: embed() throws if the backend hands back any other length
+ * rather than letting a bad vector reach Postgres (or worse, a mis-sized one
+ * silently poison similarity scores).
+ *
+ * Subclasses implement _embedChunk(text) → number[]|null, and may override
+ * _embedChunks(texts) when the backend has a native batch endpoint (embedMany
+ * otherwise loops _embedChunk). The base class owns the shared contract: empty
+ * text → null (no call), long text split into `maxChars` chunks then
+ * mean-pooled + unit-normalized, and the dims check.
+ * `provider` + `model` identify the vector space (used for cache keys, logs).
+ */
+
+export const EMBEDDING_DIMS = 768;
+
+export class EmbeddingProvider {
+  constructor({ model, dims = EMBEDDING_DIMS, maxChars = 2048, batchSize = 100 } = {}) {
+    this.provider = "unknown";
+    this.model = model;
+    this.dims = dims;
+    this.maxChars = maxChars;
+    this.batchSize = batchSize;
+  }
+
+  get name() {
+    return `${this.provider}:${this.model}`;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<number[]|null>} null for empty text or a failed chunk
+   */
+  async embed(text) {
+    if (!text?.trim()) return null;
+    if (text.length <= this.maxChars) return this._checkDims(await this._embedChunk(text));
+
+    const embeddings = [];
+    for (let i = 0; i < text.length; i += this.maxChars) {
+      const embedding = this._checkDims(await this._embedChunk(text.slice(i, i + this.maxChars)));
+      if (!embedding) return null;
+      embeddings.push(embedding);
+    }
+    return poolEmbeddings(embeddings);
+  }
+
+  /**
+   * Embed many texts with as few requests as the backend allows. One result
+   * per input, in order — null for empty text. Long texts are chunked and
+   * pooled exactly like embed(), so embedMany([t])[0] equals embed(t).
+   *
+   * @param {string[]} texts
+   * @param {{rateLimiter?:import("../throttle.js").RateLimiter}} [opts]  acquired once per HTTP request
+   * @returns {Promise<(number[]|null)[]>}
+   */
+  async embedMany(texts, { rateLimiter = null } = {}) {
+    const chunks = [];
+    const spans = texts.map((text) => {
+      if (!text?.trim()) return null;
+      const start = chunks.length;
+      for (let i = 0; i < text.length; i += this.maxChars) chunks.push(text.slice(i, i + this.maxChars));
+      return [start, chunks.length];
+    });
+    const vectors = chunks.length ? await this._embedChunks(chunks, { rateLimiter }) : [];
+    return spans.map((span) => {
+      if (!span) return null;
+      const parts = vectors.slice(span[0], span[1]).map((v) => this._checkDims(v));
+      return parts.some((v) => !v) ? null : poolEmbeddings(parts);
+    });
+  }
+
+  async _embedChunk(text) { throw new Error("not implemented"); }
+
+  async _embedChunks(texts, { rateLimiter = null } = {}) {
+    const out = [];
+    for (const text of texts) {
+      if (rateLimiter) await rateLimiter.acquire();
+      out.push(await this._embedChunk(text));
+    }
+    return out;
+  }
+
+  _checkDims(values) {
+    if (values == null) return null;
+    if (!Array.isArray(values) || values.length !== this.dims) {
+      throw new Error(
+        `embed(${this.name}): expected ${this.dims}-dim vector, got ${Array.isArray(values) ? values.length : typeof values} ` +
+        `— neo-brain columns are vector(${this.dims}); refusing to write a mismatched embedding`
+      );
+    }
+    return values;
+  }
+}
+
+/** Mean-pool chunk vectors, then unit-normalize. */
+export function poolEmbeddings(embeddings) {
+  if (embeddings.length === 1) return embeddings[0];
+  const pooled = embeddings[0].map((_, i) =>
+    embeddings.reduce((sum, embedding) => sum + embedding[i], 0) / embeddings.length
+  );
+  const norm = Math.sqrt(pooled.reduce((sum, value) => sum + value * value, 0));
+  return norm ? pooled.map((value) => value / norm) : pooled;
+}
+
+/**
+ * POST JSON with a timeout. Throws `<label> <status>: <body>` on non-2xx.
+ * Internal helper shared by the HTTP providers.
+ */
+export async function postJson(url, body, { headers = {}, timeoutMs = 15000, label = "embed" } = {}) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: ctrl.signal,
+    });
+    if (!r.ok) {
+      const errText = await r.text();
+      throw new Error(`${label} ${r.status}: ${errText.slice(0, 200)}`);
+    }
+    return await r.json();
+  } finally {
+    clearTimeout(t);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Search explanations and snippets — search({ explain: true }) /
+ * search({ snippet }).
+ *
+ * The lexical ranker matches Postgres english tsvectors, which the SDK never
+ * sees; the term matching here approximates it (stop words dropped, a light
+ * suffix-stripping stemmer) well enough to show *why* a row matched, not to
+ * reproduce ts_rank. Rankers' contributions are exact: they are the RRF terms
+ * the RPCs summed.
+ */
+
+export const DEFAULT_SNIPPET_CHARS = 240;
+
+export const SEARCH_RANKERS = ["semantic", "lexical", "passage"];
+
+// Postgres' english stop words (snowball) — never in a tsquery.
+const STOP_WORDS = new Set(
+  ("i me my myself we our ours ourselves you your yours yourself yourselves he him his himself she her hers herself " +
+    "it its itself they them their theirs themselves what which who whom this that these those am is are was were be " +
+    "been being have has had having do does did doing a an the and but if or because as until while of at by for with " +
+    "about against between into through during before after above below to from up down in out on off over under again " +
+    "further then once here there when where why how all any both each few more most other some such no nor not only own " +
+    "same so than too very s t can will just don should now").split(" "),
+);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Stem of a word for matching — a light cousin of the snowball stemmer:
+ * memory / memories → memori, projects → project, running → run.
+ */
+export function stemTerm(word) {
+  let w = String(word).toLowerCase();
+  if (w.length <= 3) return w;
+  if (/[^aeiou]y$/.test(w)) w = `${w.slice(0, -1)}i`;
+  for (const suffix of ["ations", "ation", "ings", "ing", "edly", "ed", "es", "s", "e"]) {
+    if (!w.endsWith(suffix) || w.length - suffix.length < 3) continue;
+    if (suffix === "s" && /(ss|us|is)$/.test(w)) break;
+    w = w.slice(0, -suffix.length);
+    if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+    break;
+  }
+  return w;
+}
+
+/**
+ * The words of `query` the lexical ranker searches for, as
+ * websearch_to_tsquery reads it: negated (-word, -"phrase") parts and OR are
+ * dropped, quotes ignored, stop words removed. Lowercased, one per stem.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function queryTerms(query) {
+  const positive = String(query ?? "").replace(/(^|\s)-("[^"]*"?|\S+)/g, " ");
+  const seen = new Set();
+  const terms = [];
+  for (const [word] of positive.toLowerCase().matchAll(WORD)) {
+    if (word === "or" || STOP_WORDS.has(word)) continue;
+    const stem = stemTerm(word);
+    if (seen.has(stem)) continue;
+    seen.add(stem);
+    terms.push(word);
+  }
+  return terms;
+}
+
+// Words of `text` whose stem is one of `terms`' stems: {term, index, length}.
+function termHits(text, terms) {
+  const stems = new Map(terms.map((t) => [stemTerm(t), t]));
+  const hits = [];
+  if (!stems.size || typeof text !== "string") return hits;
+  for (const m of text.matchAll(WORD)) {
+    const term = stems.get(stemTerm(m[0]));
+    if (term) hits.push({ term, index: m.index, length: m[0].length });
+  }
+  return hits;
+}
+
+/**
+ * How often each of `terms` occurs in `text` (by stem), in query order;
+ * terms that don't occur are left out.
+ *
+ * @returns {{term:string, count:number}[]}
+ */
+export function matchTerms(text, terms) {
+  const counts = new Map();
+  for (const { term } of termHits(text, terms)) counts.set(term, (counts.get(term) || 0) + 1);
+  return terms.filter((t) => counts.has(t)).map((term) => ({ term, count: counts.get(term) }));
+}
+
+/** `text` with every word matching one of `terms` wrapped in `pre`/`post` — like highlightPassage() for terms. */
+export function highlightTerms(text, terms, { pre = "**", post = "**" } = {}) {
+  if (typeof text !== "string") return text;
+  let out = "", at = 0;
+  for (const { index, length } of termHits(text, terms)) {
+    out += `${text.slice(at, index)}${pre}${text.slice(index, index + length)}${post}`;
+    at = index + length;
+  }
+  return out + text.slice(at);
+}
+
+/**
+ * About `window` chars of `content` around its best-matching part, on word
+ * boundaries, whitespace collapsed, "…" where it was cut. The best part is
+ * the stretch holding the most distinct `terms` — inside `passage` (a chunk
+ * hit's {start, end, text}) when there is one; with no term in it, the
+ * passage's (or content's) start.
+ *
+ * @param {string} content
+ * @param {{terms?:string[], passage?:{start:number, end:number, text:string}|null, window?:number}} [opts]
+ * @returns {string}
+ */
+export function snippet(content, { terms = [], passage = null, window = DEFAULT_SNIPPET_CHARS } = {}) {
+  if (typeof content !== "string") return content;
+  if (!(window > 0)) throw new Error("snippet: window must be > 0");
+  const collapse = (s) => s.replace(/\s+/g, " ").trim();
+  if (content.length <= window) return collapse(content);
+
+  let from = 0, to = content.length;
+  if (passage) {
+    let s = passage.start;
+    if (content.slice(s, passage.end) !== passage.text) s = content.indexOf(passage.text);
+    if (s >= 0) [from, to] = [s, s + passage.text.length];
+  }
+  const hits = termHits(content.slice(from, to), terms).map((h) => ({ ...h, index: h.index + from }));
+
+  // Window start: a little before the hit that opens the window with the
+  // most distinct terms.
+  let focus = from, best = 0;
+  for (let i = 0; i < hits.length; i++) {
+    const inside = new Set();
+    for (let j = i; j < hits.length && hits[j].index < hits[i].index + window; j++) inside.add(hits[j].term);
+    if (inside.size > best) [best, focus] = [inside.size, hits[i].index];
+  }
+  let start = Math.max(0, Math.min(best ? focus - Math.floor(window / 4) : focus, content.length - window));
+  let end = Math.min(content.length, start + window);
+  // Don't start or end mid-word.
+  if (start > 0 && /\S/.test(content[start - 1])) {
+    const space = content.slice(start, focus > start ? focus : end).search(/\s/);
+    if (space >= 0) start += space + 1;
+  }
+  if (end < content.length && /\S/.test(content[end])) {
+    const space = content.slice(start, end).search(/\s\S*$/);
+    if (space > 0) end = start + space;
+  }
+  return `${start > 0 ? "…" : ""}${collapse(content.slice(start, end))}${end < content.length ? "…" : ""}`;
+}
+
+/**
+ * What each first-stage ranker added to a search row's fused score, and the
+ * one that added most. semantic / lexical are the RPC's RRF terms
+ * (weight / (rrfK + rank)); for a chunks search, passage is the best
+ * passage's term in the parent fusion, set against the hybrid list's.
+ *
+ * @returns {{rankers:{semantic:number, lexical:number, passage?:number}, dominant:"semantic"|"lexical"|"passage"|null}}
+ */
+export function rankerContributions(row, { rrfK = 30, semanticWeight = 3.0, lexicalWeight = 1.0 } = {}) {
+  const semantic = row.sem_rank ? semanticWeight / (rrfK + row.sem_rank) : 0;
+  const lexical = row.lex_rank ? lexicalWeight / (rrfK + row.lex_rank) : 0;
+  const rankers = { semantic, lexical };
+  let dominant = semantic || lexical ? (semantic >= lexical ? "semantic" : "lexical") : null;
+  if (row.fused_score != null) {
+    rankers.passage = row.passage?.rank ? 1 / (rrfK + row.passage.rank) : 0;
+    if (rankers.passage > row.fused_score - rankers.passage) dominant = "passage";
+  }
+  return { rankers, dominant };
+}
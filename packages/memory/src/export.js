@@ -0,0 +1,142 @@
+/**
+ * The neo-brain export format, written by NeoBrain.export() and read by
+ * NeoBrain.import().
+ *
+ * An export is a stream of JSON records, one per line when serialized
+ * (NDJSON):
+ *
+ *   { "format": "neo-brain-export", "version": 1, "exported_at": …,
+ *     "filter": {…}, "sections": [...], "embeddings": { "model", "dims" } | null,
+ *     "columns": { "<section>": [...] }, "references": {…} }
+ *   { "section": "people", "row": {…} }
+ *   …
+ *   { "end": true, "counts": { "<section>": n } }
+ *
+ * The header names every section and column the export holds, and which
+ * columns hold ids of other exported rows (EXPORT_REFERENCES) — enough to
+ * load it without this SDK. Sections always come in EXPORT_SECTIONS order,
+ * so a row only references rows before it (facts' own supersede links
+ * aside). Embeddings are plain number arrays; the trailer's counts let an
+ * importer tell a complete export from a truncated one.
+ */
+
+export const EXPORT_FORMAT = "neo-brain-export";
+export const EXPORT_VERSION = 1;
+
+// What import() does with a row whose id already exists in the target.
+export const IMPORT_CONFLICT_MODES = ["skip", "overwrite"];
+
+export const EXPORT_SECTIONS = ["people", "media", "memories", "facts", "memory_edges", "knowledge_nodes", "knowledge_edges"];
+
+// Columns exported per section — the table's own columns, minus derived
+// tables (memory_chunks) and the SDK's bookkeeping.
+export const EXPORT_COLUMNS = {
+  people: ["id", "display_name", "kind", "identifiers", "notes", "metadata", "created_at", "updated_at"],
+  media: [
+    "id", "kind", "storage_url", "storage_provider", "mime_type", "bytes", "duration_sec", "width", "height",
+    "transcript", "caption", "embedding", "source", "source_ref", "subject_id", "metadata", "created_at",
+  ],
+  memories: [
+    "id", "content", "embedding", "category", "memory_type", "importance", "visibility", "subject_id",
+    "related_people", "source", "source_ref", "media_id", "metadata", "archived", "created_at", "last_accessed",
+  ],
+  facts: [
+    "id", "subject_id", "fact", "category", "confidence", "source_memory_ids", "metadata", "status",
+    "supersedes", "superseded_by", "superseded_at", "created_at", "updated_at",
+  ],
+  memory_edges: ["id", "src", "dst", "relation", "weight", "metadata", "created_by", "created_at"],
+  knowledge_nodes: ["id", "label", "kind", "description", "embedding", "metadata"],
+  knowledge_edges: ["id", "src", "dst", "relation", "weight", "metadata"],
+};
+
+// Per section, the columns holding ids of exported rows → the section they
+// point into. `metadata.merged_into` is a path into the jsonb column.
+export const EXPORT_REFERENCES = {
+  people: { "metadata.merged_into": "people" },
+  media: { subject_id: "people" },
+  memories: { subject_id: "people", related_people: "people", media_id: "media" },
+  facts: { subject_id: "people", source_memory_ids: "memories", supersedes: "facts", superseded_by: "facts" },
+  memory_edges: { src: "memories", dst: "memories" },
+  knowledge_nodes: {},
+  knowledge_edges: { src: "knowledge_nodes", dst: "knowledge_nodes" },
+};
+
+// What import() embeds when re-embedding a row.
+export const EMBEDDED_TEXT = {
+  memories: (r) => r.content,
+  media: (r) => r.transcript || r.caption || null,
+  knowledge_nodes: (r) => (r.description ? `${r.label} — ${r.description}` : r.label),
+};
+
+// Columns of each section import() runs the credential guard over — the text
+// save(), upsertFact() and saveMedia() scan, plus metadata.
+export const IMPORT_GUARDED_COLUMNS = {
+  memories: ["content", "metadata"],
+  media: ["transcript", "caption", "metadata"],
+  facts: ["fact", "metadata"],
+};
+
+/** One record as an NDJSON line. */
+export function exportLine(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+/**
+ * Records from `source`: an (async) iterable of record objects, or of
+ * NDJSON text in arbitrary pieces (strings / Buffers, e.g. a file stream).
+ * Blank lines are skipped; a line that is not JSON throws with its number.
+ */
+export async function* readExportRecords(source) {
+  if (source == null || (typeof source[Symbol.asyncIterator] !== "function" && typeof source[Symbol.iterator] !== "function")) {
+    throw new Error("import: stream must be an iterable of records or NDJSON text");
+  }
+  if (typeof source === "string" || Buffer.isBuffer(source)) source = [source];
+  // Streaming decode: a multi-byte character may straddle two chunks.
+  const decoder = new TextDecoder();
+  let pending = "";
+  let line = 0;
+  const parse = (text) => {
+    line++;
+    if (!text.trim()) return null;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`import: line ${line} is not JSON — ${e.message}`);
+    }
+  };
+  for await (const piece of source) {
+    if (piece && typeof piece === "object" && !Buffer.isBuffer(piece) && !(piece instanceof Uint8Array)) {
+      line++;
+      yield piece;
+      continue;
+    }
+    pending += typeof piece === "string" ? piece : decoder.decode(piece, { stream: true });
+    let nl;
+    while ((nl = pending.indexOf("\n")) !== -1) {
+      const record = parse(pending.slice(0, nl));
+      pending = pending.slice(nl + 1);
+      if (record) yield record;
+    }
+  }
+  const last = pending ? parse(pending) : null;
+  if (last) yield last;
+}
+
+/**
+ * Rewrite the references in `row` (a row of `section`) through `idMap`
+ * (old id → new id). Ids not in the map are kept. Returns a new row.
+ */
+export function remapReferences(section, row, idMap) {
+  const out = { ...row };
+  const map = (id) => (id != null && idMap.has(id) ? idMap.get(id) : id);
+  for (const column of Object.keys(EXPORT_REFERENCES[section] || {})) {
+    if (column === "metadata.merged_into") {
+      if (out.metadata?.merged_into) out.metadata = { ...out.metadata, merged_into: map(out.metadata.merged_into) };
+    } else if (Array.isArray(out[column])) {
+      out[column] = out[column].map(map);
+    } else if (column in out) {
+      out[column] = map(out[column]);
+    }
+  }
+  return out;
+}
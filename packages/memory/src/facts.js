@@ -0,0 +1,32 @@
+/**
+ * Fact upsert rules for NeoBrain.upsertFact().
+ *
+ * A new statement is compared with the subject's current facts in the same
+ * category (identical normalized text = 1.0, else embedding cosine) and the
+ * best match decides what happens:
+ *
+ *   ≥ same      merge      — a restatement: bump confidence, union sources
+ *   ≥ related   supersede  — same topic, new value: new row supersedes the old
+ *               dispute    — …unless it is less confident than the fact it
+ *                            contradicts: inserted as 'disputed' + review row
+ *   below       insert     — an unrelated fact
+ *
+ * onConflict 'supersede' / 'review' force one side of the related branch.
+ */
+
+export const FACT_CONFLICT_MODES = ["auto", "supersede", "review"];
+export const DEFAULT_FACT_MATCH = { same: 0.95, related: 0.8 };
+export const DEFAULT_SUPERSEDED_DECAY = 0.5;
+
+/**
+ * @param {{similarity:number, confidence:number, matchedConfidence:number}|null} match  null = no current facts
+ * @param {{same?:number, related?:number, onConflict?:'auto'|'supersede'|'review'}} [opts]
+ * @returns {'insert'|'merge'|'supersede'|'dispute'}
+ */
+export function classifyFact(match, { same = DEFAULT_FACT_MATCH.same, related = DEFAULT_FACT_MATCH.related, onConflict = "auto" } = {}) {
+  if (!match || match.similarity < related) return "insert";
+  if (match.similarity >= same) return "merge";
+  if (onConflict === "supersede") return "supersede";
+  if (onConflict === "review") return "dispute";
+  return match.confidence < (match.matchedConfidence ?? 0) ? "dispute" : "supersede";
+}
@@ -1,3 +1,5 @@
+import { EmbeddingCache, defaultEmbeddingCache } from "./embeddings/cache.js";
+
 const DEFAULT_MODEL = "gemini-embedding-001";
 const DEFAULT_DIMS = 768;
 const MAX_CHARS = 2048;
@@ -7,10 +9,22 @@ export async function embedText(text, {
   model = process.env.GEMINI_EMBED_MODEL || DEFAULT_MODEL,
   dims = DEFAULT_DIMS,
   timeoutMs = 15000,
+  cache = defaultEmbeddingCache(),
 } = {}) {
   if (!apiKey) throw new Error("GEMINI_API_KEY not set");
   if (!text?.trim()) return null;
+  if (!cache) return embedUncached(text, { apiKey, model, dims, timeoutMs });
+
+  // Content-hash cache (embeddings/cache.js); pass `cache: null` to bypass.
+  const key = EmbeddingCache.key(model, dims, text);
+  const hit = await cache.get(key);
+  if (hit) return hit;
+  const values = await embedUncached(text, { apiKey, model, dims, timeoutMs });
+  await cache.set(key, values);
+  return values;
+}
 
+async function embedUncached(text, { apiKey, model, dims, timeoutMs }) {
   const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:embedContent?key=${apiKey}`;
   const embedChunk = async (chunk) => {
     const body = {
@@ -1,4 +1,82 @@
 export { NeoBrain, _extractCredentialMatches, _extractCredentialMatchesDetailed } from "./client.js";
 export { embedText } from "./gemini.js";
+export {
+  EmbeddingProvider,
+  EMBEDDING_DIMS,
+  GeminiEmbeddingProvider,
+  OllamaEmbeddingProvider,
+  OpenAICompatibleEmbeddingProvider,
+  embeddingProviderFromEnv,
+  shadowEmbedderFromEnv,
+} from "./embeddings/index.js";
+export { EmbeddingCache, MemoryLRUTier, DiskTier, CachedEmbeddingProvider, defaultEmbeddingCache } from "./embeddings/cache.js";
+export { WriteJournal, isTransientError } from "./journal.js";
+export { RateLimiter } from "./throttle.js";
+export { chunkText, highlightPassage, DEFAULT_CHUNKING } from "./chunking.js";
+export { classifyFact, FACT_CONFLICT_MODES } from "./facts.js";
+export {
+  normalizePhone,
+  normalizeEmail,
+  normalizeLid,
+  normalizeIdentifier,
+  identifierLookupValues,
+  detectIdentifier,
+  normalizeName,
+  nameMatch,
+  trigramSimilarity,
+  PHONE_REGIONS,
+  DEFAULT_PHONE_REGION,
+} from "./people.js";
+export { rescore, scoringEnabled, DEFAULT_SCORING } from "./scoring.js";
+export { Reranker, CrossEncoderReranker, LLMJudgeReranker, rerankerFromEnv } from "./rerank/index.js";
+export { geminiLLM, openAICompatibleLLM } from "./llm.js";
+export { Summarizer, ExtractiveSummarizer, LLMSummarizer, summarizerFromEnv } from "./summarize.js";
+export { renderHandoff } from "./sessions.js";
+export { AgentPolicy, policyFromEnv, POLICY_ACTIONS } from "./policy.js";
+export { CREDENTIAL_GUARD_MODES, DEFAULT_CREDENTIAL_GUARD, credentialServiceForRule, leakedCredentialType, vaultPointer } from "./leak-guard.js";
+export { classifyPII, maxVisibilityFor, directoryNames, PII_MODES, DEFAULT_PII_MODE, SENSITIVE_PII_KINDS } from "./pii.js";
+export { WATCH_MODES, WATCH_EVENTS, encodeWatchCursor, decodeWatchCursor } from "./watch.js";
+export {
+  MetadataSchemaRegistry,
+  metadataSchemasFromEnv,
+  METADATA_VALIDATION_MODES,
+  DEFAULT_METADATA_VALIDATION,
+  SDK_METADATA_KEYS,
+} from "./metadata-schema.js";
+export {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  EXPORT_SECTIONS,
+  EXPORT_COLUMNS,
+  EXPORT_REFERENCES,
+  IMPORT_CONFLICT_MODES,
+  exportLine,
+  readExportRecords,
+} from "./export.js";
+export {
+  SHADOW_TABLES,
+  SEARCH_VECTORS,
+  MIGRATION_STATUSES,
+  EVAL_GATE_METRICS,
+  DEFAULT_EVAL_MAX_DROP,
+  shadowColumnName,
+  evalMetrics,
+  compareEvalMetrics,
+} from "./embedding-migration.js";
+export { PAGE_ORDERS, PAGE_MAX_ROWS, encodePageCursor, decodePageCursor } from "./paging.js";
+export {
+  DEFAULT_SNIPPET_CHARS,
+  SEARCH_RANKERS,
+  queryTerms,
+  stemTerm,
+  matchTerms,
+  highlightTerms,
+  snippet,
+  rankerContributions,
+} from "./explain.js";
+export { parseQuery, parseTimeRange, peopleDirectory, RECENT_DAYS } from "./query-parse.js";
+export { findDuplicateClusters, memorySimilarity, cosineSimilarity, DEDUPE_MODES } from "./dedupe.js";
+export { Backend, SupabaseBackend, PgBackend, BACKENDS, createBackend } from "./backends/index.js";
 export { S3StorageAdapter } from "./storage/s3.js";
+export { LocalFSAdapter, createLocalFSHandler } from "./storage/local-fs.js";
 export const NEO_SELF_ID = "00000000-0000-0000-0000-000000000001";
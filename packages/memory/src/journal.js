@@ -0,0 +1,224 @@
+import { appendFile, mkdir, open, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { randomUUID } from "node:crypto";
+
+const JOURNAL_FILE = "pending.ndjson";
+// A lockfile older than this belongs to a process that died holding it.
+const LOCK_STALE_MS = 30_000;
+const LOCK_WAIT_MS = 10_000;
+
+// Per journal file: the tail of the in-process write queue (see _locked).
+const queues = new Map();
+
+/**
+ * Write-ahead journal for NeoBrain writes that could not reach the backend.
+ *
+ * One append-only NDJSON file (`<dir>/pending.ndjson`). Each line is an event:
+ *   {"t":"enqueue","id","entry":{...}}   — a save that failed transiently
+ *   {"t":"attempt","id","error","at"}    — a replay that failed transiently
+ *   {"t":"done","id","at"}               — replayed (or found already applied)
+ *   {"t":"dead","id","error","at"}       — replay hit a permanent error; parked
+ *
+ * State is a fold over the lines, so a crash mid-append (torn last line) loses
+ * at most that one event. `id` is the memory's client-generated uuid — replay
+ * inserts with that id, so re-running a replay is idempotent.
+ *
+ * Every write — appends and compaction — holds the journal: first an
+ * in-process queue, then `<dir>/pending.ndjson.lock` against other processes
+ * (the CLI compacting while a client enqueues). Reads take no lock.
+ *
+ * Opt in with `new NeoBrain({ journal: new WriteJournal({ dir }) })` or
+ * env NEO_BRAIN_JOURNAL_DIR. Drain with brain.flushPending() or
+ * tools/neo-brain-journal.mjs.
+ */
+export class WriteJournal {
+  constructor({ dir } = {}) {
+    if (!dir) throw new Error("WriteJournal: dir required");
+    this.dir = resolve(dir);
+    this.file = join(this.dir, JOURNAL_FILE);
+    this.lockFile = `${this.file}.lock`;
+  }
+
+  // Run fn holding the journal. Writers in this process queue behind each
+  // other (keyed by file, so two WriteJournals on one dir share the queue);
+  // the head of the queue then takes the lockfile.
+  async _locked(fn) {
+    const prev = queues.get(this.file) || Promise.resolve();
+    let release;
+    const mine = new Promise((r) => { release = r; });
+    const tail = prev.then(() => mine);
+    queues.set(this.file, tail);
+    await prev;
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await this._lockFile();
+      try {
+        return await fn();
+      } finally {
+        await rm(this.lockFile, { force: true });
+      }
+    } finally {
+      release();
+      if (queues.get(this.file) === tail) queues.delete(this.file);
+    }
+  }
+
+  async _lockFile() {
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    for (;;) {
+      try {
+        const fh = await open(this.lockFile, "wx", 0o600);
+        await fh.writeFile(`${process.pid}\n`);
+        await fh.close();
+        return;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+      const held = await stat(this.lockFile).catch(() => null);
+      if (held && Date.now() - held.mtimeMs > LOCK_STALE_MS) {
+        await rm(this.lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`WriteJournal: ${this.lockFile} held for more than ${LOCK_WAIT_MS / 1000}s`);
+      await new Promise((r) => setTimeout(r, 20));
+    }
+  }
+
+  async _append(event) {
+    await this._locked(() => appendFile(this.file, JSON.stringify(event) + "\n", { mode: 0o600 }));
+  }
+
+  /** @param {{id:string, op:string}} entry */
+  async enqueue(entry, error = null) {
+    if (!entry?.id || !entry?.op) throw new Error("WriteJournal.enqueue: entry.id and entry.op required");
+    await this._append({ t: "enqueue", id: entry.id, at: new Date().toISOString(), error: errorText(error), entry });
+  }
+
+  async markAttempt(id, error) {
+    await this._append({ t: "attempt", id, at: new Date().toISOString(), error: errorText(error) });
+  }
+
+  async markDone(id) {
+    await this._append({ t: "done", id, at: new Date().toISOString() });
+  }
+
+  async markDead(id, error) {
+    await this._append({ t: "dead", id, at: new Date().toISOString(), error: errorText(error) });
+  }
+
+  /**
+   * Fold the log into current state.
+   * @returns {Promise<{pending:object[], dead:object[], corruptLines:number}>}
+   *   pending/dead items: { id, op, entry, queuedAt, attempts, lastError }
+   */
+  async read() {
+    let raw;
+    try {
+      raw = await readFile(this.file, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return { pending: [], dead: [], corruptLines: 0 };
+      throw e;
+    }
+    const items = new Map();
+    let corruptLines = 0;
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      let ev;
+      try {
+        ev = JSON.parse(line);
+      } catch {
+        corruptLines++;
+        continue;
+      }
+      if (ev.t === "enqueue") {
+        // A later enqueue for the same id (requeue) resets it to pending.
+        if (items.get(ev.id)?.state !== "pending") {
+          items.set(ev.id, { id: ev.id, op: ev.entry.op, entry: ev.entry, queuedAt: ev.at, attempts: ev.attempts || 0, lastError: ev.error, state: "pending" });
+        }
+        continue;
+      }
+      const it = items.get(ev.id);
+      if (!it) continue;
+      if (ev.t === "attempt") { it.attempts++; it.lastError = ev.error; }
+      else if (ev.t === "done") it.state = "done";
+      else if (ev.t === "dead") { it.attempts = ev.attempts ?? it.attempts + 1; it.lastError = ev.error; it.state = "dead"; }
+    }
+    const all = [...items.values()];
+    const strip = ({ state, ...rest }) => rest;
+    return {
+      pending: all.filter((i) => i.state === "pending").map(strip),
+      dead: all.filter((i) => i.state === "dead").map(strip),
+      corruptLines,
+    };
+  }
+
+  async pending() {
+    return (await this.read()).pending;
+  }
+
+  /** Move a dead-lettered entry back to pending (e.g. after fixing the cause). */
+  async requeue(id) {
+    await this._locked(async () => {
+      const { dead } = await this.read();
+      const it = dead.find((d) => d.id === id);
+      if (!it) throw new Error(`WriteJournal.requeue: no dead entry ${id}`);
+      const event = { t: "enqueue", id, at: new Date().toISOString(), error: it.lastError, entry: it.entry };
+      await appendFile(this.file, JSON.stringify(event) + "\n", { mode: 0o600 });
+    });
+  }
+
+  /** Drop an entry for good (pending or dead). */
+  async drop(id) {
+    await this.markDone(id);
+  }
+
+  /**
+   * Rewrite the file keeping only pending + dead entries. Holds the journal
+   * from the read to the rename, so no append can land in between and be
+   * lost. Returns true.
+   */
+  async compact() {
+    return this._locked(() => this._compact());
+  }
+
+  async _compact() {
+    const { pending, dead } = await this.read();
+    const lines = [
+      ...pending.map((i) => ({ t: "enqueue", id: i.id, at: i.queuedAt, error: i.lastError, attempts: i.attempts, entry: i.entry })),
+      ...dead.flatMap((i) => [
+        { t: "enqueue", id: i.id, at: i.queuedAt, error: null, entry: i.entry },
+        { t: "dead", id: i.id, at: new Date().toISOString(), error: i.lastError, attempts: i.attempts },
+      ]),
+    ];
+    const tmp = join(this.dir, `.${JOURNAL_FILE}.${randomUUID()}.tmp`);
+    if (!lines.length) {
+      await rm(this.file, { force: true });
+      return true;
+    }
+    await writeFile(tmp, lines.map((l) => JSON.stringify(l) + "\n").join(""), { mode: 0o600 });
+    await rename(tmp, this.file);
+    return true;
+  }
+}
+
+/**
+ * Is this failure worth queueing (backend unreachable / overloaded) rather
+ * than surfacing? Network errors, timeouts, HTTP 5xx/429 — yes. Validation,
+ * constraint violations, auth failures, dims mismatches — no: replaying them
+ * later would fail the same way.
+ */
+export function isTransientError(err) {
+  if (!err) return false;
+  if (typeof err.transient === "boolean") return err.transient;
+  if (err.name === "AbortError" || err.name === "TimeoutError") return true;
+  const codes = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "ETIMEDOUT", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_SOCKET"];
+  if (codes.includes(err.code) || codes.includes(err.cause?.code)) return true;
+  const msg = String(err.message || "");
+  if (/fetch failed|socket hang up|network error|This operation was aborted/i.test(msg)) return true;
+  return /\b(5\d\d|429)\b:/.test(msg);
+}
+
+function errorText(e) {
+  if (!e) return null;
+  return String(e.message || e).slice(0, 300);
+}
@@ -0,0 +1,67 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Credential-leak guard helpers for NeoBrain writes.
+ *
+ * Before save() / saveMany() / update() / upsertFact() / saveMedia() write
+ * text, NeoBrain scans it with the credential ruleset (credential-rules.json,
+ * the same one redactMemory() uses) and acts on `credentialGuard`:
+ *
+ *   reject                    throw (code CREDENTIAL_LEAK); nothing written
+ *   redact-with-vault-pointer store each secret with upsertCredential() and
+ *                             write `→ vault: service=…, type=…` in its place
+ *   warn                      write as-is, report the matches
+ *   off                       no scan
+ *
+ * Findings are reported per rule id — { "ctk-anthropic-api-key": 1 } — as
+ * `redactions` or `credentialWarnings` on the write's result. Secrets never
+ * appear in errors or reports.
+ */
+
+export const CREDENTIAL_GUARD_MODES = ["reject", "redact-with-vault-pointer", "warn", "off"];
+export const DEFAULT_CREDENTIAL_GUARD = "reject";
+
+/** Vault service a leaked secret is filed under: the rule id's vendor part. */
+export function credentialServiceForRule(ruleId) {
+  return String(ruleId).replace(/^(ctk|gitleaks)-/, "").split("-")[0] || "unknown";
+}
+
+/**
+ * Credential type for a leaked secret — stable per value, so the same key
+ * leaked twice lands on one vault entry.
+ */
+export function leakedCredentialType(secret) {
+  return `leaked_${createHash("sha256").update(secret).digest("hex").slice(0, 12)}`;
+}
+
+/** The pointer text that replaces a secret. Not itself credential-shaped. */
+export function vaultPointer({ service, type }) {
+  return `→ vault: service=${service}, type=${type}`;
+}
+
+/** { ruleId: number of distinct secrets } */
+export function countByRule(findings) {
+  const out = {};
+  for (const { ruleId } of findings) out[ruleId] = (out[ruleId] || 0) + 1;
+  return out;
+}
+
+/** Every string inside `value` (a string, or arrays / plain objects of them). */
+export function collectStrings(value, out = []) {
+  if (typeof value === "string") out.push(value);
+  else if (Array.isArray(value)) for (const v of value) collectStrings(v, out);
+  else if (value && typeof value === "object") for (const v of Object.values(value)) collectStrings(v, out);
+  return out;
+}
+
+/** Deep-copy `value` with each key of `replacements` (secret → text) replaced, longest first. */
+export function replaceSecrets(value, replacements) {
+  const pairs = [...replacements].sort((a, b) => b[0].length - a[0].length);
+  const walk = (v) => {
+    if (typeof v === "string") return pairs.reduce((s, [secret, text]) => s.split(secret).join(text), v);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
+}
@@ -0,0 +1,56 @@
+import { postJson } from "./embeddings/provider.js";
+
+/**
+ * Text-completion callables for SDK features that need an LLM (LLM-judge
+ * reranking, session summaries). An LLM here is just
+ *   async (prompt, { json }) => string
+ * so tests and callers can pass any function; these build one for Gemini
+ * (the fleet default, same key as embeddings) or any OpenAI-style
+ * /v1/chat/completions server.
+ */
+
+export function geminiLLM({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.NEO_BRAIN_LLM_MODEL || "gemini-2.5-flash",
+  temperature = 0,
+  maxOutputTokens = 2048,
+  timeoutMs = 30000,
+} = {}) {
+  return async function complete(prompt, { json = false } = {}) {
+    if (!apiKey) throw new Error("GEMINI_API_KEY not set");
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+    const data = await postJson(url, {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+        thinkingConfig: { thinkingBudget: 0 },
+        ...(json ? { responseMimeType: "application/json" } : {}),
+      },
+    }, { timeoutMs, label: "gemini generate" });
+    return (data?.candidates?.[0]?.content?.parts || []).map((p) => p.text || "").join("\n");
+  };
+}
+
+export function openAICompatibleLLM({ baseUrl, model, apiKey = null, temperature = 0, maxTokens = 2048, timeoutMs = 60000 } = {}) {
+  if (!baseUrl) throw new Error("openAICompatibleLLM: baseUrl required");
+  if (!model) throw new Error("openAICompatibleLLM: model required");
+  const url = `${baseUrl.replace(/\/+$/, "").replace(/\/v1$/, "")}/v1/chat/completions`;
+  return async function complete(prompt, { json = false } = {}) {
+    const data = await postJson(url, {
+      model,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+    }, { headers: apiKey ? { authorization: `Bearer ${apiKey}` } : {}, timeoutMs, label: "llm chat" });
+    return data?.choices?.[0]?.message?.content || "";
+  };
+}
+
+/** First JSON object/array in an LLM reply (tolerates ```json fences and chatter). */
+export function parseJsonReply(text) {
+  const m = String(text || "").match(/[{[][\s\S]*[}\]]/);
+  if (!m) throw new Error(`LLM reply has no JSON: ${String(text).slice(0, 120)}`);
+  return JSON.parse(m[0]);
+}
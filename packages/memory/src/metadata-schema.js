@@ -0,0 +1,199 @@
+import { readFileSync } from "node:fs";
+
+/**
+ * Per-category metadata schemas for memories.
+ *
+ * `metadata` is free-form jsonb, but operational categories carry keys that
+ * detectors and dispatchers query (`pr-awaiting-decision` → metadata.pr_url,
+ * metadata.pr_number, …). A registry maps those categories to a schema:
+ *
+ *   {
+ *     "version": 1,
+ *     "categories": {
+ *       "pr-awaiting-decision": {
+ *         "required": ["pr_url", "pr_number"],
+ *         "properties": { "pr_url": { "type": "string", "pattern": "^https://github\\.com/" }, … }
+ *       }
+ *     }
+ *   }
+ *
+ * Schemas are a JSON Schema subset: type, enum, pattern, format (date,
+ * date-time, uri), minimum, maximum, minLength, maxLength, items,
+ * properties, required, additionalProperties (boolean), description.
+ * Anything else is rejected when the registry loads, so a schema never
+ * silently checks less than it says. Keys the SDK itself writes
+ * (SDK_METADATA_KEYS) always pass.
+ *
+ * The bundled registry is metadata-schemas.json next to this file; NeoBrain
+ * validates on save() per METADATA_VALIDATION_MODES:
+ *
+ *   warn     (default) write, and report `metadataWarnings`
+ *   strict   throw (code METADATA_INVALID); nothing written
+ *   off      no check
+ */
+
+export const METADATA_VALIDATION_MODES = ["warn", "strict", "off"];
+export const DEFAULT_METADATA_VALIDATION = "warn";
+export const SDK_METADATA_KEYS = ["pii_kinds", "occurrences", "occurrence_count"];
+
+const BUNDLED = new URL("./metadata-schemas.json", import.meta.url);
+const KEYWORDS = new Set([
+  "type", "enum", "pattern", "format", "minimum", "maximum", "minLength", "maxLength",
+  "items", "properties", "required", "additionalProperties", "description",
+]);
+const TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const FORMATS = {
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  "date-time": (v) => /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v)),
+  uri: (v) => URL.canParse(v),
+};
+
+export class MetadataSchemaRegistry {
+  /**
+   * @param {{version?:number, categories:Object<string,object>}} doc
+   * @param {{origin?:string}} [opts] — where the document came from, for error messages
+   */
+  constructor(doc, { origin = "inline" } = {}) {
+    if (!doc || typeof doc !== "object" || !doc.categories || typeof doc.categories !== "object") {
+      throw new Error(`metadata schemas (${origin}): { categories: { "<category>": schema } } required`);
+    }
+    if (doc.version != null && doc.version !== 1) throw new Error(`metadata schemas (${origin}): unsupported version ${doc.version}`);
+    this.origin = origin;
+    this.schemas = new Map();
+    for (const [category, schema] of Object.entries(doc.categories)) {
+      checkSchema(schema, `metadata schemas (${origin}): ${category}`);
+      this.schemas.set(category, schema);
+    }
+  }
+
+  /** The registry shipped with the SDK (metadata-schemas.json). */
+  static bundled() {
+    return MetadataSchemaRegistry.fromFile(BUNDLED);
+  }
+
+  /** Load a JSON registry from disk. */
+  static fromFile(path) {
+    const origin = path instanceof URL ? path.pathname : path;
+    let doc;
+    try {
+      doc = JSON.parse(readFileSync(path, "utf8"));
+    } catch (e) {
+      throw new Error(`metadata schemas (${origin}): ${e.message}`);
+    }
+    return new MetadataSchemaRegistry(doc, { origin });
+  }
+
+  /** Build a registry from metadata_schemas rows ({ category, schema }). */
+  static fromRows(rows, { origin = "metadata_schemas" } = {}) {
+    return new MetadataSchemaRegistry({ version: 1, categories: Object.fromEntries(rows.map((r) => [r.category, r.schema])) }, { origin });
+  }
+
+  /** Categories with a schema. */
+  categories() {
+    return [...this.schemas.keys()];
+  }
+
+  schemaFor(category) {
+    return this.schemas.get(category) || null;
+  }
+
+  /**
+   * Problems with `metadata` for `category`, as "metadata.path: problem"
+   * strings; [] when it conforms or the category has no schema.
+   * @returns {string[]}
+   */
+  validate(category, metadata) {
+    const schema = this.schemaFor(category);
+    if (!schema) return [];
+    const value = metadata ?? {};
+    if (!isObject(value)) return [`metadata: expected object, got ${typeOf(value)}`];
+    const rest = Object.fromEntries(Object.entries(value).filter(([k]) => !SDK_METADATA_KEYS.includes(k)));
+    return validateValue(rest, { type: "object", ...schema }, "metadata");
+  }
+}
+
+/**
+ * Registry from env: NEO_BRAIN_METADATA_SCHEMAS is a JSON file path, `db`
+ * for the metadata_schemas table (loaded by NeoBrain.loadMetadataSchemas()),
+ * or `off`. Unset means the bundled registry.
+ *
+ * @returns {MetadataSchemaRegistry|"db"|null}
+ */
+export function metadataSchemasFromEnv({ env = process.env } = {}) {
+  const value = env.NEO_BRAIN_METADATA_SCHEMAS;
+  if (!value) return MetadataSchemaRegistry.bundled();
+  if (value === "off") return null;
+  return value === "db" ? "db" : MetadataSchemaRegistry.fromFile(value);
+}
+
+function validateValue(value, schema, path) {
+  const types = schema.type == null ? null : [].concat(schema.type);
+  if (types && !types.some((t) => hasType(value, t))) return [`${path}: expected ${types.join(" | ")}, got ${typeOf(value)}`];
+  const errors = [];
+  if (schema.enum && !schema.enum.some((e) => e === value)) errors.push(`${path}: must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    if (schema.format && !FORMATS[schema.format](value)) errors.push(`${path}: not a valid ${schema.format}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below minimum ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above maximum ${schema.maximum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => errors.push(...validateValue(v, schema.items, `${path}[${i}]`)));
+  }
+  if (isObject(value)) {
+    for (const key of schema.required || []) if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validateValue(v, sub, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+// Reject what validateValue() would not enforce, at load time.
+function checkSchema(schema, where) {
+  if (!isObject(schema)) throw new Error(`${where}: schema must be an object`);
+  for (const key of Object.keys(schema)) if (!KEYWORDS.has(key)) throw new Error(`${where}: unsupported keyword "${key}"`);
+  for (const t of schema.type == null ? [] : [].concat(schema.type)) {
+    if (!TYPES.includes(t)) throw new Error(`${where}: unknown type "${t}"`);
+  }
+  if (schema.format != null && !FORMATS[schema.format]) throw new Error(`${where}: unknown format "${schema.format}"`);
+  if (schema.pattern != null) {
+    try {
+      new RegExp(schema.pattern, "u");
+    } catch (e) {
+      throw new Error(`${where}: bad pattern — ${e.message}`);
+    }
+  }
+  if (schema.required != null && !Array.isArray(schema.required)) throw new Error(`${where}: required must be an array`);
+  if (schema.additionalProperties != null && typeof schema.additionalProperties !== "boolean") {
+    throw new Error(`${where}: additionalProperties must be true or false`);
+  }
+  if (schema.items) checkSchema(schema.items, `${where}[]`);
+  for (const [key, sub] of Object.entries(schema.properties || {})) checkSchema(sub, `${where}.${key}`);
+}
+
+function hasType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "object") return isObject(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "null") return value === null;
+  return typeof value === type;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
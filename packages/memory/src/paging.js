@@ -0,0 +1,48 @@
+/**
+ * Keyset pagination for listMemories() / iterateMemories() and the facts,
+ * people and media listings built the same way.
+ *
+ * Pages are ordered by (created_at, id) — newest first unless `order: "asc"`
+ * — and each page hands back `nextCursor`: the position of its last row,
+ * encoded. The next page is every row strictly past that position, so rows
+ * inserted while a consumer pages through neither shift nor repeat what it
+ * sees (offset paging does both), and no listing stops at PostgREST's row cap.
+ */
+
+export const PAGE_ORDERS = ["desc", "asc"];
+
+// PostgREST's default db-max-rows: a page can come back this short even when
+// more rows match, so a page this full still gets a nextCursor.
+export const PAGE_MAX_ROWS = 1000;
+
+/** Opaque cursor for the (created_at, id) position of a row in an `order` listing. */
+export function encodePageCursor({ at, id, order = "desc" }) {
+  return Buffer.from(JSON.stringify([at, id, order])).toString("base64url");
+}
+
+/** @returns {{at:string, id:string, order:"desc"|"asc"}} */
+export function decodePageCursor(cursor, label = "list") {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== 3 || !parsed[0] || !parsed[1] || !PAGE_ORDERS.includes(parsed[2])) {
+    throw new Error(`${label}: bad cursor "${cursor}"`);
+  }
+  return { at: parsed[0], id: parsed[1], order: parsed[2] };
+}
+
+/** PostgREST or() filter for the rows past `cursor` in its order. */
+export function keysetFilter({ at, id, order }) {
+  const op = order === "asc" ? "gt" : "lt";
+  return `created_at.${op}.${at},and(created_at.eq.${at},id.${op}.${id})`;
+}
+
+/** A select list that carries the keyset columns. */
+export function withKeyColumns(columns) {
+  if (!columns || columns.trim() === "*") return "*";
+  const have = columns.split(",").map((c) => c.trim());
+  return [...have, ...["id", "created_at"].filter((c) => !have.includes(c))].join(", ");
+}
@@ -0,0 +1,219 @@
+/**
+ * Person identifier normalization and name matching.
+ *
+ * The same person reaches neo-brain as `+60 17-751 9610`, `60177519610`,
+ * `0177519610`, `60177519610@s.whatsapp.net` or a WhatsApp LID. Identifiers
+ * are stored in one canonical form per type — E.164 phones (`+60177519610`),
+ * lowercase emails, `<digits>@lid` LIDs — and looked up under that form plus
+ * the legacy spellings already in the table (digits-only phones, bare LIDs).
+ *
+ * Names are matched fuzzily for NeoBrain.findPeople(): case, accents,
+ * punctuation and honorifics are ignored, then exact > token-prefix >
+ * trigram similarity (pg_trgm style, so the SQL prefilter and this scorer
+ * agree on what "close" means).
+ */
+
+/** Calling code and national trunk prefix per supported region. */
+export const PHONE_REGIONS = {
+  MY: { code: "60", trunk: "0" },
+  SG: { code: "65", trunk: null },
+  BN: { code: "673", trunk: null },
+  ID: { code: "62", trunk: "0" },
+  TH: { code: "66", trunk: "0" },
+  PH: { code: "63", trunk: "0" },
+  AU: { code: "61", trunk: "0" },
+  GB: { code: "44", trunk: "0" },
+  US: { code: "1", trunk: "1" },
+};
+export const DEFAULT_PHONE_REGION = "MY";
+
+// Identifier types too loose to decide that two people rows are one person.
+export const WEAK_IDENTIFIER_TYPES = new Set(["name", "nickname", "push_name"]);
+
+const WA_USER_JID = /@(s\.whatsapp\.net|c\.us)$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * E.164 form of a phone number, or null if it does not look like one.
+ *
+ * `+…` and `00…` are international. A leading trunk prefix (`0` in MY) is
+ * national for `region`. Bare digit strings of 10+ digits are taken as
+ * already international — WhatsApp's format, and what the table holds —
+ * shorter ones as national numbers missing their trunk prefix.
+ *
+ * @param {string|number} value
+ * @param {{region?:string}} [opts]
+ * @returns {string|null}
+ */
+export function normalizePhone(value, { region = DEFAULT_PHONE_REGION } = {}) {
+  if (value == null) return null;
+  const country = PHONE_REGIONS[region];
+  if (!country) throw new Error(`normalizePhone: unknown region ${region}`);
+  const s = String(value).trim().toLowerCase().replace(WA_USER_JID, "").replace(/:\d+$/, "");
+  if (!s || /[^\d\s+().\-/]/.test(s)) return null;
+  let digits = s.replace(/\D/g, "");
+  if (s.startsWith("+")) {
+    // already international
+  } else if (s.startsWith("00")) {
+    digits = digits.slice(2);
+  } else if (country.trunk && digits.startsWith(country.trunk) && !digits.startsWith(country.code)) {
+    digits = country.code + digits.slice(country.trunk.length);
+  } else if (!digits.startsWith(country.code) && digits.length < 10) {
+    digits = country.code + digits;
+  }
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/** Lowercased, trimmed email (a `mailto:` prefix dropped), or null. */
+export function normalizeEmail(value) {
+  if (value == null) return null;
+  const s = String(value).trim().replace(/^mailto:/i, "").toLowerCase();
+  return EMAIL.test(s) ? s : null;
+}
+
+/** `<digits>@lid` (device suffix dropped), or null. */
+export function normalizeLid(value) {
+  if (value == null) return null;
+  const m = String(value).trim().toLowerCase().match(/^(\d+)(?::\d+)?(@lid)?$/);
+  return m ? `${m[1]}@lid` : null;
+}
+
+/**
+ * Canonical `{type, value}`. A WhatsApp JID decides the type whatever the
+ * caller said (`…@lid` → lid, `…@s.whatsapp.net` → phone, `…@g.us` →
+ * group_id). Values that fail to parse are kept trimmed rather than dropped.
+ *
+ * @param {{type:string, value:any}} identifier
+ * @param {{region?:string}} [opts]
+ * @returns {{type:string, value:string}}
+ */
+export function normalizeIdentifier({ type, value }, { region = DEFAULT_PHONE_REGION } = {}) {
+  const raw = String(value ?? "").trim();
+  let t = String(type || "").trim().toLowerCase();
+  const lower = raw.toLowerCase();
+  if (/@lid$/.test(lower)) t = "lid";
+  else if (WA_USER_JID.test(lower)) t = "phone";
+  else if (/@g\.us$/.test(lower)) t = "group_id";
+  if (t === "phone") return { type: t, value: normalizePhone(raw, { region }) ?? raw };
+  if (t === "email") return { type: t, value: normalizeEmail(raw) ?? lower };
+  if (t === "lid") return { type: t, value: normalizeLid(raw) ?? lower };
+  if (t === "group_id") return { type: t, value: lower };
+  return { type: t, value: raw };
+}
+
+/**
+ * Every `{type, value}` an identifier may be stored under, canonical first:
+ * phones also as digits-only and as given, LIDs also without `@lid`.
+ */
+export function identifierLookupValues(identifier, { region = DEFAULT_PHONE_REGION } = {}) {
+  const norm = normalizeIdentifier(identifier, { region });
+  const values = [norm.value];
+  if (norm.type === "phone" && norm.value.startsWith("+")) values.push(norm.value.slice(1));
+  if (norm.type === "lid") values.push(norm.value.replace(/@lid$/, ""));
+  values.push(String(identifier.value ?? "").trim());
+  return [...new Set(values)].filter(Boolean).map((value) => ({ type: norm.type, value }));
+}
+
+/**
+ * Classify free text as an identifier — a LID, an email or a phone number —
+ * or null when it reads as a name.
+ * @returns {{type:string, value:string}|null}
+ */
+export function detectIdentifier(text, { region = DEFAULT_PHONE_REGION } = {}) {
+  const s = String(text ?? "").trim();
+  if (!s) return null;
+  if (normalizeLid(s) && /@lid$/i.test(s)) return { type: "lid", value: normalizeLid(s) };
+  if (WA_USER_JID.test(s.toLowerCase())) return normalizeIdentifier({ type: "phone", value: s }, { region });
+  const email = normalizeEmail(s);
+  if (email) return { type: "email", value: email };
+  const phone = /^[+\d][\d\s().\-/]*$/.test(s) ? normalizePhone(s, { region }) : null;
+  return phone ? { type: "phone", value: phone } : null;
+}
+
+/**
+ * Union by normalized type + value, existing entries first and kept as
+ * stored (a digits-only phone already on the row is not re-added as E.164).
+ */
+export function unionIdentifiers(existing, added, { region = DEFAULT_PHONE_REGION } = {}) {
+  const key = (i) => {
+    const n = normalizeIdentifier(i, { region });
+    return `${n.type}:${n.value.toLowerCase()}`;
+  };
+  const seen = new Set(existing.map(key));
+  const out = [...existing];
+  for (const i of added) {
+    if (!i?.type || i.value == null || i.value === "" || seen.has(key(i))) continue;
+    seen.add(key(i));
+    out.push({ type: i.type, value: i.value });
+  }
+  return out;
+}
+
+// ---------- names ----------
+
+// Dropped before matching: "Dato' Siti" should find "Siti Aminah".
+const HONORIFICS = new Set([
+  "mr", "mrs", "ms", "dr", "prof", "encik", "en", "cik", "puan", "pn", "tuan", "tn",
+  "dato", "datuk", "datin", "haji", "hj", "hajah", "hjh", "bro", "sis", "kak", "abang", "abg",
+]);
+
+/** Lowercase, accents and punctuation stripped, honorifics dropped. */
+export function normalizeName(name) {
+  const words = String(name ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/['’`]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const kept = words.filter((w) => !HONORIFICS.has(w));
+  return (kept.length ? kept : words).join(" ");
+}
+
+function trigrams(text) {
+  const out = new Set();
+  for (const word of text.split(" ").filter(Boolean)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) out.add(padded.slice(i, i + 3));
+  }
+  return out;
+}
+
+/** pg_trgm similarity(): shared trigrams over all trigrams. Inputs are normalized first. */
+export function trigramSimilarity(a, b) {
+  const x = trigrams(normalizeName(a));
+  const y = trigrams(normalizeName(b));
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const t of x) if (y.has(t)) shared++;
+  return shared / (x.size + y.size - shared);
+}
+
+/**
+ * How well `query` names `name`:
+ *   exact  1     — equal once normalized
+ *   prefix 0.9   — every query word starts a different name word ("siti am" → "Siti Aminah")
+ *   fuzzy  ≤ 0.8 — the better of whole-string trigram similarity and the mean
+ *                  best per-word similarity (typos, partial names)
+ *
+ * @returns {{score:number, how:'exact'|'prefix'|'fuzzy'}}
+ */
+export function nameMatch(query, name) {
+  const q = normalizeName(query);
+  const n = normalizeName(name);
+  if (!q || !n) return { score: 0, how: "fuzzy" };
+  if (q === n) return { score: 1, how: "exact" };
+  const qw = q.split(" ");
+  const nw = n.split(" ");
+  const free = [...nw];
+  const prefixes = qw.every((w) => {
+    const i = free.findIndex((x) => x.startsWith(w));
+    if (i < 0) return false;
+    free.splice(i, 1);
+    return true;
+  });
+  if (prefixes) return { score: 0.9, how: "prefix" };
+  const whole = trigramSimilarity(q, n);
+  const perWord = qw.reduce((sum, w) => sum + Math.max(...nw.map((x) => trigramSimilarity(w, x))), 0) / qw.length;
+  return { score: 0.8 * Math.max(whole, perWord), how: "fuzzy" };
+}
@@ -0,0 +1,161 @@
+import { DEFAULT_PHONE_REGION, normalizeName, normalizePhone } from "./people.js";
+
+/**
+ * PII classification for NeoBrain.save() visibility.
+ *
+ * classifyPII() finds personal data in a memory's text:
+ *
+ *   phone       phone numbers and WhatsApp JIDs (validated with normalizePhone);
+ *               an unbroken digit run only with a leading + or a Malaysian
+ *               prefix (01x, 03…09, 08x), and never before a unit ("… ms")
+ *   email       email addresses
+ *   my_ic       Malaysian IC numbers (YYMMDD-PB-####, with a real birth date)
+ *   address     street addresses — Jalan / Lorong / Taman / Kg … before a
+ *               capitalised place name or a road number ("Jalan 14/2"),
+ *               "<no> <name> Road", a 5-digit postcode followed by a
+ *               Malaysian state
+ *   health      medical terms, English and Malay; the ones with everyday
+ *               senses (diagnose, stroke, therapy, medication, surgery, ubat)
+ *               only alongside a medical cue in the same sentence
+ *   person      a name from the people directory (anyone but Neo)
+ *
+ * maxVisibilityFor(kinds) is the most open visibility that is still right for
+ * a memory holding them: `private` for any SENSITIVE_PII_KINDS, `internal`
+ * for a named third party, `public` otherwise. NeoBrain applies it on save
+ * per PII_MODES:
+ *
+ *   downgrade       tag metadata.pii_kinds and lower the visibility
+ *   reject-public   like downgrade, but throw when `public` was asked for
+ *   tag             (default) only tag metadata.pii_kinds
+ *   off             no scan
+ *
+ * The default only tags: the detectors are heuristics, and a false positive
+ * that silently hides a memory is worse than a tag someone can audit
+ * (piiReport()).
+ */
+
+export const PII_MODES = ["downgrade", "reject-public", "tag", "off"];
+export const DEFAULT_PII_MODE = "tag";
+export const SENSITIVE_PII_KINDS = ["phone", "email", "my_ic", "address", "health"];
+
+const MY_STATES = [
+  "johor", "kedah", "kelantan", "melaka", "malacca", "negeri sembilan", "pahang", "perak", "perlis", "pulau pinang", "penang",
+  "sabah", "sarawak", "selangor", "terengganu", "kuala lumpur", "putrajaya", "labuan",
+].join("|");
+
+// Both cases of the street word, but the place name after it capitalised:
+// "Jalan Ampang", "kg Baru", "JALAN 14/2" — not "2 kg of fixes" or "jalan script".
+const caseless = (word) => [...word].map((c) => `[${c.toUpperCase()}${c}]`).join("");
+const STREET_WORDS = ["jalan", "jln", "lorong", "lrg", "persiaran", "lebuhraya", "taman", "tmn", "kampung", "kg"].map(caseless).join("|");
+
+// Malaysian numbers after the trunk 0: mobile 01x, landlines 03–07 and 09,
+// Sabah / Sarawak 082–089.
+const MY_PHONE_PREFIX = /^0(?:1\d|[3-79]|8[2-9])/;
+// A digit run followed by one of these is a measurement, not a phone number.
+const UNIT_AFTER = /^\s*(?:ms|s|sec\w*|min\w*|h|hrs?|hours?|days?|[kmgt]i?b|bytes?|rows?|records?|tokens?|%|x)\b/i;
+
+// Health words with an everyday sense count only next to one of these (or an
+// unambiguous health term) in the same sentence.
+const MEDICAL_CUES = /\b(?:doctor|dr|doktor|hospital|clinic|klinik|patient|pesakit|nurse|jururawat|ward|wad|sick|sakit|illness|penyakit|symptoms?|simptom|treatment|rawatan|prescri\w*|dose|dos|pills?|pil|recover\w*|pulih|icu|specialist|pakar|physio\w*|checkup|check-up)\b/i;
+const HEALTH_TERMS = "diabet\\w*|kencing manis|cancer|kanser|tumou?r|chemo\\w*|hiv|hepatitis|pregnan\\w*|mengandung|miscarriage|keguguran|depress\\w*|kemurungan|anxiety|bipolar|schizophren\\w*|psychiatr\\w*|terapi|pembedahan|warded|admitted to hospital|masuk wad|prescri\\w*|blood pressure|darah tinggi|asthma|asma|dialysis|dialisis";
+const HEALTH_RE = new RegExp(String.raw`\b(?:${HEALTH_TERMS})\b`, "i");
+
+const DETECTORS = [
+  { kind: "phone", re: /\d{8,15}@(?:s\.whatsapp\.net|c\.us)/g },
+  { kind: "email", re: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { kind: "my_ic", re: /(?<![\d+])(\d{2})(\d{2})(\d{2})-?(\d{2})-?(\d{4})(?!\d)/g, valid: validIC },
+  { kind: "phone", re: /(?<![\w+])(?:\+|00|0)\d[\d\s-]{6,16}\d(?![\w@])/g, valid: validPhone },
+  { kind: "address", re: new RegExp(String.raw`\b(?:${STREET_WORDS})\.?\s+(?:[A-Z][A-Za-z]|\d+[A-Za-z]?\/\d)`, "g") },
+  {
+    kind: "address",
+    re: new RegExp(
+      [
+        String.raw`\b\d+[a-z]?,?\s+(?:[a-z]+\s+){1,3}(?:street|st|road|rd|avenue|ave|lane|drive|boulevard)\b`,
+        String.raw`\b\d{5}\s*,?\s*(?:[a-z]+\s+){0,2}(?:${MY_STATES})\b`,
+      ].join("|"),
+      "gi",
+    ),
+  },
+  { kind: "health", re: new RegExp(HEALTH_RE.source, "gi") },
+  { kind: "health", re: /\b(?:diagnos\w*|strokes?|therapy|medications?|surgery|ubat)\b/gi, valid: medicalContext },
+];
+
+/**
+ * @param {string} text
+ * @param {{names?:string[][], region?:string}} [opts] — `names`: per person,
+ *   the normalized names to look for (directoryNames())
+ * @returns {{kinds:string[], counts:Object<string,number>}} kinds sorted;
+ *   `person` counts people, not mentions
+ */
+export function classifyPII(text, { names = [], region = DEFAULT_PHONE_REGION } = {}) {
+  const counts = {};
+  if (typeof text !== "string" || !text) return { kinds: [], counts };
+  const taken = [];
+  for (const { kind, re, valid } of DETECTORS) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (taken.some(([s, e]) => start < e && end > s)) continue;
+      if (valid && !valid(m, { region })) continue;
+      taken.push([start, end]);
+      counts[kind] = (counts[kind] || 0) + 1;
+    }
+  }
+  if (names.length) {
+    // Drop possessives first: normalizeName would turn "Aiman's" into "aimans".
+    const flat = ` ${normalizeName(text.replace(/['’]s\b/gi, ""))} `;
+    const hits = names.filter((personNames) => personNames.some((n) => flat.includes(` ${n} `))).length;
+    if (hits) counts.person = hits;
+  }
+  return { kinds: Object.keys(counts).sort(), counts };
+}
+
+/** Most open visibility a memory with these PII kinds should have. */
+export function maxVisibilityFor(kinds) {
+  if (kinds.some((k) => SENSITIVE_PII_KINDS.includes(k))) return "private";
+  if (kinds.length) return "internal";
+  return "public";
+}
+
+/**
+ * Names worth matching from people rows, one array per person: display name
+ * and nicknames of everyone but `selfId`, normalized, at least 4 characters
+ * (shorter ones match ordinary words).
+ * @returns {string[][]}
+ */
+export function directoryNames(people, { selfId = null } = {}) {
+  const out = [];
+  for (const p of people) {
+    if (p.id === selfId || p.metadata?.merged_into) continue;
+    const raw = [p.display_name, ...(p.identifiers || []).filter((i) => i.type === "nickname").map((i) => i.value)];
+    const names = [...new Set(raw.map((n) => normalizeName(n || "")).filter((n) => n.length >= 4))];
+    if (names.length) out.push(names);
+  }
+  return out;
+}
+
+function validIC(m) {
+  const [, , mm, dd, pb] = m;
+  return Number(mm) >= 1 && Number(mm) <= 12 && Number(dd) >= 1 && Number(dd) <= 31 && pb !== "00";
+}
+
+function validPhone(m, { region }) {
+  const digits = m[0].replace(/\D/g, "");
+  if (digits.length < 9 || digits.length > 15) return false;
+  if (UNIT_AFTER.test(m.input.slice(m.index + m[0].length))) return false;
+  // An unbroken run is as likely an id, a count or a timing: only a leading
+  // + or a Malaysian prefix makes it a phone number.
+  if (/^\d+$/.test(m[0]) && !MY_PHONE_PREFIX.test(m[0])) return false;
+  return normalizePhone(m[0], { region }) !== null;
+}
+
+// The sentence around the match holds a medical cue or another health term.
+function medicalContext(m) {
+  const text = m.input;
+  const start = Math.max(...[".", "!", "?", "\n"].map((c) => text.lastIndexOf(c, m.index))) + 1;
+  const ends = [".", "!", "?", "\n"].map((c) => text.indexOf(c, m.index + m[0].length)).filter((i) => i >= 0);
+  const sentence = text.slice(start, ends.length ? Math.min(...ends) : text.length);
+  return MEDICAL_CUES.test(sentence) || HEALTH_RE.test(sentence);
+}
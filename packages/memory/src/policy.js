@@ -0,0 +1,154 @@
+import { readFileSync } from "node:fs";
+
+/**
+ * Per-agent policies enforced by NeoBrain before any network call.
+ *
+ * A policy document maps agent names (exact, or globs with `*`) to what the
+ * agent may do:
+ *
+ *   {
+ *     "version": 1,
+ *     "agents": {
+ *       "nclaw-*": {
+ *         "write": { "categories": ["conversation", "project"], "visibilities": ["private", "internal"] },
+ *         "read":  { "visibilities": ["public", "internal"] },
+ *         "credentials": ["gemini"]
+ *       },
+ *       "claude-code-*": { "write": {}, "read": {}, "credentials": ["*"] },
+ *       "*": { "read": { "visibilities": ["public"] } }
+ *     }
+ *   }
+ *
+ * Per action, `categories` / `visibilities` / `subjects` (person ids) left
+ * out or null allow anything, `[]` allows nothing and `"*"` in a list allows
+ * anything. A missing `write` / `read` / `credentials` key denies that
+ * action. `write.sources` lists the `source` labels the agent may write
+ * under besides its own name (none unless listed).
+ *
+ * An agent's exact name wins over globs, and a longer glob over a shorter
+ * one. An agent no entry matches is denied everything.
+ */
+
+export const POLICY_ACTIONS = ["read", "write", "credential"];
+
+// target field → [rules key, label in denial reasons], per action.
+const MEMORY_DIMENSIONS = [["category", "categories", "category"], ["visibility", "visibilities", "visibility"], ["subjectId", "subjects", "subject"]];
+const DIMENSIONS = {
+  read: MEMORY_DIMENSIONS,
+  write: MEMORY_DIMENSIONS,
+  credential: [["service", "credentials", "credential service"]],
+};
+
+export class AgentPolicy {
+  /**
+   * @param {{version?:number, agents:object}} doc
+   * @param {{origin?:string}} [opts] — where the document came from, for error messages
+   */
+  constructor(doc, { origin = "inline" } = {}) {
+    if (!doc || typeof doc !== "object" || !doc.agents || typeof doc.agents !== "object") {
+      throw new Error(`policy (${origin}): { agents: { "<agent or glob>": rules } } required`);
+    }
+    if (doc.version != null && doc.version !== 1) throw new Error(`policy (${origin}): unsupported version ${doc.version}`);
+    this.origin = origin;
+    this.entries = Object.entries(doc.agents).map(([pattern, rules]) => {
+      if (!rules || typeof rules !== "object") throw new Error(`policy (${origin}): rules for "${pattern}" must be an object`);
+      return { pattern, rules, re: pattern.includes("*") ? globRegExp(pattern) : null };
+    });
+  }
+
+  /** Load a JSON policy document from disk. */
+  static fromFile(path) {
+    let doc;
+    try {
+      doc = JSON.parse(readFileSync(path, "utf8"));
+    } catch (e) {
+      throw new Error(`policy (${path}): ${e.message}`);
+    }
+    return new AgentPolicy(doc, { origin: path });
+  }
+
+  /** Build a policy from agent_policies rows ({ agent, rules }). */
+  static fromRows(rows, { origin = "agent_policies" } = {}) {
+    return new AgentPolicy({ version: 1, agents: Object.fromEntries(rows.map((r) => [r.agent, r.rules])) }, { origin });
+  }
+
+  /**
+   * The entry that governs `agent`, or null.
+   * @returns {{pattern:string, rules:object}|null}
+   */
+  rulesFor(agent) {
+    const exact = this.entries.find((e) => !e.re && e.pattern === agent);
+    if (exact) return exact;
+    const globs = this.entries.filter((e) => e.re?.test(agent));
+    return globs.sort((a, b) => b.pattern.replace(/\*/g, "").length - a.pattern.replace(/\*/g, "").length)[0] || null;
+  }
+
+  /**
+   * Decide whether `agent` may perform `action` on `target`. Only the target
+   * fields given are checked, so partial questions ("may I write public at
+   * all?") work.
+   *
+   * @param {string} agent
+   * @param {'read'|'write'|'credential'} action
+   * @param {{category?:string, visibility?:string|string[], subjectId?:string, source?:string, service?:string}} [target]
+   * @returns {{allowed:boolean, reason?:string, rule?:string}}
+   */
+  check(agent, action, target = {}) {
+    if (!POLICY_ACTIONS.includes(action)) throw new Error(`policy: unknown action "${action}" (${POLICY_ACTIONS.join(" | ")})`);
+    const entry = this.rulesFor(agent);
+    if (!entry) return { allowed: false, reason: `no policy entry for agent ${agent} (${this.origin})` };
+    const rule = entry.pattern;
+    const scope = action === "credential" ? entry.rules : entry.rules[action];
+    if (scope == null || (action === "credential" && scope.credentials == null)) {
+      return { allowed: false, reason: `${action} not granted`, rule };
+    }
+    for (const [field, key, label] of DIMENSIONS[action]) {
+      if (target[field] === undefined) continue;
+      const values = Array.isArray(target[field]) ? target[field] : [target[field]];
+      const bad = values.find((v) => !allows(scope[key], v));
+      if (bad !== undefined) return { allowed: false, reason: `${label} ${bad} not allowed`, rule };
+    }
+    if (action === "write" && target.source != null && target.source !== agent && !allows(scope.sources ?? [], target.source)) {
+      return { allowed: false, reason: `source ${target.source} not allowed`, rule };
+    }
+    return { allowed: true, rule };
+  }
+
+  /**
+   * The part of `requested` visibilities `agent` may read (all of them when
+   * unrestricted).
+   */
+  readableVisibilities(agent, requested) {
+    const read = this.rulesFor(agent)?.rules.read;
+    return read ? requested.filter((v) => allows(read.visibilities, v)) : [];
+  }
+
+  /** Whether a fetched row ({category, visibility, subject_id}) is readable by `agent`. */
+  canReadRow(agent, row) {
+    const target = { category: row.category, subjectId: row.subject_id };
+    if (row.visibility !== undefined) target.visibility = row.visibility;
+    return this.check(agent, "read", target).allowed;
+  }
+}
+
+/**
+ * Policy from env: NEO_BRAIN_POLICY is a JSON file path, or `db` for the
+ * agent_policies table (loaded by NeoBrain.loadPolicy()). Unset means no
+ * policy — every call allowed, as before.
+ *
+ * @returns {AgentPolicy|"db"|null}
+ */
+export function policyFromEnv({ env = process.env } = {}) {
+  const value = env.NEO_BRAIN_POLICY;
+  if (!value) return null;
+  return value === "db" ? "db" : AgentPolicy.fromFile(value);
+}
+
+// null/undefined list = anything; "*" in it = anything.
+function allows(list, value) {
+  return list == null || list.includes("*") || list.includes(value);
+}
+
+function globRegExp(pattern) {
+  return new RegExp(`^${pattern.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+}
@@ -0,0 +1,346 @@
+/**
+ * Query understanding for search({ parse: true }) / NeoBrain.parseQuery().
+ *
+ * "what did I decide about Siti last week" embeds badly as-is: the time
+ * phrase and the name pull the vector away from the topic. parseQuery()
+ * lifts out
+ *   - a time range, relative or absolute, English or Malay ("last week",
+ *     "3 hari lepas", "since 5 March", "antara Mac dan Mei 2026"),
+ *   - people, by the names and nicknames in the people directory,
+ *   - project names (config/memory-constants.js MEMORY_CATEGORIES in CTK),
+ * as filters, and leaves the rest as the text to search.
+ *
+ * Calendar words ("today", "last month") are read in the caller's UTC
+ * offset; weeks start on Monday. Everything here is pure — the client
+ * supplies the directory and the clock.
+ */
+
+import { WEAK_IDENTIFIER_TYPES, normalizeName } from "./people.js";
+
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far back "recently" / "baru-baru ini" reaches.
+export const RECENT_DAYS = 7;
+
+const NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12,
+  satu: 1, dua: 2, tiga: 3, empat: 4, lima: 5, enam: 6, tujuh: 7, lapan: 8, sembilan: 9, sepuluh: 10,
+};
+const UNITS = {
+  hour: "hour", hours: "hour", jam: "hour",
+  day: "day", days: "day", hari: "day",
+  week: "week", weeks: "week", minggu: "week",
+  month: "month", months: "month", bulan: "month",
+  year: "year", years: "year", tahun: "year",
+};
+const MONTHS = {
+  jan: 0, january: 0, januari: 0, feb: 1, february: 1, februari: 1, mar: 2, march: 2, mac: 2,
+  apr: 3, april: 3, may: 4, mei: 4, jun: 5, june: 5, jul: 6, july: 6, julai: 6,
+  aug: 7, august: 7, ogos: 7, sep: 8, sept: 8, september: 8, oct: 9, october: 9, oktober: 9,
+  nov: 10, november: 10, dec: 11, december: 11, disember: 11,
+};
+const WEEKDAYS = {
+  sunday: 0, ahad: 0, monday: 1, isnin: 1, tuesday: 2, selasa: 2, wednesday: 3, rabu: 3,
+  thursday: 4, khamis: 4, friday: 5, jumaat: 5, saturday: 6, sabtu: 6,
+};
+
+const alt = (words) => Object.keys(words).sort((a, b) => b.length - a.length).join("|");
+const NUM = `(\\d+|${alt(NUMBERS)})`;
+const UNIT_EN = "(hours?|days?|weeks?|months?|years?)";
+const UNIT_MS = "(jam|hari|minggu|bulan|tahun)";
+const MONTH = `(${alt(MONTHS)})`;
+const WEEKDAY = `(${alt(WEEKDAYS)})`;
+const YEAR = "((?:19|20)\\d{2})";
+// Words that may introduce a bare month or year ("in March", "sejak 2025").
+// Not "and" / "to": "Aiman and May" is two people.
+const LEAD = "(?<=\\b(?:in|during|of|bulan|tahun|since|sejak|before|sebelum|after|selepas|until|till|hingga|sampai|from|dari)\\s+)";
+const JOIN = "(?:and|to|until|till|through|dan|hingga|sampai|-|–)";
+
+const num = (s) => (/^\d+$/.test(s) ? Number(s) : NUMBERS[s.toLowerCase()]);
+
+// Time expressions, each resolving to { since, until } (either may be null)
+// through a calendar in the caller's offset — see calendar().
+const TIME_RULES = [
+  // rolling: "last 3 days", "in the past week", "dalam 2 minggu lepas", "3 hari terakhir"
+  [`\\b(?:(?:in|over|during|within)\\s+)?(?:the\\s+)?(?:last|past)\\s+${NUM}\\s+${UNIT_EN}\\b`, (m, c) => c.rolling(num(m[1]), m[2])],
+  [`\\b(?:(?:in|over|during|within)\\s+the\\s+(?:last|past)|(?:the\\s+)?past)\\s+${UNIT_EN}\\b`, (m, c) => c.rolling(1, m[1])],
+  [`\\bdalam\\s+(?:masa\\s+)?${NUM}\\s+${UNIT_MS}\\s+(?:yang\\s+)?(?:lepas|lalu|terakhir)\\b`, (m, c) => c.rolling(num(m[1]), m[2])],
+  [`\\b${NUM}\\s+${UNIT_MS}\\s+(?:yang\\s+)?(?:terakhir|kebelakangan\\s+ini)\\b`, (m, c) => c.rolling(num(m[1]), m[2])],
+  // a point back in time: "3 days ago", "2 minggu lepas", "sebulan yang lalu"
+  [`\\b${NUM}\\s+${UNIT_EN}\\s+ago\\b`, (m, c) => c.ago(num(m[1]), m[2])],
+  [`\\b${NUM}\\s+${UNIT_MS}\\s+(?:yang\\s+)?(?:lepas|lalu)\\b`, (m, c) => c.ago(num(m[1]), m[2])],
+  [`\\bse(jam|hari|minggu|bulan|tahun)\\s+(?:yang\\s+)?(?:lepas|lalu)\\b`, (m, c) => c.ago(1, m[1])],
+  // calendar periods
+  [`\\b(last|previous|this)\\s+(week|month|year)\\b`, (m, c) => c.period(m[2], /this/i.test(m[1]) ? 0 : 1)],
+  [`\\b(minggu|bulan|tahun)\\s+(ini|lepas|lalu|sudah)\\b`, (m, c) => c.period(UNITS[m[1].toLowerCase()], /ini/i.test(m[2]) ? 0 : 1)],
+  [`\\b(today|this\\s+morning|this\\s+afternoon|tonight|earlier\\s+today|hari\\s+ini|pagi\\s+(?:ini|tadi)|petang\\s+ini|malam\\s+ini)\\b`, (m, c) => c.day(0)],
+  [`\\b(yesterday|semalam)\\b`, (m, c) => c.day(1)],
+  [`\\b(the\\s+day\\s+before\\s+yesterday|kelmarin)\\b`, (m, c) => c.day(2)],
+  [`\\b(recently|lately|baru-baru\\s+ini|kebelakangan\\s+ini|akhir-akhir\\s+ini)\\b`, (m, c) => c.rolling(RECENT_DAYS, "day")],
+  // weekdays: "on Monday", "last Friday", "hari Isnin lepas" — the latest one before today
+  [`\\b(?:(?:last|this|on|past)\\s+)?(?:hari\\s+)?${WEEKDAY}(?:\\s+(?:lepas|lalu))?\\b`, (m, c) => c.weekday(WEEKDAYS[m[1].toLowerCase()])],
+  // dates: 2026-03-05, 5/3/2026 (day first), 5 March [2026], 5hb Mac, March 5[, 2026]
+  [`\\b${YEAR}-(\\d{1,2})-(\\d{1,2})\\b`, (m, c) => c.date(Number(m[1]), Number(m[2]) - 1, Number(m[3]))],
+  [`\\b(\\d{1,2})/(\\d{1,2})/${YEAR}\\b`, (m, c) => c.date(Number(m[3]), Number(m[2]) - 1, Number(m[1]))],
+  [`\\b(\\d{1,2})(?:st|nd|rd|th|hb)?\\s+${MONTH}(?:\\s+${YEAR})?\\b`, (m, c) => c.date(m[3] && Number(m[3]), MONTHS[m[2].toLowerCase()], Number(m[1]))],
+  [`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+${YEAR})?\\b(?!\\s*(?::|am\\b|pm\\b))`, (m, c) => c.date(m[3] && Number(m[3]), MONTHS[m[1].toLowerCase()], Number(m[2]))],
+  // month ranges: "between March and May 2026", "dari Jan hingga Mac"
+  [`\\b(?:between|antara|from|dari)\\s+${MONTH}(?:\\s+${YEAR})?\\s+${JOIN}\\s+${MONTH}(?:\\s+${YEAR})?\\b`, (m, c) =>
+    c.months(m[2] && Number(m[2]), MONTHS[m[1].toLowerCase()], m[4] && Number(m[4]), MONTHS[m[3].toLowerCase()])],
+  // months and years: "March 2026", "in March", "bulan Mac", "in 2025", "tahun 2025"
+  [`\\b${MONTH}\\s+${YEAR}\\b`, (m, c) => c.month(Number(m[2]), MONTHS[m[1].toLowerCase()])],
+  [`${LEAD}${MONTH}\\b`, (m, c) => c.month(null, MONTHS[m[1].toLowerCase()])],
+  [`${LEAD}${YEAR}\\b`, (m, c) => c.year(Number(m[1]))],
+].map(([source, resolve]) => ({ re: new RegExp(source, "giu"), resolve }));
+
+// Open-ended bounds in front of a time expression, and the joiners of a
+// two-ended range ("between X and Y", "dari X hingga Y").
+const BOUND_BEFORE = /\b(since|sejak|after|selepas|starting|from|dari|before|sebelum|until|till|hingga|sampai)\s+$/i;
+const RANGE_START = /\b(between|antara|from|dari)\s+$/i;
+const RANGE_JOIN = /^\s*(and|to|until|till|through|dan|hingga|sampai|-|–)\s*$/i;
+
+// Words left dangling in front of a lifted phrase ("about [Siti]",
+// "tentang [projek CTK]").
+const CONNECTORS = new Set([
+  "about", "regarding", "re", "with", "from", "for", "in", "on", "during", "of", "at", "since", "by", "between",
+  "tentang", "mengenai", "berkenaan", "dengan", "dari", "daripada", "untuk", "pada", "di", "sejak", "kepada", "oleh", "dalam", "projek", "project",
+]);
+
+// Words never taken as a first name on their own.
+const NOT_NAMES = new Set([...Object.keys(MONTHS), ...Object.keys(WEEKDAYS), ...Object.keys(NUMBERS), ...Object.keys(UNITS)]);
+
+/**
+ * Calendar arithmetic in a fixed UTC offset: Y / M / D / dow are the
+ * caller's local date, and every boundary comes back as a real instant.
+ */
+function calendar(now, utcOffsetMinutes) {
+  const offset = utcOffsetMinutes * 60_000;
+  const wall = new Date(now.getTime() + offset);
+  const Y = wall.getUTCFullYear(), M = wall.getUTCMonth(), D = wall.getUTCDate(), dow = wall.getUTCDay();
+  const at = (y, m, d = 1) => new Date(Date.UTC(y, m, d) - offset);
+  const weekStart = (back) => at(Y, M, D - ((dow + 6) % 7) - 7 * back);
+  const span = (since, until) => ({ since, until });
+  // The most recent month `m` (0-based) that has started.
+  const latestYearOf = (m) => (m <= M ? Y : Y - 1);
+  return {
+    rolling(n, unit) {
+      unit = UNITS[unit.toLowerCase()];
+      if (unit === "month" || unit === "year") {
+        const d = new Date(now);
+        if (unit === "month") d.setUTCMonth(d.getUTCMonth() - n);
+        else d.setUTCFullYear(d.getUTCFullYear() - n);
+        return span(d, null);
+      }
+      return span(new Date(now.getTime() - n * (unit === "hour" ? HOUR_MS : unit === "day" ? DAY_MS : 7 * DAY_MS)), null);
+    },
+    ago(n, unit) {
+      unit = UNITS[unit.toLowerCase()];
+      if (unit === "hour") return span(new Date(now.getTime() - (n + 1) * HOUR_MS), new Date(now.getTime() - (n - 1) * HOUR_MS));
+      return this.period(unit, n);
+    },
+    period(unit, back) {
+      if (unit === "day") return this.day(back);
+      if (unit === "week") return span(weekStart(back), back ? weekStart(back - 1) : null);
+      if (unit === "month") return span(at(Y, M - back), back ? at(Y, M - back + 1) : null);
+      return span(at(Y - back, 0), back ? at(Y - back + 1, 0) : null);
+    },
+    day(back) {
+      return span(at(Y, M, D - back), back ? at(Y, M, D - back + 1) : null);
+    },
+    weekday(target) {
+      const back = (dow - target + 7) % 7 || 7;
+      return this.day(back);
+    },
+    date(y, m, d) {
+      if (d < 1 || d > 31 || m < 0 || m > 11) return null;
+      const year = y || (at(Y, m, d) <= now ? Y : Y - 1);
+      // "31 feb" is no date — Date.UTC would roll it into March.
+      if (d > new Date(Date.UTC(year, m + 1, 0)).getUTCDate()) return null;
+      return span(at(year, m, d), at(year, m, d + 1));
+    },
+    month(y, m) {
+      const year = y || latestYearOf(m);
+      return span(at(year, m), at(year, m + 1));
+    },
+    // From month m1 through month m2; a missing year is taken from the
+    // other end, else the latest such month.
+    months(y1, m1, y2, m2) {
+      const end = y2 || (y1 ? (m2 >= m1 ? y1 : y1 + 1) : latestYearOf(m2));
+      const start = y1 || (m1 <= m2 ? end : end - 1);
+      return span(at(start, m1), at(end, m2 + 1));
+    },
+    year(y) {
+      return span(at(y, 0), at(y + 1, 0));
+    },
+  };
+}
+
+// Every time-expression match in `text`, earliest first, longest on ties,
+// none overlapping.
+function timeMatches(text, cal) {
+  const found = [];
+  for (const { re, resolve } of TIME_RULES) {
+    re.lastIndex = 0;
+    for (const m of text.matchAll(re)) {
+      const range = resolve(m, cal);
+      if (range) found.push({ start: m.index, end: m.index + m[0].length, ...range });
+    }
+  }
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const out = [];
+  for (const f of found) if (!out.length || f.start >= out.at(-1).end) out.push(f);
+  return out;
+}
+
+/**
+ * The first time range in `text`: { since, until, start, end } with
+ * since / until as Dates (null = open) and [start, end) the phrase's span,
+ * including a leading "since" / "before" / "between … and …". null when
+ * there is none.
+ *
+ * @param {string} text
+ * @param {{now?:Date, utcOffsetMinutes?:number}} [opts]
+ */
+export function parseTimeRange(text, { now = new Date(), utcOffsetMinutes = -now.getTimezoneOffset() } = {}) {
+  text = String(text ?? "");
+  const matches = timeMatches(text, calendar(now, utcOffsetMinutes));
+  const first = matches[0];
+  if (!first) return null;
+  const before = text.slice(0, first.start);
+  const next = matches[1];
+  const range = before.match(RANGE_START);
+  if (range && next && RANGE_JOIN.test(text.slice(first.end, next.start))) {
+    return { since: first.since, until: next.until ?? next.since, start: first.start - range[0].length, end: next.end };
+  }
+  const bound = before.match(BOUND_BEFORE);
+  if (!bound) return { since: first.since, until: first.until, start: first.start, end: first.end };
+  const start = first.start - bound[0].length;
+  const word = bound[1].toLowerCase();
+  if (["before", "sebelum"].includes(word)) return { since: null, until: first.since, start, end: first.end };
+  if (["until", "till", "hingga", "sampai"].includes(word)) return { since: null, until: first.until ?? now, start, end: first.end };
+  if (["after", "selepas"].includes(word)) return { since: first.until ?? first.since, until: null, start, end: first.end };
+  return { since: first.since, until: null, start, end: first.end };
+}
+
+/**
+ * people rows → the `people` list parseQuery() matches against: display
+ * name, nicknames and name-type identifiers per person. A merged row's
+ * names point at its canonical person; `selfId` is left out.
+ *
+ * @returns {{id:string, names:string[]}[]}
+ */
+export function peopleDirectory(rows, { selfId = null } = {}) {
+  const byId = new Map();
+  for (const p of rows) {
+    const id = p.metadata?.merged_into || p.id;
+    if (id === selfId) continue;
+    const names = [
+      p.display_name,
+      ...(Array.isArray(p.nicknames) ? p.nicknames : []),
+      ...(p.identifiers || []).filter((i) => WEAK_IDENTIFIER_TYPES.has(i?.type)).map((i) => i.value),
+    ].filter((n) => typeof n === "string" && n.trim());
+    byId.set(id, [...(byId.get(id) || []), ...names]);
+  }
+  return [...byId].map(([id, names]) => ({ id, names: [...new Set(names)] }));
+}
+
+// Query words with their offsets, folded the way normalizeName() folds names.
+function words(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)].map((m) => ({
+    start: m.index,
+    end: m.index + m[0].length,
+    norm: normalizeName(m[0].replace(/['’]s$/i, "")),
+  }));
+}
+
+/**
+ * Pull a time range, people and projects out of a search query.
+ *
+ *   projects  names to recognise (CTK: Object.values(MEMORY_CATEGORIES));
+ *             matched whole-word and case-insensitively, except a plain
+ *             Capitalised word ("Kenal", "Atlas") which must be written
+ *             capitalised, so everyday words aren't read as projects
+ *   people    [{id, names}] — display names and nicknames; a full name
+ *             matches anywhere, a first name only when no one else shares it
+ *
+ * @param {string} query
+ * @param {{now?:Date, utcOffsetMinutes?:number, projects?:string[], people?:{id:string, names:string[]}[]}} [opts]
+ * @returns {{query:string, text:string, since:string|null, until:string|null, category:string[]|null, people:string[]|null, matches:Array<{kind:'time'|'project'|'person', text:string, value:*}>}}
+ */
+export function parseQuery(query, { now = new Date(), utcOffsetMinutes = -now.getTimezoneOffset(), projects = [], people = [] } = {}) {
+  query = String(query ?? "");
+  const spans = [];
+  const free = (start, end) => spans.every((s) => end <= s.start || start >= s.end);
+  const take = (start, end, kind, value) => spans.push({ start, end, kind, value });
+
+  const time = parseTimeRange(query, { now, utcOffsetMinutes });
+  if (time) take(time.start, time.end, "time", { since: time.since?.toISOString() ?? null, until: time.until?.toISOString() ?? null });
+
+  for (const name of projects) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, /^[A-Z][a-z]+$/.test(name) ? "gu" : "giu");
+    for (const m of query.matchAll(re)) {
+      if (free(m.index, m.index + m[0].length)) take(m.index, m.index + m[0].length, "project", name);
+    }
+  }
+
+  const qwords = words(query);
+  const byFirst = new Map();
+  const candidates = [];
+  for (const p of people) {
+    for (const raw of p.names || []) {
+      const parts = normalizeName(raw).split(" ").filter(Boolean);
+      if (!parts.length) continue;
+      candidates.push({ id: p.id, parts });
+      if (parts.length > 1 && parts[0].length >= 3 && !NOT_NAMES.has(parts[0])) {
+        const ids = byFirst.get(parts[0]) || new Set();
+        ids.add(p.id);
+        byFirst.set(parts[0], ids);
+      }
+    }
+  }
+  for (const [first, ids] of byFirst) if (ids.size === 1) candidates.push({ id: [...ids][0], parts: [first] });
+  candidates.sort((a, b) => b.parts.length - a.parts.length);
+  for (const { id, parts } of candidates) {
+    if (parts.length === 1 && (parts[0].length < 3 || NOT_NAMES.has(parts[0]))) continue;
+    for (let i = 0; i + parts.length <= qwords.length; i++) {
+      if (!parts.every((w, j) => qwords[i + j].norm === w)) continue;
+      const start = qwords[i].start, end = qwords[i + parts.length - 1].end;
+      if (free(start, end)) take(start, end, "person", id);
+    }
+  }
+
+  // What's left: the query minus the lifted spans and the connectors and
+  // possessives hanging off them.
+  spans.sort((a, b) => a.start - b.start);
+  let text = "", at = 0;
+  for (const s of spans) {
+    text += `${query.slice(at, s.start)}\u0000`;
+    at = s.end;
+  }
+  text += query.slice(at);
+  for (let prev = null; prev !== text; ) {
+    prev = text;
+    text = text
+      .replace(/\u0000['’]s\b/giu, "\u0000")
+      .replace(/([\p{L}]+)(\s*)\u0000/gu, (all, word, space) => (space && CONNECTORS.has(word.toLowerCase()) ? "\u0000" : all))
+      .replace(/\u0000\s*(?:,|and|&|dan)\s*\u0000/giu, "\u0000");
+  }
+  text = text.replace(/\u0000/g, " ").replace(/\s+([,.?!])/g, "$1").replace(/\s+/g, " ").replace(/^[\s,;:-]+|[\s,;:-]+$/g, "").trim();
+  if (!/[\p{L}\p{N}]/u.test(text)) text = "";
+
+  const values = (kind) => {
+    const out = [...new Set(spans.filter((s) => s.kind === kind).map((s) => s.value))];
+    return out.length ? out : null;
+  };
+  return {
+    query,
+    text,
+    since: time?.since?.toISOString() ?? null,
+    until: time?.until?.toISOString() ?? null,
+    category: values("project"),
+    people: values("person"),
+    matches: spans.map((s) => ({ kind: s.kind, text: query.slice(s.start, s.end), value: s.value })),
+  };
+}
@@ -0,0 +1,40 @@
+import { postJson } from "../embeddings/provider.js";
+import { Reranker } from "./reranker.js";
+
+/**
+ * Local cross-encoder over HTTP (e.g. bge-reranker-v2-m3 on the NAS).
+ *
+ *   api: "tei"    — HuggingFace text-embeddings-inference:
+ *                   POST {baseUrl}/rerank {query, texts} → [{index, score}]
+ *   api: "cohere" — Cohere / Jina / vLLM / llama.cpp style:
+ *                   POST {baseUrl}/v1/rerank {model, query, documents} → {results:[{index, relevance_score}]}
+ */
+export class CrossEncoderReranker extends Reranker {
+  constructor({ baseUrl, model = null, api = "tei", apiKey = null, timeoutMs = 15000, maxChars } = {}) {
+    super({ model, maxChars });
+    if (!baseUrl) throw new Error("CrossEncoderReranker: baseUrl required");
+    if (!["tei", "cohere"].includes(api)) throw new Error(`CrossEncoderReranker: unknown api "${api}" (tei | cohere)`);
+    this.provider = "cross-encoder";
+    this.baseUrl = baseUrl.replace(/\/+$/, "").replace(/\/v1$/, "");
+    this.api = api;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async _score(query, texts) {
+    const headers = this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {};
+    const scores = new Array(texts.length).fill(NaN);
+    if (this.api === "tei") {
+      const data = await postJson(`${this.baseUrl}/rerank`, { query, texts, truncate: true }, { headers, timeoutMs: this.timeoutMs, label: "rerank" });
+      for (const r of data || []) scores[r.index] = r.score;
+    } else {
+      const data = await postJson(`${this.baseUrl}/v1/rerank`, {
+        ...(this.model ? { model: this.model } : {}),
+        query,
+        documents: texts,
+      }, { headers, timeoutMs: this.timeoutMs, label: "rerank" });
+      for (const r of data?.results || []) scores[r.index] = r.relevance_score;
+    }
+    return scores;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Second-stage rerankers for NeoBrain.search(). The interface lives in
+ * ./reranker.js.
+ *
+ * NeoBrain takes one via `new NeoBrain({ reranker })` (or per call,
+ * `search(q, { rerank })`); without it the client calls rerankerFromEnv(),
+ * which returns null (no rerank) unless NEO_BRAIN_RERANKER is set.
+ */
+
+import { CrossEncoderReranker } from "./cross-encoder.js";
+import { LLMJudgeReranker } from "./llm-judge.js";
+
+export { Reranker } from "./reranker.js";
+export { CrossEncoderReranker, LLMJudgeReranker };
+
+/**
+ * Build a reranker from env:
+ *   NEO_BRAIN_RERANKER       off (default) | cross-encoder | llm-judge
+ *   NEO_BRAIN_RERANK_URL     cross-encoder base URL
+ *   NEO_BRAIN_RERANK_API     tei (default) | cohere
+ *   NEO_BRAIN_RERANK_MODEL   model name (cross-encoder: sent for api=cohere; llm-judge: Gemini model)
+ *
+ * @param {{env?:object}} [opts]
+ * @returns {import("./reranker.js").Reranker|null}
+ */
+export function rerankerFromEnv({ env = process.env } = {}) {
+  const kind = (env.NEO_BRAIN_RERANKER || "off").toLowerCase();
+  const model = env.NEO_BRAIN_RERANK_MODEL || undefined;
+  switch (kind) {
+    case "off":
+    case "":
+      return null;
+    case "cross-encoder":
+      return new CrossEncoderReranker({ baseUrl: env.NEO_BRAIN_RERANK_URL, api: env.NEO_BRAIN_RERANK_API || "tei", model });
+    case "llm-judge":
+      return new LLMJudgeReranker({ model });
+    default:
+      throw new Error(`NEO_BRAIN_RERANKER: unknown reranker "${kind}" (off | cross-encoder | llm-judge)`);
+  }
+}
@@ -0,0 +1,45 @@
+import { geminiLLM, parseJsonReply } from "../llm.js";
+import { Reranker } from "./reranker.js";
+
+/**
+ * LLM-as-judge reranker: one prompt per `batchSize` passages asking for a
+ * 0–10 relevance grade each. Slower and pricier than a cross-encoder, but
+ * needs nothing self-hosted. `llm` is any async (prompt, {json}) => string
+ * (llm.js); default is Gemini Flash on GEMINI_API_KEY. A passage the judge
+ * skips scores 0.
+ */
+export class LLMJudgeReranker extends Reranker {
+  constructor({ llm = null, model = "gemini-2.5-flash", batchSize = 20, maxChars = 800 } = {}) {
+    super({ model, maxChars });
+    this.provider = "llm-judge";
+    this.llm = llm || geminiLLM({ model });
+    this.batchSize = batchSize;
+  }
+
+  async _score(query, texts) {
+    const scores = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const reply = parseJsonReply(await this.llm(judgePrompt(query, batch), { json: true }));
+      const graded = new Map((reply?.scores || []).map((s) => [Number(s.i), Number(s.score)]));
+      for (let j = 0; j < batch.length; j++) {
+        const g = graded.get(j);
+        scores.push(Number.isFinite(g) ? Math.max(0, Math.min(10, g)) : 0);
+      }
+    }
+    return scores;
+  }
+}
+
+function judgePrompt(query, passages) {
+  return [
+    "You grade search results from a personal memory store.",
+    "For each passage, give a relevance score from 0 (unrelated) to 10 (directly answers the query).",
+    "Judge only relevance to the query, not writing quality.",
+    'Reply with JSON only: {"scores":[{"i":0,"score":7},...]} — one entry per passage.',
+    "",
+    `Query: ${query}`,
+    "",
+    ...passages.map((p, i) => `[${i}] ${p.replace(/\s+/g, " ")}`),
+  ].join("\n");
+}
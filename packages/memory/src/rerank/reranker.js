@@ -0,0 +1,39 @@
+/**
+ * Reranker interface — the second stage of NeoBrain.search().
+ *
+ * search() over-fetches candidates from match_memories_hybrid_v2, then asks a
+ * reranker to score (query, passage) pairs and re-sorts by that score. RRF is
+ * good at recall but orders by rank agreement, not by whether a memory
+ * actually answers the question; a cross-encoder or LLM judge reads both.
+ *
+ * Subclasses implement _score(query, texts) → number[] (higher = more
+ * relevant, one per text, any scale). The base class truncates passages to
+ * `maxChars` and checks the reply has one finite score per passage.
+ */
+export class Reranker {
+  constructor({ model = null, maxChars = 2000 } = {}) {
+    this.provider = "unknown";
+    this.model = model;
+    this.maxChars = maxChars;
+  }
+
+  get name() {
+    return this.model ? `${this.provider}:${this.model}` : this.provider;
+  }
+
+  /**
+   * @param {string} query
+   * @param {string[]} texts
+   * @returns {Promise<number[]>} one score per text, same order
+   */
+  async rerank(query, texts) {
+    if (!texts.length) return [];
+    const scores = await this._score(query, texts.map((t) => String(t ?? "").slice(0, this.maxChars)));
+    if (!Array.isArray(scores) || scores.length !== texts.length || !scores.every(Number.isFinite)) {
+      throw new Error(`rerank(${this.name}): expected ${texts.length} finite scores, got ${Array.isArray(scores) ? scores.length : typeof scores}`);
+    }
+    return scores;
+  }
+
+  async _score(query, texts) { throw new Error("not implemented"); }
+}
@@ -0,0 +1,110 @@
+/**
+ * Recency / importance rescoring for NeoBrain.search().
+ *
+ * The hybrid RPC ranks on text alone, so a stale decision outranks last
+ * week's reversal of it. rescore() runs client-side over the over-fetched
+ * candidates (after any rerank, before the cut to k) and multiplies the
+ * first-stage relevance by a time-decay factor, an importance factor and a
+ * superseded penalty. Every row gets `score` plus a `score_breakdown` so the
+ * effect of each knob is visible in results and in the eval sweep.
+ */
+
+export const DEFAULT_SCORING = {
+  halfLifeDays: null,
+  recencyWeight: 0.5,
+  importanceWeight: 0,
+  preferSuperseding: false,
+  supersededPenalty: 0.5,
+};
+
+const DAY_MS = 86400_000;
+
+/** True when any scoring knob would change the order. */
+export function scoringEnabled({ halfLifeDays = null, importanceWeight = 0, preferSuperseding = false } = {}) {
+  return halfLifeDays > 0 || importanceWeight !== 0 || !!preferSuperseding;
+}
+
+/**
+ * The relevance a row arrived with: rerank_score, else fused_score (chunks),
+ * else rrf_score, else similarity.
+ */
+export function baseScore(row) {
+  for (const field of ["rerank_score", "fused_score", "rrf_score", "similarity"]) {
+    if (Number.isFinite(row[field])) return { field, value: row[field] };
+  }
+  return { field: null, value: 0 };
+}
+
+/**
+ * Rescore and re-sort `rows` (not truncated). Base relevance is normalized to
+ * [0, 1] across the candidates (divided by the max; min-max if any score is
+ * negative), then
+ *
+ *   score = base × recency × importance × superseded
+ *   recency    = 1 − recencyWeight + recencyWeight · 0.5^(age / halfLifeDays)   (1 without halfLifeDays)
+ *   importance = 1 + importanceWeight · (importance − 5) / 5                     (importance clamped 1..10, default 5)
+ *   superseded = supersededPenalty for rows in `supersededBy`, else 1
+ *
+ * A row listed in `inherit` (id → other id) takes the other row's base — a
+ * superseding memory pulled in by search() ranks where its predecessor did.
+ *
+ * recencyWeight is the most decay can take away: 0.5 means an arbitrarily old
+ * memory keeps half its relevance. Ties keep the incoming order.
+ *
+ * @param {object[]} rows
+ * @param {{halfLifeDays?:number|null, recencyWeight?:number, importanceWeight?:number, supersededPenalty?:number, supersededBy?:Map<string,string>, inherit?:Map<string,string>, now?:number}} [opts]
+ * @returns {object[]} new row objects with `score` and `score_breakdown`
+ */
+export function rescore(rows, opts = {}) {
+  const {
+    halfLifeDays = DEFAULT_SCORING.halfLifeDays,
+    recencyWeight = DEFAULT_SCORING.recencyWeight,
+    importanceWeight = DEFAULT_SCORING.importanceWeight,
+    supersededPenalty = DEFAULT_SCORING.supersededPenalty,
+    supersededBy = new Map(),
+    inherit = new Map(),
+    now = Date.now(),
+  } = opts;
+  if (halfLifeDays != null && !(halfLifeDays > 0)) throw new Error("rescore: halfLifeDays must be > 0");
+  if (!(recencyWeight >= 0 && recencyWeight <= 1)) throw new Error("rescore: recencyWeight must be within 0..1");
+
+  const own = rows.map(baseScore);
+  const byId = new Map(rows.map((r, i) => [r.id, own[i]]));
+  const bases = rows.map((r, i) => {
+    const from = inherit.has(r.id) && byId.get(inherit.get(r.id));
+    return from ? { field: `inherited:${from.field}`, value: from.value } : own[i];
+  });
+  const values = bases.map((b) => b.value);
+  const max = Math.max(...values), min = Math.min(...values);
+  const norm = min >= 0
+    ? (v) => (max > 0 ? v / max : 1)
+    : (v) => (max > min ? (v - min) / (max - min) : 1);
+
+  return rows
+    .map((row, i) => {
+      const base = norm(bases[i].value);
+      const created = Date.parse(row.created_at);
+      const ageDays = Number.isFinite(created) ? Math.max(0, (now - created) / DAY_MS) : null;
+      const recency = halfLifeDays && ageDays != null ? 1 - recencyWeight + recencyWeight * 0.5 ** (ageDays / halfLifeDays) : 1;
+      const imp = Math.min(10, Math.max(1, Number.isFinite(row.importance) ? row.importance : 5));
+      const importance = Math.max(0, 1 + importanceWeight * (imp - 5) / 5);
+      const by = supersededBy.get(row.id) || null;
+      const superseded = by ? supersededPenalty : 1;
+      return {
+        ...row,
+        ...(by ? { superseded_by: by } : {}),
+        score: base * recency * importance * superseded,
+        score_breakdown: {
+          base,
+          base_field: bases[i].field,
+          age_days: ageDays == null ? null : Math.round(ageDays * 10) / 10,
+          recency,
+          importance,
+          superseded,
+        },
+        _order: i,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a._order - b._order)
+    .map(({ _order, ...row }) => row);
+}
@@ -0,0 +1,54 @@
+/**
+ * Session handoff rendering.
+ *
+ * renderHandoff() turns NeoBrain.sessionTimeline() results into the
+ * SESSION-HANDOFF-*.md layout (window, status, TL;DR, chronological table)
+ * so tools/session-handoff.mjs can write the doc instead of a human.
+ */
+
+/**
+ * @param {object[]} timelines — sessionTimeline() results, any order
+ * @param {{title?:string}} [opts]
+ * @returns {string} markdown
+ */
+export function renderHandoff(timelines, { title = null } = {}) {
+  const list = [...timelines].sort((a, b) => String(a.session.started_at).localeCompare(String(b.session.started_at)));
+  if (!list.length) throw new Error("renderHandoff: no sessions");
+  const first = list[0].session;
+  const last = list.at(-1).session;
+  const day = String(last.ended_at || last.started_at || "").slice(0, 10);
+  const agents = [...new Set(list.map((t) => t.session.agent))];
+  const memoryCount = list.reduce((n, t) => n + t.memories.length, 0);
+
+  const out = [
+    `# ${title || `Session Handoff — ${day}`}`,
+    "",
+    `**Session window**: ${stamp(first.started_at)} through ${last.ended_at ? stamp(last.ended_at) : "now (still open)"} (UTC). ${list.length} session${list.length === 1 ? "" : "s"} · ${agents.join(", ")} · ${memoryCount} memories.`,
+    "",
+  ];
+  const tasks = list.map((t) => t.session.task_summary).filter(Boolean);
+  if (tasks.length) out.push(`**Status**: ${tasks.join(" · ")}`, "");
+  out.push("---", "", "## TL;DR", "");
+  for (const t of list) {
+    if (list.length > 1) out.push(`### ${t.session.agent} — ${stamp(t.session.started_at)}`, "");
+    out.push(t.summary?.content || "_No summary — run endSession({ summarize: true })._", "");
+  }
+  out.push("---", "", "## What happened (chronological)", "", "| When (UTC) | Agent | Kind | What |", "|---|---|---|---|");
+  for (const e of list.flatMap((t) => t.events.map((ev) => ({ ...ev, agent: t.session.agent }))).sort((a, b) => String(a.at).localeCompare(String(b.at)))) {
+    if (e.kind === "summary") continue;
+    const what = e.kind === "memory" ? oneLine(e.memory.content) : e.kind === "start" ? e.taskSummary || "session started" : "session ended";
+    const kind = e.kind === "memory" ? `${e.memory.category}/${e.memory.memory_type}` : e.kind;
+    out.push(`| ${stamp(e.at)} | ${e.agent} | ${kind} | ${what.replace(/\|/g, "\\|")} |`);
+  }
+  out.push("");
+  return out.join("\n");
+}
+
+function stamp(iso) {
+  return iso ? String(iso).slice(0, 16).replace("T", " ") : "?";
+}
+
+function oneLine(text, max = 160) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
@@ -0,0 +1,266 @@
+import { createHash, createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import { createReadStream, createWriteStream } from "node:fs";
+import { mkdir, open, readdir, readFile, rename, rm, stat } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { pipeline } from "node:stream/promises";
+import { Readable } from "node:stream";
+import { StorageAdapter } from "./adapter.js";
+
+const META_SUFFIX = ".meta.json";
+
+/**
+ * Filesystem-backed adapter — for the office NAS, or any box where media should
+ * live on local disk instead of an object store. Also the adapter to use in tests.
+ *
+ * Layout: `<root>/<aa>/<bb>/<encoded key>` plus a `<encoded key>.meta.json` sidecar
+ * holding contentType / metadata. `aa`/`bb` are the first hex pairs of sha256(key),
+ * so no single directory grows unbounded. Writes go to a temp file in the same
+ * directory and are renamed into place — readers never see a half-written blob.
+ *
+ * signedUrl() mints HMAC-signed expiring links against `baseUrl`; serve them with
+ * createLocalFSHandler(adapter) mounted on a node:http server.
+ */
+export class LocalFSAdapter extends StorageAdapter {
+  constructor({ root, baseUrl = null, signingSecret = null, shardDepth = 2 } = {}) {
+    super();
+    if (!root) throw new Error("LocalFSAdapter: root required");
+    if (!Number.isInteger(shardDepth) || shardDepth < 0 || shardDepth > 4) {
+      throw new Error("LocalFSAdapter: shardDepth must be an integer 0..4");
+    }
+    this.provider = "local";
+    this.root = resolve(root);
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/$/, "") : null;
+    this.signingSecret = signingSecret;
+    this.shardDepth = shardDepth;
+  }
+
+  _paths(key) {
+    if (typeof key !== "string" || !key.length) throw new Error("LocalFSAdapter: key required");
+    if (key.startsWith("/") || key.split("/").some((seg) => seg === "" || seg === "." || seg === "..")) {
+      throw new Error(`LocalFSAdapter: invalid key "${key}"`);
+    }
+    const name = encodeURIComponent(key);
+    if (name.length + META_SUFFIX.length > 255) throw new Error(`LocalFSAdapter: key too long "${key.slice(0, 40)}…"`);
+    const hash = sha256(key);
+    const shards = [];
+    for (let i = 0; i < this.shardDepth; i++) shards.push(hash.slice(i * 2, i * 2 + 2));
+    const dir = join(this.root, ...shards);
+    return { dir, file: join(dir, name), meta: join(dir, name + META_SUFFIX) };
+  }
+
+  async put(key, body, { contentType = "application/octet-stream", metadata = {} } = {}) {
+    const { dir, file, meta } = this._paths(key);
+    await mkdir(dir, { recursive: true });
+
+    const tmp = join(dir, `.${randomUUID()}.tmp`);
+    try {
+      if (body && typeof body[Symbol.asyncIterator] === "function" && !isBytes(body)) {
+        await pipeline(Readable.from(body), createWriteStream(tmp, { flags: "wx" }));
+        await fsyncFile(tmp);
+      } else {
+        await writeDurable(tmp, isBytes(body) ? body : Buffer.from(body));
+      }
+      const { size } = await stat(tmp);
+      const sidecar = { key, contentType, metadata, bytes: size, createdAt: new Date().toISOString() };
+      await writeAtomic(meta, Buffer.from(JSON.stringify(sidecar)));
+      await rename(tmp, file);
+      return { key, url: this._canonicalUrl(key, file), bytes: size };
+    } catch (e) {
+      await rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  async get(key) {
+    const { file } = this._paths(key);
+    try {
+      return await readFile(file);
+    } catch (e) {
+      if (e.code === "ENOENT") throw new Error(`LocalFS get 404: ${key}`);
+      throw e;
+    }
+  }
+
+  /**
+   * Sidecar metadata for a key, or null if the object does not exist.
+   * @returns {Promise<{key:string,contentType:string,metadata:object,bytes:number,createdAt:string}|null>}
+   */
+  async head(key) {
+    const { file, meta } = this._paths(key);
+    let st;
+    try {
+      st = await stat(file);
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+    let sidecar = {};
+    try {
+      sidecar = JSON.parse(await readFile(meta, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    return {
+      key,
+      contentType: sidecar.contentType || "application/octet-stream",
+      metadata: sidecar.metadata || {},
+      bytes: st.size,
+      createdAt: sidecar.createdAt || st.mtime.toISOString(),
+    };
+  }
+
+  async delete(key) {
+    const { file, meta } = this._paths(key);
+    await rm(file, { force: true });
+    await rm(meta, { force: true });
+  }
+
+  async list(prefix = "", { limit = 100 } = {}) {
+    const keys = [];
+    const walk = async (dir, depth) => {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        if (e.code === "ENOENT") return;
+        throw e;
+      }
+      for (const ent of entries) {
+        if (depth < this.shardDepth) {
+          if (ent.isDirectory()) await walk(join(dir, ent.name), depth + 1);
+          continue;
+        }
+        if (!ent.isFile() || ent.name.startsWith(".") || ent.name.endsWith(META_SUFFIX)) continue;
+        const key = decodeURIComponent(ent.name);
+        if (key.startsWith(prefix)) keys.push(key);
+      }
+    };
+    await walk(this.root, 0);
+    return keys.sort().slice(0, limit);
+  }
+
+  async signedUrl(key, { expiresIn = 3600 } = {}) {
+    if (!this.baseUrl || !this.signingSecret) {
+      throw new Error("LocalFSAdapter.signedUrl: baseUrl and signingSecret required");
+    }
+    this._paths(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires), sig: this._sign(key, expires) });
+    return `${this.baseUrl}/${encodeKeyPath(key)}?${query.toString()}`;
+  }
+
+  /**
+   * Check a signature minted by signedUrl(). Returns false for a bad or expired
+   * signature rather than throwing — the HTTP handler maps that to 403.
+   */
+  verifySignature(key, expires, sig) {
+    if (!this.signingSecret || !sig) return false;
+    const exp = Number(expires);
+    if (!Number.isInteger(exp) || exp < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(this._sign(key, exp), "hex");
+    const given = Buffer.from(String(sig), "hex");
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  _sign(key, expires) {
+    return createHmac("sha256", this.signingSecret).update(`${key}\n${expires}`).digest("hex");
+  }
+
+  _canonicalUrl(key, file) {
+    return this.baseUrl ? `${this.baseUrl}/${encodeKeyPath(key)}` : pathToFileURL(file).href;
+  }
+}
+
+/**
+ * node:http request handler serving signed LocalFSAdapter URLs.
+ *
+ *   const server = http.createServer(createLocalFSHandler(adapter));
+ *
+ * The request path (after `pathPrefix`) is the storage key. Requires a valid,
+ * unexpired `?expires=&sig=` pair; answers GET and HEAD only.
+ *
+ * @param {LocalFSAdapter} adapter
+ * @param {{pathPrefix?:string}} [opts]  strip this from the URL path before resolving the key
+ */
+export function createLocalFSHandler(adapter, { pathPrefix = "" } = {}) {
+  const prefix = pathPrefix.replace(/\/$/, "");
+  return async (req, res) => {
+    const send = (status, text) => {
+      res.writeHead(status, { "content-type": "text/plain; charset=utf-8" });
+      res.end(req.method === "HEAD" ? undefined : text);
+    };
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.setHeader("allow", "GET, HEAD");
+        return send(405, "method not allowed");
+      }
+      const u = new URL(req.url, "http://localhost");
+      if (prefix && !u.pathname.startsWith(prefix + "/")) return send(404, "not found");
+      let key;
+      try {
+        key = u.pathname.slice(prefix.length + 1).split("/").map(decodeURIComponent).join("/");
+        adapter._paths(key);
+      } catch {
+        return send(400, "bad key");
+      }
+      if (!adapter.verifySignature(key, u.searchParams.get("expires"), u.searchParams.get("sig"))) {
+        return send(403, "invalid or expired signature");
+      }
+      const info = await adapter.head(key);
+      if (!info) return send(404, "not found");
+      res.writeHead(200, {
+        "content-type": info.contentType,
+        "content-length": info.bytes,
+        "cache-control": "private, no-store",
+      });
+      if (req.method === "HEAD") return res.end();
+      await pipeline(createReadStream(adapter._paths(key).file), res);
+    } catch (e) {
+      if (!res.headersSent) send(500, "internal error");
+      else res.destroy(e);
+    }
+  };
+}
+
+function isBytes(body) {
+  return Buffer.isBuffer(body) || body instanceof Uint8Array;
+}
+
+function encodeKeyPath(key) {
+  return key.split("/").map(encodeURIComponent).join("/");
+}
+
+async function writeDurable(path, buf) {
+  const fh = await open(path, "wx");
+  try {
+    await fh.writeFile(buf);
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+}
+
+async function fsyncFile(path) {
+  const fh = await open(path, "r+");
+  try {
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+}
+
+async function writeAtomic(path, buf) {
+  const tmp = join(dirname(path), `.${randomUUID()}.tmp`);
+  try {
+    await writeDurable(tmp, buf);
+    await rename(tmp, path);
+  } catch (e) {
+    await rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
@@ -1,16 +1,17 @@
 import { createHash, createHmac } from "node:crypto";
-import { StorageAdapter } from "./index.js";
+import { StorageAdapter } from "./adapter.js";
 
 /**
  * Minimal S3-compatible adapter. No AWS SDK dependency — hand-rolled signing.
  * Works with: Hetzner Object Storage, Cloudflare R2, AWS S3, MinIO (including one
  * fronting a local NAS), Backblaze B2.
  *
- * Future: swap to a LocalFSAdapter or SFTPAdapter by implementing the same shape.
+ * For disk-backed storage (office NAS, tests) use LocalFSAdapter — same shape.
  */
 export class S3StorageAdapter extends StorageAdapter {
   constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, pathStyle = true, publicBaseUrl = null }) {
     super();
+    this.provider = "s3";
     if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
       throw new Error("S3StorageAdapter: endpoint, bucket, accessKeyId, secretAccessKey required");
     }
@@ -0,0 +1,148 @@
+import { geminiLLM } from "./llm.js";
+
+/**
+ * Session summarizers for NeoBrain.endSession({ summarize: true }).
+ *
+ * A summarizer turns an agent_sessions row plus the memories written under it
+ * into one paragraph-plus-bullets text, saved as a `session_summary` memory.
+ * Subclasses implement _summarize(session, memories) → string; the base class
+ * orders memories chronologically, caps the output at `maxChars` and rejects
+ * an empty reply.
+ *
+ *   ExtractiveSummarizer  no network: header + the most important memories'
+ *                         first sentences, decisions first
+ *   LLMSummarizer         any llm.js callable; falls back to extractive when
+ *                         the LLM call fails, and says so in the result
+ */
+export class Summarizer {
+  constructor({ model = null, maxChars = 2000 } = {}) {
+    this.provider = "unknown";
+    this.model = model;
+    this.maxChars = maxChars;
+  }
+
+  get name() {
+    return this.model ? `${this.provider}:${this.model}` : this.provider;
+  }
+
+  /**
+   * @param {object} session — agent_sessions row
+   * @param {object[]} memories — rows with content, category, memory_type, importance, created_at
+   * @returns {Promise<{text:string, summarizer:string, fallbackError?:string}>}
+   */
+  async summarize(session, memories) {
+    const ordered = [...memories].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    const text = String((await this._summarize(session, ordered)) ?? "").trim();
+    if (!text) throw new Error(`summarize(${this.name}): empty summary`);
+    return { text: text.slice(0, this.maxChars), summarizer: this.name };
+  }
+
+  async _summarize(session, memories) { throw new Error("not implemented"); }
+}
+
+export class ExtractiveSummarizer extends Summarizer {
+  constructor({ maxItems = 10, maxChars = 2000 } = {}) {
+    super({ maxChars });
+    this.provider = "extractive";
+    this.maxItems = maxItems;
+  }
+
+  async _summarize(session, memories) {
+    const lines = [sessionHeadline(session, memories)];
+    const picked = memories
+      .map((m, i) => ({ m, i }))
+      .sort((a, b) => rank(b.m) - rank(a.m) || a.i - b.i)
+      .slice(0, this.maxItems)
+      .sort((a, b) => a.i - b.i);
+    for (const { m } of picked) lines.push(`- [${m.memory_type || m.category || "note"}] ${firstSentence(m.content)}`);
+    if (memories.length > picked.length) lines.push(`- …and ${memories.length - picked.length} more`);
+    return lines.join("\n");
+  }
+}
+
+export class LLMSummarizer extends Summarizer {
+  constructor({ llm = null, model = "gemini-2.5-flash", maxChars = 2000, maxInputChars = 12000, fallback = undefined } = {}) {
+    super({ model, maxChars });
+    this.provider = "llm";
+    this.llm = llm || geminiLLM({ model });
+    this.maxInputChars = maxInputChars;
+    this.fallback = fallback === undefined ? new ExtractiveSummarizer({ maxChars }) : fallback;
+  }
+
+  async summarize(session, memories) {
+    try {
+      return await super.summarize(session, memories);
+    } catch (e) {
+      if (!this.fallback) throw e;
+      return { ...(await this.fallback.summarize(session, memories)), fallbackError: e.message };
+    }
+  }
+
+  async _summarize(session, memories) {
+    return this.llm(summaryPrompt(session, memories, this.maxInputChars, this.maxChars));
+  }
+}
+
+/**
+ * Build a summarizer from env:
+ *   NEO_BRAIN_SUMMARIZER   extractive (default) | llm
+ *   NEO_BRAIN_LLM_MODEL    Gemini model for llm (llm.js default otherwise)
+ */
+export function summarizerFromEnv({ env = process.env } = {}) {
+  const kind = (env.NEO_BRAIN_SUMMARIZER || "extractive").toLowerCase();
+  switch (kind) {
+    case "extractive":
+    case "":
+      return new ExtractiveSummarizer();
+    case "llm":
+      return new LLMSummarizer({ model: env.NEO_BRAIN_LLM_MODEL || undefined });
+    default:
+      throw new Error(`NEO_BRAIN_SUMMARIZER: unknown summarizer "${kind}" (extractive | llm)`);
+  }
+}
+
+// Decisions and milestones first, then by importance.
+function rank(m) {
+  const typeBoost = { decision: 3, milestone: 2, fact: 1 }[m.memory_type] || 0;
+  return typeBoost * 10 + (Number.isFinite(m.importance) ? m.importance : 5);
+}
+
+function firstSentence(text, max = 200) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  const m = flat.match(/^.+?[.!?](?=\s|$)/);
+  const s = m ? m[0] : flat;
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function sessionHeadline(session, memories) {
+  const start = session.started_at ? session.started_at.slice(0, 16).replace("T", " ") : "?";
+  const end = session.ended_at ? session.ended_at.slice(0, 16).replace("T", " ") : "ongoing";
+  const cats = {};
+  for (const m of memories) cats[m.category || "uncategorized"] = (cats[m.category || "uncategorized"] || 0) + 1;
+  const mix = Object.entries(cats).sort((a, b) => b[1] - a[1]).map(([c, n]) => `${n} ${c}`).join(", ");
+  const task = session.task_summary ? ` — ${session.task_summary}` : "";
+  return `Session ${session.agent || "?"} ${start} → ${end} UTC${task}. ${memories.length} memories (${mix || "none"}).`;
+}
+
+function summaryPrompt(session, memories, maxInputChars, maxChars) {
+  const lines = [];
+  let used = 0;
+  for (const m of memories) {
+    const line = `[${String(m.created_at).slice(11, 16)}] (${m.category}/${m.memory_type}) ${String(m.content).replace(/\s+/g, " ")}`;
+    if (used + line.length > maxInputChars) {
+      lines.push(`…${memories.length - lines.length} later memories omitted`);
+      break;
+    }
+    lines.push(line);
+    used += line.length;
+  }
+  return [
+    "You write handoff summaries of an AI agent's work session for the next session to read.",
+    `Write at most ${maxChars} characters: one short paragraph on what the session set out to do and where it ended,`,
+    "then bullets for decisions made, things shipped, and anything left open. Use only the notes below; do not invent.",
+    "",
+    sessionHeadline(session, memories),
+    "",
+    ...lines,
+  ].join("\n");
+}
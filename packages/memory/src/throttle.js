@@ -0,0 +1,58 @@
+/**
+ * Request budgeting for bulk SDK paths (saveMany, re-embed jobs).
+ *
+ * RateLimiter is a sliding one-minute window: acquire() resolves immediately
+ * while fewer than `rpm` requests started in the last 60s, otherwise waits
+ * until the oldest one ages out. Replaces the fixed `sleep(N)` between calls
+ * the backfill tools used — bursts are allowed, the minute total is capped.
+ */
+export class RateLimiter {
+  constructor({ rpm, windowMs = 60_000 } = {}) {
+    if (!(rpm > 0)) throw new Error("RateLimiter: rpm must be > 0");
+    this.rpm = rpm;
+    this.windowMs = windowMs;
+    this._starts = [];
+    this._queue = Promise.resolve();
+  }
+
+  /** Wait for a slot. Calls are served in order. */
+  acquire() {
+    const turn = this._queue.then(() => this._take());
+    this._queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async _take() {
+    for (;;) {
+      const now = Date.now();
+      while (this._starts.length && this._starts[0] <= now - this.windowMs) this._starts.shift();
+      if (this._starts.length < this.rpm) {
+        this._starts.push(now);
+        return;
+      }
+      await sleep(this._starts[0] + this.windowMs - now);
+    }
+  }
+}
+
+/**
+ * Map with at most `concurrency` calls of `fn` in flight. Results keep input
+ * order; a rejection rejects the whole map (callers catch per item).
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, Math.max(0, ms)));
+}
@@ -0,0 +1,137 @@
+/**
+ * Change-feed helpers for NeoBrain.watch().
+ *
+ * watch() follows a table through one of two transports:
+ *
+ *   realtime   Supabase Realtime postgres_changes on the table (needs the
+ *              table in the supabase_realtime publication)
+ *   poll       PostgREST pages ordered by (created_at, id) after a cursor —
+ *              works against any Postgres behind PostgREST
+ *
+ * and `auto` (default) tries Realtime first. Either way the position is a
+ * keyset cursor over (cursorColumn, id); each event carries it encoded, and
+ * `after: cursor` resumes there — after a reconnect, or in a new process.
+ */
+
+export const WATCH_MODES = ["auto", "realtime", "poll"];
+export const WATCH_EVENTS = ["insert", "update"];
+
+/** Opaque resume token for a (cursorColumn value, id) position. */
+export function encodeWatchCursor({ at, id }) {
+  return Buffer.from(JSON.stringify([at, id])).toString("base64url");
+}
+
+/** @returns {{at:string|null, id:string|null}} */
+export function decodeWatchCursor(cursor) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== 2) throw new Error(`watch: bad cursor "${cursor}"`);
+  return { at: parsed[0], id: parsed[1] };
+}
+
+/** Whether (at, id) of `row` sorts after `cursor`. Timestamps compare as instants. */
+export function afterCursor(at, id, cursor) {
+  if (cursor.at == null) return true;
+  const a = Date.parse(at), b = Date.parse(cursor.at);
+  if (a !== b) return a > b;
+  return cursor.id == null || String(id) > String(cursor.id);
+}
+
+/**
+ * Check a watch() filter — `{ column: value | value[] }` — and return it as
+ * `[column, values[]]` pairs.
+ */
+export function watchFilterEntries(filter) {
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) throw new Error("watch: filter must be an object of column → value(s)");
+  return Object.entries(filter).map(([col, v]) => {
+    if (!/^\w+$/.test(col)) throw new Error(`watch: filter key "${col}" must be a column name`);
+    const values = Array.isArray(v) ? v : [v];
+    if (!values.length || values.some((x) => x !== null && typeof x === "object")) {
+      throw new Error(`watch: filter ${col} must be a value or a non-empty list of values`);
+    }
+    return [col, values];
+  });
+}
+
+export function matchesWatchFilter(row, entries) {
+  return entries.every(([col, values]) => values.some((v) => row[col] === v || (v !== null && row[col] != null && String(row[col]) === String(v))));
+}
+
+/**
+ * Realtime takes one server-side filter per channel: the first entry, as
+ * `col=eq.v` or `col=in.(a,b)`. The rest is applied client-side.
+ */
+export function realtimeFilter(entries) {
+  const first = entries.find(([, values]) => !values.includes(null));
+  if (!first) return null;
+  const [col, values] = first;
+  return values.length === 1 ? `${col}=eq.${values[0]}` : `${col}=in.(${values.join(",")})`;
+}
+
+/**
+ * Unbounded FIFO between Realtime callbacks and the watch() generator.
+ * next() resolves with the next item, or null once `signal` aborts.
+ */
+export class ChangeQueue {
+  constructor() {
+    this._items = [];
+    this._waiter = null;
+  }
+
+  push(item) {
+    if (!this._waiter) return void this._items.push(item);
+    const wake = this._waiter;
+    this._waiter = null;
+    wake(item);
+  }
+
+  next(signal = null) {
+    if (this._items.length) return Promise.resolve(this._items.shift());
+    if (signal?.aborted) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const onAbort = () => {
+        this._waiter = null;
+        resolve(null);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this._waiter = (item) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(item);
+      };
+    });
+  }
+}
+
+/** Keys of recently emitted changes, so catch-up polls and live events don't double up. */
+export class RecentKeys {
+  constructor(max = 2000) {
+    this.max = max;
+    this._keys = new Set();
+  }
+
+  /** false if `key` was already seen. */
+  add(key) {
+    if (this._keys.has(key)) return false;
+    this._keys.add(key);
+    if (this._keys.size > this.max) this._keys.delete(this._keys.values().next().value);
+    return true;
+  }
+}
+
+/** setTimeout as a promise that resolves early when `signal` aborts. */
+export function sleepUnlessAborted(ms, signal = null) {
+  if (signal?.aborted) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
@@ -0,0 +1,384 @@
+// In-memory stand-in for the slice of the supabase-js query builder NeoBrain
+// uses. Not a test file (no .test. in the name) — imported by the SDK tests
+// so client methods can run without a neo-brain project.
+//
+//   const sb = fakeSupabase({ rpc: { match_memories_hybrid_v2: (args) => [...] } });
+//   brain.sb = sb;
+//   sb.tables.memories  // → array of inserted rows
+//   sb.fail = ({ table, op }) => ({ message: 'TypeError: fetch failed' })  // simulate outages
+//
+//   const sb = fakeSupabase({ realtime: true });  // + channel() / removeChannel()
+//   sb.realtimeStatus = 'CHANNEL_ERROR'           // what subscribe() reports next
+//   sb.channels[0].drop()                         // simulate a lost connection
+//
+// Also the shared NeoBrain test harness: StubEmbedder, and testBrain() — a
+// client wired to a fakeSupabase with every optional stage switched off.
+//
+//   const b = testBrain({ tables: { memories: [] }, embedder: new StubEmbedder((t) => [t.length, 1]) });
+//   b.sb.tables.memories / b.embedder.calls / stubVector([3, 1])  // '[3,1,0,…]'
+
+import { randomUUID } from 'node:crypto';
+import { NeoBrain, EmbeddingProvider, EMBEDDING_DIMS } from '../src/index.js';
+
+/**
+ * Embedder whose vectors come from `vector(text)` — the leading components,
+ * zero-padded to `dims` so the SDK's 768-dim contract holds and cosine scores
+ * are those of the short vector. Every embedded text lands in `calls`;
+ * `vector` may throw (a backend outage) or return null (a failed chunk).
+ */
+export class StubEmbedder extends EmbeddingProvider {
+  constructor(vector = () => [1, 0], { model = 'stub', dims = EMBEDDING_DIMS, ...opts } = {}) {
+    super({ model, dims, ...opts });
+    this.vector = vector;
+    this.calls = [];
+  }
+
+  async _embedChunk(text) {
+    this.calls.push(text);
+    const v = await this.vector(text);
+    return v && [...v, ...new Array(Math.max(0, this.dims - v.length)).fill(0)];
+  }
+}
+
+/** The pgvector literal NeoBrain stores for a StubEmbedder vector `v`. */
+export const stubVector = (v, dims = EMBEDDING_DIMS) => `[${[...v, ...new Array(dims - v.length).fill(0)].join(',')}]`;
+
+/**
+ * NeoBrain over a fakeSupabase({ tables, rpc, realtime }), with a StubEmbedder
+ * and no journal, reranker, policy or shadow embedder unless `opts` turns
+ * them on. Any other NeoBrain option passes straight through.
+ */
+export function testBrain({ tables, rpc, realtime, ...opts } = {}) {
+  const b = new NeoBrain({
+    url: 'http://127.0.0.1:1',
+    serviceRoleKey: 'x',
+    agent: 'test',
+    embedder: new StubEmbedder(),
+    journal: null,
+    reranker: false,
+    policy: false,
+    shadowEmbedder: false,
+    ...opts,
+  });
+  b.sb = fakeSupabase({ tables, rpc, realtime });
+  return b;
+}
+
+// Column defaults the real schema applies on insert (a function gets the row).
+const DEFAULTS = {
+  memories: { archived: false },
+  facts: { status: 'current' },
+  fact_reviews: { status: 'open' },
+  agent_sessions: { started_at: (row) => row.created_at },
+  embedding_migrations: { status: 'backfilling', cursor: () => ({}), progress: () => ({}) },
+};
+
+export function fakeSupabase({ tables = {}, rpc = {}, realtime = false } = {}) {
+  const db = { ...tables };
+  let serial = 0;
+  const table = (name) => (db[name] ||= []);
+
+  const sb = {
+    tables: db,
+    calls: [],
+    fail: null,
+    from(name) {
+      return new Query(name, table(name), () => ++serial, sb.calls, sb);
+    },
+    async rpc(name, args) {
+      sb.calls.push({ rpc: name, args });
+      const failure = sb.fail?.({ rpc: name, args });
+      if (failure) return { data: null, error: failure, status: failure.status ?? 0 };
+      const fn = rpc[name];
+      // Unstubbed RPCs fail the way PostgREST reports a function that is not deployed.
+      if (!fn) return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name} (rpc not stubbed)` } };
+      try {
+        return { data: await fn(args, db), error: null };
+      } catch (e) {
+        return { data: null, error: { message: e.message } };
+      }
+    },
+  };
+  if (realtime) {
+    // Inserts and updates made through this fake reach open channels on the
+    // next turn of the event loop, like postgres_changes over the wire.
+    sb.channels = [];
+    sb.realtimeStatus = 'SUBSCRIBED';
+    sb.channel = (name) => {
+      const ch = new FakeChannel(name, sb);
+      sb.channels.push(ch);
+      return ch;
+    };
+    sb.removeChannel = async (ch) => {
+      ch.closed = true;
+      if (sb.channels.includes(ch)) sb.channels.splice(sb.channels.indexOf(ch), 1);
+      return 'ok';
+    };
+    sb.broadcast = (table, eventType, row) => {
+      const copy = { ...row };
+      const open = [...sb.channels];
+      setImmediate(() => { for (const ch of open) ch.emit(table, eventType, copy); });
+    };
+  }
+  return sb;
+}
+
+class FakeChannel {
+  constructor(name, sb) {
+    this.name = name;
+    this.sb = sb;
+    this.listeners = [];
+    this.onStatus = null;
+    this.closed = false;
+  }
+
+  on(type, opts, cb) {
+    if (type !== 'postgres_changes') throw new Error(`fake: channel.on(${type}) unsupported`);
+    this.listeners.push({ opts, cb });
+    return this;
+  }
+
+  subscribe(cb) {
+    this.onStatus = cb;
+    const status = this.sb.realtimeStatus;
+    setImmediate(() => {
+      if (!this.closed) cb(status, status === 'SUBSCRIBED' ? undefined : new Error(`fake realtime: ${status}`));
+    });
+    return this;
+  }
+
+  drop(status = 'CHANNEL_ERROR') {
+    this.closed = true;
+    this.onStatus?.(status, new Error('fake realtime: connection lost'));
+  }
+
+  emit(table, eventType, row) {
+    if (this.closed) return;
+    for (const { opts, cb } of this.listeners) {
+      if (opts.table !== table || (opts.event !== '*' && opts.event !== eventType)) continue;
+      if (opts.filter && !realtimeFilterMatches(opts.filter, row)) continue;
+      cb({ schema: 'public', table, eventType, new: { ...row }, old: {}, commit_timestamp: new Date().toISOString() });
+    }
+  }
+}
+
+// "col=eq.v" / "col=in.(a,b)", the filter forms Realtime accepts.
+function realtimeFilterMatches(filter, row) {
+  const [, col, op, v] = filter.match(/^(\w+)=(eq|in)\.(.*)$/) || [];
+  if (!col) throw new Error(`fake: realtime filter ${filter} unsupported`);
+  const values = op === 'in' ? v.replace(/^\(|\)$/g, '').split(',') : [v];
+  return values.includes(String(row[col]));
+}
+
+class Query {
+  constructor(name, rows, nextSerial, calls, sb) {
+    this.sb = sb;
+    this.name = name;
+    this.rows = rows;
+    this.nextSerial = nextSerial;
+    this.calls = calls;
+    this.op = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.limitN = null;
+    this.rangeArgs = null;
+    this.mode = 'many';
+    this.payload = null;
+    this.returning = false;
+    this.countMode = null;
+    this.columns = null;
+  }
+
+  select(cols = '*', { count = null, head = false } = {}) {
+    // Plain column lists are projected like PostgREST would; anything fancier
+    // (embedded resources, casts) returns whole rows.
+    if (/^\s*\w+(\s*,\s*\w+)*\s*$/.test(cols)) this.columns = cols.split(',').map((c) => c.trim());
+    if (this.op === 'select') {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+  insert(payload) { this.op = 'insert'; this.payload = payload; return this; }
+  upsert(payload, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.op = 'upsert';
+    this.payload = payload;
+    this.onConflict = onConflict;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+  update(patch) { this.op = 'update'; this.payload = patch; return this; }
+  delete() { this.op = 'delete'; return this; }
+
+  eq(col, v) { this.filters.push((r) => field(r, col) === v); return this; }
+  neq(col, v) { this.filters.push((r) => field(r, col) !== v); return this; }
+  gt(col, v) { this.filters.push((r) => r[col] > v); return this; }
+  gte(col, v) { this.filters.push((r) => r[col] >= v); return this; }
+  lt(col, v) { this.filters.push((r) => r[col] < v); return this; }
+  lte(col, v) { this.filters.push((r) => r[col] <= v); return this; }
+  in(col, vs) { this.filters.push((r) => vs.includes(r[col])); return this; }
+  is(col, v) { this.filters.push((r) => (field(r, col) ?? null) === v); return this; }
+  not(col, op, v) {
+    if (op === 'is') this.filters.push((r) => (field(r, col) ?? null) !== v);
+    else throw new Error(`fake: not(${op}) unsupported`);
+    return this;
+  }
+  contains(col, v) {
+    // A string is a jsonb literal (how supabase-js must be called for jsonb
+    // arrays); containment then follows Postgres @>.
+    const want = typeof v === 'string' ? JSON.parse(v) : v;
+    this.filters.push((r) => jsonContains(r[col], want));
+    return this;
+  }
+  overlaps(col, vs) { this.filters.push((r) => Array.isArray(r[col]) && r[col].some((x) => vs.includes(x))); return this; }
+  or(expr) {
+    // Supports the keyset form used by the SDK: "a.lt.X,and(a.eq.X,b.lt.Y)",
+    // and "a.ilike.*x*" alternatives.
+    const parts = splitTopLevel(expr);
+    const preds = parts.map(parseOrPart);
+    this.filters.push((r) => preds.some((p) => p(r)));
+    return this;
+  }
+  order(col, { ascending = true } = {}) { this.orders.push({ col, ascending }); return this; }
+  limit(n) { this.limitN = n; return this; }
+  range(from, to) { this.rangeArgs = [from, to]; return this; }
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this._exec()).then(resolve, reject);
+  }
+
+  _match() {
+    return this.rows.filter((r) => this.filters.every((f) => f(r)));
+  }
+
+  _exec() {
+    this.calls.push({ table: this.name, op: this.op, payload: this.payload });
+    const failure = this.sb.fail?.({ table: this.name, op: this.op, payload: this.payload });
+    if (failure) return { data: null, error: failure, status: failure.status ?? 0 };
+    let out;
+    if (this.op === 'insert' || this.op === 'upsert') {
+      const list = Array.isArray(this.payload) ? this.payload : [this.payload];
+      out = [];
+      for (const p of list) {
+        const keys = String(this.onConflict || 'id').split(',');
+        const existing = this.op === 'upsert'
+          ? this.rows.find((r) => keys.every((k) => r[k] !== undefined && r[k] === p[k]))
+          : (p.id && this.rows.find((r) => r.id === p.id));
+        if (existing && this.op === 'insert') {
+          return { data: null, error: { message: 'duplicate key value violates unique constraint', code: '23505' }, status: 409 };
+        }
+        if (existing) {
+          if (!this.ignoreDuplicates) {
+            Object.assign(existing, p);
+            this.sb.broadcast?.(this.name, 'UPDATE', existing);
+          }
+          out.push(existing);
+          continue;
+        }
+        const row = {
+          id: this.name === 'memory_writes_log' ? this.nextSerial() : randomUUID(),
+          created_at: new Date(Date.now() + this.nextSerial()).toISOString(),
+        };
+        for (const [k, v] of Object.entries(DEFAULTS[this.name] || {})) row[k] = typeof v === 'function' ? v(row) : v;
+        Object.assign(row, p);
+        this.rows.push(row);
+        this.sb.broadcast?.(this.name, 'INSERT', row);
+        out.push(row);
+      }
+    } else if (this.op === 'update') {
+      out = this._match();
+      for (const r of out) {
+        Object.assign(r, this.payload);
+        this.sb.broadcast?.(this.name, 'UPDATE', r);
+      }
+    } else if (this.op === 'delete') {
+      out = this._match();
+      for (const r of out) this.rows.splice(this.rows.indexOf(r), 1);
+    } else {
+      out = this._match();
+      for (const { col, ascending } of [...this.orders].reverse()) {
+        out = [...out].sort((a, b) => {
+          if (a[col] === b[col]) return 0;
+          return (a[col] < b[col] ? -1 : 1) * (ascending ? 1 : -1);
+        });
+      }
+      if (this.rangeArgs) out = out.slice(this.rangeArgs[0], this.rangeArgs[1] + 1);
+      if (this.limitN != null) out = out.slice(0, this.limitN);
+    }
+    const count = this.countMode ? out.length : null;
+    if (this.head) return { data: null, count, error: null };
+    out = out.map((r) => (this.columns ? Object.fromEntries(this.columns.map((c) => [c, r[c]])) : { ...r }));
+    if (this.mode === 'single') {
+      if (out.length !== 1) return { data: null, error: { message: `expected 1 row, got ${out.length}` } };
+      return { data: out[0], error: null };
+    }
+    if (this.mode === 'maybe') return { data: out[0] ?? null, error: null };
+    if ((this.op === 'insert' || this.op === 'update' || this.op === 'upsert' || this.op === 'delete') && !this.returning) {
+      return { data: null, error: null };
+    }
+    return { data: out, count, error: null };
+  }
+}
+
+// Column or JSON path as PostgREST filters take it: "source_ref->>session_id",
+// "metadata->merged_into". ->> yields text.
+function field(row, col) {
+  const parts = col.split(/(->>?)/);
+  let v = row[parts[0]];
+  for (let i = 1; i < parts.length; i += 2) {
+    v = v == null ? undefined : v[parts[i + 1]];
+    if (parts[i] === '->>' && v != null) v = typeof v === 'string' ? v : JSON.stringify(v);
+  }
+  return v;
+}
+
+// PostgREST accepts * as well as % for the LIKE wildcard.
+function likeRegExp(pattern) {
+  const body = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+function jsonContains(have, want) {
+  if (Array.isArray(want)) return Array.isArray(have) && want.every((w) => have.some((h) => jsonContains(h, w)));
+  if (want && typeof want === 'object') {
+    return !!have && typeof have === 'object' && Object.entries(want).every(([k, w]) => jsonContains(have[k], w));
+  }
+  return have === want;
+}
+
+function splitTopLevel(s) {
+  const out = [];
+  let depth = 0, cur = '';
+  for (const ch of s) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function parseOrPart(part) {
+  const and = part.match(/^and\((.*)\)$/);
+  if (and) {
+    const preds = splitTopLevel(and[1]).map(parseOrPart);
+    return (r) => preds.every((p) => p(r));
+  }
+  const [col, op, ...rest] = part.split('.');
+  const v = rest.join('.');
+  const cmp = {
+    eq: (a) => String(a) === v,
+    lt: (a) => String(a) < v,
+    gt: (a) => String(a) > v,
+    lte: (a) => String(a) <= v,
+    gte: (a) => String(a) >= v,
+    ilike: (a) => likeRegExp(v).test(String(a ?? '')),
+  }[op];
+  if (!cmp) throw new Error(`fake: or() op ${op} unsupported`);
+  return (r) => cmp(r[col]);
+}
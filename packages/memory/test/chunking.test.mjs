@@ -0,0 +1,137 @@
+// Tests for chunk-level storage: chunkText(), memory_chunks writes on
+// save / saveMany / update / redactMemory, and search({ chunks: true }).
+//
+// Run: node --test --no-warnings packages/memory/test/chunking.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, highlightPassage } from '../src/index.js';
+import { testBrain, stubVector } from './_fake-supabase.mjs';
+
+const brainWith = (rpc = {}, extra = {}) => testBrain({ rpc, agent: 'chunk-test', ...extra });
+
+const para = (word, n) => Array.from({ length: n }, (_, i) => `${word} sentence ${i}.`).join(' ');
+const LONG = [para('alpha', 40), para('bravo', 40), para('charlie', 40)].join('\n\n');
+
+test('chunkText: bounded, overlapping, offsets exact, cuts at boundaries', () => {
+  const pieces = chunkText(LONG, { size: 600, overlap: 100 });
+  assert.ok(pieces.length > 3);
+  for (const p of pieces) {
+    assert.ok(p.text.length <= 600);
+    assert.equal(LONG.slice(p.start, p.end), p.text);
+  }
+  assert.equal(pieces[0].start, 0);
+  assert.equal(pieces.at(-1).end, LONG.length);
+  for (let i = 1; i < pieces.length; i++) {
+    assert.ok(pieces[i].start < pieces[i - 1].end, 'consecutive chunks overlap');
+    assert.ok(pieces[i].start > pieces[i - 1].start, 'always advances');
+  }
+  assert.ok(pieces.every((p) => /[.\s]$/.test(p.text) || p.end === LONG.length), 'cut after a sentence / space');
+
+  assert.deepEqual(chunkText('short'), [{ index: 0, start: 0, end: 5, text: 'short' }]);
+  assert.deepEqual(chunkText('   '), []);
+  assert.throws(() => chunkText('x', { size: 10, overlap: 10 }), /size > overlap/);
+  assert.equal(chunkText('x'.repeat(2500), { size: 1000, overlap: 0 }).length, 3, 'no boundary → hard cut');
+});
+
+test('highlightPassage: by offsets, falling back to text search', () => {
+  assert.equal(highlightPassage('one two three', { start: 4, end: 7, text: 'two' }), 'one **two** three');
+  assert.equal(highlightPassage('zero one two three', { start: 4, end: 7, text: 'two' }), 'zero one **two** three');
+  assert.equal(highlightPassage('abc', { start: 0, end: 1, text: 'zz' }), 'abc');
+});
+
+test('save: long content gets chunk rows; short content does not', async () => {
+  const b = brainWith();
+  const short = await b.save('short note', { category: 'c', type: 'note' });
+  assert.equal(short.chunks, undefined);
+
+  const out = await b.save(LONG, { category: 'session', type: 'summary' });
+  const rows = b.sb.tables.memory_chunks;
+  assert.equal(out.chunks, rows.length);
+  assert.ok(rows.length >= 3);
+  assert.ok(rows.every((r) => r.memory_id === out.id && r.embedding === stubVector([1, 0])));
+  assert.deepEqual(rows.map((r) => r.chunk_index), rows.map((_, i) => i));
+  assert.equal(LONG.slice(rows[1].start_char, rows[1].end_char), rows[1].content);
+});
+
+test('save: chunk failure leaves the parent saved and reports chunkError; chunking: false skips', async () => {
+  const b = brainWith();
+  b.sb.fail = ({ table }) => (table === 'memory_chunks' ? { message: 'relation "memory_chunks" does not exist', code: '42P01', status: 404 } : null);
+  const out = await b.save(LONG, { category: 'session', type: 'summary' });
+  assert.ok(out.id);
+  assert.equal(out.chunks, 0);
+  assert.match(out.chunkError, /memory_chunks insert: relation/);
+  assert.equal(b.sb.tables.memories.length, 1);
+
+  const off = brainWith({}, { chunking: false });
+  assert.equal((await off.save(LONG, { category: 'session', type: 'summary' })).chunks, undefined);
+  assert.equal(off.sb.tables.memory_chunks, undefined);
+});
+
+test('saveMany: long items are chunked too', async () => {
+  const b = brainWith();
+  const out = await b.saveMany([{ content: 'tiny', category: 'c', type: 'n' }, { content: LONG, category: 'c', type: 'n' }]);
+  assert.equal(out.results[0].chunks, undefined);
+  assert.ok(out.results[1].chunks >= 3);
+});
+
+test('update / rechunkMemory replace chunks; redactMemory leaves no secret passage', async () => {
+  const b = brainWith();
+  const secret = 'sk-ant-api03-' + 'q'.repeat(40);
+  // A row from before the write-time credential guard.
+  const { id } = await b.save(`${LONG}\n\nkey ${secret}`, { category: 'session', type: 'summary', credentialGuard: 'off' });
+  assert.ok(b.sb.tables.memory_chunks.some((c) => c.content.includes(secret)));
+
+  await b.redactMemory(id, { newContent: `${LONG}\n\nkey → vault: service=anthropic`, reason: 'leak' });
+  assert.ok(!b.sb.tables.memory_chunks.some((c) => c.content.includes(secret)));
+  assert.ok(b.sb.tables.memory_chunks.some((c) => c.content.includes('vault')));
+
+  await b.update(id, { content: 'now short' });
+  assert.equal(b.sb.tables.memory_chunks.length, 0, 'short content → no passages');
+  await b.update(id, { importance: 9 });
+
+  b.sb.tables.memories[0].content = LONG;
+  const res = await b.rechunkMemory(id);
+  assert.equal(res.chunks, b.sb.tables.memory_chunks.length);
+  await b.rechunkMemory(id);
+  assert.equal(b.sb.tables.memory_chunks.length, res.chunks, 'idempotent');
+});
+
+test('search({ chunks: true }): fuses passage hits, fetches missing parents, highlights', async () => {
+  let chunkArgs;
+  const b = brainWith({
+    match_memories_hybrid_v2: () => [{ id: 'm1', content: 'short hit', similarity: 0.6 }],
+    match_memory_chunks: (args, db) => {
+      chunkArgs = args;
+      const parent = db.memories.find((m) => m.content === LONG);
+      const c = db.memory_chunks.filter((x) => x.memory_id === parent.id);
+      return [
+        { memory_id: parent.id, chunk_index: 2, start_char: c[2].start_char, end_char: c[2].end_char, content: c[2].content, similarity: 0.91 },
+        { memory_id: parent.id, chunk_index: 0, start_char: c[0].start_char, end_char: c[0].end_char, content: c[0].content, similarity: 0.5 },
+        { memory_id: 'm1', chunk_index: 0, start_char: 0, end_char: 5, content: 'short', similarity: 0.4 },
+      ];
+    },
+  });
+  const { id } = await b.save(LONG, { category: 'session', type: 'summary', visibility: 'internal' });
+
+  const plain = await b.search('bravo', { k: 3 });
+  assert.equal(plain.length, 1);
+  assert.equal(chunkArgs, undefined, 'chunk RPC only on request');
+
+  const hits = await b.search('bravo', { k: 3, chunks: true, source: ['x'] });
+  assert.equal(chunkArgs.match_count, 9);
+  assert.deepEqual(chunkArgs.source_filter, ['x']);
+  assert.deepEqual(hits.map((h) => h.id).sort(), ['m1', id].sort());
+  const long = hits.find((h) => h.id === id);
+  assert.equal(long.passage.index, 2);
+  assert.equal(long.passage.similarity, 0.91);
+  assert.equal(long.similarity, 0.91);
+  assert.equal(long.visibility, 'internal', 'parent row fetched');
+  assert.ok(long.highlighted.includes(`**${long.passage.text}**`));
+  assert.equal(long.highlighted.length, LONG.length + 4);
+  const m1 = hits.find((h) => h.id === 'm1');
+  assert.ok(m1.fused_score > long.fused_score, 'in both lists → ranked first');
+  assert.equal(m1.highlighted, '**short** hit');
+});
@@ -0,0 +1,129 @@
+// Tests for near-duplicate detection: save({ dedupe }) and the offline
+// findDuplicateClusters() used by tools/find-duplicate-memories.mjs.
+//
+// Run: node --test --no-warnings packages/memory/test/dedupe.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentPolicy, findDuplicateClusters, memorySimilarity } from '../src/index.js';
+import { testBrain, StubEmbedder } from './_fake-supabase.mjs';
+
+// Vectors depend only on the first letter, so "deploy done" ≈ "deploy finished".
+const letterVector = (text) => {
+  const c = text.trim()[0].toLowerCase();
+  return c === 'd' ? [1, 0, 0] : c === 'e' ? [0.8, 0.6, 0] : [0, 0, 1];
+};
+
+const brain = () => testBrain({ agent: 'dedupe-test', embedder: new StubEmbedder(letterVector) });
+
+const opts = (extra = {}) => ({ category: 'progress', type: 'note', ...extra });
+
+test('dedupe off (default) inserts every time', async () => {
+  const b = brain();
+  await b.save('deploy done', opts());
+  await b.save('deploy done', opts());
+  assert.equal(b.sb.tables.memories.length, 2);
+  assert.ok(!b.sb.calls.some((c) => c.table === 'memories' && c.op === 'select'), 'no probe');
+});
+
+test('skip: returns the existing memory, inserts nothing', async () => {
+  const b = brain();
+  const first = await b.save('Deploy done.', opts());
+  const again = await b.save('deploy   done', opts({ dedupe: 'skip' }));
+  assert.deepEqual(
+    { id: again.id, deduped: again.deduped, duplicateOf: again.duplicateOf, similarity: again.similarity },
+    { id: first.id, deduped: 'skip', duplicateOf: first.id, similarity: 1 },
+  );
+  assert.equal(b.sb.tables.memories.length, 1);
+  assert.equal(b.sb.tables.memory_writes_log.length, 1);
+});
+
+test('merge: appends to metadata.occurrences on the existing row', async () => {
+  const b = brain();
+  const first = await b.save('deploy done', opts({ metadata: { k: 1 } }));
+  await b.save('deploy done', opts({ dedupe: 'merge', sourceRef: { session: 's1' } }));
+  const out = await b.save('deploy finished', opts({ dedupe: 'merge' }));
+  assert.equal(out.id, first.id);
+  assert.equal(out.deduped, 'merge');
+
+  assert.equal(b.sb.tables.memories.length, 1);
+  const { metadata } = b.sb.tables.memories[0];
+  assert.equal(metadata.k, 1, 'existing metadata kept');
+  assert.equal(metadata.occurrence_count, 2);
+  assert.equal(metadata.occurrences.length, 2);
+  assert.deepEqual(metadata.occurrences[0].source_ref, { session: 's1' });
+  assert.ok(!('content' in metadata.occurrences[0]), 'identical text not repeated');
+  assert.equal(metadata.occurrences[1].content, 'deploy finished');
+  assert.equal(metadata.occurrences[1].source, 'dedupe-test');
+  assert.match(b.sb.tables.memory_writes_log.at(-1).payload_preview, /^\[dedupe merge\] deploy finished/);
+});
+
+test('merge: an existing row the policy won\'t let this agent write gets a new row instead', async () => {
+  const b = brain();
+  const first = await b.save('deploy done', opts({ visibility: 'public' }));
+  b.policy = new AgentPolicy({ agents: { 'dedupe-test': { write: { visibilities: ['private'] } } } });
+  const out = await b.save('deploy finished', opts({ dedupe: 'merge', visibility: 'private' }));
+  assert.notEqual(out.id, first.id);
+  assert.equal(out.deduped, undefined);
+  assert.equal(b.sb.tables.memories.length, 2);
+  assert.equal(b.sb.tables.memories[0].metadata.occurrence_count, undefined, 'existing row untouched');
+  assert.equal(b.sb.tables.policy_violations[0].operation, 'save (dedupe merge)');
+
+  // Writable → merged as before.
+  const again = await b.save('deploy again', opts({ dedupe: 'merge', visibility: 'private' }));
+  assert.equal(again.id, out.id);
+  assert.equal(again.deduped, 'merge');
+});
+
+test('link: inserts and records a duplicate_of edge', async () => {
+  const b = brain();
+  const first = await b.save('deploy done', opts());
+  const out = await b.save('deploy finished', opts({ dedupe: 'link' }));
+  assert.notEqual(out.id, first.id);
+  assert.equal(out.deduped, 'link');
+  assert.equal(b.sb.tables.memories.length, 2);
+  const [edge] = b.sb.tables.memory_edges;
+  assert.deepEqual({ src: edge.src, dst: edge.dst, relation: edge.relation, weight: edge.weight }, { src: out.id, dst: first.id, relation: 'duplicate_of', weight: 1 });
+});
+
+test('probe is scoped to category, subject, time window and threshold', async () => {
+  const b = brain();
+  await b.save('deploy done', opts());
+  assert.equal((await b.save('deploy done', opts({ category: 'other', dedupe: 'skip' }))).deduped, undefined);
+  assert.equal((await b.save('deploy done', opts({ subjectId: null, dedupe: 'skip' }))).deduped, undefined);
+  // cosine([1,0,0],[0.8,0.6,0]) = 0.8
+  assert.equal((await b.save('edge case', opts({ dedupe: 'skip' }))).deduped, undefined);
+  assert.equal((await b.save('eh', opts({ dedupe: 'skip', dedupeThreshold: 0.79 }))).deduped, 'skip');
+
+  b.sb.tables.memories.forEach((m) => { m.created_at = '2020-01-01T00:00:00.000Z'; });
+  assert.equal((await b.save('deploy done', opts({ dedupe: 'skip' }))).deduped, undefined, 'old rows outside the window');
+});
+
+test('invalid dedupe mode is rejected before any write', async () => {
+  const b = brain();
+  await assert.rejects(b.save('x', opts({ dedupe: 'yes' })), /dedupe must be one of off, skip, merge, link/);
+  assert.equal(b.sb.calls.length, 0);
+});
+
+test('findDuplicateClusters: transitive, grouped by category+subject, windowed', () => {
+  const at = (d) => new Date(Date.UTC(2026, 0, d)).toISOString();
+  const rows = [
+    { id: 'a', content: 'x', embedding: '[1,0]', category: 'p', subject_id: 's', created_at: at(1) },
+    { id: 'b', content: 'y', embedding: '[0.96,0.28]', category: 'p', subject_id: 's', created_at: at(2) },
+    { id: 'c', content: 'z', embedding: '[0.866,0.5]', category: 'p', subject_id: 's', created_at: at(3) },
+    { id: 'd', content: 'X', embedding: null, category: 'p', subject_id: 's', created_at: at(20) },
+    { id: 'e', content: 'x', embedding: '[1,0]', category: 'q', subject_id: 's', created_at: at(1) },
+    { id: 'f', content: 'lonely', embedding: '[0,1]', category: 'p', subject_id: 's', created_at: at(4) },
+  ];
+  const clusters = findDuplicateClusters(rows, { threshold: 0.95 });
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].canonical.id, 'a');
+  assert.deepEqual(clusters[0].members.map((m) => m.row.id), ['b', 'c', 'd'], 'a≈b≈c chain + exact text match');
+  assert.equal(clusters[0].members[2].similarity, 1);
+
+  const windowed = findDuplicateClusters(rows, { threshold: 0.95, windowMs: 7 * 86400_000 });
+  assert.deepEqual(windowed[0].members.map((m) => m.row.id), ['b', 'c'], 'd is 19 days later');
+  assert.equal(memorySimilarity({ content: 'a', embedding: null }, { content: 'b', embedding: '[1,0]' }), 0);
+});
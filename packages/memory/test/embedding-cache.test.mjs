@@ -0,0 +1,133 @@
+// Tests for the content-hash embedding cache (src/embeddings/cache.js) and
+// its wiring into NeoBrain and embedText().
+//
+// Run: node --test --no-warnings packages/memory/test/embedding-cache.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  EmbeddingCache,
+  MemoryLRUTier,
+  DiskTier,
+  embedText,
+} from '../src/index.js';
+import { testBrain, StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+const countingEmbedder = () => new StubEmbedder((text) => [text.length, 1]);
+const brainWith = (embedder, extra = {}) =>
+  testBrain({ agent: 'cache-test', embedder, rpc: { match_memories_hybrid_v2: () => [] }, ...extra });
+
+test('key depends on model, dims and text', () => {
+  const k = EmbeddingCache.key('m', 768, 'hello');
+  assert.match(k, /^[0-9a-f]{64}$/);
+  assert.equal(k, EmbeddingCache.key('m', 768, 'hello'));
+  assert.notEqual(k, EmbeddingCache.key('m2', 768, 'hello'));
+  assert.notEqual(k, EmbeddingCache.key('m', 1536, 'hello'));
+  assert.notEqual(k, EmbeddingCache.key('m', 768, 'hello '));
+});
+
+test('LRU tier evicts least recently used', () => {
+  const lru = new MemoryLRUTier({ maxEntries: 2 });
+  lru.set('a', [1]);
+  lru.set('b', [2]);
+  lru.get('a'); // a is now most recent
+  lru.set('c', [3]);
+  assert.deepEqual(lru.get('a'), [1]);
+  assert.equal(lru.get('b'), undefined);
+  assert.deepEqual(lru.get('c'), [3]);
+});
+
+test('disk tier round-trips exactly, survives a new process, and backfills memory', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-embcache-'));
+  try {
+    const vec = [0.1, -0.2, 1 / 3, 1e-12];
+    const key = EmbeddingCache.key('m', 4, 'x');
+    await new EmbeddingCache({ dir }).set(key, vec);
+    assert.deepEqual(await readdir(join(dir, key.slice(0, 2))), [`${key}.f64`]);
+
+    const fresh = new EmbeddingCache({ dir });
+    assert.deepEqual(await fresh.get(key), vec);
+    assert.deepEqual(fresh.snapshot().tierHits, [0, 1]);
+    await fresh.get(key);
+    assert.deepEqual(fresh.snapshot().tierHits, [1, 1], 'second hit served from memory');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failing tier degrades to a miss instead of failing the embed', async () => {
+  const broken = { get() { throw new Error('EIO'); }, set() { throw new Error('EROFS'); } };
+  const cache = new EmbeddingCache({ tiers: [broken] });
+  const brain = brainWith(countingEmbedder(), { embeddingCache: cache });
+  await brain.search('still works');
+  assert.equal(brain.embeddingCacheStats().misses, 1);
+  assert.throws(() => new DiskTier({}), /dir required/);
+});
+
+test('NeoBrain.search: repeated query embeds once; counters exposed on the client', async () => {
+  const embedder = countingEmbedder();
+  const brain = brainWith(embedder);
+  await brain.search('what did I do in Hong Kong');
+  await brain.search('what did I do in Hong Kong');
+  assert.equal(embedder.calls.length, 1);
+  const rpcs = brain.sb.calls.filter((c) => c.rpc);
+  assert.deepEqual(rpcs[0].args.query_embedding, rpcs[1].args.query_embedding);
+
+  const stats = brain.embeddingCacheStats();
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+  assert.equal(stats.hitRate, 0.5);
+  assert.equal(brain.embedder.inner, embedder, 'caller’s provider is wrapped, not mutated');
+  assert.equal(brain.embedder.model, 'stub');
+});
+
+test('save / saveMany share the cache; only misses reach the provider', async () => {
+  const embedder = countingEmbedder();
+  const brain = brainWith(embedder);
+  await brain.save('same text', { category: 'c', type: 'note' });
+  const out = await brain.saveMany([
+    { content: 'same text', category: 'c', type: 'note' },
+    { content: 'new text', category: 'c', type: 'note' },
+  ]);
+  assert.equal(out.saved, 2);
+  assert.deepEqual(embedder.calls, ['same text', 'new text']);
+  assert.equal(brain.sb.tables.memories[1].embedding, stubVector([9, 1]));
+});
+
+test('embeddingCache: false disables caching', async () => {
+  const embedder = countingEmbedder();
+  const brain = brainWith(embedder, { embeddingCache: false });
+  await brain.search('q');
+  await brain.search('q');
+  assert.equal(embedder.calls.length, 2);
+  assert.equal(brain.embeddingCacheStats(), null);
+});
+
+test('embedText consults a cache (process default unless given one); cache: null bypasses', async () => {
+  const realFetch = global.fetch;
+  let calls = 0;
+  global.fetch = async () => {
+    calls++;
+    return { ok: true, json: async () => ({ embedding: { values: [0.6, 0.8] } }) };
+  };
+  try {
+    await embedText('cache me', { apiKey: 'x', dims: 2 });
+    await embedText('cache me', { apiKey: 'x', dims: 2 });
+    assert.equal(calls, 1);
+
+    const cache = new EmbeddingCache();
+    await embedText('cache me', { apiKey: 'x', dims: 2, cache });
+    assert.equal(calls, 2, 'a separate cache starts cold');
+    assert.equal(cache.snapshot().misses, 1);
+
+    await embedText('cache me', { apiKey: 'x', dims: 2, cache: null });
+    assert.equal(calls, 3);
+  } finally {
+    global.fetch = realFetch;
+  }
+});
@@ -0,0 +1,249 @@
+// Tests for embedding model migrations (src/embedding-migration.js): shadow
+// columns, the resumable re-embed job, dual writes, search({ vectors }) and
+// the eval-gated cutover.
+//
+// Run: node --test --no-warnings packages/memory/test/embedding-migration.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  shadowColumnName,
+  shadowEmbedderFromEnv,
+  evalMetrics,
+  compareEvalMetrics,
+} from '../src/index.js';
+import { testBrain, StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+// Vectors are [text length, 0, …]; set `.fail = (text) => message` to make
+// a text's embed call throw.
+function failingEmbedder(opts) {
+  const e = new StubEmbedder((text) => {
+    const failure = e.fail?.(text);
+    if (failure) throw new Error(failure);
+    return [text.length];
+  }, opts);
+  e.fail = null;
+  return e;
+}
+
+const SHADOW = 'embedding_next_embed_3';
+
+function brainWith({ tables = {}, rpc = {}, ...opts } = {}) {
+  const stub = failingEmbedder();
+  const shadow = failingEmbedder({ model: 'next-embed', dims: 3 });
+  const b = testBrain({
+    agent: 'migration-test', embedder: stub, shadowEmbedder: shadow,
+    embeddingCache: false, chunking: false, pii: 'off', ...opts,
+    tables, rpc: { add_shadow_embedding_column: () => null, ...rpc },
+  });
+  b.stub = stub;
+  b.shadow = shadow;
+  return b;
+}
+
+const mem = (id, content, extra = {}) => ({
+  id, content, embedding: '[1,0]', category: 'project', memory_type: 'note', visibility: 'private',
+  source: 'cc', metadata: {}, archived: false, created_at: '2026-03-01T00:00:00.000Z', ...extra,
+});
+
+test('shadowColumnName, shadowEmbedderFromEnv, evalMetrics and the comparison gate', () => {
+  assert.equal(shadowColumnName({ model: 'text-embedding-3-small', dims: 1536 }), 'embedding_text_embedding_3_small_1536');
+  assert.equal(shadowColumnName({ model: 'models/Gemini-Embedding-001', dims: 768 }), 'embedding_models_gemini_embedding_001_768');
+  assert.ok(shadowColumnName({ model: 'x'.repeat(100), dims: 1024 }).length <= 62);
+  assert.throws(() => shadowColumnName({ model: 'm' }), /model and dims/);
+
+  assert.equal(shadowEmbedderFromEnv({ env: {} }), null);
+  const e = shadowEmbedderFromEnv({
+    env: { NEO_BRAIN_SHADOW_EMBED_PROVIDER: 'openai-compatible', NEO_BRAIN_SHADOW_EMBED_URL: 'http://nas:8080', NEO_BRAIN_SHADOW_EMBED_MODEL: 'bge-m3', NEO_BRAIN_SHADOW_EMBED_DIMS: '1024' },
+  });
+  assert.equal(e.provider, 'openai-compatible');
+  assert.equal(e.model, 'bge-m3');
+  assert.equal(e.dims, 1024);
+  assert.equal(e.sendDimensions, true);
+  assert.throws(() => shadowEmbedderFromEnv({ env: { NEO_BRAIN_SHADOW_EMBED_PROVIDER: 'ollama', NEO_BRAIN_SHADOW_EMBED_DIMS: 'wide' } }), /NEO_BRAIN_EMBED_DIMS/);
+
+  const cases = [
+    { id: 'a', expected_ids: ['m1'] },
+    { id: 'b', expected_ids: ['m2', 'm3'] },
+    { id: 'diag', expected_ids: [] },
+  ];
+  const m = evalMetrics(cases, new Map([['a', ['x', 'm1']], ['b', ['m3', 'y', 'z', 'w', 'v', 'm2']]]));
+  assert.equal(m.n, 2);
+  assert.equal(m['recall@5'], (1 + 0.5) / 2);
+  assert.equal(m['recall@10'], 1);
+  assert.equal(m['hit@5'], 1);
+  assert.equal(m.MRR, (0.5 + 1) / 2);
+
+  const base = { 'recall@5': 0.6, 'recall@10': 0.7, 'hit@5': 0.6, 'hit@10': 0.7, MRR: 0.6, n: 29 };
+  assert.equal(compareEvalMetrics(base, { ...base, 'recall@5': 0.58 }).pass, true);
+  const worse = compareEvalMetrics(base, { ...base, MRR: 0.5, 'hit@5': 0.1 });
+  assert.equal(worse.pass, false);
+  assert.deepEqual(worse.regressions, ['MRR']); // hit@5 isn't gated
+  assert.ok(Math.abs(worse.deltas.MRR + 0.1) < 1e-9);
+});
+
+test('startEmbeddingMigration adds the shadow column per table and is idempotent', async () => {
+  const b = brainWith();
+  assert.equal(b.shadowColumn, SHADOW);
+  assert.equal(await b.embeddingMigration(), null);
+
+  const m = await b.startEmbeddingMigration({ tables: ['media', 'memories'] });
+  assert.deepEqual(m.tables, ['memories', 'media']);
+  assert.equal(m.status, 'backfilling');
+  assert.equal(m.model, 'next-embed');
+  assert.equal(m.dims, 3);
+  assert.deepEqual(
+    b.sb.calls.filter((c) => c.rpc).map((c) => c.args),
+    [{ p_table: 'media', p_column: SHADOW, p_dims: 3 }, { p_table: 'memories', p_column: SHADOW, p_dims: 3 }],
+  );
+
+  await b.startEmbeddingMigration({ tables: ['memories'] });
+  assert.equal(b.sb.calls.filter((c) => c.rpc).length, 2);
+  assert.equal(b.sb.tables.embedding_migrations.length, 1);
+
+  const more = await b.startEmbeddingMigration();
+  assert.deepEqual(more.tables, ['memories', 'memory_chunks', 'media', 'knowledge_nodes']);
+  assert.equal(b.sb.calls.filter((c) => c.rpc).length, 4);
+
+  await assert.rejects(() => b.startEmbeddingMigration({ tables: ['facts'] }), /tables must be some of/);
+  const none = brainWith({ shadowEmbedder: false });
+  await assert.rejects(() => none.startEmbeddingMigration(), /no shadowEmbedder configured/);
+});
+
+test('reembedShadow fills nulls in id order, saves its cursor and resumes', async () => {
+  const b = brainWith({
+    tables: {
+      memories: [mem('m1', 'alpha'), mem('m2', 'beta'), mem('m3', 'gamma BAD'), mem('m4', 'delta', { [SHADOW]: '[9,9,9]' }), mem('m5', 'epsilon')],
+      media: [{ id: 'md1', kind: 'image', caption: 'a cat' }, { id: 'md2', kind: 'image', caption: null, transcript: null }],
+    },
+  });
+  await b.startEmbeddingMigration({ tables: ['memories', 'media'] });
+  await assert.rejects(async () => { for await (const _ of brainWith().reembedShadow()); }, /call startEmbeddingMigration\(\) first/);
+
+  b.shadow.fail = (t) => (t.includes('BAD') ? 'embed 400: bad input' : null);
+  const first = [];
+  for await (const p of b.reembedShadow({ batchSize: 2, limit: 3 })) first.push(p);
+  // m1, m2 in one batch; m3 fails permanently (its batch retried per row).
+  assert.deepEqual(first.map((p) => [p.table, p.rows, p.embedded, p.failed]), [['memories', 2, 2, 0], ['memories', 1, 0, 1]]);
+  let m = await b.embeddingMigration();
+  assert.deepEqual(m.cursor, { table: 'memories', id: 'm3' });
+  assert.equal(m.status, 'backfilling');
+  assert.equal(b.sb.tables.memories.find((r) => r.id === 'm1')[SHADOW], '[5,0,0]');
+  assert.equal(b.sb.tables.memories.find((r) => r.id === 'm4')[SHADOW], '[9,9,9]');
+
+  // Quota trouble: transient errors throw and the cursor stays put.
+  b.shadow.fail = () => 'embed 429: quota';
+  await assert.rejects(async () => { for await (const _ of b.reembedShadow()); }, /429/);
+  assert.deepEqual((await b.embeddingMigration()).cursor, { table: 'memories', id: 'm3' });
+
+  b.shadow.fail = null;
+  const second = [];
+  for await (const p of b.reembedShadow({ batchSize: 2 })) second.push(p);
+  assert.deepEqual(second.map((p) => [p.table, p.rows, p.embedded, p.empty]), [['memories', 1, 1, 0], ['media', 2, 1, 1]]);
+  m = await b.embeddingMigration();
+  assert.equal(m.status, 'ready');
+  assert.ok(m.ready_at);
+  assert.deepEqual(m.cursor, {});
+  assert.deepEqual(m.progress, { memories: 3, media: 1 });
+  assert.equal(b.sb.tables.media.find((r) => r.id === 'md1')[SHADOW], '[5,0,0]');
+
+  // A second pass sweeps up what the first one passed over.
+  const sweep = [];
+  for await (const p of b.reembedShadow()) sweep.push(p);
+  assert.deepEqual(sweep.map((p) => [p.table, p.embedded, p.empty]), [['memories', 1, 0], ['media', 0, 1]]);
+  assert.equal(b.sb.tables.memories.find((r) => r.id === 'm3')[SHADOW], '[9,0,0]');
+  assert.equal((await b.embeddingMigration()).status, 'ready');
+});
+
+test('memory writes dual-write the shadow column; a failed shadow embed leaves it null', async () => {
+  const b = brainWith();
+  const { id } = await b.save('Neo moved the NAS', { category: 'project', type: 'note' });
+  const row = b.sb.tables.memories.find((r) => r.id === id);
+  assert.equal(row.embedding, stubVector([17]));
+  assert.equal(row[SHADOW], '[17,0,0]');
+
+  await b.saveMany([{ content: 'one', category: 'project', type: 'note' }, { content: 'three', category: 'project', type: 'note' }]);
+  assert.deepEqual(b.sb.tables.memories.slice(1).map((r) => r[SHADOW]), ['[3,0,0]', '[5,0,0]']);
+
+  await b.update(id, { content: 'Neo moved the NAS home' });
+  assert.equal(row[SHADOW], '[22,0,0]');
+
+  b.shadow.fail = () => 'embed 500: down';
+  const saved = await b.save('still saved', { category: 'project', type: 'note' });
+  assert.equal(b.sb.tables.memories.find((r) => r.id === saved.id)[SHADOW], null);
+  await b.redactMemory(id, { newContent: 'Neo moved it', reason: 'test' });
+  assert.equal(row[SHADOW], null);
+
+  const plain = brainWith({ shadowEmbedder: false });
+  const p = await plain.save('no migration', { category: 'project', type: 'note' });
+  assert.ok(!(SHADOW in plain.sb.tables.memories.find((r) => r.id === p.id)));
+});
+
+test('search({ vectors: "shadow" }) ranks by the shadow column; primary is unchanged', async () => {
+  const hit = (id) => ({ id, content: id, category: 'project', visibility: 'private', source: 'cc', similarity: 0.9, created_at: '2026-03-01T00:00:00.000Z' });
+  const b = brainWith({
+    rpc: {
+      match_memories_hybrid_v2: () => [hit('p1')],
+      match_memories_hybrid_by_column: () => [hit('s1')],
+      match_memory_chunks_by_column: () => [],
+    },
+  });
+  assert.deepEqual((await b.search('nas')).map((r) => r.id), ['p1']);
+  assert.deepEqual((await b.search('nas', { vectors: 'shadow' })).map((r) => r.id), ['s1']);
+  const shadowCall = b.sb.calls.find((c) => c.rpc === 'match_memories_hybrid_by_column');
+  assert.equal(shadowCall.args.p_column, SHADOW);
+  assert.equal(shadowCall.args.query_embedding, '[3,0,0]');
+  assert.equal(shadowCall.args.query_text, 'nas');
+  assert.ok(!('p_column' in b.sb.calls.find((c) => c.rpc === 'match_memories_hybrid_v2').args));
+
+  await b.search('nas', { vectors: 'shadow', chunks: true });
+  assert.equal(b.sb.calls.filter((c) => c.rpc === 'match_memory_chunks_by_column')[0].args.p_column, SHADOW);
+  await assert.rejects(() => b.search('nas', { vectors: 'new' }), /vectors must be one of primary, shadow/);
+
+  const reader = brainWith({ searchVectors: 'shadow', rpc: { match_memories_hybrid_by_column: () => [hit('s1')] } });
+  assert.deepEqual((await reader.search('nas')).map((r) => r.id), ['s1']);
+  assert.throws(() => brainWith({ shadowEmbedder: false, searchVectors: 'shadow' }), /searchVectors shadow needs a shadowEmbedder/);
+  await assert.rejects(() => brainWith({ shadowEmbedder: false }).search('nas', { vectors: 'shadow' }), /no shadowEmbedder configured/);
+});
+
+test('compareEmbeddingSearch records the eval comparison; cutover needs a pass after the backfill', async () => {
+  const cases = [
+    { id: 'q1', question: 'where is the NAS', expected_ids: ['m1'] },
+    { id: 'q2', question: 'who runs billing', expected_ids: ['m2'] },
+  ];
+  const rows = (ids) => ids.map((id) => ({ id, content: id, category: 'project', visibility: 'private', source: 'cc', similarity: 0.9, created_at: '2026-03-01T00:00:00.000Z' }));
+  let shadowRanking = { 'where is the NAS': ['m1'], 'who runs billing': ['x', 'm2'] };
+  const b = brainWith({
+    tables: { memories: [mem('m1', 'NAS'), mem('m2', 'billing')] },
+    rpc: {
+      match_memories_hybrid_v2: (a) => rows(a.query_text.includes('NAS') ? ['m1'] : ['m2']),
+      match_memories_hybrid_by_column: (a) => rows(shadowRanking[a.query_text]),
+    },
+  });
+  await b.startEmbeddingMigration({ tables: ['memories'] });
+  await assert.rejects(() => b.cutoverEmbeddingMigration(), (e) => e.code === 'CUTOVER_BLOCKED' && /still backfilling/.test(e.message));
+  for await (const _ of b.reembedShadow());
+
+  await assert.rejects(() => b.cutoverEmbeddingMigration(), /no compareEmbeddingSearch\(\) run recorded/);
+  const failing = await b.compareEmbeddingSearch(cases);
+  assert.equal(failing.pass, false);
+  assert.deepEqual(failing.regressions, ['MRR']);
+  assert.deepEqual(failing.movement, [{ id: 'q1', primary: 1, shadow: 1 }, { id: 'q2', primary: 1, shadow: 2 }]);
+  assert.equal((await b.embeddingMigration()).eval.pass, false);
+  await assert.rejects(() => b.cutoverEmbeddingMigration(), /last eval comparison failed \(.*MRR/);
+
+  shadowRanking = { 'where is the NAS': ['m1'], 'who runs billing': ['m2'] };
+  const passing = await b.compareEmbeddingSearch(cases, { k: 5 });
+  assert.equal(passing.pass, true);
+  assert.equal(passing.shadow.MRR, 1);
+  const m = await b.cutoverEmbeddingMigration();
+  assert.equal(m.status, 'cut_over');
+  assert.ok(m.cut_over_at);
+  await assert.rejects(() => b.startEmbeddingMigration({ tables: ['media'] }), /already cut over/);
+
+  const forced = brainWith({ tables: { memories: [] } });
+  await forced.startEmbeddingMigration({ tables: ['memories'] });
+  assert.equal((await forced.cutoverEmbeddingMigration({ force: true })).status, 'cut_over');
+});
@@ -0,0 +1,156 @@
+// Tests for the pluggable embedding providers (src/embeddings/) and their
+// wiring into NeoBrain. The Ollama and OpenAI-compatible providers run
+// against a local stub HTTP server; Gemini is covered via mocked fetch.
+//
+// Run: node --test --no-warnings packages/memory/test/embeddings.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  NeoBrain,
+  EmbeddingProvider,
+  GeminiEmbeddingProvider,
+  OllamaEmbeddingProvider,
+  OpenAICompatibleEmbeddingProvider,
+  embeddingProviderFromEnv,
+} from '../src/index.js';
+import { fakeSupabase, testBrain, StubEmbedder } from './_fake-supabase.mjs';
+
+const vec = (n, v = 0.5) => Array.from({ length: n }, () => v);
+
+// Stub server speaking both /api/embeddings (Ollama) and /v1/embeddings
+// (OpenAI). `dims` controls the length of every vector it returns.
+async function withStub({ dims = 768 } = {}, fn) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let raw = '';
+    for await (const c of req) raw += c;
+    const body = JSON.parse(raw || '{}');
+    requests.push({ url: req.url, headers: req.headers, body });
+    res.setHeader('content-type', 'application/json');
+    if (req.url === '/api/embeddings') return res.end(JSON.stringify({ embedding: vec(dims) }));
+    if (req.url === '/v1/embeddings') {
+      return res.end(JSON.stringify({ object: 'list', data: [{ index: 0, embedding: vec(dims) }] }));
+    }
+    res.statusCode = 404;
+    res.end('{"error":"no route"}');
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test('ollama: POSTs {model, prompt} to /api/embeddings and returns the vector', async () => {
+  await withStub({}, async (base, requests) => {
+    const p = new OllamaEmbeddingProvider({ baseUrl: base + '/' });
+    const out = await p.embed('hello');
+    assert.equal(out.length, 768);
+    assert.equal(requests.length, 1);
+    assert.deepEqual(requests[0].body, { model: 'nomic-embed-text', prompt: 'hello' });
+    assert.equal(p.name, 'ollama:nomic-embed-text');
+  });
+});
+
+test('openai-compatible: /v1/embeddings, bearer auth, optional dimensions, /v1 suffix tolerated', async () => {
+  await withStub({}, async (base, requests) => {
+    const p = new OpenAICompatibleEmbeddingProvider({ baseUrl: base + '/v1', model: 'bge-base', apiKey: 'tok' });
+    assert.equal((await p.embed('hi')).length, 768);
+    assert.equal(requests[0].url, '/v1/embeddings');
+    assert.equal(requests[0].headers.authorization, 'Bearer tok');
+    assert.deepEqual(requests[0].body, { model: 'bge-base', input: 'hi' });
+
+    const withDims = new OpenAICompatibleEmbeddingProvider({ baseUrl: base, model: 'text-embedding-3-small', sendDimensions: true });
+    await withDims.embed('hi');
+    assert.equal(requests[1].body.dimensions, 768);
+    assert.equal(requests[1].headers.authorization, undefined);
+  });
+});
+
+test('dims contract: a 384-dim backend fails loudly', async () => {
+  await withStub({ dims: 384 }, async (base) => {
+    const p = new OllamaEmbeddingProvider({ baseUrl: base, model: 'all-minilm' });
+    await assert.rejects(p.embed('hello'), /expected 768-dim vector, got 384/);
+  });
+});
+
+test('dims contract: NeoBrain refuses a primary embedder of another width; a shadow one may differ', () => {
+  assert.throws(
+    () => testBrain({ embedder: new StubEmbedder(undefined, { model: 'minilm', dims: 384 }) }),
+    /yields 384-dim vectors; the embedding columns are vector\(768\)/,
+  );
+  assert.throws(() => new NeoBrain({ url: 'http://x', serviceRoleKey: 'x', agent: 't', embedder: new OllamaEmbeddingProvider({ dims: 1024 }) }), /1024-dim/);
+  const b = testBrain({ shadowEmbedder: new StubEmbedder(undefined, { model: 'next', dims: 1536 }) });
+  assert.equal(b.shadowEmbedder.dims, 1536);
+});
+
+test('non-2xx from the backend surfaces status + body', async () => {
+  await withStub({}, async (base) => {
+    const p = new OllamaEmbeddingProvider({ baseUrl: base + '/nope' });
+    await assert.rejects(p.embed('hello'), /ollama embed 404: .*no route/);
+  });
+});
+
+test('base class: empty → null without a call; long text → per-chunk calls, pooled', async () => {
+  class Counting extends EmbeddingProvider {
+    constructor() { super({ model: 'count', dims: 2, maxChars: 10 }); this.calls = 0; }
+    async _embedChunk() { this.calls++; return [3, 4]; }
+  }
+  const p = new Counting();
+  assert.equal(await p.embed('  '), null);
+  assert.equal(p.calls, 0);
+  assert.deepEqual(await p.embed('short'), [3, 4], 'single chunk passes through un-normalized');
+  const pooled = await p.embed('x'.repeat(25));
+  assert.equal(p.calls, 4);
+  assert.ok(Math.abs(pooled[0] - 0.6) < 1e-9 && Math.abs(pooled[1] - 0.8) < 1e-9);
+});
+
+test('gemini provider: wraps embedContent and enforces dims', async () => {
+  const realFetch = global.fetch;
+  try {
+    let url;
+    global.fetch = async (u) => { url = u; return { ok: true, json: async () => ({ embedding: { values: vec(768) } }) }; };
+    const p = new GeminiEmbeddingProvider({ apiKey: 'k' });
+    assert.equal((await p.embed('hello')).length, 768);
+    assert.match(url, /models\/gemini-embedding-001:embedContent/);
+
+    global.fetch = async () => ({ ok: true, json: async () => ({ embedding: { values: vec(3072) } }) });
+    await assert.rejects(p.embed('hello'), /got 3072/);
+  } finally {
+    global.fetch = realFetch;
+  }
+});
+
+test('embeddingProviderFromEnv: default gemini, ollama / openai-compatible by env, unknown throws', () => {
+  assert.ok(embeddingProviderFromEnv({ env: {} }) instanceof GeminiEmbeddingProvider);
+  const o = embeddingProviderFromEnv({ env: { NEO_BRAIN_EMBED_PROVIDER: 'ollama', NEO_BRAIN_EMBED_URL: 'http://tr-home:11434' } });
+  assert.ok(o instanceof OllamaEmbeddingProvider);
+  assert.equal(o.baseUrl, 'http://tr-home:11434');
+  const oa = embeddingProviderFromEnv({
+    env: { NEO_BRAIN_EMBED_PROVIDER: 'openai-compatible', NEO_BRAIN_EMBED_URL: 'http://x', NEO_BRAIN_EMBED_MODEL: 'm' },
+  });
+  assert.ok(oa instanceof OpenAICompatibleEmbeddingProvider);
+  assert.throws(() => embeddingProviderFromEnv({ env: { NEO_BRAIN_EMBED_PROVIDER: 'cohere' } }), /unknown provider/);
+});
+
+test('NeoBrain uses the injected embedder for save + search', async () => {
+  await withStub({}, async (base, requests) => {
+    const brain = new NeoBrain({
+      url: 'http://127.0.0.1:1', serviceRoleKey: 'x', agent: 'embed-test',
+      embedder: new OllamaEmbeddingProvider({ baseUrl: base }),
+    });
+    let rpcArgs;
+    brain.sb = fakeSupabase({ rpc: { match_memories_hybrid_v2: (args) => { rpcArgs = args; return []; } } });
+
+    await brain.save('note', { category: 'test', type: 'note' });
+    assert.match(brain.sb.tables.memories[0].embedding, /^\[0\.5(,0\.5){767}\]$/);
+    await brain.search('query');
+    assert.equal(rpcArgs.query_embedding.length, 768);
+    assert.equal(requests.length, 2);
+  });
+});
@@ -0,0 +1,101 @@
+// Tests for search explanations and snippets (src/explain.js):
+// queryTerms(), snippet(), and search({ explain, snippet }).
+//
+// Run: node --test --no-warnings packages/memory/test/explain.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryTerms, stemTerm, matchTerms, highlightTerms, snippet, rankerContributions } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const FILLER = 'Nothing much happened that day. '.repeat(20);
+const LONG = `${FILLER}The Hetzner migration moved every agent off the old box and onto the new cluster. ${FILLER}`;
+
+const ROWS = [
+  { id: 'sem', content: 'Moving the agents to a new host next quarter', similarity: 0.82, sem_rank: 1, lex_rank: null, rrf_score: 3 / 31 },
+  { id: 'lex', content: LONG, similarity: 0.29, sem_rank: null, lex_rank: 1, rrf_score: 1 / 31 },
+];
+
+const brainWith = (rows = ROWS, opts = {}) =>
+  testBrain({ agent: 'explain-test', rpc: { match_memories_hybrid_v2: (args) => rows.slice(0, args.match_count) }, ...opts });
+
+test('queryTerms: websearch syntax, stop words and stems', () => {
+  assert.deepEqual(queryTerms('What did we migrate to "Hetzner" or AWS -staging'), ['migrate', 'hetzner', 'aws']);
+  assert.deepEqual(queryTerms('memory memories Memory'), ['memory']);
+  assert.equal(stemTerm('projects'), stemTerm('project'));
+  assert.equal(stemTerm('running'), 'run');
+  assert.equal(stemTerm('status'), 'status');
+});
+
+test('matchTerms / highlightTerms: match by stem, keep the text as written', () => {
+  const text = 'Projects: the project board lists two PROJECTS and one memory.';
+  assert.deepEqual(matchTerms(text, ['project', 'memories', 'budget']), [{ term: 'project', count: 3 }, { term: 'memories', count: 1 }]);
+  assert.equal(highlightTerms('two PROJECTS, one memory', ['project', 'memories']), 'two **PROJECTS**, one **memory**');
+  assert.equal(highlightTerms('two projects', ['project'], { pre: '<b>', post: '</b>' }), 'two <b>projects</b>');
+});
+
+test('snippet: window around the densest terms, on word boundaries', () => {
+  const s = snippet(LONG, { terms: ['hetzner', 'cluster'], window: 120 });
+  assert.ok(s.startsWith('…') && s.endsWith('…'));
+  assert.ok(s.includes('Hetzner migration') && s.includes('cluster'));
+  assert.ok(s.length <= 122);
+  assert.ok(!/…\S*\b(?:appened|othing)\b/.test(s), 'no half words');
+
+  assert.equal(snippet('short text\n\nhere', { terms: ['text'] }), 'short text here');
+  assert.ok(snippet(LONG, { window: 60 }).startsWith('Nothing much'), 'no term → the start');
+  assert.throws(() => snippet(LONG, { window: 0 }), /window must be > 0/);
+});
+
+test('snippet: a chunk hit centres on its passage', () => {
+  const start = LONG.indexOf('The Hetzner');
+  const passage = { start, end: start + 80, text: LONG.slice(start, start + 80) };
+  const s = snippet(LONG, { passage, window: 100 });
+  assert.ok(s.startsWith('…The Hetzner migration'));
+  // Offsets that no longer line up fall back to finding the text.
+  assert.equal(snippet(LONG, { passage: { ...passage, start: 0, end: 80 }, window: 100 }), s);
+});
+
+test('rankerContributions: RRF terms and the dominant ranker', () => {
+  assert.deepEqual(rankerContributions(ROWS[0]), { rankers: { semantic: 3 / 31, lexical: 0 }, dominant: 'semantic' });
+  const lex = rankerContributions(ROWS[1]);
+  assert.equal(lex.dominant, 'lexical');
+  assert.ok(Math.abs(lex.rankers.semantic + lex.rankers.lexical - ROWS[1].rrf_score) < 1e-12);
+  assert.equal(rankerContributions({ id: 'pulled-in' }).dominant, null);
+  const chunk = rankerContributions({ sem_rank: 5, fused_score: 1 / 40 + 1 / 31, passage: { rank: 1 } });
+  assert.equal(chunk.dominant, 'passage');
+  assert.equal(chunk.rankers.passage, 1 / 31);
+});
+
+test('search({ explain }): terms, snippet, similarity, rankers and filters per hit', async () => {
+  const b = brainWith();
+  const plain = await b.search('hetzner cluster', { k: 2 });
+  assert.equal(plain[0].explain, undefined);
+  assert.equal(plain[0].snippet, undefined);
+
+  const hits = await b.search('hetzner cluster', { k: 2, explain: true, source: ['cc'], minSimilarity: 0.2 });
+  const [sem, lex] = hits;
+  assert.equal(sem.explain.dominant, 'semantic');
+  assert.deepEqual(sem.explain.terms, []);
+  assert.equal(sem.explain.similarity, 0.82);
+  assert.equal(lex.explain.dominant, 'lexical');
+  assert.deepEqual(lex.explain.terms, [{ term: 'hetzner', count: 1 }, { term: 'cluster', count: 1 }]);
+  assert.ok(lex.snippet.length <= 242 && lex.snippet.includes('Hetzner migration'));
+  assert.ok(lex.explain.highlighted.includes('**Hetzner** migration') && lex.explain.highlighted.includes('**cluster**'));
+  assert.deepEqual(lex.explain.filters, {
+    vectors: 'primary',
+    visibility: ['public', 'internal', 'private'],
+    minSimilarity: 0.2,
+    source: ['cc'],
+  });
+  assert.equal(lex.content, LONG, 'content is left whole');
+});
+
+test('search({ snippet }): window only, no explain; bad windows refused', async () => {
+  const b = brainWith();
+  const [, lex] = await b.search('hetzner', { k: 2, snippet: 80 });
+  assert.ok(lex.snippet.length <= 82 && lex.snippet.includes('Hetzner'));
+  assert.equal(lex.explain, undefined);
+  await assert.rejects(() => b.search('hetzner', { snippet: -5 }), /snippet must be true or a window/);
+});
@@ -0,0 +1,254 @@
+// Tests for brain.export() / brain.import() and the neo-brain-export format
+// (src/export.js): round trip, filtered slices, id remapping, re-embedding,
+// conflicts, truncated streams and policy.
+//
+// Run: node --test --no-warnings packages/memory/test/export.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NEO_SELF_ID, EMBEDDING_DIMS, EXPORT_FORMAT, exportLine, readExportRecords } from '../src/index.js';
+import { testBrain, StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+function brainWith({ tables = {}, model = 'stub', ...opts } = {}) {
+  const stub = new StubEmbedder(() => [0, 1], { model });
+  const b = testBrain({ agent: 'export-test', embedder: stub, chunking: false, tables, ...opts });
+  b.stub = stub;
+  return b;
+}
+
+const AIMAN = '00000000-0000-0000-0000-0000000000a1';
+const AIMAN_OLD = '00000000-0000-0000-0000-0000000000a2';
+const SITI = '00000000-0000-0000-0000-0000000000b1';
+const at = (day) => `2026-03-${String(day).padStart(2, '0')}T00:00:00.000Z`;
+
+// A small brain: Neo, Aiman (plus a merged duplicate) and Siti; memories in
+// two categories, one archived, one pointing at a voice note; a superseded
+// fact; edges; a two-node knowledge graph.
+function sourceTables() {
+  return {
+    people: [
+      { id: NEO_SELF_ID, display_name: 'Neo', kind: 'self', identifiers: [], metadata: {}, created_at: at(1) },
+      { id: AIMAN, display_name: 'Aiman', kind: 'user', identifiers: [{ type: 'phone', value: '+60177519610' }], metadata: {}, created_at: at(2) },
+      { id: AIMAN_OLD, display_name: 'Aiman (old)', kind: 'user', identifiers: [], metadata: { merged_into: AIMAN }, created_at: at(3) },
+      { id: SITI, display_name: 'Siti', kind: 'user', identifiers: [{ type: 'email', value: 'siti@example.com' }], metadata: {}, created_at: at(4) },
+    ],
+    media: [
+      { id: 'md1', kind: 'audio', storage_url: 's3://voice/1.mp3', transcript: 'voice note', embedding: '[1,0]', source: 'nclaw', subject_id: AIMAN_OLD, created_at: at(5) },
+      { id: 'md2', kind: 'image', storage_url: 's3://img/2.png', caption: 'a cat', embedding: '[1,0]', source: 'nclaw', subject_id: SITI, created_at: at(5) },
+    ],
+    memories: [
+      { id: 'm1', content: 'Aiman plans the Johor trip', embedding: '[1,0]', category: 'personal', memory_type: 'note', visibility: 'private', subject_id: AIMAN, related_people: [SITI], source: 'nclaw', media_id: 'md1', metadata: {}, archived: false, created_at: at(6) },
+      { id: 'm2', content: 'Aiman ships the neo-brain export', embedding: '[1,0]', category: 'project', memory_type: 'note', visibility: 'internal', subject_id: AIMAN, related_people: [], source: 'cc', metadata: {}, archived: false, created_at: at(7) },
+      { id: 'm3', content: 'Siti likes durian', embedding: '[1,0]', category: 'personal', memory_type: 'preference', visibility: 'private', subject_id: SITI, related_people: [], source: 'nclaw', metadata: {}, archived: false, created_at: at(8) },
+      { id: 'm4', content: 'old trip plan', embedding: '[1,0]', category: 'personal', memory_type: 'note', visibility: 'private', subject_id: AIMAN, related_people: [], source: 'nclaw', metadata: {}, archived: true, created_at: at(9) },
+    ],
+    facts: [
+      { id: 'f1', subject_id: AIMAN, fact: 'lives in KL', category: 'personal', confidence: 0.5, source_memory_ids: ['m1'], status: 'superseded', superseded_by: 'f2', created_at: at(10) },
+      { id: 'f2', subject_id: AIMAN, fact: 'lives in Johor', category: 'personal', confidence: 0.9, source_memory_ids: ['m1'], status: 'current', supersedes: 'f1', created_at: at(11) },
+    ],
+    memory_edges: [
+      { id: 'e1', src: 'm1', dst: 'm2', relation: 'related', weight: 1, created_by: 'cc', created_at: at(12) },
+      { id: 'e2', src: 'm1', dst: 'm3', relation: 'related', weight: 1, created_by: 'cc', created_at: at(13) },
+    ],
+    knowledge_nodes: [
+      { id: 'k1', label: 'neo-brain', kind: 'project', description: 'shared memory', embedding: '[1,0]', metadata: {} },
+      { id: 'k2', label: 'Supabase', kind: 'company', description: null, embedding: '[1,0]', metadata: {} },
+    ],
+    knowledge_edges: [{ id: 'ke1', src: 'k1', dst: 'k2', relation: 'runs_on', weight: 1, metadata: {} }],
+  };
+}
+
+async function collect(it) {
+  const out = [];
+  for await (const r of it) out.push(r);
+  return out;
+}
+
+const ids = (records, section) => records.filter((r) => r.section === section).map((r) => r.row.id);
+
+test('export: header, sections in order, vectors as arrays, archived left out, trailer counts', async () => {
+  const records = await collect(brainWith({ tables: sourceTables() }).export());
+  const [header] = records;
+  assert.equal(header.format, EXPORT_FORMAT);
+  assert.equal(header.version, 1);
+  assert.deepEqual(header.embeddings, { model: 'stub', dims: EMBEDDING_DIMS });
+  assert.deepEqual(header.sections, ['people', 'media', 'memories', 'facts', 'memory_edges', 'knowledge_nodes', 'knowledge_edges']);
+  assert.deepEqual(header.references.memories, { subject_id: 'people', related_people: 'people', media_id: 'media' });
+  assert.ok(header.columns.memories.includes('embedding'));
+
+  const order = [...new Set(records.slice(1, -1).map((r) => r.section))];
+  assert.deepEqual(order, header.sections);
+  assert.deepEqual(ids(records, 'memories'), ['m1', 'm2', 'm3']);
+  assert.deepEqual(records.find((r) => r.row?.id === 'm1').row.embedding, [1, 0]);
+  assert.deepEqual(records.at(-1), { end: true, counts: { people: 4, media: 2, memories: 3, facts: 2, memory_edges: 2, knowledge_nodes: 2, knowledge_edges: 1 } });
+
+  const lean = await collect(brainWith({ tables: sourceTables() }).export({ embeddings: false, includeArchived: true }));
+  assert.equal(lean[0].embeddings, null);
+  assert.equal('embedding' in lean.find((r) => r.row?.id === 'm1').row, false);
+  assert.deepEqual(ids(lean, 'memories'), ['m1', 'm2', 'm3', 'm4']);
+  await assert.rejects(collect(brainWith().export({ sections: ['chunks'] })), /export: unknown section "chunks"/);
+});
+
+test('export: a filtered slice carries the people and media it references, nothing more', async () => {
+  const b = brainWith({ tables: sourceTables() });
+  const records = await collect(b.export({ subjectId: AIMAN, category: 'personal' }));
+  assert.deepEqual(records[0].filter, { subjectIds: [AIMAN], categories: ['personal'], since: null, until: null, includeArchived: false });
+  assert.deepEqual(records[0].sections, ['people', 'media', 'memories', 'facts', 'memory_edges']);
+  assert.deepEqual(ids(records, 'memories'), ['m1']);
+  assert.deepEqual(ids(records, 'facts'), ['f1', 'f2']);
+  assert.deepEqual(ids(records, 'media'), ['md1'], 'only media its memories point to under a category filter');
+  assert.deepEqual(ids(records, 'people').sort(), [AIMAN, AIMAN_OLD, SITI].sort(), 'subject, related, media subject, and the canonical row of a merge');
+  assert.deepEqual(ids(records, 'memory_edges'), [], 'm2 / m3 are not in the slice');
+
+  const recent = await collect(b.export({ since: at(7), until: at(8), sections: ['memories', 'knowledge_nodes'] }));
+  assert.deepEqual(recent.slice(1, -1).map((r) => r.row.id), ['m2', 'k1', 'k2']);
+});
+
+test('import: round trip into an empty brain as NDJSON — same ids, links, audit log, complete', async () => {
+  const source = brainWith({ tables: sourceTables() });
+  let ndjson = '';
+  for await (const r of source.export()) ndjson += exportLine(r);
+
+  const target = brainWith({ tables: { people: [{ id: NEO_SELF_ID, display_name: 'Neo', kind: 'self', identifiers: [] }] } });
+  // Arbitrary chunk boundaries, as from a file stream.
+  const pieces = ndjson.match(/[\s\S]{1,37}/g).map((p) => Buffer.from(p));
+  const report = await target.import(pieces);
+  assert.equal(report.complete, true);
+  assert.equal(report.reembedded, false);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.counts.people, { inserted: 3, updated: 0, skipped: 0, matched: 1, failed: 0 });
+  assert.equal(report.counts.memories.inserted, 3);
+
+  const t = target.sb.tables;
+  assert.deepEqual(t.memories.map((m) => m.id), ['m1', 'm2', 'm3']);
+  assert.equal(t.memories[0].embedding, '[1,0]');
+  assert.equal(t.memories[0].media_id, 'md1');
+  assert.equal(t.memories[0].created_at, at(6), 'timestamps travel');
+  assert.deepEqual(t.facts.map((f) => [f.id, f.supersedes ?? null, f.superseded_by ?? null]), [['f1', null, 'f2'], ['f2', 'f1', null]]);
+  assert.deepEqual(t.memory_writes_log.map((l) => [l.memory_id, l.action]), [['m1', 'insert'], ['m2', 'insert'], ['m3', 'insert']]);
+  assert.match(t.memory_writes_log[0].payload_preview, /^\[import\] Aiman plans/);
+  assert.equal(t.knowledge_edges.length, 1);
+  assert.equal(target.stub.calls.length, 0);
+
+  // A re-run skips everything; overwrite replaces.
+  const again = await target.import(ndjson);
+  assert.equal(again.counts.memories.skipped, 3);
+  assert.equal(t.memories.length, 3);
+  t.memories[1].content = 'edited here';
+  const over = await target.import(ndjson, { conflict: 'overwrite' });
+  assert.equal(over.counts.memories.updated, 3);
+  assert.equal(t.memories[1].content, 'Aiman ships the neo-brain export');
+});
+
+test('import: remapIds gives new ids, matches people by identifiers, re-embeds for another model; dryRun writes nothing', async () => {
+  const records = await collect(brainWith({ tables: sourceTables(), model: 'old-model' }).export({ subjectId: AIMAN }));
+  const existingAiman = { id: 'live-aiman', display_name: 'Aiman K', kind: 'user', identifiers: [{ type: 'phone', value: '+60177519610' }], metadata: {}, created_at: at(1) };
+
+  const dry = brainWith({ tables: { people: [{ ...existingAiman }] } });
+  const preview = await dry.import(records, { remapIds: true, dryRun: true });
+  assert.equal(preview.dryRun, true);
+  assert.equal(preview.reembedded, true);
+  assert.deepEqual(preview.counts.memories, { inserted: 2, updated: 0, skipped: 0, matched: 0, failed: 0 });
+  assert.deepEqual(dry.sb.calls.filter((c) => c.op !== 'select'), []);
+  assert.equal(dry.stub.calls.length, 0);
+
+  const b = brainWith({ tables: { people: [{ ...existingAiman }] } });
+  const report = await b.import(records, { remapIds: true });
+  assert.equal(report.idMap[AIMAN], 'live-aiman');
+  assert.equal(report.counts.people.matched, 1);
+  const t = b.sb.tables;
+  assert.equal(t.people.length, 3, 'Siti and the merged row are new, Aiman is not duplicated');
+  assert.equal(t.people.find((p) => p.display_name === 'Aiman (old)').metadata.merged_into, 'live-aiman');
+  const m1 = t.memories.find((m) => m.content.startsWith('Aiman plans'));
+  assert.notEqual(m1.id, 'm1');
+  assert.equal(m1.id, report.idMap.m1);
+  assert.equal(m1.subject_id, 'live-aiman');
+  assert.deepEqual(m1.related_people, [report.idMap[SITI]]);
+  assert.equal(m1.media_id, report.idMap.md1);
+  assert.equal(m1.embedding, stubVector([0, 1]), 're-embedded with this brain\'s model');
+  const f2 = t.facts.find((f) => f.fact === 'lives in Johor');
+  assert.equal(f2.supersedes, report.idMap.f1);
+  assert.deepEqual(f2.source_memory_ids, [report.idMap.m1]);
+  assert.deepEqual(t.memory_edges.map((e) => [e.src, e.dst]), [[report.idMap.m1, report.idMap.m2]], 'm1 → m3 stays out: m3 is Siti\'s');
+});
+
+test('import: bad rows, truncated streams, bad headers and policy', async () => {
+  const records = await collect(brainWith({ tables: sourceTables() }).export({ sections: ['memories'] }));
+
+  const b = brainWith();
+  b.sb.fail = ({ table, op, payload }) => (table === 'memories' && op === 'insert' && payload.some((r) => r.id === 'm2') ? { message: 'new row violates check constraint', code: '23514' } : null);
+  const report = await b.import(records.slice(0, -1));
+  assert.equal(report.complete, false);
+  assert.deepEqual(report.counts.memories, { inserted: 2, updated: 0, skipped: 0, matched: 0, failed: 1 });
+  assert.deepEqual(report.errors.map((e) => [e.section, e.id]), [['memories', 'm2'], [null, null]]);
+  assert.match(report.errors[1].error, /without the export trailer/);
+
+  await assert.rejects(brainWith().import([{ section: 'memories', row: {} }]), /import: not a neo-brain export/);
+  await assert.rejects(brainWith().import([{ ...records[0], version: 2 }]), /unsupported export version 2/);
+  await assert.rejects(brainWith().import('{"format":"neo-brain-export","version":1}\nnot json\n'), /import: line 2 is not JSON/);
+  await assert.rejects(brainWith().import([]), /import: empty stream/);
+  await assert.rejects(brainWith().import(records, { conflict: 'merge' }), /conflict must be one of skip, overwrite/);
+
+  const policy = { agents: { 'export-test': { write: { visibilities: ['internal'], sources: ['*'] }, read: { visibilities: ['internal'] } } } };
+  const scoped = brainWith({ tables: sourceTables(), policy });
+  assert.deepEqual(ids(await collect(scoped.export()), 'memories'), ['m2']);
+  const denied = await brainWith({ policy }).import(records);
+  assert.equal(denied.counts.memories.inserted, 1);
+  assert.equal(denied.counts.memories.failed, 2);
+  assert.match(denied.errors[0].error, /policy denies write for export-test — visibility private not allowed/);
+
+  const parsed = await collect(readExportRecords(['{"a":1}\n\n{"b":', '2}']));
+  assert.deepEqual(parsed, [{ a: 1 }, { b: 2 }]);
+});
+
+// Synthetic — built by concat so no literal key shape lives in this file.
+const GITHUB = 'ghp_' + 'A1b2C3d4E5'.repeat(3) + 'f6G7h8';
+
+test('import: secrets, PII and schema-breaking metadata get the write-time checks; a dry run reports them per row', async () => {
+  const [header] = await collect(brainWith().export({ sections: ['memories'] }));
+  const row = (id, content, extra = {}) => ({
+    section: 'memories',
+    row: { id, content, embedding: [1, 0], category: 'project', memory_type: 'note', visibility: 'public', metadata: {}, archived: false, created_at: at(1), ...extra },
+  });
+  const stream = (...rows) => [header, ...rows, { end: true, counts: { memories: rows.length } }];
+  const secret = row('s1', `deploy key ${GITHUB}`, { visibility: 'internal' });
+  const records = stream(
+    secret,
+    row('p1', 'call 012-345 6789'),
+    row('b1', 'nightly backup', { category: 'backup_run', metadata: { host: 'nas' } }),
+  );
+  const vault = [];
+  const rpc = { upsert_credential: (args) => { vault.push(args); return `cred-${vault.length}`; } };
+
+  const dry = brainWith({ rpc });
+  const preview = await dry.import(records, { dryRun: true, credentialGuard: 'redact-with-vault-pointer', pii: 'reject-public', metadataValidation: 'strict' });
+  assert.deepEqual(preview.counts.memories, { inserted: 1, updated: 0, skipped: 0, matched: 0, failed: 2 });
+  assert.deepEqual(preview.findings.map((f) => [f.id, Object.keys(f)]), [['s1', ['section', 'id', 'redactions']]]);
+  assert.deepEqual(preview.errors.map((e) => e.id), ['p1', 'b1']);
+  assert.match(preview.errors[0].error, /^import: refusing public visibility for text with PII \(phone\)/);
+  assert.match(preview.errors[1].error, /^import: metadata does not match the schema for category backup_run/);
+  assert.deepEqual(dry.sb.calls.filter((c) => c.op !== 'select'), []);
+  assert.deepEqual(vault, []);
+
+  const strict = brainWith();
+  const refused = await strict.import(records, { pii: 'downgrade', metadataValidation: 'warn' });
+  assert.deepEqual(refused.errors.map((e) => e.id), ['s1']);
+  assert.match(refused.errors[0].error, /^import: refusing to store credential-shaped text/);
+  assert.ok(!refused.errors[0].error.includes(GITHUB));
+  assert.deepEqual(strict.sb.tables.memories.map((m) => [m.id, m.visibility]), [['p1', 'private'], ['b1', 'public']]);
+  assert.deepEqual(strict.sb.tables.memories[0].metadata.pii_kinds, ['phone']);
+  assert.deepEqual(refused.findings.map((f) => f.id), ['p1', 'b1']);
+  assert.deepEqual(refused.findings[0].pii, { kinds: ['phone'], downgradedFrom: 'public' });
+  assert.ok(refused.findings[1].metadataWarnings.length > 0);
+
+  const redacting = brainWith({ rpc });
+  const moved = await redacting.import(stream(secret), { credentialGuard: 'redact-with-vault-pointer' });
+  assert.deepEqual(moved.errors, []);
+  assert.equal(vault.length, 1);
+  const [stored] = redacting.sb.tables.memories;
+  assert.ok(!stored.content.includes(GITHUB) && stored.content.includes('→ vault: service=github'));
+  assert.deepEqual(redacting.stub.calls, [stored.content], 'the redacted text is embedded again');
+  assert.equal(stored.embedding, stubVector([0, 1]));
+});
@@ -0,0 +1,178 @@
+// Tests for fact upserts: merge / supersede / dispute, getFacts history and
+// the fact_reviews queue.
+//
+// Run: node --test --no-warnings packages/memory/test/facts.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyFact, cosineSimilarity } from '../src/index.js';
+import { testBrain, StubEmbedder } from './_fake-supabase.mjs';
+
+// KL vs Penang: cosine ≈ 0.93 (same topic, different value); coffee is unrelated.
+const topicVector = (text) => {
+  const t = text.toLowerCase();
+  if (t.includes('kuala lumpur')) return [1, 0.1, 0];
+  if (t.includes('penang')) return [1, 0.5, 0];
+  return [0, 0, 1];
+};
+
+const SUBJECT = '00000000-0000-0000-0000-000000000001';
+
+const brain = (opts = {}) => testBrain({ agent: 'facts-test', embedder: new StubEmbedder(topicVector), ...opts });
+
+// match_facts as sql/facts-history.sql defines it, over the fake facts table.
+const matchFacts = (args, db) => (db.facts || [])
+  .filter((f) => f.subject_id === args.p_subject_id && f.category === args.p_category && ['current', 'disputed'].includes(f.status))
+  .filter((f) => f.embedding || f.fact.trim().toLowerCase() === args.p_fact.trim().toLowerCase())
+  .map((f) => ({ id: f.id, similarity: f.embedding ? cosineSimilarity(JSON.parse(f.embedding), JSON.parse(args.query_embedding)) : 1 }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, args.match_count);
+
+const loc = (extra = {}) => ({ category: 'location', ...extra });
+
+test('classifyFact: thresholds and conflict modes', () => {
+  assert.equal(classifyFact(null), 'insert');
+  assert.equal(classifyFact({ similarity: 0.5, confidence: 1, matchedConfidence: 0 }), 'insert');
+  assert.equal(classifyFact({ similarity: 0.97, confidence: 0.1, matchedConfidence: 1 }), 'merge');
+  assert.equal(classifyFact({ similarity: 0.9, confidence: 0.8, matchedConfidence: 0.8 }), 'supersede');
+  assert.equal(classifyFact({ similarity: 0.9, confidence: 0.5, matchedConfidence: 0.8 }), 'dispute');
+  assert.equal(classifyFact({ similarity: 0.9, confidence: 0.5, matchedConfidence: 0.8 }, { onConflict: 'supersede' }), 'supersede');
+  assert.equal(classifyFact({ similarity: 0.9, confidence: 0.9, matchedConfidence: 0.1 }, { onConflict: 'review' }), 'dispute');
+});
+
+test('upsertFact: a restatement merges confidence and sources instead of inserting', async () => {
+  const b = brain();
+  const first = await b.upsertFact('Neo lives in Kuala Lumpur', loc({ confidence: 0.6, sourceMemoryIds: ['m1'] }));
+  assert.equal(first.action, 'insert');
+  const again = await b.upsertFact('neo lives in kuala lumpur.', loc({ confidence: 0.9, sourceMemoryIds: ['m2', 'm1'] }));
+  assert.equal(again.action, 'merge');
+  assert.equal(again.id, first.id);
+  assert.deepEqual(again.matched, { id: first.id, fact: 'Neo lives in Kuala Lumpur', similarity: 1 });
+  assert.equal(b.sb.tables.facts.length, 1);
+  assert.equal(b.sb.tables.facts[0].confidence, 0.9);
+  assert.deepEqual(b.sb.tables.facts[0].source_memory_ids, ['m1', 'm2']);
+});
+
+test('upsertFact: a changed value supersedes; getFacts hides history unless asked', async () => {
+  const b = brain();
+  const kl = await b.upsertFact('Neo lives in Kuala Lumpur', loc({ confidence: 0.8 }));
+  await b.upsertFact('Neo drinks coffee', { category: 'habit' });
+  const pg = await b.upsertFact('Neo moved to Penang', loc({ confidence: 0.8 }));
+  assert.equal(pg.action, 'supersede');
+  assert.equal(pg.supersedes, kl.id);
+  assert.ok(pg.matched.similarity > 0.9 && pg.matched.similarity < 0.95);
+
+  const old = b.sb.tables.facts.find((f) => f.id === kl.id);
+  assert.equal(old.status, 'superseded');
+  assert.equal(old.superseded_by, pg.id);
+  assert.equal(old.confidence, 0.4);
+  assert.ok(old.superseded_at);
+
+  assert.deepEqual((await b.getFacts({ subjectId: SUBJECT, category: 'location' })).map((f) => f.id), [pg.id]);
+  const all = await b.getFacts({ subjectId: SUBJECT, category: 'location', includeHistory: true });
+  assert.deepEqual(all.map((f) => f.id).sort(), [kl.id, pg.id].sort());
+
+  // Different category is never compared.
+  assert.equal((await b.upsertFact('Neo moved to Penang', { category: 'travel' })).action, 'insert');
+});
+
+test('upsertFact: a less confident contradiction is disputed and queued for review', async () => {
+  const b = brain();
+  const kl = await b.upsertFact('Neo lives in Kuala Lumpur', loc({ confidence: 0.9 }));
+  const pg = await b.upsertFact('Neo moved to Penang', loc({ confidence: 0.4, reason: 'overheard in a group chat' }));
+  assert.equal(pg.action, 'dispute');
+  assert.equal(pg.status, 'disputed');
+  assert.equal(b.sb.tables.facts.find((f) => f.id === kl.id).status, 'current', 'old fact untouched');
+  assert.deepEqual((await b.getFacts({ category: 'location' })).map((f) => f.id), [kl.id]);
+
+  const [review] = await b.listFactReviews();
+  assert.equal(review.id, pg.reviewId);
+  assert.equal(review.fact.id, pg.id);
+  assert.equal(review.conflicting.id, kl.id);
+  assert.equal(review.reason, 'overheard in a group chat');
+  assert.equal(review.created_by, 'facts-test');
+
+  // Restating the disputed fact reinforces it rather than opening another review.
+  const again = await b.upsertFact('Neo moved to Penang', loc({ confidence: 0.5 }));
+  assert.equal(again.action, 'merge');
+  assert.equal(again.id, pg.id);
+  assert.equal(b.sb.tables.fact_reviews.length, 1);
+});
+
+test('resolveFactReview: keep_new supersedes, keep_old retires the newcomer, keep_both keeps both', async () => {
+  const setup = async () => {
+    const b = brain();
+    const kl = await b.upsertFact('Neo lives in Kuala Lumpur', loc({ confidence: 0.9 }));
+    const pg = await b.upsertFact('Neo moved to Penang', loc({ confidence: 0.4 }));
+    return { b, kl, pg, row: (id) => b.sb.tables.facts.find((f) => f.id === id) };
+  };
+
+  let { b, kl, pg, row } = await setup();
+  const resolved = await b.resolveFactReview(pg.reviewId, { keep: 'keep_new', reason: 'confirmed with Neo' });
+  assert.deepEqual([resolved.status, resolved.resolution, resolved.resolved_by], ['resolved', 'keep_new', 'facts-test']);
+  assert.deepEqual([row(pg.id).status, row(pg.id).supersedes], ['current', kl.id]);
+  assert.deepEqual([row(kl.id).status, row(kl.id).superseded_by], ['superseded', pg.id]);
+  assert.deepEqual(await b.listFactReviews(), []);
+  await assert.rejects(b.resolveFactReview(pg.reviewId, { keep: 'keep_old' }), /already resolved/);
+
+  ({ b, kl, pg, row } = await setup());
+  await b.resolveFactReview(pg.reviewId, { keep: 'keep_old' });
+  assert.deepEqual([row(pg.id).status, row(pg.id).superseded_by], ['superseded', kl.id]);
+  assert.equal(row(kl.id).status, 'current');
+
+  ({ b, kl, pg, row } = await setup());
+  await b.resolveFactReview(pg.reviewId, { keep: 'keep_both' });
+  assert.deepEqual([row(pg.id).status, row(kl.id).status], ['current', 'current']);
+
+  await assert.rejects(b.resolveFactReview('nope', { keep: 'keep_new' }), /review nope not found/);
+  await assert.rejects(b.resolveFactReview(pg.reviewId, { keep: 'yes' }), /keep must be/);
+});
+
+test('upsertFact: validation happens before any query', async () => {
+  const b = brain();
+  await assert.rejects(b.upsertFact('x', {}), /category required/);
+  await assert.rejects(b.upsertFact('  ', loc()), /fact text required/);
+  await assert.rejects(b.upsertFact('x', loc({ onConflict: 'newest' })), /onConflict must be one of auto, supersede, review/);
+  assert.equal(b.sb.calls.length, 0);
+});
+
+test('upsertFact: with match_facts, new facts store their vector and old ones are never re-embedded', async () => {
+  const b = brain({ embeddingCache: false, rpc: { match_facts: matchFacts } });
+  const kl = await b.upsertFact('Neo lives in Kuala Lumpur', loc());
+  assert.ok(b.sb.tables.facts[0].embedding.startsWith('[1,0.1,0,'));
+  await b.upsertFact('Neo drinks coffee', { category: 'habit' });
+  b.embedder.calls.length = 0;
+
+  const pg = await b.upsertFact('Neo moved to Penang', loc());
+  assert.equal(pg.action, 'supersede');
+  assert.equal(pg.supersedes, kl.id);
+  assert.deepEqual(b.embedder.calls, ['Neo moved to Penang'], 'only the new statement is embedded');
+  const rpc = b.sb.calls.filter((c) => c.rpc === 'match_facts').at(-1).args;
+  assert.deepEqual([rpc.p_subject_id, rpc.p_category, rpc.p_fact], [SUBJECT, 'location', 'Neo moved to Penang']);
+});
+
+test('upsertFact: before the migration, only cached vectors are compared; backfill fills the column', async () => {
+  const b = brain({ embeddingCache: false });
+  b.sb.tables.facts = [
+    { id: 'f1', subject_id: SUBJECT, fact: 'Neo lives in Kuala Lumpur', category: 'location', confidence: 0.8, status: 'current', embedding: null, created_at: '2026-01-01T00:00:00Z' },
+  ];
+  // No cache: the old row can't be scored without re-embedding it, so it isn't.
+  const pg = await b.upsertFact('Neo moved to Penang', loc());
+  assert.equal(pg.action, 'insert');
+  assert.deepEqual(b.embedder.calls, ['Neo moved to Penang']);
+  assert.ok(!('embedding' in b.sb.tables.facts[1]), 'no column to write yet');
+  // Identical text still merges.
+  assert.equal((await b.upsertFact('Neo lives in Kuala Lumpur.', loc())).action, 'merge');
+
+  const cached = brain();
+  cached.sb.tables.facts = [];
+  await cached.upsertFact('Neo lives in Kuala Lumpur', loc());
+  assert.equal((await cached.upsertFact('Neo moved to Penang', loc())).action, 'supersede', 'cached vector scored');
+
+  b.embedder.calls.length = 0;
+  assert.deepEqual(await b.backfillFactEmbeddings({ pageSize: 1 }), { embedded: 2, skipped: 0 });
+  assert.ok(b.sb.tables.facts.every((f) => f.embedding?.startsWith('[1,')));
+  assert.deepEqual(await b.backfillFactEmbeddings(), { embedded: 0, skipped: 0 });
+});
@@ -0,0 +1,260 @@
+// Tests for the write-ahead journal (src/journal.js) and its wiring into
+// NeoBrain.save / flushPending.
+//
+// Run: node --test --no-warnings packages/memory/test/journal.test.mjs
+//
+// No env required — the backend is the in-memory fake, outages are simulated
+// via sb.fail / a throwing embedder, and the journal lives in a tmp dir.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, mkdtemp, readFile, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { WriteJournal, isTransientError } from '../src/index.js';
+import { testBrain, StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+// Set `.down = true` to make every embed call fail like a Gemini outage.
+function flakyEmbedder() {
+  const e = new StubEmbedder(() => {
+    if (e.down) throw new Error('gemini embed 503: overloaded');
+    return [1, 0];
+  });
+  e.down = false;
+  return e;
+}
+
+async function withBrain(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-journal-'));
+  try {
+    const embedder = flakyEmbedder();
+    const brain = testBrain({ agent: 'journal-test', embedder, journal: dir });
+    return await fn({ brain, embedder, dir });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const NETWORK_DOWN = () => ({ message: 'TypeError: fetch failed', code: '' });
+
+test('isTransientError: network / 5xx / 429 yes; validation / constraint no', () => {
+  assert.ok(isTransientError(new TypeError('fetch failed')));
+  assert.ok(isTransientError(Object.assign(new Error('x'), { cause: { code: 'ECONNREFUSED' } })));
+  assert.ok(isTransientError(new Error('gemini embed 503: unavailable')));
+  assert.ok(isTransientError(new Error('gemini embed 429: quota')));
+  assert.ok(!isTransientError(new Error('gemini embed 400: bad request')));
+  assert.ok(!isTransientError(new Error('save: category and type required')));
+  assert.ok(!isTransientError(Object.assign(new Error('fetch failed'), { transient: false })));
+});
+
+test('without a journal, an outage still throws (opt-in only)', async () => {
+  const brain = testBrain({ agent: 't' });
+  brain.sb.fail = NETWORK_DOWN;
+  await assert.rejects(brain.save('x', { category: 'c', type: 't' }), /fetch failed/);
+});
+
+test('supabase unreachable → save queued with client id + embedding; flush replays it once', async () => {
+  await withBrain(async ({ brain, embedder }) => {
+    brain.sb.fail = NETWORK_DOWN;
+    const out = await brain.save('offline note', { category: 'progress', type: 'note' });
+    assert.equal(out.queued, true);
+    assert.equal(out.created_at, null);
+    assert.match(out.id, /^[0-9a-f-]{36}$/);
+
+    const [item] = await brain.journal.pending();
+    assert.equal(item.id, out.id);
+    assert.equal(item.entry.row.embedding, stubVector([1, 0]), 'embedding kept — no re-embed on replay');
+    assert.match(item.lastError, /fetch failed/);
+
+    // still down → flush stops, records the attempt
+    let res = await brain.flushPending();
+    assert.equal(res.flushed, 0);
+    assert.equal(res.remaining, 1);
+    assert.match(res.stoppedOn, /fetch failed/);
+    assert.equal((await brain.journal.pending())[0].attempts, 1);
+
+    brain.sb.fail = null;
+    embedder.down = true; // replay must not need the embedder
+    res = await brain.flushPending();
+    assert.deepEqual({ flushed: res.flushed, remaining: res.remaining, dead: res.dead }, { flushed: 1, remaining: 0, dead: 0 });
+
+    const rows = brain.sb.tables.memories;
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].id, out.id);
+    const logs = brain.sb.tables.memory_writes_log;
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].written_by, 'journal-test');
+    assert.equal(logs[0].memory_id, out.id);
+
+    // Replaying the same entry again is a no-op (idempotent by id)
+    await brain._replay(item.entry);
+    assert.equal(brain.sb.tables.memories.length, 1);
+    assert.equal(brain.sb.tables.memory_writes_log.length, 1);
+  });
+});
+
+test('embedder unreachable → queued without embedding; replay embeds', async () => {
+  await withBrain(async ({ brain, embedder }) => {
+    embedder.down = true;
+    const out = await brain.save('needs embedding', { category: 'c', type: 'note' });
+    assert.equal(out.queued, true);
+    const [item] = await brain.journal.pending();
+    assert.ok(!('embedding' in item.entry.row));
+
+    embedder.down = false;
+    const res = await brain.flushPending();
+    assert.equal(res.flushed, 1);
+    assert.equal(brain.sb.tables.memories[0].embedding, stubVector([1, 0]));
+  });
+});
+
+test('row landed but log write failed → replay writes only the log row', async () => {
+  await withBrain(async ({ brain }) => {
+    brain.sb.fail = ({ table }) => (table === 'memory_writes_log' ? { message: 'upstream', status: 503 } : null);
+    const out = await brain.save('half written', { category: 'c', type: 'note' });
+    assert.equal(out.queued, undefined, 'the memory itself was saved');
+    assert.equal((await brain.journal.pending()).length, 1);
+
+    brain.sb.fail = null;
+    await brain.flushPending();
+    assert.equal(brain.sb.tables.memories.length, 1);
+    assert.equal(brain.sb.tables.memory_writes_log.length, 1);
+  });
+});
+
+test('permanent errors are thrown, not queued; a permanent replay failure is dead-lettered', async () => {
+  await withBrain(async ({ brain }) => {
+    brain.sb.fail = () => ({ message: 'new row violates check constraint', code: '23514', status: 400 });
+    await assert.rejects(brain.save('bad', { category: 'c', type: 'note' }), /check constraint/);
+    assert.equal((await brain.journal.pending()).length, 0);
+
+    brain.sb.fail = NETWORK_DOWN;
+    await brain.save('first', { category: 'c', type: 'note' });
+    await brain.save('second', { category: 'c', type: 'note' });
+
+    let n = 0;
+    brain.sb.fail = ({ op }) => (op === 'upsert' && n++ === 0 ? { message: 'violates check constraint', status: 400 } : null);
+    const res = await brain.flushPending();
+    assert.equal(res.flushed, 1, 'second entry still replayed');
+    assert.equal(res.failed.length, 1);
+    assert.equal(res.dead, 1);
+
+    const { dead } = await brain.journal.read();
+    await brain.journal.requeue(dead[0].id);
+    const again = await brain.flushPending();
+    assert.equal(again.flushed, 1);
+    assert.equal(again.dead, 0);
+    assert.equal(brain.sb.tables.memories.length, 2);
+  });
+});
+
+test('redact mode with the vault unreachable: queued unguarded, replay moves the secret first', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-journal-'));
+  const secret = 'ghp_' + 'A1b2C3d4E5'.repeat(3) + 'f6G7h8';
+  try {
+    const vault = [];
+    const brain = testBrain({
+      agent: 'journal-test', journal: dir, credentialGuard: 'redact-with-vault-pointer',
+      rpc: { upsert_credential: (args) => { vault.push(args); return 'cred-1'; } },
+    });
+    brain.sb.fail = ({ rpc }) => (rpc === 'upsert_credential' ? NETWORK_DOWN() : null);
+    const out = await brain.save(`deploy token ${secret}`, { category: 'c', type: 'note' });
+    assert.equal(out.queued, true);
+    const [item] = await brain.journal.pending();
+    assert.deepEqual(item.entry.checks, { credentialGuard: 'redact-with-vault-pointer', pii: brain.pii });
+    assert.ok(!('embedding' in item.entry.row));
+
+    brain.sb.fail = null;
+    assert.equal((await brain.flushPending()).flushed, 1);
+    assert.equal(vault.length, 1);
+    assert.equal(vault[0].p_value, secret);
+    const [row] = brain.sb.tables.memories;
+    assert.ok(!row.content.includes(secret));
+    assert.match(row.content, /^deploy token → vault: service=github/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a successful save drains the backlog opportunistically', async () => {
+  await withBrain(async ({ brain }) => {
+    brain.sb.fail = NETWORK_DOWN;
+    await brain.save('queued', { category: 'c', type: 'note' });
+    brain.sb.fail = null;
+    await brain.save('direct', { category: 'c', type: 'note' });
+    await brain._flushing;
+    assert.equal(brain.sb.tables.memories.length, 2);
+    assert.equal((await brain.journal.pending()).length, 0);
+  });
+});
+
+test('journal tolerates a torn last line and compacts away finished entries', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-journal-'));
+  try {
+    const j = new WriteJournal({ dir });
+    await j.enqueue({ op: 'save', id: 'a', row: {} });
+    await j.enqueue({ op: 'save', id: 'b', row: {} });
+    await j.markDone('a');
+    await appendFile(j.file, '{"t":"enqueue","id":"c","ent');
+    const state = await j.read();
+    assert.deepEqual(state.pending.map((i) => i.id), ['b']);
+    assert.equal(state.corruptLines, 1);
+
+    assert.equal(await j.compact(), true);
+    const lines = (await readFile(j.file, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).id, 'b');
+
+    await j.drop('b');
+    await j.compact();
+    assert.deepEqual((await j.read()).pending, []);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('compaction holds the journal: appends made meanwhile are never lost', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-journal-'));
+  try {
+    const j = new WriteJournal({ dir });
+    const other = new WriteJournal({ dir });
+    for (let i = 0; i < 20; i++) await j.enqueue({ op: 'save', id: `old-${i}`, row: {} });
+    for (let i = 0; i < 20; i++) await j.markDone(`old-${i}`);
+    const writes = [];
+    for (let i = 0; i < 30; i++) {
+      writes.push(other.enqueue({ op: 'save', id: `new-${i}`, row: {} }));
+      if (i % 10 === 0) writes.push(j.compact());
+    }
+    await Promise.all(writes);
+    await j.compact();
+    assert.deepEqual((await j.pending()).map((i) => i.id).sort(), Array.from({ length: 30 }, (_, i) => `new-${i}`).sort());
+    const lines = (await readFile(j.file, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 30);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('another process\'s lockfile blocks writes until released; a stale one is broken', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-journal-'));
+  try {
+    const j = new WriteJournal({ dir });
+    await writeFile(j.lockFile, '99999\n');
+    let landed = false;
+    const write = j.enqueue({ op: 'save', id: 'a', row: {} }).then(() => { landed = true; });
+    await new Promise((r) => setTimeout(r, 100));
+    assert.equal(landed, false, 'waits for the CLI to finish');
+    await rm(j.lockFile);
+    await write;
+    assert.deepEqual((await j.pending()).map((i) => i.id), ['a']);
+
+    await writeFile(j.lockFile, '99999\n');
+    const old = new Date(Date.now() - 60_000);
+    await utimes(j.lockFile, old, old);
+    await j.markDone('a');
+    assert.deepEqual(await j.pending(), []);
+    await assert.rejects(readFile(j.lockFile), { code: 'ENOENT' });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,140 @@
+// Tests for the write-time credential-leak guard (src/leak-guard.js):
+// save / saveMany / update / revert / upsertFact / saveMedia under each
+// credentialGuard mode.
+//
+// Run: node --test --no-warnings packages/memory/test/leak-guard.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  _extractCredentialMatches,
+  credentialServiceForRule,
+  leakedCredentialType,
+  vaultPointer,
+} from '../src/index.js';
+import { testBrain, StubEmbedder } from './_fake-supabase.mjs';
+
+// Synthetic — built by concat so no literal key shape lives in this file.
+const ANTHROPIC = 'sk-ant-api03-' + 'x'.repeat(40);
+const GITHUB = 'ghp_' + 'A1b2C3d4E5'.repeat(3) + 'f6G7h8';
+
+function brainWith(opts = {}) {
+  const embedder = new StubEmbedder();
+  const vault = [];
+  const b = testBrain({
+    agent: 'guard-test', embedder, embeddingCache: false, ...opts,
+    rpc: {
+      upsert_credential: (args) => { vault.push(args); return `cred-${vault.length}`; },
+      match_memories_hybrid_v2: () => [],
+    },
+  });
+  return { b, embedder, vault };
+}
+
+test('helpers: service from rule id, stable leaked type, pointer is not itself a credential', () => {
+  assert.equal(credentialServiceForRule('ctk-anthropic-api-key'), 'anthropic');
+  assert.equal(credentialServiceForRule('gitleaks-github-pat'), 'github');
+  assert.equal(leakedCredentialType(ANTHROPIC), leakedCredentialType(ANTHROPIC));
+  assert.match(leakedCredentialType(ANTHROPIC), /^leaked_[0-9a-f]{12}$/);
+  const pointer = vaultPointer({ service: 'anthropic', type: leakedCredentialType(ANTHROPIC) });
+  assert.equal(pointer, `→ vault: service=anthropic, type=${leakedCredentialType(ANTHROPIC)}`);
+  assert.equal(_extractCredentialMatches(pointer).size, 0);
+});
+
+test('reject (default): nothing embedded or written, error names rules but never the secret', async () => {
+  const { b, embedder } = brainWith();
+  assert.equal(b.credentialGuard, 'reject');
+  const err = await b.save(`deploy key ${ANTHROPIC}`, { category: 'project', type: 'note' }).catch((e) => e);
+  assert.equal(err.code, 'CREDENTIAL_LEAK');
+  assert.match(err.message, /^save: refusing to store credential-shaped text \(.*anthropic.*\)/);
+  assert.ok(!err.message.includes(ANTHROPIC));
+  assert.ok(Object.keys(err.credentialLeak).some((id) => id.includes('anthropic')));
+  await assert.rejects(b.save('clean', { category: 'p', type: 'n', metadata: { env: { KEY: ANTHROPIC } } }), /save: refusing to store/, 'metadata is scanned too');
+  await assert.rejects(b.upsertFact(`Neo's key is ${ANTHROPIC}`, { category: 'tech' }), /upsertFact: refusing to store/);
+  assert.equal(embedder.calls.length, 0);
+  assert.equal(b.sb.tables.memories, undefined);
+  assert.equal(b.sb.tables.facts, undefined);
+
+  const clean = await b.save('no secrets here', { category: 'p', type: 'n' });
+  assert.equal(clean.redactions, undefined);
+  assert.equal(clean.credentialWarnings, undefined);
+  assert.throws(() => brainWith({ credentialGuard: 'maybe' }), /credentialGuard must be one of reject, redact-with-vault-pointer, warn, off/);
+});
+
+test('redact-with-vault-pointer: secrets go to the vault, pointers are stored, redactions per rule', async () => {
+  const { b, embedder, vault } = brainWith({ credentialGuard: 'redact-with-vault-pointer' });
+  const out = await b.save(`keys: ${ANTHROPIC} and ${GITHUB}; again ${ANTHROPIC}`, { category: 'project', type: 'note', metadata: { copy: ANTHROPIC } });
+  const row = b.sb.tables.memories[0];
+  assert.ok(!JSON.stringify(row).includes(ANTHROPIC) && !row.content.includes(GITHUB));
+  const pointer = vaultPointer({ service: 'anthropic', type: leakedCredentialType(ANTHROPIC) });
+  assert.equal(row.content.split(pointer).length - 1, 2);
+  assert.equal(row.metadata.copy, pointer);
+  assert.ok(!embedder.calls.some((t) => t.includes(ANTHROPIC)), 'the embedder only sees the redacted text');
+
+  assert.deepEqual(vault.map((v) => [v.p_service, v.p_value]).sort(), [['anthropic', ANTHROPIC], ['github', GITHUB]]);
+  assert.equal(vault.find((v) => v.p_service === 'github').p_metadata.moved_from, 'save');
+  assert.ok(Object.keys(out.redactions).length >= 2);
+  assert.ok(Object.entries(out.redactions).every(([id, n]) => typeof id === 'string' && n === 1));
+
+  const fact = await b.upsertFact(`deploy token ${GITHUB}`, { category: 'tech' });
+  assert.match(fact.fact, /^deploy token → vault: service=github, type=leaked_/);
+  assert.ok(fact.redactions);
+
+  const many = await b.saveMany([{ content: `k ${GITHUB}`, category: 'p', type: 'n' }, { content: 'fine', category: 'p', type: 'n' }]);
+  assert.ok(many.results[0].redactions);
+  assert.equal(many.results[1].redactions, undefined);
+
+  const upd = await b.update(row.id, { content: `rotated to ${GITHUB}` });
+  assert.match(upd.content, /^rotated to → vault: service=github/);
+  assert.ok(upd.redactions);
+});
+
+test('redact-with-vault-pointer: a policy that forbids the vault service rejects before anything moves', async () => {
+  const { b, vault } = brainWith({
+    credentialGuard: 'redact-with-vault-pointer',
+    policy: { agents: { 'guard-test': { write: {}, credentials: ['github'] } } },
+  });
+  await assert.rejects(b.save(`${GITHUB} ${ANTHROPIC}`, { category: 'p', type: 'n' }), /policy denies credential .* credential service anthropic/);
+  assert.equal(vault.length, 0);
+});
+
+test('revert: a snapshot from before the guard is scanned like an update', async () => {
+  const { b, embedder, vault } = brainWith();
+  const { id } = await b.save(`deploy key ${ANTHROPIC}`, { category: 'project', type: 'note', credentialGuard: 'off' });
+  await b.update(id, { content: 'deploy key is in the vault' });
+  const [v1] = await b.history(id);
+  embedder.calls.length = 0;
+
+  const err = await b.revert(id, v1.id).catch((e) => e);
+  assert.equal(err.code, 'CREDENTIAL_LEAK');
+  assert.match(err.message, /^revert: refusing to store credential-shaped text/);
+  assert.equal(b.sb.tables.memories[0].content, 'deploy key is in the vault');
+  assert.equal(embedder.calls.length, 0);
+  assert.equal(b.sb.tables.memory_versions.length, 1, 'nothing snapshotted');
+
+  const out = await b.revert(id, v1.id, { credentialGuard: 'redact-with-vault-pointer' });
+  assert.match(out.content, /^deploy key → vault: service=anthropic/);
+  assert.ok(out.redactions);
+  assert.deepEqual(vault.map((v) => [v.p_service, v.p_metadata.moved_from]), [['anthropic', 'revert']]);
+});
+
+test('warn: written as-is with credentialWarnings; per-call override; saveMedia transcripts', async () => {
+  const { b } = brainWith({ credentialGuard: 'warn' });
+  const out = await b.save(`key ${ANTHROPIC}`, { category: 'p', type: 'n' });
+  assert.ok(b.sb.tables.memories[0].content.includes(ANTHROPIC));
+  assert.ok(Object.keys(out.credentialWarnings).some((id) => id.includes('anthropic')));
+  await assert.rejects(b.save(`key ${ANTHROPIC}`, { category: 'p', type: 'n', credentialGuard: 'reject' }), /refusing/);
+  assert.equal((await b.save(`key ${ANTHROPIC}`, { category: 'p', type: 'n', credentialGuard: 'off' })).credentialWarnings, undefined);
+
+  const stored = [];
+  b.storage = { provider: 'test', put: async (key, buf) => { stored.push(key); return { url: `mem://${key}`, bytes: buf.length }; } };
+  const media = await b.saveMedia({ kind: 'audio', buffer: Buffer.from('x'), mimeType: 'audio/ogg', transcript: `read it out: ${GITHUB}` });
+  assert.ok(media.credentialWarnings);
+  await assert.rejects(
+    b.saveMedia({ kind: 'audio', buffer: Buffer.from('x'), mimeType: 'audio/ogg', caption: GITHUB, credentialGuard: 'reject' }),
+    /saveMedia: refusing to store/,
+  );
+  assert.equal(stored.length, 1, 'a rejected media write never uploads the blob');
+});
@@ -0,0 +1,153 @@
+// Tests for LocalFSAdapter + createLocalFSHandler, and NeoBrain.saveMedia
+// running on local disk with no object store.
+//
+// Run: node --test --no-warnings packages/memory/test/local-fs.test.mjs
+//
+// No env required — writes under a fresh os.tmpdir() directory per test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { LocalFSAdapter, createLocalFSHandler, NeoBrain } from '../src/index.js';
+import { fakeSupabase } from './_fake-supabase.mjs';
+
+async function withAdapter(opts, fn) {
+  const root = await mkdtemp(join(tmpdir(), 'neo-brain-localfs-'));
+  try {
+    return await fn(new LocalFSAdapter({ root, ...opts }), root);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+async function withServer(adapter, fn) {
+  const server = createServer(createLocalFSHandler(adapter));
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test('put/get round-trip, sharded path, sidecar content-type', async () => {
+  await withAdapter({}, async (fs, root) => {
+    const out = await fs.put('audio/2026/04/a.mp3', Buffer.from('hello'), { contentType: 'audio/mpeg' });
+    assert.equal(out.key, 'audio/2026/04/a.mp3');
+    assert.equal(out.bytes, 5);
+    assert.ok(out.url.startsWith('file://'), 'no baseUrl → file:// url');
+    assert.deepEqual(await fs.get('audio/2026/04/a.mp3'), Buffer.from('hello'));
+
+    const info = await fs.head('audio/2026/04/a.mp3');
+    assert.equal(info.contentType, 'audio/mpeg');
+    assert.equal(info.bytes, 5);
+
+    const [shard1] = await readdir(root);
+    assert.match(shard1, /^[0-9a-f]{2}$/);
+    const [shard2] = await readdir(join(root, shard1));
+    assert.match(shard2, /^[0-9a-f]{2}$/);
+    const files = (await readdir(join(root, shard1, shard2))).sort();
+    assert.deepEqual(files, ['audio%2F2026%2F04%2Fa.mp3', 'audio%2F2026%2F04%2Fa.mp3.meta.json']);
+  });
+});
+
+test('put accepts a stream body and overwrites atomically (no temp files left)', async () => {
+  await withAdapter({ shardDepth: 0 }, async (fs, root) => {
+    await fs.put('k.txt', Buffer.from('v1'));
+    await fs.put('k.txt', Readable.from([Buffer.from('v'), Buffer.from('2')]), { contentType: 'text/plain' });
+    assert.equal((await fs.get('k.txt')).toString(), 'v2');
+    const leftovers = (await readdir(root)).filter((f) => f.endsWith('.tmp'));
+    assert.deepEqual(leftovers, []);
+  });
+});
+
+test('get of a missing key → 404 error; delete is idempotent; head → null', async () => {
+  await withAdapter({}, async (fs) => {
+    await assert.rejects(fs.get('nope/x.bin'), /LocalFS get 404/);
+    assert.equal(await fs.head('nope/x.bin'), null);
+    await fs.put('x/y.bin', Buffer.from('1'));
+    await fs.delete('x/y.bin');
+    await fs.delete('x/y.bin');
+    await assert.rejects(fs.get('x/y.bin'), /404/);
+  });
+});
+
+test('list filters by prefix, sorted, honors limit, skips sidecars', async () => {
+  await withAdapter({}, async (fs) => {
+    for (const k of ['image/b.png', 'audio/2.mp3', 'audio/1.mp3', 'audio/3.mp3']) {
+      await fs.put(k, Buffer.from(k));
+    }
+    assert.deepEqual(await fs.list('audio/'), ['audio/1.mp3', 'audio/2.mp3', 'audio/3.mp3']);
+    assert.deepEqual(await fs.list('audio/', { limit: 2 }), ['audio/1.mp3', 'audio/2.mp3']);
+    assert.deepEqual(await fs.list(), ['audio/1.mp3', 'audio/2.mp3', 'audio/3.mp3', 'image/b.png']);
+  });
+});
+
+test('rejects keys that could escape the root', async () => {
+  await withAdapter({}, async (fs) => {
+    for (const bad of ['', '/etc/passwd', '../x', 'a/../b', 'a//b', 'a/./b']) {
+      await assert.rejects(fs.put(bad, Buffer.from('x')), /invalid key|key required/, `rejects "${bad}"`);
+    }
+  });
+});
+
+test('signedUrl requires baseUrl + signingSecret', async () => {
+  await withAdapter({}, async (fs) => {
+    await assert.rejects(fs.signedUrl('a.bin'), /baseUrl and signingSecret required/);
+  });
+});
+
+test('handler serves a signed URL; rejects tampered, expired and unsigned requests', async () => {
+  await withAdapter({ signingSecret: 'test-secret' }, async (fs) => {
+    await withServer(fs, async (base) => {
+      fs.baseUrl = base;
+      await fs.put('image/2026/05/p q.png', Buffer.from('PNGDATA'), { contentType: 'image/png' });
+
+      const url = await fs.signedUrl('image/2026/05/p q.png', { expiresIn: 60 });
+      const ok = await fetch(url);
+      assert.equal(ok.status, 200);
+      assert.equal(ok.headers.get('content-type'), 'image/png');
+      assert.equal(await ok.text(), 'PNGDATA');
+
+      const head = await fetch(url, { method: 'HEAD' });
+      assert.equal(head.status, 200);
+      assert.equal(head.headers.get('content-length'), '7');
+
+      const tampered = url.replace(/sig=([0-9a-f])/, (_, c) => `sig=${c === '0' ? '1' : '0'}`);
+      assert.equal((await fetch(tampered)).status, 403);
+
+      const otherKey = url.replace('p%20q.png', 'other.png');
+      assert.equal((await fetch(otherKey)).status, 403);
+
+      const expired = await fs.signedUrl('image/2026/05/p q.png', { expiresIn: -1 });
+      assert.equal((await fetch(expired)).status, 403);
+
+      assert.equal((await fetch(`${base}/image/2026/05/p%20q.png`)).status, 403);
+      assert.equal((await fetch(url, { method: 'DELETE' })).status, 405);
+
+      const missing = await fs.signedUrl('image/none.png', { expiresIn: 60 });
+      assert.equal((await fetch(missing)).status, 404);
+    });
+  });
+});
+
+test('NeoBrain.saveMedia runs on LocalFSAdapter with no object store', async () => {
+  await withAdapter({ baseUrl: 'https://nas.local/media' }, async (fs) => {
+    const brain = new NeoBrain({ url: 'http://127.0.0.1:1', serviceRoleKey: 'x', agent: 'local-fs-test', storage: fs });
+    brain.sb = fakeSupabase();
+    const out = await brain.saveMedia({ kind: 'image', buffer: Buffer.from('img'), mimeType: 'image/png' });
+
+    assert.match(out.storage_key, /^image\/\d{4}\/\d{2}\/[0-9a-f-]+\.png$/);
+    assert.equal(out.storage_url, `https://nas.local/media/${out.storage_key}`);
+    assert.deepEqual(await fs.get(out.storage_key), Buffer.from('img'));
+
+    const [row] = brain.sb.tables.media;
+    assert.equal(row.storage_provider, 'local');
+    assert.equal(row.bytes, 3);
+    assert.equal(row.embedding, null, 'no caption/transcript → no embedding call');
+  });
+});
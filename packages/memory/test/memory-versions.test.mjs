@@ -0,0 +1,106 @@
+// Tests for NeoBrain.update / history / revert and the memory_versions
+// snapshot written by redactMemory.
+//
+// Run: node --test --no-warnings packages/memory/test/memory-versions.test.mjs
+//
+// No env required — backend is the in-memory fake.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { testBrain, StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+async function seeded(content = 'Neo is in Hong Kong Apr 17-20', extra = {}) {
+  const embedder = new StubEmbedder((text) => [text.length, 1]);
+  const brain = testBrain({ agent: 'versions-test', embedder, embeddingCache: false });
+  const { id } = await brain.save(content, { category: 'travel', type: 'event', importance: 6, ...extra });
+  embedder.calls.length = 0;
+  return { brain, embedder, id };
+}
+
+// Synthetic — built by concat so no literal key shape lives in this file.
+const SECRET = 'sk-ant-api03-' + 'x'.repeat(40);
+
+test('update: snapshots prior row, re-embeds on content change, logs', async () => {
+  const { brain, embedder, id } = await seeded();
+  const out = await brain.update(id, { content: 'Neo is in Hong Kong Apr 17-22', importance: 8 }, { reason: 'trip extended' });
+
+  assert.equal(out.content, 'Neo is in Hong Kong Apr 17-22');
+  assert.equal(out.importance, 8);
+  assert.equal(out.embedding, stubVector([29, 1]));
+  assert.deepEqual(embedder.calls, ['Neo is in Hong Kong Apr 17-22']);
+
+  const [v] = await brain.history(id);
+  assert.equal(v.id, out.version_id);
+  assert.equal(v.version, 1);
+  assert.equal(v.action, 'update');
+  assert.equal(v.reason, 'trip extended');
+  assert.equal(v.created_by, 'versions-test');
+  assert.equal(v.snapshot.content, 'Neo is in Hong Kong Apr 17-20');
+  assert.equal(v.snapshot.importance, 6);
+  assert.ok(!('embedding' in v.snapshot));
+
+  const log = brain.sb.tables.memory_writes_log.at(-1);
+  assert.equal(log.action, 'update');
+  assert.match(log.payload_preview, /^\[trip extended\] Neo is in Hong Kong Apr 17-22/);
+});
+
+test('update: metadata-only patch does not re-embed; save()-style keys map to columns', async () => {
+  const { brain, embedder, id } = await seeded();
+  const out = await brain.update(id, { type: 'milestone', subjectId: null, metadata: { k: 1 } });
+  assert.equal(embedder.calls.length, 0);
+  assert.equal(out.memory_type, 'milestone');
+  assert.deepEqual(out.metadata, { k: 1 });
+});
+
+test('update: validation', async () => {
+  const { brain, id } = await seeded();
+  await assert.rejects(brain.update(id, { colour: 'red' }), /unknown field\(s\) colour/);
+  await assert.rejects(brain.update(id, {}), /empty patch/);
+  await assert.rejects(brain.update(id, { content: '  ' }), /non-empty string/);
+  await assert.rejects(brain.update('00000000-0000-0000-0000-00000000dead', { importance: 1 }), /not found/);
+  assert.equal(brain.sb.tables.memory_versions?.length ?? 0, 0, 'nothing snapshotted on rejected edits');
+});
+
+test('history is newest first; revert restores a snapshot and is itself versioned', async () => {
+  const { brain, id } = await seeded('v1 text');
+  await brain.update(id, { content: 'v2 text' });
+  await brain.update(id, { content: 'v3 text', visibility: 'public' });
+
+  const hist = await brain.history(id);
+  assert.deepEqual(hist.map((h) => h.version), [2, 1]);
+  assert.equal(hist[1].snapshot.content, 'v1 text');
+
+  const out = await brain.revert(id, hist[1].id);
+  assert.equal(out.content, 'v1 text');
+  assert.equal(out.visibility, 'private');
+  assert.equal(out.embedding, stubVector([7, 1]));
+
+  const after = await brain.history(id);
+  assert.equal(after[0].action, 'revert');
+  assert.equal(after[0].reason, 'revert to v1');
+  assert.equal(after[0].snapshot.content, 'v3 text', 'pre-revert state kept');
+  const log = brain.sb.tables.memory_writes_log.at(-1);
+  assert.equal(log.action, 'revert');
+  assert.match(log.payload_preview, /^\[revert to v1\] v1 text/);
+
+  await assert.rejects(brain.revert(id, 'nope'), /not found/);
+  const other = await brain.save('other', { category: 'c', type: 'note' });
+  await assert.rejects(brain.revert(other.id, hist[1].id), /not found for memory/);
+});
+
+test('redactMemory: version stored with secret removed; older versions scrubbed too', async () => {
+  // Rows from before the write-time credential guard.
+  const { brain, id } = await seeded(`deploy key ${SECRET}`, { metadata: { note: `copied ${SECRET}` }, credentialGuard: 'off' });
+  await brain.update(id, { content: `deploy key ${SECRET} (rotated?)` }, { reason: 'typo', credentialGuard: 'off' });
+  await brain.redactMemory(id, { newContent: 'deploy key → vault: service=anthropic, type=api_key', reason: 'leaked key' });
+
+  const hist = await brain.history(id);
+  assert.deepEqual(hist.map((h) => [h.version, h.action, h.redacted]), [[2, 'redact', true], [1, 'update', true]]);
+  assert.match(hist[0].snapshot.content, /^deploy key \[REDACTED:[^\]]+\] \(rotated\?\)$/);
+  assert.match(hist[1].snapshot.metadata.note, /^copied \[REDACTED:/);
+  assert.ok(!JSON.stringify(brain.sb.tables.memory_versions).includes(SECRET), 'secret nowhere in history');
+
+  const reverted = await brain.revert(id, hist[0].id);
+  assert.ok(!reverted.content.includes(SECRET));
+  assert.match(reverted.content, /\[REDACTED:/);
+});
@@ -0,0 +1,136 @@
+// Tests for the per-category metadata schema registry (src/metadata-schema.js)
+// and what save() / saveMany() / update() do with it; metadataAudit().
+//
+// Run: node --test --no-warnings packages/memory/test/metadata-schema.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MetadataSchemaRegistry, metadataSchemasFromEnv } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const brainWith = ({ memories = [], tables = {}, ...opts } = {}) =>
+  testBrain({ agent: 'schema-test', tables: { memories, ...tables }, ...opts });
+
+const PR = { pr_url: 'https://github.com/todak/siti/pull/38', pr_number: 38, repo: 'todak/siti', reviewer_verdict: 'approve' };
+
+test('bundled registry: the operational categories, validated per key', () => {
+  const reg = MetadataSchemaRegistry.bundled();
+  assert.deepEqual(reg.categories(), ['pr-awaiting-decision', 'pr-decision-recorded', 'backup_run']);
+  assert.deepEqual(reg.validate('pr-awaiting-decision', PR), []);
+  assert.deepEqual(reg.validate('pr-awaiting-decision', { pr_url: 'https://github.com/todak/siti/issues/38', pr_number: '38' }), [
+    'metadata.repo: required',
+    'metadata.pr_url: does not match ^https://github\\.com/[^/]+/[^/]+/pull/\\d+$',
+    'metadata.pr_number: expected integer, got string',
+  ]);
+  assert.deepEqual(reg.validate('backup_run', { host: 'nas', date: '2026-13-01', errors: -1, duration_sec: 12.5, subtasks: ['db:ok', 3] }), [
+    'metadata.date: not a valid date',
+    'metadata.errors: below minimum 0',
+    'metadata.subtasks[1]: expected string, got integer',
+  ]);
+  assert.deepEqual(reg.validate('pr-awaiting-decision', null), ['metadata.pr_url: required', 'metadata.pr_number: required', 'metadata.repo: required']);
+  assert.deepEqual(reg.validate('pr-awaiting-decision', []), ['metadata: expected object, got array']);
+  assert.deepEqual(reg.validate('project', { anything: 1 }), [], 'unregistered categories are free-form');
+});
+
+test('registry loading: unsupported keywords, env, files and rows', () => {
+  const closed = new MetadataSchemaRegistry({ categories: { x: { properties: { a: { type: ['string', 'null'], enum: ['on', 'off', null] } }, additionalProperties: false } } });
+  assert.deepEqual(closed.validate('x', { a: null, pii_kinds: ['phone'], occurrence_count: 2 }), [], 'SDK-written keys always pass');
+  assert.deepEqual(closed.validate('x', { a: 'maybe', b: 1 }), ['metadata.a: must be one of "on", "off", null', 'metadata.b: not allowed']);
+  assert.throws(() => new MetadataSchemaRegistry({ categories: { x: { oneOf: [] } } }), /metadata schemas \(inline\): x: unsupported keyword "oneOf"/);
+  assert.throws(() => new MetadataSchemaRegistry({ categories: { x: { properties: { a: { type: 'text' } } } } }), /x\.a: unknown type "text"/);
+  assert.throws(() => new MetadataSchemaRegistry({ categories: { x: { format: 'email' } } }), /unknown format "email"/);
+  assert.throws(() => new MetadataSchemaRegistry({ version: 2, categories: {} }), /unsupported version 2/);
+
+  const dir = mkdtempSync(join(tmpdir(), 'neo-schemas-'));
+  writeFileSync(join(dir, 's.json'), JSON.stringify({ version: 1, categories: { deploy_log: { required: ['service'] } } }));
+  assert.deepEqual(metadataSchemasFromEnv({ env: { NEO_BRAIN_METADATA_SCHEMAS: join(dir, 's.json') } }).categories(), ['deploy_log']);
+  assert.deepEqual(metadataSchemasFromEnv({ env: {} }).categories().length, 3);
+  assert.equal(metadataSchemasFromEnv({ env: { NEO_BRAIN_METADATA_SCHEMAS: 'off' } }), null);
+  assert.equal(metadataSchemasFromEnv({ env: { NEO_BRAIN_METADATA_SCHEMAS: 'db' } }), 'db');
+  assert.throws(() => MetadataSchemaRegistry.fromFile(join(dir, 'missing.json')), /metadata schemas \(.*missing\.json\)/);
+  assert.deepEqual(MetadataSchemaRegistry.fromRows([{ category: 'c', schema: { required: ['k'] } }]).validate('c', {}), ['metadata.k: required']);
+});
+
+test('save / saveMany: warn (default) reports, strict throws before any write, off skips', async () => {
+  const b = brainWith();
+  const ok = await b.save('PR 38 awaiting decision', { category: 'pr-awaiting-decision', type: 'event', metadata: PR });
+  assert.equal(ok.metadataWarnings, undefined);
+  const warned = await b.save('PR awaiting decision', { category: 'pr-awaiting-decision', type: 'event', metadata: { pr_number: 38 } });
+  assert.deepEqual(warned.metadataWarnings, ['metadata.pr_url: required', 'metadata.repo: required']);
+  assert.equal(b.sb.tables.memories.length, 2);
+
+  const strict = brainWith({ metadataValidation: 'strict' });
+  await assert.rejects(
+    strict.save('PR awaiting decision', { category: 'pr-awaiting-decision', type: 'event', metadata: { pr_number: 38 } }),
+    (e) => e.code === 'METADATA_INVALID'
+      && e.message === 'save: metadata does not match the schema for category pr-awaiting-decision — metadata.pr_url: required; metadata.repo: required'
+      && e.metadataErrors.length === 2,
+  );
+  assert.equal(strict.sb.calls.some((c) => c.table === 'memories'), false);
+  await strict.save('x', { category: 'pr-awaiting-decision', type: 'event', metadata: {}, metadataValidation: 'off' });
+  assert.equal(strict.sb.tables.memories.length, 1);
+
+  const many = await strict.saveMany([
+    { content: 'a', category: 'backup_run', type: 'event', metadata: { host: 'nas', date: '2026-05-04', errors: 0, duration_sec: 61 } },
+    { content: 'b', category: 'backup_run', type: 'event', metadata: { host: 'nas' } },
+    { content: 'c', category: 'backup_run', type: 'event', metadata: { host: 'nas' }, metadataValidation: 'warn' },
+  ]);
+  assert.equal(many.saved, 2);
+  assert.match(many.results[1].error, /^saveMany: metadata does not match the schema for category backup_run — metadata\.date: required/);
+
+  assert.throws(() => brainWith({ metadataValidation: 'loose' }), /metadataValidation must be one of warn, strict, off/);
+  assert.deepEqual(brainWith({ metadataSchemas: false }).validateMetadata('pr-awaiting-decision', {}), []);
+});
+
+test('update: the merged metadata is checked against the (new) category', async () => {
+  const memories = [{ id: 'm1', content: 'PR 38', category: 'note', memory_type: 'event', visibility: 'private', metadata: { pr_number: 38 }, archived: false }];
+  const b = brainWith({ memories, metadataValidation: 'strict' });
+  await assert.rejects(b.update('m1', { category: 'pr-awaiting-decision' }), /update: metadata does not match the schema for category pr-awaiting-decision — metadata\.pr_url: required/);
+  assert.equal(memories[0].category, 'note');
+  const out = await b.update('m1', { category: 'pr-awaiting-decision', metadata: PR });
+  assert.equal(out.category, 'pr-awaiting-decision');
+  await assert.rejects(b.update('m1', { metadata: { ...PR, pr_number: 0 } }), /metadata\.pr_number: below minimum 1/);
+  const warn = await b.update('m1', { metadata: { ...PR, pr_number: 0 } }, { metadataValidation: 'warn' });
+  assert.deepEqual(warn.metadataWarnings, ['metadata.pr_number: below minimum 1']);
+  assert.equal((await b.update('m1', { importance: 4 })).metadataWarnings, undefined, 'untouched metadata is not re-checked');
+});
+
+test('revert: the restored metadata is checked against the restored category', async () => {
+  const memories = [{ id: 'm1', content: 'PR 38', category: 'pr-awaiting-decision', memory_type: 'event', visibility: 'private', metadata: PR, archived: false }];
+  const memory_versions = [{ id: 'v1', memory_id: 'm1', version: 1, action: 'update', snapshot: { content: 'PR 38', category: 'pr-awaiting-decision', visibility: 'private', metadata: { pr_number: 38 } } }];
+  const b = brainWith({ memories, tables: { memory_versions }, metadataValidation: 'strict' });
+  await assert.rejects(b.revert('m1', 'v1'), /revert: metadata does not match the schema for category pr-awaiting-decision — metadata\.pr_url: required/);
+  assert.deepEqual(memories[0].metadata, PR);
+  const warn = await b.revert('m1', 'v1', { metadataValidation: 'warn' });
+  assert.ok(warn.metadataWarnings.includes('metadata.pr_url: required'));
+});
+
+test('metadataAudit + loadMetadataSchemas', async () => {
+  const memories = [
+    { id: 'a', category: 'pr-awaiting-decision', source: 'reviewer-agent', metadata: PR, created_at: '2026-01-01T00:00:00Z' },
+    { id: 'b', category: 'pr-awaiting-decision', source: 'reviewer-agent', metadata: { pr_url: PR.pr_url }, created_at: '2026-01-02T00:00:00Z' },
+    { id: 'c', category: 'backup_run', source: 'backup-sync', metadata: { host: 'nas' }, created_at: '2026-01-03T00:00:00Z' },
+    { id: 'd', category: 'project', source: 'cc', metadata: {}, created_at: '2026-01-04T00:00:00Z' },
+    { id: 'e', category: 'backup_run', source: 'backup-sync', metadata: {}, created_at: '2026-01-05T00:00:00Z', archived: true },
+  ].map((m) => ({ archived: false, ...m }));
+  const b = brainWith({ memories, tables: { metadata_schemas: [{ category: 'project', schema: { required: ['repo'] } }] } });
+  const rows = [];
+  for await (const r of b.metadataAudit({ pageSize: 2 })) rows.push([r.id, r.errors.length]);
+  assert.deepEqual(rows, [['b', 2], ['c', 3]]);
+  const only = [];
+  for await (const r of b.metadataAudit({ categories: ['backup_run'] })) only.push(r.id);
+  assert.deepEqual(only, ['c']);
+  await assert.rejects(b.metadataAudit({ categories: ['project'] }).next(), /metadataAudit: no schema for project/);
+
+  const db = brainWith({ memories, tables: { metadata_schemas: [{ category: 'project', schema: { required: ['repo'] } }] }, metadataSchemas: 'db' });
+  assert.deepEqual(db.validateMetadata('pr-awaiting-decision', {}), [], 'nothing checked before loading');
+  await db.loadMetadataSchemas();
+  const fromDb = [];
+  for await (const r of db.metadataAudit()) fromDb.push(r.id);
+  assert.deepEqual(fromDb, ['d']);
+});
@@ -0,0 +1,135 @@
+// Tests for keyset pagination (src/paging.js): listMemories() cursors,
+// iterateMemories(), and the facts / people / media listings.
+//
+// Run: node --test --no-warnings packages/memory/test/paging.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentPolicy, NEO_SELF_ID, encodePageCursor, decodePageCursor } from '../src/index.js';
+import { testBrain, StubEmbedder } from './_fake-supabase.mjs';
+
+const brainWith = ({ tables = {}, ...opts } = {}) =>
+  testBrain({ agent: 'paging-test', embedder: new StubEmbedder(() => [0, 1]), chunking: false, tables, ...opts });
+
+const at = (day) => `2026-04-${String(day).padStart(2, '0')}T00:00:00.000Z`;
+const AIMAN = '00000000-0000-0000-0000-0000000000a1';
+
+// m01..m10, one a day; m05 and m06 share a timestamp so the id breaks the tie.
+function memories() {
+  return Array.from({ length: 10 }, (_, i) => {
+    const n = i + 1;
+    return {
+      id: `m${String(n).padStart(2, '0')}`,
+      content: `memory ${n}`,
+      category: n % 2 ? 'project' : 'personal',
+      memory_type: 'note',
+      visibility: n === 3 ? 'private' : 'internal',
+      source: 'cc',
+      subject_id: NEO_SELF_ID,
+      archived: n === 9,
+      created_at: at(n === 6 ? 5 : n),
+    };
+  });
+}
+
+const ids = (rows) => rows.map((r) => r.id);
+
+test('paging: cursors round-trip and reject garbage', () => {
+  const c = encodePageCursor({ at: at(1), id: 'm01', order: 'asc' });
+  assert.deepEqual(decodePageCursor(c), { at: at(1), id: 'm01', order: 'asc' });
+  assert.throws(() => decodePageCursor('not-a-cursor', 'listMemories'), /listMemories: bad cursor/);
+});
+
+test('paging: listMemories pages newest first through ties, then ends', async () => {
+  const b = brainWith({ tables: { memories: memories() } });
+  const p1 = await b.listMemories({ limit: 4 });
+  assert.deepEqual(ids(p1), ['m10', 'm08', 'm07', 'm06']);
+  assert.ok(p1.nextCursor);
+  const p2 = await b.listMemories({ limit: 4, cursor: p1.nextCursor });
+  assert.deepEqual(ids(p2), ['m05', 'm04', 'm03', 'm02']);
+  const p3 = await b.listMemories({ limit: 4, cursor: p2.nextCursor });
+  assert.deepEqual(ids(p3), ['m01']);
+  assert.equal(p3.nextCursor, null);
+});
+
+test('paging: inserts between pages neither shift nor repeat rows', async () => {
+  const b = brainWith({ tables: { memories: memories() } });
+  const p1 = await b.listMemories({ limit: 3, order: 'asc' });
+  assert.deepEqual(ids(p1), ['m01', 'm02', 'm03']);
+  // A newer row and a backdated one land mid-listing.
+  b.sb.tables.memories.push(
+    { id: 'm11', content: 'late', category: 'project', visibility: 'internal', archived: false, created_at: at(20) },
+    { id: 'm00', content: 'backdated', category: 'project', visibility: 'internal', archived: false, created_at: at(1) },
+  );
+  const rest = [];
+  for await (const r of b.iterateMemories({ order: 'asc', pageSize: 3, cursor: p1.nextCursor })) rest.push(r.id);
+  assert.deepEqual(rest, ['m04', 'm05', 'm06', 'm07', 'm08', 'm10', 'm11']);
+});
+
+test('paging: filters, since/until and columns apply to every page', async () => {
+  const b = brainWith({ tables: { memories: memories() } });
+  const seen = [];
+  for await (const r of b.iterateMemories({ category: 'project', since: at(2), until: at(9), pageSize: 1, columns: 'content' })) seen.push(r);
+  assert.deepEqual(ids(seen), ['m07', 'm05', 'm03']);
+  assert.deepEqual(Object.keys(seen[0]).sort(), ['content', 'created_at', 'id']);
+
+  const two = [];
+  for await (const r of b.iterateMemories({ pageSize: 3, limit: 2 })) two.push(r.id);
+  assert.deepEqual(two, ['m10', 'm08']);
+});
+
+test('paging: a cursor only continues the order it came from', async () => {
+  const b = brainWith({ tables: { memories: memories() } });
+  const { nextCursor } = await b.listMemories({ limit: 2 });
+  await assert.rejects(() => b.listMemories({ limit: 2, order: 'asc', cursor: nextCursor }), /cursor is for order "desc"/);
+  await assert.rejects(() => b.listMemories({ order: 'newest' }), /order must be one of desc, asc/);
+});
+
+test('paging: rows the policy hides do not end the listing', async () => {
+  const policy = new AgentPolicy({ version: 1, agents: { 'paging-test': { read: { categories: ['project'] } } } });
+  const b = brainWith({ tables: { memories: memories() }, policy });
+  // Personal rows are fetched and then dropped, so a page can come back
+  // short — or empty — and still point at the next one.
+  const p = await b.listMemories({ limit: 2, order: 'asc' });
+  assert.deepEqual(ids(p), ['m01']);
+  assert.ok(p.nextCursor);
+  const all = [];
+  for await (const r of b.iterateMemories({ order: 'asc', pageSize: 2, columns: 'content' })) all.push(r.id);
+  assert.deepEqual(all, ['m01', 'm03', 'm05', 'm07']);
+});
+
+test('paging: facts, people and media page the same way', async () => {
+  const b = brainWith({
+    tables: {
+      facts: [
+        { id: 'f1', subject_id: AIMAN, fact: 'lives in KL', category: 'personal', status: 'superseded', created_at: at(1) },
+        { id: 'f2', subject_id: AIMAN, fact: 'lives in Johor', category: 'personal', status: 'current', created_at: at(2) },
+        { id: 'f3', subject_id: NEO_SELF_ID, fact: 'likes tea', category: 'personal', status: 'current', created_at: at(3) },
+      ],
+      people: [
+        { id: NEO_SELF_ID, display_name: 'Neo', kind: 'self', metadata: {}, created_at: at(1) },
+        { id: AIMAN, display_name: 'Aiman', kind: 'user', metadata: {}, created_at: at(2) },
+        { id: 'p-old', display_name: 'Aiman (old)', kind: 'user', metadata: { merged_into: AIMAN }, created_at: at(3) },
+        { id: 'p-siti', display_name: 'Siti', kind: 'user', metadata: {}, created_at: at(4) },
+      ],
+      media: [
+        { id: 'md1', kind: 'audio', source: 'nclaw', subject_id: AIMAN, created_at: at(1) },
+        { id: 'md2', kind: 'image', source: 'nclaw', subject_id: AIMAN, created_at: at(2) },
+        { id: 'md3', kind: 'audio', source: 'nclaw', subject_id: AIMAN, created_at: at(3) },
+      ],
+    },
+  });
+  const collect = async (gen) => { const out = []; for await (const r of gen) out.push(r.id); return out; };
+
+  assert.deepEqual(await collect(b.iterateFacts({ pageSize: 1 })), ['f3', 'f2']);
+  assert.deepEqual(await collect(b.iterateFacts({ subjectId: AIMAN, includeHistory: true, order: 'asc', pageSize: 1 })), ['f1', 'f2']);
+
+  assert.deepEqual(await collect(b.iteratePeople({ kind: 'user', pageSize: 1 })), ['p-siti', AIMAN]);
+  assert.deepEqual(await collect(b.iteratePeople({ kind: 'user', includeMerged: true, pageSize: 2 })), ['p-siti', 'p-old', AIMAN]);
+
+  const p = await b.listMedia({ kind: 'audio', limit: 1 });
+  assert.deepEqual(ids(p), ['md3']);
+  assert.deepEqual(ids(await b.listMedia({ kind: 'audio', limit: 1, cursor: p.nextCursor })), ['md1']);
+});
@@ -0,0 +1,110 @@
+// Tests for person merge / unmerge and identifier matching in upsertPerson().
+// The merge itself runs in SQL (sql/person-merges.sql); these cover the SDK
+// side: validation before the RPC, argument shape, and the find-or-create path.
+//
+// Run: node --test --no-warnings packages/memory/test/people-merge.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { testBrain } from './_fake-supabase.mjs';
+
+const NEO_SELF_ID = '00000000-0000-0000-0000-000000000001';
+
+const brainWith = ({ people = [], rpc = {} } = {}) =>
+  testBrain({ agent: 'merge-test', tables: { people: people.map((p) => ({ ...p })) }, rpc });
+
+const rpcCalls = (b) => b.sb.calls.filter((c) => c.rpc);
+
+test('mergePeople: validates before any call, then passes the agent to merge_people', async () => {
+  const b = brainWith({ rpc: { merge_people: (args) => ({ merge_id: 'm1', canonical_id: args.p_canonical, dupe_ids: args.p_dupes, moved: { facts: 3 } }) } });
+  await assert.rejects(b.mergePeople(null, ['d1']), /canonicalId required/);
+  await assert.rejects(b.mergePeople('c', []), /at least one dupe/);
+  await assert.rejects(b.mergePeople('c', ['d1', 'c']), /also listed as a dupe/);
+  await assert.rejects(b.mergePeople('c', [NEO_SELF_ID]), /self row cannot be merged away/);
+  assert.equal(rpcCalls(b).length, 0);
+
+  const out = await b.mergePeople('c', ['d1', 'd2', 'd1'], { reason: 'same phone' });
+  assert.equal(out.merge_id, 'm1');
+  assert.deepEqual(rpcCalls(b)[0].args, { p_canonical: 'c', p_dupes: ['d1', 'd2'], p_reason: 'same phone', p_agent: 'merge-test' });
+
+  await b.mergePeople('c', 'd3');
+  assert.deepEqual(rpcCalls(b)[1].args.p_dupes, ['d3']);
+});
+
+test('mergePeople / unmergePerson: RPC errors surface with the RPC name', async () => {
+  const b = brainWith({
+    rpc: {
+      merge_people: () => { throw new Error('merge_people: a dupe is already merged — unmerge it first'); },
+      unmerge_person: (args) => {
+        if (args.p_merge_id !== 'm1') throw new Error(`unmerge_person: merge ${args.p_merge_id} not found`);
+        return { merge_id: 'm1', restored: { facts: 2, facts_skipped: 1 } };
+      },
+    },
+  });
+  await assert.rejects(b.mergePeople('c', ['d']), /^Error: merge_people: .*already merged/);
+  await assert.rejects(b.unmergePerson(), /mergeId required/);
+  await assert.rejects(b.unmergePerson('nope'), /not found/);
+  const out = await b.unmergePerson('m1');
+  assert.deepEqual(out.restored, { facts: 2, facts_skipped: 1 });
+  assert.deepEqual(rpcCalls(b).at(-1).args, { p_merge_id: 'm1', p_agent: 'merge-test' });
+});
+
+test('listPersonMerges: newest first, filtered by canonical and status', async () => {
+  const b = brainWith();
+  b.sb.tables.person_merges = [
+    { id: 'm1', canonical_id: 'c', status: 'unmerged', created_at: '2026-05-01T00:00:00Z' },
+    { id: 'm2', canonical_id: 'c', status: 'merged', created_at: '2026-06-01T00:00:00Z' },
+    { id: 'm3', canonical_id: 'x', status: 'merged', created_at: '2026-07-01T00:00:00Z' },
+  ];
+  assert.deepEqual((await b.listPersonMerges()).map((m) => m.id), ['m3', 'm2', 'm1']);
+  assert.deepEqual((await b.listPersonMerges({ canonicalId: 'c', status: 'merged' })).map((m) => m.id), ['m2']);
+});
+
+test('upsertPerson: an identifier hit returns the existing row and unions new identifiers', async () => {
+  const b = brainWith({
+    people: [{ id: 'p1', display_name: 'Aiman', kind: 'user', identifiers: [{ type: 'phone', value: '60123456789' }], metadata: {}, created_at: '2026-01-01' }],
+  });
+  const out = await b.upsertPerson({
+    displayName: 'Aiman K',
+    identifiers: [{ type: 'phone', value: '60123456789' }, { type: 'lid', value: '1234@lid' }, { type: 'push_name', value: 'Aiman' }],
+  });
+  assert.equal(out.id, 'p1');
+  assert.equal(out.matched, true);
+  assert.deepEqual(out.matchedOn, [{ type: 'phone', value: '+60123456789' }], 'matched on the normalized form');
+  assert.equal(out.display_name, 'Aiman', 'existing row is not renamed');
+  assert.deepEqual(b.sb.tables.people[0].identifiers.map((i) => i.type), ['phone', 'lid', 'push_name']);
+  assert.equal(b.sb.tables.people.length, 1);
+
+  // A push name alone is not enough to call it the same person.
+  const other = await b.upsertPerson({ displayName: 'Aiman', identifiers: [{ type: 'push_name', value: 'Aiman' }] });
+  assert.equal(other.matched, false);
+  assert.equal(b.sb.tables.people.length, 2);
+
+  const forced = await b.upsertPerson({ displayName: 'Aiman', identifiers: [{ type: 'phone', value: '60123456789' }] }, { match: false });
+  assert.equal(forced.matched, false);
+  assert.notEqual(forced.id, 'p1');
+});
+
+test('upsertPerson: merged rows resolve to the canonical person; ambiguous hits list candidates', async () => {
+  const b = brainWith({
+    people: [
+      { id: 'canon', display_name: 'Siti', identifiers: [{ type: 'phone', value: '60111' }], metadata: {}, created_at: '2026-01-01' },
+      { id: 'dupe', display_name: 'Siti', identifiers: [{ type: 'lid', value: '77@lid' }], metadata: { merged_into: 'canon' }, created_at: '2026-02-01' },
+      { id: 'twin', display_name: 'Siti A', identifiers: [{ type: 'email', value: 'siti@example.com' }], metadata: {}, created_at: '2026-03-01' },
+    ],
+  });
+  const viaDupe = await b.upsertPerson({ displayName: 'Siti', identifiers: [{ type: 'lid', value: '77@lid' }] });
+  assert.equal(viaDupe.id, 'canon');
+  assert.deepEqual(viaDupe.identifiers.map((i) => i.value), ['60111', '77@lid']);
+  assert.equal(viaDupe.candidates, undefined);
+
+  const both = await b.upsertPerson({
+    displayName: 'Siti',
+    identifiers: [{ type: 'phone', value: '60111' }, { type: 'lid', value: '77@lid' }, { type: 'email', value: 'siti@example.com' }],
+  });
+  assert.equal(both.id, 'canon', 'most identifiers wins');
+  assert.deepEqual(both.candidates, [{ id: 'twin', display_name: 'Siti A', matchedOn: [{ type: 'email', value: 'siti@example.com' }] }]);
+  assert.equal(b.sb.tables.people.length, 3, 'nothing inserted');
+});
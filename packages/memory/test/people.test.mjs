@@ -0,0 +1,144 @@
+// Tests for identifier normalization (src/people.js) and the people lookups
+// built on it: resolvePerson(), findPeople(), linkLid().
+//
+// Run: node --test --no-warnings packages/memory/test/people.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectIdentifier,
+  identifierLookupValues,
+  nameMatch,
+  normalizeEmail,
+  normalizeIdentifier,
+  normalizeLid,
+  normalizeName,
+  normalizePhone,
+} from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const brainWith = ({ people = [], rpc = {}, phoneRegion } = {}) =>
+  testBrain({ agent: 'people-test', phoneRegion, tables: { people: people.map((p) => ({ metadata: {}, ...p })) }, rpc });
+
+test('normalizePhone: every spelling of one MY number gives the same E.164', () => {
+  for (const v of ['+60 17-751 9610', '60177519610', '0177519610', '017-751 9610', '177519610', '0060177519610', '60177519610@s.whatsapp.net', '60177519610:12@s.whatsapp.net']) {
+    assert.equal(normalizePhone(v), '+60177519610', v);
+  }
+  assert.equal(normalizePhone('6591234567'), '+6591234567', 'bare 10+ digits are already international');
+  assert.equal(normalizePhone('91234567', { region: 'SG' }), '+6591234567');
+  assert.equal(normalizePhone('12345'), null);
+  assert.equal(normalizePhone('call me'), null);
+  assert.throws(() => normalizePhone('0123', { region: 'XX' }), /unknown region XX/);
+});
+
+test('normalizeIdentifier: emails, LIDs, JIDs decide the type', () => {
+  assert.equal(normalizeEmail(' Mailto:Siti@Example.COM '), 'siti@example.com');
+  assert.equal(normalizeEmail('not-an-email'), null);
+  assert.equal(normalizeLid('123456789012345'), '123456789012345@lid');
+  assert.equal(normalizeLid('123456789012345:3@LID'), '123456789012345@lid');
+  assert.deepEqual(normalizeIdentifier({ type: 'phone', value: '1234@lid' }), { type: 'lid', value: '1234@lid' });
+  assert.deepEqual(normalizeIdentifier({ type: 'Phone', value: '60177519610@s.whatsapp.net' }), { type: 'phone', value: '+60177519610' });
+  assert.deepEqual(normalizeIdentifier({ type: 'phone', value: 'ext 12' }), { type: 'phone', value: 'ext 12' }, 'unparseable values are kept');
+  assert.deepEqual(normalizeIdentifier({ type: 'push_name', value: ' Aiman ' }), { type: 'push_name', value: 'Aiman' });
+  assert.deepEqual(
+    identifierLookupValues({ type: 'phone', value: '017-751 9610' }).map((v) => v.value),
+    ['+60177519610', '60177519610', '017-751 9610'],
+  );
+  assert.deepEqual(identifierLookupValues({ type: 'lid', value: '99@lid' }).map((v) => v.value), ['99@lid', '99']);
+  assert.deepEqual(detectIdentifier('+60 17-751 9610'), { type: 'phone', value: '+60177519610' });
+  assert.deepEqual(detectIdentifier('Siti@Example.com'), { type: 'email', value: 'siti@example.com' });
+  assert.deepEqual(detectIdentifier('99@lid'), { type: 'lid', value: '99@lid' });
+  assert.equal(detectIdentifier('Siti Aminah'), null);
+  assert.equal(detectIdentifier('2026'), null, 'too short for a phone');
+});
+
+test('nameMatch: exact > prefix > fuzzy, ignoring case, accents and honorifics', () => {
+  assert.equal(normalizeName("Dato' Séri  AMINAH"), 'seri aminah');
+  assert.deepEqual(nameMatch('siti aminah', 'Puan Siti Aminah'), { score: 1, how: 'exact' });
+  assert.deepEqual(nameMatch('aminah sit', 'Siti Aminah binti Ali'), { score: 0.9, how: 'prefix' });
+  const typo = nameMatch('Aimann', 'Aiman Khalid');
+  assert.equal(typo.how, 'fuzzy');
+  assert.ok(typo.score > 0.4 && typo.score < 0.8, String(typo.score));
+  assert.ok(nameMatch('Zulkifli', 'Aiman Khalid').score < 0.1);
+});
+
+test('resolvePerson: legacy digits-only rows resolve from any spelling; merged rows to the canonical', async () => {
+  const people = [
+    { id: 'neo', display_name: 'Neo', identifiers: [{ type: 'phone', value: '60177519610' }] },
+    { id: 'old', display_name: 'Neo', identifiers: [{ type: 'lid', value: '555@lid' }], metadata: { merged_into: 'neo' } },
+  ];
+  const b = brainWith({
+    people,
+    rpc: {
+      resolve_person: ({ p_type, p_value }, db) =>
+        db.people.find((p) => p.identifiers.some((i) => i.type === p_type && i.value === p_value))?.id ?? null,
+    },
+  });
+  assert.equal(await b.resolvePerson('phone', '+60 17-751 9610'), 'neo');
+  assert.equal(await b.resolvePerson('phone', '0177519610'), 'neo');
+  assert.equal(await b.resolvePerson('lid', '555'), 'neo');
+  assert.equal(await b.resolvePerson('email', 'nobody@example.com'), null);
+});
+
+test('findPeople: identifier hits outrank names; reasons explain every hit', async () => {
+  const people = [
+    { id: 'a', display_name: 'Aiman Khalid', identifiers: [{ type: 'phone', value: '60123456789' }, { type: 'push_name', value: 'Man' }], created_at: '2026-01-01' },
+    { id: 'b', display_name: 'Aimann Razak', identifiers: [], created_at: '2026-01-02' },
+    { id: 'c', display_name: 'Broneotodak', identifiers: [{ type: 'nickname', value: 'Aiman' }], metadata: { merged_into: 'a' }, created_at: '2026-01-03' },
+    { id: 'z', display_name: 'Zulkifli', identifiers: [], created_at: '2026-01-04' },
+  ];
+  const b = brainWith({ people, rpc: { search_people: (args, db) => db.people.slice(0, args.p_limit) } });
+
+  const byPhone = await b.findPeople('012-345 6789');
+  assert.deepEqual(byPhone.map((p) => p.id), ['a']);
+  assert.deepEqual(byPhone[0].reasons, [{ kind: 'identifier', type: 'phone', value: '60123456789', score: 1 }]);
+  assert.equal(b.sb.calls.some((c) => c.rpc === 'search_people'), false, 'a phone number is not a name');
+
+  const byName = await b.findPeople('aiman');
+  assert.deepEqual(byName.map((p) => p.id), ['a', 'b']);
+  const [top] = byName;
+  assert.deepEqual(top.reasons.map((r) => r.kind), ['name', 'name', 'merged']);
+  assert.deepEqual(top.reasons[0], { kind: 'name', field: 'display_name', name: 'Aiman Khalid', how: 'prefix', score: 0.9 * 0.95 });
+  assert.deepEqual(top.reasons.at(-1), { kind: 'merged', from: 'c' });
+  assert.deepEqual(top.reasons[1], { kind: 'name', field: 'nickname', name: 'Aiman', how: 'exact', score: 0.9 });
+  assert.ok(Math.abs(top.score - 0.95) < 1e-9, 'best reason 0.9 + 0.05 for a second name field');
+  assert.ok(byName.every((p) => p.id !== 'z'));
+
+  const raw = await b.findPeople('aiman', { includeMerged: true });
+  assert.ok(raw.some((p) => p.id === 'c'));
+  assert.deepEqual((await b.findPeople('aiman', { limit: 1 })).map((p) => p.id), ['a']);
+  await assert.rejects(b.findPeople('  '), /query required/);
+});
+
+test('findPeople: without the search_people RPC, falls back to an ilike scan', async () => {
+  const b = brainWith({ people: [{ id: 's', display_name: 'Siti Aminah', identifiers: [] }, { id: 'x', display_name: 'Lan', identifiers: [] }] });
+  const hits = await b.findPeople('Puan Siti');
+  assert.deepEqual(hits.map((h) => h.id), ['s']);
+  assert.equal(hits[0].reasons[0].how, 'prefix');
+});
+
+test('linkLid: adds the missing side, reports conflicts, merges on request', async () => {
+  const b = brainWith({
+    people: [
+      { id: 'p', display_name: 'Aiman', identifiers: [{ type: 'phone', value: '60123456789' }], created_at: '2026-01-01' },
+      { id: 'l', display_name: 'Aiman (wa)', identifiers: [{ type: 'lid', value: '42@lid' }], created_at: '2026-01-02' },
+    ],
+    rpc: { merge_people: (args) => ({ merge_id: 'm9', canonical_id: args.p_canonical, dupe_ids: args.p_dupes }) },
+  });
+  await assert.rejects(b.linkLid('not a lid', '0123456789'), /not a LID/);
+  await assert.rejects(b.linkLid('7@lid', 'nope'), /not a phone number/);
+
+  assert.deepEqual(await b.linkLid('77', '0123456789'), { personId: 'p', linked: true });
+  assert.deepEqual(b.sb.tables.people[0].identifiers.at(-1), { type: 'lid', value: '77@lid' });
+  assert.deepEqual(await b.linkLid('77@lid', '+60123456789'), { personId: 'p', linked: false }, 'already linked');
+
+  assert.deepEqual(await b.linkLid('42@lid', '0123456789'), { personId: 'p', linked: false, conflict: ['p', 'l'] });
+  assert.deepEqual(await b.linkLid('42@lid', '0123456789', { merge: true }), { personId: 'p', linked: true, mergeId: 'm9' });
+
+  assert.deepEqual(await b.linkLid('8@lid', '0199999999'), { personId: null, linked: false });
+  const created = await b.linkLid('8@lid', '0199999999', { displayName: 'New' });
+  assert.equal(created.linked, true);
+  assert.deepEqual(b.sb.tables.people.at(-1).identifiers, [{ type: 'phone', value: '+60199999999' }, { type: 'lid', value: '8@lid' }]);
+});
@@ -0,0 +1,180 @@
+// Tests for the direct Postgres backend (src/backends/pg.js): the SQL it
+// builds for NeoBrain's query-builder calls and RPCs, value encoding from
+// catalog types, PostgREST-shaped results and errors; backend selection.
+//
+// Run: node --test --no-warnings packages/memory/test/pg-backend.test.mjs
+//
+// No env required — queries go to a recording stand-in for pg.Pool.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeoBrain, PgBackend, SupabaseBackend, createBackend } from '../src/index.js';
+import { isoTimestamp, parseLogicTree } from '../src/backends/pg.js';
+import { StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+const TIMESTAMPTZ = 'timestamp with time zone';
+const COLUMNS = {
+  memories: {
+    id: 'uuid', content: 'text', embedding: 'vector', category: 'text', memory_type: 'text', importance: 'integer',
+    visibility: 'text', subject_id: 'uuid', related_people: 'uuid[]', source: 'text', source_ref: 'jsonb',
+    media_id: 'uuid', metadata: 'jsonb', archived: 'boolean', created_at: TIMESTAMPTZ,
+  },
+  memory_writes_log: { id: 'bigint', memory_id: 'uuid', action: 'text', written_by: 'text', payload_preview: 'text', written_at: TIMESTAMPTZ },
+  people: { id: 'uuid', display_name: 'text', identifiers: 'jsonb', metadata: 'jsonb', created_at: TIMESTAMPTZ },
+};
+const FUNCTIONS = {
+  resolve_person: [{ returns_set: false, composite: false, void: false, arg_names: ['p_type', 'p_value'], arg_modes: [], arg_types: ['text', 'text'] }],
+  match_media: [{
+    returns_set: true, composite: false, void: false,
+    arg_names: ['query_embedding', 'match_count', 'id', 'similarity'], arg_modes: ['i', 'i', 't', 't'], arg_types: ['vector', 'integer', 'uuid', 'double precision'],
+  }],
+};
+
+// pg.Pool stand-in: answers the catalog lookups from COLUMNS / FUNCTIONS and
+// everything else with respond(text, values) (rows, or an Error to throw).
+class FakePool {
+  constructor(respond = () => []) {
+    this.respond = respond;
+    this.queries = [];
+  }
+
+  async query(text, values = []) {
+    if (/from pg_attribute/.test(text)) {
+      const table = values[0].split('.')[1].replace(/"/g, '');
+      return { rows: Object.entries(COLUMNS[table] || {}).map(([name, type]) => ({ name, type })) };
+    }
+    if (/from pg_proc/.test(text)) return { rows: FUNCTIONS[values[0]] || [] };
+    this.queries.push({ text, values });
+    const out = this.respond(text, values);
+    if (out instanceof Error) throw out;
+    return { rows: out };
+  }
+}
+
+function backendWith(respond) {
+  const pool = new FakePool(respond);
+  return { db: new PgBackend({ pool }), pool };
+}
+
+test('select: filters, json paths, order and range become one parameterized query', async () => {
+  const { db, pool } = backendWith(() => [{ id: 'm1', content: 'x' }]);
+  const { data, error, status } = await db
+    .from('memories')
+    .select('id, content')
+    .eq('archived', false)
+    .in('visibility', ['public', 'internal'])
+    .gte('created_at', '2026-01-01T00:00:00.000Z')
+    .eq('source_ref->>session_id', 's1')
+    .is('subject_id', null)
+    .not('media_id', 'is', null)
+    .ilike('content', '*trip*')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: true })
+    .range(10, 19);
+  assert.deepEqual([data, error, status], [[{ id: 'm1', content: 'x' }], null, 200]);
+  assert.equal(pool.queries[0].text,
+    'select "id", "content" from "public"."memories" where "archived" = $1::boolean and "visibility" = any($2::text[])'
+    + ` and "created_at" >= $3::${TIMESTAMPTZ} and "source_ref"->>'session_id' = $4 and "subject_id" is null`
+    + ' and not ("media_id" is null) and "content" ilike $5::text order by "created_at" desc, "id" asc limit 10 offset 10');
+  assert.deepEqual(pool.queries[0].values, [false, ['public', 'internal'], '2026-01-01T00:00:00.000Z', 's1', '%trip%']);
+
+  // The keyset filter watch() polls with, and the people name scan.
+  await db.from('memories').select('*').or('created_at.gt.2026-01-01T00:00:00.5Z,and(created_at.eq.2026-01-01T00:00:00.5Z,id.gt.m1)').limit(5);
+  assert.equal(pool.queries[1].text,
+    `select * from "public"."memories" where ("created_at" > $1::${TIMESTAMPTZ} or ("created_at" = $2::${TIMESTAMPTZ} and "id" > $3::uuid)) limit 5`);
+  assert.deepEqual(parseLogicTree('display_name.ilike.*ai*,kind.in.(user,"bot"),archived.not.is.null'), { or: [
+    { col: 'display_name', op: 'ilike', value: '*ai*', negate: false },
+    { col: 'kind', op: 'in', value: '(user,"bot")', negate: false },
+    { col: 'archived', op: 'is', value: 'null', negate: true },
+  ] });
+  await db.from('people').select('id').contains('identifiers', JSON.stringify([{ type: 'phone', value: '+60177519610' }]));
+  assert.equal(pool.queries[2].text, 'select "id" from "public"."people" where "identifiers" @> $1::jsonb');
+  assert.deepEqual(pool.queries[2].values, ['[{"type":"phone","value":"+60177519610"}]']);
+  assert.throws(() => db.from('memories').select('*').or('nonsense'), /cannot parse filter "nonsense"/);
+});
+
+test('writes: encoding by column type, defaults, upsert, returning, single', async () => {
+  const { db, pool } = backendWith((text) => (/returning/.test(text) ? [{ id: 'm1', created_at: '2026-05-04T10:00:00.123456+00:00' }] : []));
+  const { data } = await db.from('memories').insert([
+    { content: 'a', embedding: [0.5, 1], related_people: ['p1'], source_ref: { session_id: 's' }, metadata: { tags: ['x'] } },
+    { content: 'b', category: 'note' },
+  ]).select('id, created_at');
+  assert.equal(pool.queries[0].text,
+    'insert into "public"."memories" ("content", "embedding", "related_people", "source_ref", "metadata", "category")'
+    + ' values ($1::text, $2::vector, $3::uuid[], $4::jsonb, $5::jsonb, default), ($6::text, default, default, default, default, $7::text) returning "id", "created_at"');
+  assert.deepEqual(pool.queries[0].values, ['a', '[0.5,1]', ['p1'], '{"session_id":"s"}', '{"tags":["x"]}', 'b', 'note']);
+  assert.equal(data.length, 1);
+
+  assert.equal((await db.from('memory_writes_log').insert({ memory_id: 'm1', action: 'insert' })).data, null, 'no select() → no rows back');
+  await db.from('people').upsert([{ id: 'p1', display_name: 'Aiman' }], { onConflict: 'id' });
+  assert.match(pool.queries[2].text, /on conflict \("id"\) do update set "display_name" = excluded\."display_name"$/);
+  await db.from('people').upsert({ id: 'p1' }, { onConflict: 'id', ignoreDuplicates: true });
+  assert.match(pool.queries[3].text, /on conflict \("id"\) do nothing$/);
+
+  const one = await db.from('memories').update({ metadata: { a: 1 }, archived: true }).eq('id', 'm1').select('id, created_at').single();
+  assert.equal(pool.queries[4].text, 'update "public"."memories" set "metadata" = $1::jsonb, "archived" = $2::boolean where "id" = $3::uuid returning "id", "created_at"');
+  assert.equal(one.data.id, 'm1');
+  await db.from('memories').delete().in('id', ['m1', 'm2']);
+  assert.equal(pool.queries[5].text, 'delete from "public"."memories" where "id" = any($1::uuid[])');
+
+  const none = backendWith(() => []).db;
+  assert.deepEqual(await none.from('memories').select('*').eq('id', 'x').maybeSingle(), { data: null, error: null, status: 200 });
+  const missing = await none.from('memories').select('*').eq('id', 'x').single();
+  assert.deepEqual([missing.error.code, missing.status], ['PGRST116', 406]);
+  assert.deepEqual(await none.from('memories').insert([]), { data: [], error: null, status: 201 });
+});
+
+test('rpc: named arguments cast to the declared types; set, scalar and missing functions', async () => {
+  const { db, pool } = backendWith((text) => (/match_media/.test(text) ? [{ id: 'md1', similarity: 0.9 }] : [{ result: 'p1' }]));
+  assert.deepEqual(await db.rpc('resolve_person', { p_type: 'phone', p_value: '+60177519610' }), { data: 'p1', error: null, status: 200 });
+  assert.equal(pool.queries[0].text, 'select "public"."resolve_person"("p_type" => $1::text, "p_value" => $2::text) as result');
+  const set = await db.rpc('match_media', { query_embedding: [1, 0], match_count: 3 });
+  assert.deepEqual(set.data, [{ id: 'md1', similarity: 0.9 }]);
+  assert.equal(pool.queries[1].text, 'select * from "public"."match_media"("query_embedding" => $1::vector, "match_count" => $2::integer)');
+  assert.deepEqual(pool.queries[1].values, ['[1,0]', 3]);
+  const nope = await db.rpc('match_memories_hybrid_v2', { query_text: 'x' });
+  assert.deepEqual([nope.error.code, nope.status], ['PGRST202', 404]);
+  assert.equal((await db.rpc('resolve_person', { p_other: 1 })).error.code, 'PGRST202', 'no overload takes those arguments');
+});
+
+test('errors come back PostgREST-shaped; unreachable servers are transient to NeoBrain', async () => {
+  const dup = Object.assign(new Error('duplicate key value violates unique constraint "people_pkey"'), { code: '23505', detail: 'Key (id)=(p1) already exists.' });
+  const { db } = backendWith(() => dup);
+  assert.deepEqual(await db.from('people').insert({ id: 'p1' }), {
+    data: null,
+    error: { message: dup.message, code: '23505', details: 'Key (id)=(p1) already exists.', hint: null },
+    status: 409,
+  });
+  assert.equal((await backendWith(() => Object.assign(new Error('relation "public.memories" does not exist'), { code: '42P01' })).db.from('memories').select('*')).status, 404);
+
+  const down = backendWith(() => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' }));
+  const brain = new NeoBrain({ backend: down.db, agent: 'pg-test', embedder: new StubEmbedder(), journal: null, reranker: false, policy: false, pii: 'off' });
+  await assert.rejects(brain.save('hello', { category: 'note', type: 'note' }), (e) => e.transient === true && /connect ECONNREFUSED/.test(e.message));
+});
+
+test('NeoBrain on the pg backend: no Supabase settings needed; save writes the row and its audit entry', async () => {
+  const { db, pool } = backendWith((text) => (/returning/.test(text) ? [{ id: 'm1', created_at: '2026-05-04T10:00:00+00:00' }] : []));
+  const brain = new NeoBrain({ backend: db, url: null, serviceRoleKey: null, agent: 'pg-test', embedder: new StubEmbedder(), journal: null, reranker: false, policy: false, pii: 'off' });
+  const saved = await brain.save('Neo prefers the NAS for nightly jobs', { category: 'preference', type: 'preference', visibility: 'internal' });
+  assert.equal(saved.id, 'm1');
+  const insert = pool.queries.find((q) => /^insert into "public"."memories"/.test(q.text));
+  assert.ok(insert.values.includes(stubVector([1, 0])));
+  assert.ok(pool.queries.some((q) => /^insert into "public"."memory_writes_log"/.test(q.text)));
+
+  // No Realtime on pg: watch() polls.
+  const statuses = [];
+  const controller = new AbortController();
+  const w = brain.watch({ table: 'memories', pollMs: 5, signal: controller.signal, onStatus: (s) => statuses.push(s) });
+  const pending = w.next();
+  await new Promise((r) => setTimeout(r, 20));
+  controller.abort();
+  assert.equal((await pending).done, true);
+  assert.equal(statuses[0], 'polling');
+
+  assert.throws(() => new NeoBrain({ backend: 'pg', databaseUrl: null, agent: 'x' }), /PgBackend: connectionString required/);
+  assert.throws(() => new NeoBrain({ backend: 'supabase', url: null, agent: 'x' }), /NeoBrain: url required/);
+  assert.throws(() => createBackend('mysql'), /unknown backend "mysql" \(supabase \| pg\)/);
+  assert.equal(createBackend('supabase', { url: 'http://127.0.0.1:1', key: 'x' }) instanceof SupabaseBackend, true);
+  assert.equal(isoTimestamp('2026-05-04 10:00:00.123456+00'), '2026-05-04T10:00:00.123456+00:00');
+  assert.equal(isoTimestamp('2026-05-04 18:00:00+08'), '2026-05-04T18:00:00+08:00');
+});
@@ -0,0 +1,184 @@
+// Tests for PII classification (src/pii.js) and what save() / saveMany() /
+// update() / revert() do with it; piiReport() for the backfill.
+//
+// Run: node --test --no-warnings packages/memory/test/pii.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NEO_SELF_ID, classifyPII, directoryNames, maxVisibilityFor } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const PEOPLE = [
+  { id: NEO_SELF_ID, display_name: 'Neo Todak', identifiers: [], metadata: {} },
+  { id: 'p1', display_name: 'Aiman Khalid', identifiers: [{ type: 'nickname', value: 'Aiman' }], metadata: {} },
+  { id: 'p2', display_name: 'Old Aiman', identifiers: [], metadata: { merged_into: 'p1' } },
+  { id: 'p3', display_name: 'Lan', identifiers: [], metadata: {} },
+];
+
+const brainWith = ({ memories = [], people = PEOPLE, ...opts } = {}) =>
+  testBrain({ agent: 'pii-test', tables: { people, memories }, ...opts });
+
+test('classifyPII: phones, IC numbers, emails, addresses, health — not dates, versions or order numbers', () => {
+  const kinds = (text) => classifyPII(text).kinds;
+  assert.deepEqual(kinds('Call him at +60 17-751 9610 or 017-751 9610'), ['phone']);
+  assert.deepEqual(classifyPII('Call him at +60 17-751 9610 or 017-751 9610').counts, { phone: 2 });
+  assert.deepEqual(kinds('60177519610@s.whatsapp.net said hi'), ['phone']);
+  assert.deepEqual(kinds('IC 900101-14-5678 for the form'), ['my_ic']);
+  assert.deepEqual(kinds('IC 900101145678'), ['my_ic']);
+  assert.deepEqual(kinds('ref 901301145678'), [], 'month 13 is not a birth date');
+  assert.deepEqual(kinds('reach me at siti@example.com'), ['email']);
+  assert.deepEqual(kinds('She lives at No. 12, Jalan Ampang, 50450 Kuala Lumpur'), ['address']);
+  assert.deepEqual(kinds('moved to 42 Baker Street'), ['address']);
+  assert.deepEqual(kinds('Mak masuk wad, darah tinggi'), ['health']);
+  assert.deepEqual(kinds('Siti was diagnosed with diabetes'), ['health']);
+  for (const clean of ['meeting on 2026-05-04 at 10:30', 'Deploy v1.2.3 took 1234567 ms', 'order 202605041234 shipped', 'recall@5 up 5%']) {
+    assert.deepEqual(kinds(clean), [], clean);
+  }
+});
+
+test('classifyPII: everyday senses of street, health and number words are not PII', () => {
+  const kinds = (text) => classifyPII(text).kinds;
+  for (const clean of [
+    'Diagnosed the flaky CI job',
+    'SVG stroke width is 2px',
+    'add medication field to schema',
+    'surgery on the legacy billing module',
+    'Deployed 2 kg of fixes',
+    'dah jalan script migration',
+    'kg baru tak sync lagi',
+    'Build took 0123456789 ms',
+    'ticket 4412345678 closed',
+    'batch 0123456789 rows inserted',
+  ]) {
+    assert.deepEqual(kinds(clean), [], clean);
+  }
+  assert.deepEqual(kinds('lunch at Kg Baru'), ['address']);
+  assert.deepEqual(kinds('Jalan 14/2 is closed'), ['address']);
+  assert.deepEqual(kinds('Mak had surgery at the hospital'), ['health']);
+  assert.deepEqual(kinds('Ayah makan ubat darah tinggi'), ['health']);
+  assert.deepEqual(kinds('the doctor changed her medication'), ['health']);
+  assert.deepEqual(kinds('his number is 0123456789'), ['phone']);
+  assert.deepEqual(kinds('ring +6587654321'), ['phone']);
+});
+
+test('directory names: everyone but Neo and merged rows, one entry per person; maxVisibilityFor', () => {
+  const names = directoryNames(PEOPLE, { selfId: NEO_SELF_ID });
+  assert.deepEqual(names, [['aiman khalid', 'aiman']], 'short names like "Lan" are skipped');
+  assert.deepEqual(classifyPII('Aiman Khalid prefers tea', { names }).counts, { person: 1 });
+  assert.deepEqual(classifyPII('Neo Todak prefers tea', { names }).kinds, []);
+  assert.equal(maxVisibilityFor(['person']), 'internal');
+  assert.equal(maxVisibilityFor(['person', 'health']), 'private');
+  assert.equal(maxVisibilityFor([]), 'public');
+});
+
+test('save (downgrade): tags pii_kinds and lowers visibility; people directory cached', async () => {
+  const b = brainWith({ pii: 'downgrade' });
+  const out = await b.save("Aiman's new number is 012-345 6789", { category: 'people', type: 'fact', visibility: 'internal', metadata: { k: 1 } });
+  assert.deepEqual(out.pii, { kinds: ['person', 'phone'], downgradedFrom: 'internal' });
+  const row = b.sb.tables.memories[0];
+  assert.equal(row.visibility, 'private');
+  assert.deepEqual(row.metadata, { k: 1, pii_kinds: ['person', 'phone'] });
+
+  const named = await b.save('Aiman shipped the release', { category: 'project', type: 'note', visibility: 'public' });
+  assert.deepEqual(named.pii, { kinds: ['person'], downgradedFrom: 'public' });
+  assert.equal(b.sb.tables.memories[1].visibility, 'internal');
+
+  const fine = await b.save('Aiman shipped the release', { category: 'project', type: 'note', visibility: 'private' });
+  assert.deepEqual(fine.pii, { kinds: ['person'] });
+  assert.equal((await b.save('shipped the release', { category: 'project', type: 'note', visibility: 'public' })).pii, undefined);
+  assert.equal(b.sb.calls.filter((c) => c.table === 'people').length, 1, 'directory read once');
+});
+
+test('reject-public, tag (default) and off; saveMany per item; update re-classifies', async () => {
+  const strict = brainWith({ pii: 'reject-public' });
+  await assert.rejects(
+    strict.save('IC 900101-14-5678', { category: 'people', type: 'fact', visibility: 'public' }),
+    (e) => e.code === 'PII_PUBLIC' && /save: refusing public visibility for text with PII \(my_ic\) — save it as private/.test(e.message),
+  );
+  assert.equal(strict.sb.tables.memories.length, 0);
+  assert.equal((await strict.save('IC 900101-14-5678', { category: 'people', type: 'fact', visibility: 'internal' })).pii.downgradedFrom, 'internal');
+
+  const tagOnly = brainWith({ pii: 'tag' });
+  await tagOnly.save('email siti@example.com', { category: 'people', type: 'fact', visibility: 'public' });
+  assert.equal(tagOnly.sb.tables.memories[0].visibility, 'public');
+  assert.deepEqual(tagOnly.sb.tables.memories[0].metadata.pii_kinds, ['email']);
+  await tagOnly.save('email siti@example.com', { category: 'people', type: 'fact', visibility: 'public', pii: 'off' });
+  assert.equal(tagOnly.sb.tables.memories[1].metadata.pii_kinds, undefined);
+  assert.throws(() => brainWith({ pii: 'sometimes' }), /pii must be one of downgrade, reject-public, tag, off/);
+
+  const byDefault = brainWith();
+  const tagged = await byDefault.save('call 012-345 6789', { category: 'people', type: 'fact', visibility: 'public' });
+  assert.deepEqual(tagged.pii, { kinds: ['phone'] });
+  assert.equal(byDefault.sb.tables.memories[0].visibility, 'public');
+
+  const b = brainWith({ pii: 'downgrade' });
+  const many = await b.saveMany([
+    { content: 'call 0123456789', category: 'c', type: 'n', visibility: 'public' },
+    { content: 'plain', category: 'c', type: 'n', visibility: 'public' },
+  ], { pii: 'reject-public' });
+  assert.match(many.results[0].error, /refusing public visibility/);
+  assert.equal(many.results[1].ok, true);
+
+  const { id } = await b.save('plain note', { category: 'c', type: 'n', visibility: 'internal' });
+  const upd = await b.update(id, { content: 'she was warded for asthma' });
+  assert.deepEqual(upd.pii, { kinds: ['health'], downgradedFrom: 'internal' });
+  assert.equal(upd.visibility, 'private');
+  assert.deepEqual(upd.metadata.pii_kinds, ['health']);
+  const widen = await b.update(id, { visibility: 'public' });
+  assert.equal(widen.visibility, 'private', 'widening a PII row is undone');
+});
+
+test('revert: a snapshot with PII is re-classified, never restored wide open', async () => {
+  const b = brainWith({ pii: 'downgrade' });
+  // Written before the PII check existed.
+  const { id } = await b.save('call me at 0123456789', { category: 'people', type: 'fact', visibility: 'internal', pii: 'off' });
+  await b.update(id, { content: 'call me on Telegram' });
+  const [v1] = await b.history(id);
+  const out = await b.revert(id, v1.id);
+  assert.equal(out.content, 'call me at 0123456789');
+  assert.equal(out.visibility, 'private');
+  assert.deepEqual(out.pii, { kinds: ['phone'], downgradedFrom: 'internal' });
+  assert.deepEqual(out.metadata.pii_kinds, ['phone']);
+
+  const { id: pub } = await b.save('email siti@example.com', { category: 'people', type: 'fact', visibility: 'public', pii: 'off' });
+  await b.update(pub, { content: 'email Siti' });
+  const [p1] = await b.history(pub);
+  await assert.rejects(b.revert(pub, p1.id, { pii: 'reject-public' }), (e) => e.code === 'PII_PUBLIC' && /^revert: refusing public visibility/.test(e.message));
+  assert.equal(b.sb.tables.memories.find((m) => m.id === pub).content, 'email Siti');
+});
+
+test('piiReport: rows too open for their PII, oldest first, across pages', async () => {
+  const memories = [
+    { id: 'm1', content: 'phone 0123456789', visibility: 'public', created_at: '2026-01-01T00:00:00Z' },
+    { id: 'm2', content: 'plain', visibility: 'public', created_at: '2026-01-02T00:00:00Z' },
+    { id: 'm3', content: 'Aiman Khalid likes tea', visibility: 'internal', created_at: '2026-01-03T00:00:00Z' },
+    { id: 'm4', content: 'Aiman Khalid likes tea', visibility: 'public', created_at: '2026-01-04T00:00:00Z', metadata: { pii_kinds: ['person'] } },
+    { id: 'm5', content: 'diagnosed with asthma', visibility: 'internal', created_at: '2026-01-05T00:00:00Z', archived: true },
+  ].map((m) => ({ category: 'c', memory_type: 'n', archived: false, metadata: {}, ...m }));
+  const b = brainWith({ memories });
+  const rows = [];
+  for await (const r of b.piiReport({ pageSize: 2 })) rows.push(r);
+  assert.deepEqual(rows.map((r) => [r.id, r.visibility, r.suggested, r.kinds.join('+'), r.tagged]), [
+    ['m1', 'public', 'private', 'phone', false],
+    ['m4', 'public', 'internal', 'person', true],
+  ]);
+  const first = [];
+  for await (const r of b.piiReport({ limit: 1 })) first.push(r.id);
+  assert.deepEqual(first, ['m1']);
+});
+
+test('piiReport: lowering rows while iterating skips none of the rest', async () => {
+  const memories = ['a', 'b', 'c', 'd', 'e'].map((id, i) => ({
+    id, content: `call 012-345 678${i}`, visibility: 'public', category: 'c', memory_type: 'n', archived: false, metadata: {},
+    created_at: `2026-01-0${i + 1}T00:00:00Z`,
+  }));
+  const b = brainWith({ memories });
+  const seen = [];
+  for await (const r of b.piiReport({ pageSize: 2 })) {
+    seen.push(r.id);
+    b.sb.tables.memories.find((m) => m.id === r.id).visibility = r.suggested;
+  }
+  assert.deepEqual(seen, ['a', 'b', 'c', 'd', 'e']);
+});
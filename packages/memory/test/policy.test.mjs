@@ -0,0 +1,172 @@
+// Tests for per-agent policies (src/policy.js) and their enforcement in
+// NeoBrain: writes, reads, credentials, can(), loadPolicy().
+//
+// Run: node --test --no-warnings packages/memory/test/policy.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AgentPolicy, NEO_SELF_ID, policyFromEnv } from '../src/index.js';
+import { testBrain, StubEmbedder } from './_fake-supabase.mjs';
+
+const DOC = {
+  version: 1,
+  agents: {
+    'nclaw-*': {
+      write: { categories: ['conversation', 'project'], visibilities: ['private', 'internal'] },
+      read: { visibilities: ['public', 'internal'], categories: ['conversation', 'project'] },
+      credentials: ['gemini'],
+    },
+    'nclaw-hetzner': {
+      write: { categories: ['*'], visibilities: ['private'], subjects: [NEO_SELF_ID], sources: ['save-memory.js-dualwrite'] },
+      read: {},
+      credentials: [],
+    },
+    '*': { read: { visibilities: ['public'] } },
+  },
+};
+
+function brainWith(agent, { policy = DOC, tables = {}, rpc = {} } = {}) {
+  const embedder = new StubEmbedder();
+  const b = testBrain({ agent, embedder, embeddingCache: false, policy, tables, rpc });
+  return { b, embedder };
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+test('AgentPolicy: exact name beats globs, longer glob beats shorter, unknown agents are denied', () => {
+  const p = new AgentPolicy(DOC);
+  assert.equal(p.rulesFor('nclaw-hetzner').pattern, 'nclaw-hetzner');
+  assert.equal(p.rulesFor('nclaw-vps-2').pattern, 'nclaw-*');
+  assert.equal(p.rulesFor('claude-desktop').pattern, '*');
+  assert.equal(new AgentPolicy({ agents: { 'nclaw-*': {} } }).rulesFor('claude-desktop'), null);
+
+  assert.deepEqual(p.check('nclaw-vps-2', 'write', { category: 'project', visibility: 'internal' }), { allowed: true, rule: 'nclaw-*' });
+  assert.deepEqual(p.check('nclaw-vps-2', 'write', { category: 'health' }), { allowed: false, reason: 'category health not allowed', rule: 'nclaw-*' });
+  assert.deepEqual(p.check('claude-desktop', 'write', {}), { allowed: false, reason: 'write not granted', rule: '*' });
+  assert.equal(p.check('claude-desktop', 'credential', { service: 'openai' }).reason, 'credential not granted');
+  assert.equal(p.check('nclaw-hetzner', 'credential', { service: 'gemini' }).reason, 'credential service gemini not allowed');
+  assert.equal(p.check('nclaw-hetzner', 'write', { source: 'save-memory.js-dualwrite' }).allowed, true);
+  assert.equal(p.check('nclaw-vps-2', 'write', { source: 'nclaw-hetzner' }).reason, 'source nclaw-hetzner not allowed');
+  assert.deepEqual(p.readableVisibilities('nclaw-vps-2', ['public', 'internal', 'private']), ['public', 'internal']);
+  assert.match(new AgentPolicy({ agents: {} }, { origin: 'x.json' }).check('a', 'read').reason, /no policy entry for agent a \(x\.json\)/);
+  assert.throws(() => p.check('a', 'delete'), /unknown action "delete"/);
+  assert.throws(() => new AgentPolicy({ version: 2, agents: {} }), /unsupported version 2/);
+  assert.throws(() => new AgentPolicy({}), /agents/);
+});
+
+test('save / saveMany: violations are rejected before embedding or any insert, and logged', async () => {
+  const { b, embedder } = brainWith('nclaw-vps-2');
+  await assert.rejects(
+    b.save('Neo had a checkup', { category: 'health', type: 'note', visibility: 'private' }),
+    (e) => e.code === 'POLICY_DENIED' && /^save: policy denies write for nclaw-vps-2 — category health not allowed$/.test(e.message),
+  );
+  await assert.rejects(b.save('hi', { category: 'project', type: 'note', visibility: 'public' }), /visibility public not allowed/);
+  assert.equal(embedder.calls.length, 0);
+  assert.equal(b.sb.calls.some((c) => c.table === 'memories'), false);
+
+  await tick();
+  const logged = b.sb.tables.policy_violations;
+  assert.equal(logged.length, 2);
+  assert.deepEqual(
+    { agent: logged[0].agent, action: logged[0].action, operation: logged[0].operation, reason: logged[0].reason, rule: logged[0].rule, target: logged[0].target },
+    { agent: 'nclaw-vps-2', action: 'write', operation: 'save', reason: 'category health not allowed', rule: 'nclaw-*', target: { category: 'health', visibility: 'private', subjectId: NEO_SELF_ID, source: 'nclaw-vps-2' } },
+  );
+
+  const ok = await b.save('shipped it', { category: 'project', type: 'note', visibility: 'internal' });
+  assert.ok(ok.id);
+
+  const many = await b.saveMany([
+    { content: 'a', category: 'project', type: 'note' },
+    { content: 'b', category: 'finance', type: 'note' },
+  ]);
+  assert.equal(many.saved, 1);
+  assert.match(many.results[1].error, /category finance not allowed/);
+
+  // A failing violation log never replaces the denial.
+  b.sb.fail = ({ table }) => (table === 'policy_violations' ? { message: 'TypeError: fetch failed' } : null);
+  await assert.rejects(b.save('x', { category: 'health', type: 'note' }), /save: policy denies write/);
+});
+
+test('update / archive / redact check both the patch and the stored row', async () => {
+  const rows = [
+    { id: 'm1', content: 'ok', category: 'project', visibility: 'internal', subject_id: NEO_SELF_ID, archived: false },
+    { id: 'm2', content: 'hers', category: 'family', visibility: 'private', subject_id: NEO_SELF_ID, archived: false },
+  ];
+  const { b } = brainWith('nclaw-vps-2', { tables: { memories: rows } });
+  await assert.rejects(b.update('m1', { visibility: 'public' }), /update: policy denies write .* visibility public/);
+  await assert.rejects(b.update('m2', { importance: 3 }), /update: policy denies write .* category family/);
+  await assert.rejects(b.archive('m2'), /archive: policy denies write/);
+  assert.equal(rows[1].archived, false);
+  await assert.rejects(b.redactMemory('m2', { newContent: 'x', reason: 'r' }), /redactMemory: policy denies write/);
+  const updated = await b.update('m1', { importance: 3 });
+  assert.equal(updated.importance, 3);
+});
+
+test('revert is checked against the restored row, not just the stored one', async () => {
+  const rows = [{ id: 'm1', content: 'now internal', category: 'project', visibility: 'internal', subject_id: NEO_SELF_ID, archived: false }];
+  const versions = [
+    { id: 'v1', memory_id: 'm1', version: 1, action: 'update', snapshot: { content: 'was public', category: 'project', visibility: 'public', subject_id: NEO_SELF_ID } },
+    { id: 'v2', memory_id: 'm1', version: 2, action: 'update', snapshot: { content: 'was family', category: 'family', visibility: 'internal', subject_id: NEO_SELF_ID } },
+  ];
+  const { b } = brainWith('nclaw-vps-2', { tables: { memories: rows, memory_versions: versions } });
+  await assert.rejects(b.revert('m1', 'v1'), (e) => e.code === 'POLICY_DENIED' && /revert: policy denies write .* visibility public/.test(e.message));
+  await assert.rejects(b.revert('m1', 'v2'), /revert: policy denies write .* category family/);
+  assert.deepEqual([rows[0].content, rows[0].visibility], ['now internal', 'internal']);
+  assert.equal(versions.length, 2, 'nothing snapshotted');
+});
+
+test('search / listMemories / getFacts: visibility narrowed, unreadable rows dropped', async () => {
+  const hits = [
+    { id: 'a', content: 'a', category: 'project', visibility: 'internal', subject_id: NEO_SELF_ID },
+    { id: 'b', content: 'b', category: 'health', visibility: 'public', subject_id: NEO_SELF_ID },
+  ];
+  const { b } = brainWith('nclaw-vps-2', {
+    tables: { memories: hits.map((h) => ({ ...h, archived: false })), facts: [{ id: 'f', subject_id: NEO_SELF_ID, category: 'health', status: 'current', fact: 'x' }] },
+    rpc: { match_memories_hybrid_v2: () => hits },
+  });
+  assert.deepEqual((await b.search('q')).map((r) => r.id), ['a']);
+  assert.deepEqual(b.sb.calls.find((c) => c.rpc).args.visibility_filter, ['public', 'internal']);
+  await assert.rejects(b.search('q', { visibility: ['private'] }), /search: policy denies read .* visibility private not allowed/);
+
+  assert.deepEqual((await b.listMemories()).map((r) => r.id), ['a']);
+  await assert.rejects(b.listMemories({ category: 'health' }), /category health not allowed/);
+  await assert.rejects(b.getFacts({ category: 'health' }), /getFacts: policy denies read/);
+  assert.deepEqual(await b.getFacts(), []);
+});
+
+test('credentials, can(), no policy, env and db loading', async () => {
+  const creds = [{ service: 'gemini', credential_value: 'g' }, { service: 'openai', credential_value: 'o' }];
+  const rpc = {
+    get_credential: (args) => creds.filter((c) => c.service === args.p_service),
+    list_credentials: () => creds.map(({ service }) => ({ service })),
+  };
+  const { b } = brainWith('nclaw-vps-2', { rpc });
+  assert.equal(await b.getCredentialValue('gemini'), 'g');
+  await assert.rejects(b.getCredentialValue('openai'), /getCredential: policy denies credential .* credential service openai not allowed/);
+  await assert.rejects(b.upsertCredential({ service: 'openai', type: 'api_key', value: 'v' }), /upsertCredential: policy denies/);
+  assert.equal(b.sb.calls.filter((c) => c.rpc).length, 1, 'only the allowed lookup reached the backend');
+  assert.deepEqual(await b.listCredentials(), [{ service: 'gemini' }]);
+
+  assert.equal(b.can('write', { category: 'project', visibility: 'internal' }), true);
+  assert.equal(b.can('write', { visibility: 'public' }), false);
+  assert.equal(b.can('credential', { service: 'gemini' }), true);
+  assert.equal(brainWith('anyone', { policy: false }).b.can('write', { visibility: 'public' }), true);
+
+  const dir = mkdtempSync(join(tmpdir(), 'neo-policy-'));
+  writeFileSync(join(dir, 'p.json'), JSON.stringify(DOC));
+  assert.ok(policyFromEnv({ env: { NEO_BRAIN_POLICY: join(dir, 'p.json') } }) instanceof AgentPolicy);
+  assert.equal(policyFromEnv({ env: {} }), null);
+  assert.equal(brainWith('nclaw-vps-2', { policy: join(dir, 'p.json') }).b.can('read', { visibility: 'private' }), false);
+  assert.throws(() => brainWith('x', { policy: join(dir, 'missing.json') }), /policy \(.*missing\.json\)/);
+
+  const db = brainWith('claude-desktop', { policy: 'db', tables: { agent_policies: [{ agent: 'claude-*', rules: { write: {}, read: {} } }] } }).b;
+  await assert.rejects(db.save('x', { category: 'project', type: 'note' }), /no policy entry for agent claude-desktop \(agent_policies not loaded/);
+  await db.loadPolicy();
+  assert.equal(db.can('write', { category: 'anything', visibility: 'public' }), true);
+  assert.equal(db.can('credential', { service: 'gemini' }), false);
+});
@@ -0,0 +1,201 @@
+// Tests for query understanding (src/query-parse.js): parseTimeRange(),
+// parseQuery(), peopleDirectory(), and search({ parse }) / search({ since,
+// until, category, people }).
+//
+// Run: node --test --no-warnings packages/memory/test/query-parse.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NEO_SELF_ID, parseQuery, parseTimeRange, peopleDirectory } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+// Wednesday 21 Oct 2026, noon in +08:00.
+const NOW = new Date('2026-10-21T04:00:00Z');
+const MYT = { now: NOW, utcOffsetMinutes: 480 };
+// Midnight of a +08:00 calendar day, as an ISO string.
+const day = (ymd) => new Date(`${ymd}T00:00:00+08:00`).toISOString();
+const range = (r) => [r.since && r.since.toISOString(), r.until && r.until.toISOString()];
+
+const SITI = '00000000-0000-0000-0000-00000000051a';
+const AIMAN = '00000000-0000-0000-0000-0000000000a1';
+const AIMAN_R = '00000000-0000-0000-0000-0000000000a2';
+const PEOPLE = [
+  { id: SITI, names: ['Siti Nurhaliza', 'Siti'] },
+  { id: AIMAN, names: ['Aiman Hakim'] },
+  { id: AIMAN_R, names: ['Aiman Rashid'] },
+];
+const PROJECTS = ['CTK', 'THR', 'Kenal', 'n8n'];
+const parse = (q, opts = {}) => parseQuery(q, { ...MYT, projects: PROJECTS, people: PEOPLE, ...opts });
+
+test('parseTimeRange: English relative and calendar phrases', () => {
+  // Periods still running ("this month", "the last 2 weeks") are open-ended.
+  assert.deepEqual(range(parseTimeRange('last week', MYT)), [day('2026-10-12'), day('2026-10-19')]);
+  assert.deepEqual(range(parseTimeRange('this month', MYT)), [day('2026-10-01'), null]);
+  assert.deepEqual(range(parseTimeRange('yesterday', MYT)), [day('2026-10-20'), day('2026-10-21')]);
+  assert.deepEqual(range(parseTimeRange('on Monday', MYT)), [day('2026-10-19'), day('2026-10-20')]);
+  assert.deepEqual(range(parseTimeRange('in the last 2 weeks', MYT)), [new Date(NOW - 14 * 86_400_000).toISOString(), null]);
+  assert.deepEqual(range(parseTimeRange('recently', MYT)), [new Date(NOW - 7 * 86_400_000).toISOString(), null]);
+  assert.equal(parseTimeRange('the weekly sync notes', MYT), null);
+});
+
+test('parseTimeRange: Malay phrases', () => {
+  assert.deepEqual(range(parseTimeRange('minggu lepas', MYT)), range(parseTimeRange('last week', MYT)));
+  assert.deepEqual(range(parseTimeRange('semalam', MYT)), [day('2026-10-20'), day('2026-10-21')]);
+  assert.deepEqual(range(parseTimeRange('kelmarin', MYT)), [day('2026-10-19'), day('2026-10-20')]);
+  assert.deepEqual(range(parseTimeRange('3 hari lepas', MYT)), [day('2026-10-18'), day('2026-10-19')]);
+  assert.deepEqual(range(parseTimeRange('bulan lepas', MYT)), [day('2026-09-01'), day('2026-10-01')]);
+  assert.deepEqual(range(parseTimeRange('5hb Mac', MYT)), [day('2026-03-05'), day('2026-03-06')]);
+});
+
+test('parseTimeRange: absolute dates, bounds and ranges', () => {
+  assert.deepEqual(range(parseTimeRange('before 2026-09-01', MYT)), [null, day('2026-09-01')]);
+  assert.deepEqual(range(parseTimeRange('since 5 March', MYT)), [day('2026-03-05'), null]);
+  assert.deepEqual(range(parseTimeRange('between March and May 2026', MYT)), [day('2026-03-01'), day('2026-06-01')]);
+  assert.deepEqual(range(parseTimeRange('antara Mac dan Mei 2026', MYT)), [day('2026-03-01'), day('2026-06-01')]);
+  assert.deepEqual(range(parseTimeRange('from 1/9/2026 to 15/9/2026', MYT)), [day('2026-09-01'), day('2026-09-16')]);
+  // A bare month needs a lead word; "May" on its own is a name, not a month.
+  assert.equal(parseTimeRange('what did May say', MYT), null);
+  assert.deepEqual(range(parseTimeRange('in May', MYT)), [day('2026-05-01'), day('2026-06-01')]);
+  // Impossible dates are left alone, not rolled into the next month.
+  for (const q of ['deploy on 31 feb', '31 april', '2026-02-30', '29/2/2026']) assert.equal(parseTimeRange(q, MYT), null, q);
+  assert.equal(parse('deploy on 31 feb').text, 'deploy on 31 feb');
+  assert.deepEqual(range(parseTimeRange('29 feb 2028', MYT)), [day('2028-02-29'), day('2028-03-01')]);
+});
+
+test('parseQuery: time and person come out, the topic is left to search', () => {
+  const r = parse('what did I decide about Siti last week');
+  assert.equal(r.text, 'what did I decide');
+  assert.equal(r.since, day('2026-10-12'));
+  assert.equal(r.until, day('2026-10-19'));
+  assert.deepEqual(r.people, [SITI]);
+  assert.equal(r.category, null);
+  assert.deepEqual(r.matches.map((m) => m.kind).sort(), ['person', 'time']);
+
+  const ms = parse('apa yang Siti cakap tentang CTK minggu lepas?');
+  assert.equal(ms.text, 'apa yang cakap?');
+  assert.deepEqual(ms.category, ['CTK']);
+  assert.deepEqual(ms.people, [SITI]);
+  assert.equal(ms.since, day('2026-10-12'));
+});
+
+test('parseQuery: projects match whole words; a plain word only as written', () => {
+  assert.deepEqual(parse('ctk deploy notes').category, ['CTK']);
+  assert.deepEqual(parse('N8N workflow and THR payroll').category, ['n8n', 'THR']);
+  assert.deepEqual(parse('Kenal app bugs').category, ['Kenal']);
+  // "kenal" is also a Malay word ("to know"): lower-case it stays in the text.
+  const r = parse('saya kenal dia');
+  assert.equal(r.category, null);
+  assert.equal(r.text, 'saya kenal dia');
+  assert.equal(parse('CTKs').category, null);
+});
+
+test('parseQuery: full names anywhere, first names only when unambiguous', () => {
+  assert.deepEqual(parse('lunch with aiman hakim').people, [AIMAN]);
+  assert.deepEqual(parse('notes on Siti').people, [SITI]);
+  // Two Aimans: a bare "Aiman" picks neither and stays in the text.
+  const r = parse('what did Aiman say');
+  assert.equal(r.people, null);
+  assert.equal(r.text, 'what did Aiman say');
+  assert.deepEqual(parse('meeting with Aiman Rashid and Siti').people, [AIMAN_R, SITI]);
+  assert.equal(parse('last week').text, '');
+});
+
+test('peopleDirectory: names, nicknames and weak identifiers; merged rows point home', () => {
+  const dir = peopleDirectory([
+    { id: NEO_SELF_ID, display_name: 'Neo', metadata: {} },
+    { id: SITI, display_name: 'Siti Nurhaliza', nicknames: ['Ctie'], identifiers: [{ type: 'push_name', value: 'Siti N' }, { type: 'phone', value: '+60123456789' }], metadata: {} },
+    { id: 'p-old', display_name: 'Siti (old)', metadata: { merged_into: SITI } },
+  ], { selfId: NEO_SELF_ID });
+  assert.deepEqual(dir.map((p) => p.id), [SITI]);
+  const names = dir[0].names.join('|');
+  assert.ok(/Siti Nurhaliza/i.test(names) && /Ctie/.test(names) && /Siti N\b/i.test(names));
+  assert.ok(!names.includes('+6012'), 'strong identifiers are not names');
+  assert.deepEqual(parseQuery('ask ctie', { ...MYT, people: dir }).people, [SITI]);
+});
+
+// match_memories_hybrid_v2 as sql/search-filters.sql has it: the filters
+// drop hits before the match_count cut.
+const inFilters = (args, related) => (h) => {
+  const t = Date.parse(h.created_at);
+  if (args.p_since && t < Date.parse(args.p_since)) return false;
+  if (args.p_until && t >= Date.parse(args.p_until)) return false;
+  if (args.category_filter && !args.category_filter.includes(h.category.toLowerCase())) return false;
+  return !args.people_filter || [h.subject_id, ...(related.get(h.id) || [])].some((id) => args.people_filter.includes(id));
+};
+
+// `legacy`: a database without sql/search-filters.sql, whose RPC rejects the
+// filter arguments the way PostgREST does.
+function brainWith({ hits, memories = [], people = [], legacy = false, ...opts } = {}) {
+  const calls = [];
+  const b = testBrain({
+    agent: 'parse-test', projects: PROJECTS, utcOffsetMinutes: 480, ...opts,
+    tables: { memories, people },
+    rpc: {
+      match_memories_hybrid_v2: (args, db) => {
+        calls.push(args);
+        const related = new Map(db.memories.map((m) => [m.id, m.related_people || []]));
+        return hits.filter(inFilters(args, related)).slice(0, args.match_count);
+      },
+    },
+  });
+  if (legacy) b.sb.fail = ({ rpc, args }) => (rpc && 'p_since' in args ? { code: 'PGRST202', message: 'Could not find the function public.match_memories_hybrid_v2(p_since, …)' } : null);
+  return { b, calls };
+}
+
+const HITS = [
+  { id: 'h1', content: 'Decided to ship the CTK rules', category: 'CTK', subject_id: NEO_SELF_ID, created_at: '2026-10-14T03:00:00Z', similarity: 0.9, sem_rank: 1, lex_rank: 1, rrf_score: 4 / 31 },
+  { id: 'h2', content: 'Siti wants the THR report', category: 'THR', subject_id: SITI, created_at: '2026-10-15T03:00:00Z', similarity: 0.8, sem_rank: 2, lex_rank: null, rrf_score: 3 / 32 },
+  { id: 'h3', content: 'Decided with Siti to move the meeting', category: 'General', subject_id: NEO_SELF_ID, created_at: '2026-10-16T03:00:00Z', similarity: 0.7, sem_rank: 3, lex_rank: null, rrf_score: 3 / 33 },
+  { id: 'h4', content: 'Siti decided on the venue', category: 'General', subject_id: SITI, created_at: '2026-10-02T03:00:00Z', similarity: 0.6, sem_rank: 4, lex_rank: null, rrf_score: 3 / 34 },
+];
+
+const PARSE_SETUP = {
+  hits: HITS,
+  memories: [{ id: 'h1', related_people: [] }, { id: 'h2', related_people: [] }, { id: 'h3', related_people: [SITI] }, { id: 'h4', related_people: [] }],
+  people: [
+    { id: NEO_SELF_ID, display_name: 'Neo', metadata: {} },
+    { id: SITI, display_name: 'Siti Nurhaliza', metadata: {} },
+  ],
+};
+
+test('search({ parse }): searches the leftover text; the RPC filters by what was lifted out', async () => {
+  const { b, calls } = brainWith(PARSE_SETUP);
+  const hits = await b.search('what did I decide about Siti last week', { k: 5, explain: true, parse: { now: NOW } });
+  assert.equal(calls[0].query_text, 'what did I decide');
+  assert.equal(calls[0].p_since, day('2026-10-12'));
+  assert.equal(calls[0].p_until, day('2026-10-19'));
+  assert.deepEqual(calls[0].people_filter, [SITI]);
+  assert.equal(calls[0].category_filter, null);
+  // h3 only mentions Siti through related_people; h4 is outside the week.
+  assert.deepEqual(hits.map((h) => h.id), ['h2', 'h3']);
+  assert.equal(b.sb.calls.filter((c) => c.table === 'memories').length, 0, 'no post-filter read');
+  assert.equal(hits[0].explain.filters.since, day('2026-10-12'));
+  assert.deepEqual(hits[0].explain.filters.people, [SITI]);
+  assert.equal(hits[0].explain.parsed.text, 'what did I decide');
+  assert.ok(calls[0].match_count >= 5);
+});
+
+test('search: without the filter migration the RPC rows are narrowed here', async () => {
+  const { b } = brainWith({ ...PARSE_SETUP, legacy: true });
+  const hits = await b.search('what did I decide about Siti last week', { k: 5, parse: { now: NOW } });
+  assert.deepEqual(hits.map((h) => h.id), ['h2', 'h3']);
+  const rpcs = b.sb.calls.filter((c) => c.rpc);
+  assert.deepEqual(rpcs.map((c) => 'p_since' in c.args), [true, false], 'retried without the filters');
+});
+
+for (const legacy of [false, true]) {
+  test(`search: explicit filters win over parsed ones, and work without parse${legacy ? ' (post-filter fallback)' : ''}`, async () => {
+    const { b, calls } = brainWith({ hits: HITS, legacy });
+    assert.deepEqual((await b.search('rules', { category: 'ctk' })).map((h) => h.id), ['h1']);
+    if (!legacy) assert.deepEqual(calls[0].category_filter, ['ctk']);
+    assert.deepEqual((await b.search('anything', { since: '2026-10-15T00:00:00Z', until: '2026-10-16T00:00:00Z' })).map((h) => h.id), ['h2']);
+    const r = await b.search('THR report last week', { parse: { now: NOW }, category: ['General'] });
+    assert.deepEqual(r.map((h) => h.id), ['h3']);
+    assert.ok(calls.length >= 3);
+
+    const dir = await b.parseQuery('notes', { people: false });
+    assert.equal(dir.people, null);
+  });
+}
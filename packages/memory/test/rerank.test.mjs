@@ -0,0 +1,185 @@
+// Tests for the second-stage rerankers (cross-encoder over HTTP, LLM judge)
+// and their wiring into NeoBrain.search().
+//
+// Run: node --test --no-warnings packages/memory/test/rerank.test.mjs
+//
+// No env required. The cross-encoder talks to a throwaway local HTTP stub.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  Reranker,
+  CrossEncoderReranker,
+  LLMJudgeReranker,
+  rerankerFromEnv,
+} from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+// Scores a passage by how many times it contains the query's first word.
+async function withStub(fn) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let raw = '';
+    for await (const c of req) raw += c;
+    const body = JSON.parse(raw || '{}');
+    requests.push({ url: req.url, headers: req.headers, body });
+    res.setHeader('content-type', 'application/json');
+    const word = body.query.split(' ')[0];
+    const score = (t) => t.split(word).length - 1;
+    if (req.url === '/rerank') {
+      const out = body.texts.map((t, index) => ({ index, score: score(t) })).sort((a, b) => b.score - a.score);
+      return res.end(JSON.stringify(out));
+    }
+    if (req.url === '/v1/rerank') {
+      return res.end(JSON.stringify({ results: body.documents.map((t, index) => ({ index, relevance_score: score(t) })).reverse() }));
+    }
+    res.statusCode = 404;
+    res.end('{"error":"no route"}');
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+class FixedReranker extends Reranker {
+  constructor(fn) { super({ model: 'fixed' }); this.provider = 'test'; this.fn = fn; this.calls = []; }
+  async _score(query, texts) { this.calls.push({ query, texts }); return this.fn(texts); }
+}
+
+const ROWS = ['apple pie', 'banana bread', 'banana banana split', 'cherry tart', 'date loaf']
+  .map((content, i) => ({ id: `m${i}`, content, similarity: 0.9 - i * 0.1 }));
+
+function brainWith(extra = {}, rows = ROWS, rpc = {}) {
+  const seen = [];
+  const b = testBrain({
+    agent: 'rerank-test', ...extra,
+    rpc: { match_memories_hybrid_v2: (args) => { seen.push(args); return rows.slice(0, args.match_count); }, ...rpc },
+  });
+  b.rpcArgs = seen;
+  return b;
+}
+
+const countBanana = (texts) => texts.map((t) => t.split('banana').length - 1);
+
+test('cross-encoder (tei): posts {query, texts} to /rerank and realigns scores by index', async () => {
+  await withStub(async (base, requests) => {
+    const r = new CrossEncoderReranker({ baseUrl: base + '/', apiKey: 'k' });
+    assert.equal(r.name, 'cross-encoder');
+    assert.deepEqual(await r.rerank('banana please', ['a', 'banana', 'banana banana']), [0, 1, 2]);
+    assert.equal(requests[0].url, '/rerank');
+    assert.deepEqual(requests[0].body.texts, ['a', 'banana', 'banana banana']);
+    assert.equal(requests[0].headers.authorization, 'Bearer k');
+  });
+});
+
+test('cross-encoder (cohere): posts {model, documents} to /v1/rerank; truncates to maxChars', async () => {
+  await withStub(async (base, requests) => {
+    const r = new CrossEncoderReranker({ baseUrl: base + '/v1', api: 'cohere', model: 'bge-reranker-v2-m3', maxChars: 6 });
+    assert.equal(r.name, 'cross-encoder:bge-reranker-v2-m3');
+    assert.deepEqual(await r.rerank('banana', ['banana banana', 'x']), [1, 0]);
+    assert.equal(requests[0].url, '/v1/rerank');
+    assert.equal(requests[0].body.model, 'bge-reranker-v2-m3');
+    assert.deepEqual(requests[0].body.documents, ['banana', 'x']);
+  });
+  assert.throws(() => new CrossEncoderReranker({ baseUrl: 'http://x', api: 'grpc' }), /unknown api "grpc"/);
+  assert.throws(() => new CrossEncoderReranker({}), /baseUrl required/);
+});
+
+test('cross-encoder: HTTP errors and short replies throw', async () => {
+  await withStub(async (base) => {
+    const r = new CrossEncoderReranker({ baseUrl: base + '/nope' });
+    await assert.rejects(r.rerank('q', ['a']), /rerank 404/);
+  });
+  const short = new FixedReranker(() => [1]);
+  await assert.rejects(short.rerank('q', ['a', 'b']), /expected 2 finite scores, got 1/);
+  assert.deepEqual(await short.rerank('q', []), []);
+  assert.equal(short.calls.length, 1, 'no call for no candidates');
+});
+
+test('llm-judge: batches passages, parses fenced JSON, clamps and defaults missing to 0', async () => {
+  const prompts = [];
+  const llm = async (prompt, { json }) => {
+    assert.equal(json, true);
+    prompts.push(prompt);
+    return prompts.length === 1
+      ? '```json\n{"scores":[{"i":0,"score":3},{"i":1,"score":14}]}\n```'
+      : '{"scores":[{"i":1,"score":"6"}]}';
+  };
+  const r = new LLMJudgeReranker({ llm, batchSize: 2 });
+  assert.deepEqual(await r.rerank('where is the cat', ['mat', 'sofa', 'roof', 'garden']), [3, 10, 0, 6]);
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[0], /Query: where is the cat/);
+  assert.match(prompts[0], /\[0\] mat\n\[1\] sofa$/);
+  assert.match(prompts[1], /\[0\] roof\n\[1\] garden$/);
+
+  const bad = new LLMJudgeReranker({ llm: async () => 'I cannot help with that' });
+  await assert.rejects(bad.rerank('q', ['a']), /LLM reply has no JSON/);
+});
+
+test('search: over-fetches candidates, reorders by rerank score, annotates rows', async () => {
+  const reranker = new FixedReranker(countBanana);
+  const b = brainWith({ reranker });
+  const hits = await b.search('banana recipes', { k: 2 });
+  assert.equal(b.rpcArgs[0].match_count, 20, 'max(k*4, 20) candidates');
+  assert.deepEqual(hits.map((h) => h.id), ['m2', 'm1']);
+  assert.deepEqual(hits.map((h) => [h.rerank_score, h.first_stage_rank]), [[2, 3], [1, 2]]);
+  assert.equal(reranker.calls[0].query, 'banana recipes');
+  assert.equal(reranker.calls[0].texts.length, ROWS.length);
+
+  const tie = await b.search('q', { k: 3, rerank: new FixedReranker((t) => t.map(() => 0)), rerankCandidates: 4 });
+  assert.equal(b.rpcArgs[1].match_count, 4);
+  assert.deepEqual(tie.map((h) => h.id), ['m0', 'm1', 'm2'], 'ties keep first-stage order');
+});
+
+test('search: rerank false / no reranker keeps the first stage untouched', async () => {
+  const reranker = new FixedReranker(countBanana);
+  const b = brainWith({ reranker });
+  const plain = await b.search('banana', { k: 2, rerank: false });
+  assert.equal(b.rpcArgs[0].match_count, 2);
+  assert.deepEqual(plain.map((h) => h.id), ['m0', 'm1']);
+  assert.equal(plain[0].rerank_score, undefined);
+  assert.equal(reranker.calls.length, 0);
+
+  const none = brainWith({ reranker: false });
+  assert.equal(none.reranker, null);
+  await assert.rejects(none.search('q', { rerank: true }), /no reranker configured/);
+});
+
+test('search: reranker failure falls back to first-stage order unless rerankFallback is false', async () => {
+  const broken = new FixedReranker(() => { throw new Error('rerank 503: down'); });
+  const b = brainWith({ reranker: broken });
+  const hits = await b.search('banana', { k: 2 });
+  assert.deepEqual(hits.map((h) => h.id), ['m0', 'm1']);
+  assert.equal(hits[0].rerank_error, 'rerank 503: down');
+  assert.equal(hits[1].first_stage_rank, 2);
+  await assert.rejects(b.search('banana', { k: 2, rerankFallback: false }), /rerank 503/);
+});
+
+test('search({ chunks: true }): the reranker reads the matched passage, not the whole memory', async () => {
+  const reranker = new FixedReranker(countBanana);
+  const b = brainWith({ reranker }, [{ id: 'm0', content: 'apple', similarity: 0.9 }], {
+    match_memory_chunks: () => [
+      { memory_id: 'm0', chunk_index: 0, start_char: 0, end_char: 5, content: 'apple', similarity: 0.8 },
+      { memory_id: 'm9', chunk_index: 3, start_char: 51, end_char: 57, content: 'banana', similarity: 0.7 },
+    ],
+  });
+  b.sb.tables.memories = [{ id: 'm9', content: 'x'.repeat(50) + ' banana', visibility: 'private' }];
+  const hits = await b.search('banana', { k: 1, chunks: true });
+  assert.deepEqual(reranker.calls[0].texts, ['apple', 'banana']);
+  assert.equal(hits[0].id, 'm9');
+  assert.equal(hits[0].rerank_score, 1);
+});
+
+test('rerankerFromEnv: off by default, builds the named reranker, rejects unknown kinds', () => {
+  assert.equal(rerankerFromEnv({ env: {} }), null);
+  const ce = rerankerFromEnv({ env: { NEO_BRAIN_RERANKER: 'cross-encoder', NEO_BRAIN_RERANK_URL: 'http://nas:8087', NEO_BRAIN_RERANK_API: 'cohere' } });
+  assert.ok(ce instanceof CrossEncoderReranker);
+  assert.equal(ce.api, 'cohere');
+  const judge = rerankerFromEnv({ env: { NEO_BRAIN_RERANKER: 'llm-judge', NEO_BRAIN_RERANK_MODEL: 'gemini-2.5-pro' } });
+  assert.equal(judge.name, 'llm-judge:gemini-2.5-pro');
+  assert.throws(() => rerankerFromEnv({ env: { NEO_BRAIN_RERANKER: 'magic' } }), /unknown reranker "magic"/);
+});
@@ -0,0 +1,173 @@
+// Tests for NeoBrain.saveMany, batched embedMany on the providers, and the
+// RateLimiter budget.
+//
+// Run: node --test --no-warnings packages/memory/test/save-many.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { GeminiEmbeddingProvider, RateLimiter } from '../src/index.js';
+import { testBrain, StubEmbedder, stubVector } from './_fake-supabase.mjs';
+
+// Records one "request" per _embedChunks batch; `bad` texts make a batch fail
+// with a permanent 400, and fail again when embedded alone.
+class BatchStub extends StubEmbedder {
+  constructor({ batchSize = 100, bad = [], transient = false } = {}) {
+    super(() => [1, 0], { batchSize });
+    this.requests = [];
+    this.bad = bad;
+    this.transient = transient;
+  }
+  async _embedChunk(text) {
+    this.requests.push([text]);
+    if (this.bad.includes(text)) throw new Error('stub embed 400: bad input');
+    return super._embedChunk(text);
+  }
+  async _embedChunks(texts, { rateLimiter } = {}) {
+    const out = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      if (rateLimiter) await rateLimiter.acquire();
+      this.requests.push(batch);
+      if (this.transient) throw new Error('stub embed 503: down');
+      if (batch.some((t) => this.bad.includes(t))) throw new Error('stub embed 400: bad input');
+      for (const t of batch) out.push(await super._embedChunk(t));
+    }
+    return out;
+  }
+}
+
+const brainWith = (embedder, extra = {}) => testBrain({ agent: 'save-many-test', embedder, ...extra });
+
+const item = (content, extra = {}) => ({ content, category: 'backfill', type: 'note', ...extra });
+
+test('saveMany: batched embeds, one multi-row insert, one multi-row log insert', async () => {
+  const embedder = new BatchStub({ batchSize: 2 });
+  const brain = brainWith(embedder);
+  const out = await brain.saveMany([item('a'), item('b'), item('c'), item('d'), item('e')], { concurrency: 2 });
+
+  assert.deepEqual({ saved: out.saved, failed: out.failed, queued: out.queued }, { saved: 5, failed: 0, queued: 0 });
+  assert.equal(embedder.requests.length, 3, '5 texts / batchSize 2 → 3 embed requests');
+  const inserts = brain.sb.calls.filter((c) => c.op === 'insert');
+  assert.equal(inserts.length, 2, 'one memories insert + one log insert');
+  assert.equal(inserts[0].payload.length, 5);
+  assert.equal(inserts[1].payload.length, 5);
+
+  assert.deepEqual(out.results.map((r) => r.index), [0, 1, 2, 3, 4]);
+  for (const r of out.results) {
+    assert.ok(r.ok && r.id && r.created_at);
+    assert.ok(brain.sb.tables.memories.find((m) => m.id === r.id));
+  }
+  assert.equal(brain.sb.tables.memories[0].embedding, stubVector([1, 0]));
+  assert.equal(brain.sb.tables.memory_writes_log[0].written_by, 'save-many-test');
+});
+
+test('saveMany: invalid items and a bad text fail individually; neighbours still saved', async () => {
+  const embedder = new BatchStub({ bad: ['poison'] });
+  const brain = brainWith(embedder);
+  const out = await brain.saveMany([item('ok 1'), { content: 'no category', type: 'note' }, item('poison'), item('ok 2'), null]);
+
+  assert.equal(out.saved, 2);
+  assert.equal(out.failed, 3);
+  assert.match(out.results[1].error, /category and type required/);
+  assert.match(out.results[2].error, /400: bad input/);
+  assert.match(out.results[4].error, /content \(string\) required/);
+  assert.equal(brain.sb.tables.memories.length, 2);
+});
+
+test('saveMany: a row rejected by the multi-row insert is isolated', async () => {
+  const brain = brainWith(new BatchStub());
+  brain.sb.fail = ({ table, op, payload }) => {
+    if (table !== 'memories' || op !== 'insert') return null;
+    const rows = Array.isArray(payload) ? payload : [payload];
+    return rows.some((r) => r.importance > 10) ? { message: 'violates check constraint "memories_importance_check"', code: '23514', status: 400 } : null;
+  };
+  const out = await brain.saveMany([item('fine'), item('too important', { importance: 11 }), item('also fine')]);
+  assert.equal(out.saved, 2);
+  assert.equal(out.failed, 1);
+  assert.match(out.results[1].error, /importance_check/);
+  assert.equal(brain.sb.tables.memory_writes_log.length, 2);
+});
+
+test('saveMany: transient embed failure is reported, or queued when a journal is set', async () => {
+  const plain = brainWith(new BatchStub({ transient: true }));
+  const out = await plain.saveMany([item('x'), item('y')]);
+  assert.equal(out.failed, 2);
+  assert.match(out.results[0].error, /503/);
+
+  const dir = await mkdtemp(join(tmpdir(), 'neo-brain-savemany-'));
+  try {
+    const brain = brainWith(new BatchStub({ transient: true }), { journal: dir });
+    const q = await brain.saveMany([item('x'), item('y')]);
+    assert.equal(q.queued, 2);
+    assert.ok(q.results.every((r) => r.ok && r.queued && r.id));
+    assert.deepEqual((await brain.journal.pending()).map((p) => p.id).sort(), q.results.map((r) => r.id).sort());
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('saveMany: rpm budget throttles embed requests', async () => {
+  const embedder = new BatchStub({ batchSize: 1 });
+  const brain = brainWith(embedder);
+  const limiter = new RateLimiter({ rpm: 2, windowMs: 120 });
+  const starts = [];
+  const acquire = limiter.acquire.bind(limiter);
+  limiter.acquire = async () => { await acquire(); starts.push(Date.now()); };
+
+  // Drive the limiter directly through embedMany to control the window.
+  await embedder.embedMany(['a', 'b', 'c', 'd'], { rateLimiter: limiter });
+  assert.equal(starts.length, 4);
+  assert.ok(starts[2] - starts[0] >= 110, 'third request waits for the window to roll');
+  assert.ok(starts[3] - starts[1] >= 110);
+
+  const out = await brain.saveMany([item('p'), item('q')], { rpm: 600 });
+  assert.equal(out.saved, 2);
+});
+
+test('RateLimiter rejects a non-positive budget', () => {
+  assert.throws(() => new RateLimiter({ rpm: 0 }), /rpm must be > 0/);
+});
+
+test('embedMany matches embed(): empty → null, long text chunked + pooled', async () => {
+  const embedder = new BatchStub();
+  embedder.maxChars = 4;
+  const [empty, short, long] = await embedder.embedMany(['  ', 'abc', 'abcdefghij']);
+  assert.equal(empty, null);
+  assert.equal(`[${short}]`, stubVector([1, 0]));
+  assert.equal(`[${long}]`, stubVector([1, 0]), 'pooled + normalized');
+  assert.equal(embedder.requests.length, 1, 'all 4 chunks in one batch request');
+  assert.equal(embedder.requests[0].length, 4);
+});
+
+test('gemini embedMany → batchEmbedContents, 100 per request, dims enforced', async () => {
+  const realFetch = global.fetch;
+  const bodies = [];
+  try {
+    global.fetch = async (url, init) => {
+      assert.match(url, /:batchEmbedContents\?key=k$/);
+      const body = JSON.parse(init.body);
+      bodies.push(body);
+      return { ok: true, json: async () => ({ embeddings: body.requests.map(() => ({ values: new Array(768).fill(0.1) })) }) };
+    };
+    const p = new GeminiEmbeddingProvider({ apiKey: 'k' });
+    const out = await p.embedMany(Array.from({ length: 150 }, (_, i) => `t${i}`));
+    assert.equal(out.length, 150);
+    assert.equal(bodies.length, 2);
+    assert.equal(bodies[0].requests.length, 100);
+    assert.equal(bodies[0].requests[0].model, 'models/gemini-embedding-001');
+    assert.equal(bodies[0].requests[0].outputDimensionality, 768);
+
+    global.fetch = async (_url, init) => {
+      const body = JSON.parse(init.body);
+      return { ok: true, json: async () => ({ embeddings: body.requests.map(() => ({ values: [1, 2, 3] })) }) };
+    };
+    await assert.rejects(p.embedMany(['x']), /expected 768-dim vector, got 3/);
+  } finally {
+    global.fetch = realFetch;
+  }
+});
@@ -0,0 +1,144 @@
+// Tests for recency / importance / supersedes scoring: rescore() and
+// search({ halfLifeDays, importanceWeight, preferSuperseding }).
+//
+// Run: node --test --no-warnings packages/memory/test/scoring.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Reranker, rescore, scoringEnabled } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const NOW = Date.now();
+const daysAgo = (d) => new Date(NOW - d * 86400_000).toISOString();
+
+// The stale 2025 decision ranks first on text; the reversal is newer.
+const ROWS = [
+  { id: 'old', content: 'decision: host on Hetzner', rrf_score: 0.1, importance: 5, created_at: daysAgo(400) },
+  { id: 'new', content: 'decision: move off Hetzner', rrf_score: 0.08, importance: 5, created_at: daysAgo(7) },
+  { id: 'key', content: 'credential rotation policy', rrf_score: 0.07, importance: 10, created_at: daysAgo(400) },
+  { id: 'low', content: 'lunch note', rrf_score: 0.072, importance: 1, created_at: daysAgo(1) },
+];
+
+function brainWith(rows = ROWS) {
+  const seen = [];
+  const b = testBrain({ agent: 'scoring-test', rpc: { match_memories_hybrid_v2: (args) => { seen.push(args); return rows.slice(0, args.match_count); } } });
+  b.rpcArgs = seen;
+  return b;
+}
+
+test('rescore: no knobs keeps the order; breakdown explains the score', () => {
+  const out = rescore(ROWS, { now: NOW });
+  assert.deepEqual(out.map((r) => r.id), ['old', 'new', 'low', 'key']);
+  assert.equal(out[0].score, 1);
+  const { base, ...rest } = out[1].score_breakdown;
+  assert.ok(Math.abs(base - 0.8) < 1e-9);
+  assert.deepEqual(rest, { base_field: 'rrf_score', age_days: 7, recency: 1, importance: 1, superseded: 1 });
+  assert.notEqual(out[0], ROWS[0], 'rows are copied');
+  assert.equal(ROWS[0].score, undefined);
+});
+
+test('rescore: half-life decay, bounded by recencyWeight', () => {
+  const out = rescore(ROWS, { halfLifeDays: 30, now: NOW });
+  assert.deepEqual(out.map((r) => r.id), ['new', 'low', 'old', 'key']);
+  const old = out.find((r) => r.id === 'old');
+  assert.ok(Math.abs(old.score_breakdown.recency - 0.5) < 1e-3, 'floor is 1 - recencyWeight');
+  const week = out.find((r) => r.id === 'new').score_breakdown.recency;
+  assert.ok(Math.abs(week - (0.5 + 0.5 * 0.5 ** (7 / 30))) < 1e-9);
+
+  const off = rescore(ROWS, { halfLifeDays: 30, recencyWeight: 0, now: NOW });
+  assert.deepEqual(off.map((r) => r.id), ['old', 'new', 'low', 'key']);
+  assert.throws(() => rescore(ROWS, { halfLifeDays: 0 }), /halfLifeDays must be > 0/);
+  assert.throws(() => rescore(ROWS, { recencyWeight: 2 }), /recencyWeight must be within 0..1/);
+});
+
+test('rescore: importance weight, missing importance = 5, negative scores min-max', () => {
+  const out = rescore(ROWS, { importanceWeight: 0.5, now: NOW });
+  assert.deepEqual(out.map((r) => r.id), ['key', 'old', 'new', 'low']);
+  assert.equal(out[0].score_breakdown.importance, 1.5);
+  assert.equal(out.at(-1).score_breakdown.importance, 0.6);
+
+  const neg = rescore([
+    { id: 'a', rerank_score: -1, created_at: daysAgo(1) },
+    { id: 'b', rerank_score: 3, created_at: daysAgo(1) },
+  ], { importanceWeight: 1 });
+  assert.deepEqual(neg.map((r) => [r.id, r.score_breakdown.base, r.score_breakdown.importance]), [['b', 1, 1], ['a', 0, 1]]);
+});
+
+test('rescore: superseded rows are penalised; inherit borrows a base score', () => {
+  const out = rescore(ROWS, {
+    supersededBy: new Map([['old', 'new']]),
+    supersededPenalty: 0.2,
+    inherit: new Map([['key', 'old']]),
+    now: NOW,
+  });
+  assert.deepEqual(out.map((r) => r.id), ['key', 'new', 'low', 'old']);
+  assert.equal(out.at(-1).superseded_by, 'new');
+  assert.equal(out.at(-1).score_breakdown.superseded, 0.2);
+  assert.equal(out[0].score_breakdown.base_field, 'inherited:rrf_score');
+  assert.equal(scoringEnabled({}), false);
+  assert.equal(scoringEnabled({ halfLifeDays: 90 }), true);
+});
+
+test('search: scoring over-fetches, re-sorts before the cut to k, annotates rows', async () => {
+  const b = brainWith();
+  const plain = await b.search('hetzner', { k: 1 });
+  assert.equal(b.rpcArgs[0].match_count, 1);
+  assert.equal(plain[0].id, 'old');
+  assert.equal(plain[0].score, undefined);
+
+  const hits = await b.search('hetzner', { k: 2, halfLifeDays: 30 });
+  assert.equal(b.rpcArgs[1].match_count, 20);
+  assert.deepEqual(hits.map((h) => h.id), ['new', 'low']);
+  assert.ok(hits[0].score_breakdown.recency > 0.9);
+});
+
+test('search: scoring applies after rerank and reads rerank_score', async () => {
+  class ByLength extends Reranker {
+    async _score(q, texts) { return texts.map((t) => t.length); }
+  }
+  const b = brainWith();
+  const hits = await b.search('x', { k: 4, rerank: new ByLength(), importanceWeight: 1 });
+  assert.ok(hits.every((h) => h.score_breakdown.base_field === 'rerank_score' && h.rerank_score > 0));
+  assert.equal(hits[0].id, 'key');
+});
+
+test('supersede + preferSuperseding: demotes the old row, pulls in the replacement', async () => {
+  const b = brainWith(ROWS.filter((r) => r.id !== 'new'));
+  b.sb.tables.memories = [
+    { id: 'new', content: 'decision: move off Hetzner', importance: 5, visibility: 'internal', source: 'nclaw', archived: false, created_at: daysAgo(7) },
+    { id: 'secret', content: 'private reversal', importance: 5, visibility: 'private', archived: false, created_at: daysAgo(2) },
+  ];
+  await b.supersede('new', 'old', { reason: 'moved to NAS' });
+  await b.supersede('new', ['old']);
+  assert.equal(b.sb.tables.memory_edges.length, 1, 'idempotent');
+  assert.deepEqual(b.sb.tables.memory_edges[0].metadata, { reason: 'moved to NAS' });
+  await assert.rejects(b.supersede('new', 'new'), /cannot supersede itself/);
+
+  const hits = await b.search('hetzner', { k: 2, preferSuperseding: true });
+  assert.deepEqual(hits.map((h) => h.id), ['new', 'low']);
+  assert.equal(hits[0].supersedes, 'old');
+  assert.equal(hits[0].score_breakdown.base_field, 'inherited:rrf_score');
+
+  const all = await b.search('hetzner', { k: 10, preferSuperseding: true });
+  assert.equal(all.find((h) => h.id === 'old').superseded_by, 'new');
+
+  // The replacement must pass the caller's filters.
+  b.sb.tables.memory_edges = [];
+  await b.supersede('secret', 'old');
+  assert.ok((await b.search('hetzner', { k: 10, preferSuperseding: true })).some((h) => h.id === 'secret'));
+  const pub = await b.search('hetzner', { k: 10, preferSuperseding: true, visibility: ['public', 'internal'] });
+  assert.ok(!pub.some((h) => h.id === 'secret'));
+  const narrowed = await b.search('hetzner', { k: 10, preferSuperseding: true, source: ['other'] });
+  assert.ok(!narrowed.some((h) => h.id === 'secret'));
+});
+
+test('save({ supersedes }) writes the edges and reports them', async () => {
+  const b = brainWith();
+  const first = await b.save('host on Hetzner', { category: 'decision', type: 'decision' });
+  const out = await b.save('move off Hetzner', { category: 'decision', type: 'decision', supersedes: first.id });
+  assert.deepEqual(out.supersedes, [first.id]);
+  const [edge] = b.sb.tables.memory_edges;
+  assert.deepEqual({ src: edge.src, dst: edge.dst, relation: edge.relation }, { src: out.id, dst: first.id, relation: 'supersedes' });
+});
@@ -0,0 +1,139 @@
+// Tests for sessions: save() stamping source_ref.session_id, endSession({
+// summarize }), the summarizers, sessionTimeline(), listSessions() and
+// renderHandoff().
+//
+// Run: node --test --no-warnings packages/memory/test/sessions.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExtractiveSummarizer, LLMSummarizer, Summarizer, renderHandoff, summarizerFromEnv } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const brainWith = (opts = {}) => testBrain({ agent: 'cc-test', ...opts });
+
+async function sessionWithWork(b) {
+  const id = await b.startSession({ taskSummary: 'ship the reranker' });
+  await b.save('Looked at the eval numbers. They were flat.', { category: 'project', type: 'note', importance: 4, visibility: 'internal' });
+  await b.save('Decided to keep RRF as the first stage. Rerank on top.', { category: 'project', type: 'decision', importance: 8, visibility: 'internal' });
+  await b.save('Siti prefers morning standups.', { category: 'personal', type: 'preference', importance: 6, visibility: 'private' });
+  return id;
+}
+
+test('startSession makes the session current; save() stamps it until endSession()', async () => {
+  const b = brainWith();
+  const id = await sessionWithWork(b);
+  assert.equal(b.sessionId, id);
+  const mems = b.sb.tables.memories;
+  assert.ok(mems.every((m) => m.source_ref.session_id === id));
+  await b.save('unrelated', { category: 'x', type: 'note', sessionId: null });
+  await b.save('explicit ref wins', { category: 'x', type: 'note', sourceRef: { session_id: 'other' } });
+  assert.equal(mems.at(-2).source_ref.session_id, undefined);
+  assert.equal(mems.at(-1).source_ref.session_id, 'other');
+
+  const extra = (await b.save('outside, listed by hand', { category: 'x', type: 'note', sessionId: null })).id;
+  const out = await b.endSession(id, { memoryIds: [extra] });
+  assert.equal(b.sessionId, null);
+  assert.equal(out.memoryIds.length, 4);
+  assert.deepEqual(b.sb.tables.agent_sessions[0].memory_ids, out.memoryIds);
+  assert.ok(b.sb.tables.agent_sessions[0].ended_at);
+  assert.equal(out.summaryId, undefined, 'no summary unless asked');
+
+  const bg = await b.startSession({ current: false });
+  assert.notEqual(bg, null);
+  assert.equal(b.sessionId, null);
+  await assert.rejects(b.endSession('nope'), /session nope not found/);
+});
+
+test('endSession({ summarize }) saves a linked, private-enough summary memory', async () => {
+  const b = brainWith({ summarizer: new ExtractiveSummarizer() });
+  const id = await sessionWithWork(b);
+  const out = await b.endSession(id, { summarize: true });
+  assert.equal(out.summarizer, 'extractive');
+  const summary = b.sb.tables.memories.find((m) => m.id === out.summaryId);
+  assert.equal(summary.memory_type, 'session_summary');
+  assert.equal(summary.category, 'session');
+  assert.equal(summary.visibility, 'private', 'one source memory is private');
+  assert.equal(summary.source_ref.session_id, id);
+  assert.deepEqual(summary.metadata, { session_id: id, memory_count: 3, summarizer: 'extractive' });
+  assert.match(summary.content, /^Session cc-test .* — ship the reranker\. 3 memories \(2 project, 1 personal\)\./);
+  assert.match(summary.content, /- \[decision\] Decided to keep RRF as the first stage\./);
+
+  const edges = b.sb.tables.memory_edges;
+  assert.equal(edges.length, 3);
+  assert.ok(edges.every((e) => e.src === out.summaryId && e.relation === 'summarizes'));
+  assert.equal(b.sb.tables.agent_sessions[0].summary_memory_id, out.summaryId);
+
+  // Re-summarizing does not feed the old summary back in.
+  const again = await b.summarizeSession(id, { visibility: 'internal' });
+  assert.notEqual(again.summaryId, out.summaryId);
+  assert.equal(b.sb.tables.memories.find((m) => m.id === again.summaryId).metadata.memory_count, 3);
+  assert.equal(b.sb.tables.memories.find((m) => m.id === again.summaryId).visibility, 'internal');
+
+  const empty = await b.startSession();
+  assert.deepEqual(await b.endSession(empty, { summarize: true }), { sessionId: empty, memoryIds: [], summaryId: null });
+});
+
+test('ExtractiveSummarizer: decisions first when space is short, then chronological', async () => {
+  const memories = [
+    { content: 'note one', memory_type: 'note', importance: 9, created_at: '2026-05-04T01:00:00Z' },
+    { content: 'We chose Hetzner. Cheaper.', memory_type: 'decision', importance: 3, created_at: '2026-05-04T02:00:00Z' },
+    { content: 'note three', memory_type: 'note', importance: 2, created_at: '2026-05-04T00:30:00Z' },
+  ];
+  const { text } = await new ExtractiveSummarizer({ maxItems: 2 }).summarize({ agent: 'a', started_at: '2026-05-04T00:00:00Z' }, memories);
+  assert.deepEqual(text.split('\n').slice(1), ['- [note] note one', '- [decision] We chose Hetzner.', '- …and 1 more']);
+  assert.match(text, /→ ongoing UTC/);
+  class Empty extends Summarizer { async _summarize() { return ' '; } }
+  await assert.rejects(new Empty().summarize({}, memories), /empty summary/);
+});
+
+test('LLMSummarizer: prompts with the memories; falls back to extractive on failure', async () => {
+  const prompts = [];
+  const llm = async (prompt) => { prompts.push(prompt); return 'Shipped the reranker.\n- kept RRF'; };
+  const session = { agent: 'cc', task_summary: 'rerank', started_at: '2026-05-04T00:00:00Z', ended_at: '2026-05-04T03:00:00Z' };
+  const mems = [{ content: 'kept RRF', category: 'project', memory_type: 'decision', created_at: '2026-05-04T01:00:00Z' }];
+  const ok = await new LLMSummarizer({ llm, model: 'm' }).summarize(session, mems);
+  assert.deepEqual(ok, { text: 'Shipped the reranker.\n- kept RRF', summarizer: 'llm:m' });
+  assert.match(prompts[0], /\[01:00\] \(project\/decision\) kept RRF/);
+
+  const broken = new LLMSummarizer({ llm: async () => { throw new Error('gemini generate: 503'); } });
+  const fb = await broken.summarize(session, mems);
+  assert.equal(fb.summarizer, 'extractive');
+  assert.equal(fb.fallbackError, 'gemini generate: 503');
+  await assert.rejects(new LLMSummarizer({ llm: async () => { throw new Error('down'); }, fallback: null }).summarize(session, mems), /down/);
+
+  assert.equal(summarizerFromEnv({ env: {} }).name, 'extractive');
+  assert.throws(() => summarizerFromEnv({ env: { NEO_BRAIN_SUMMARIZER: 'magic' } }), /unknown summarizer "magic"/);
+});
+
+test('sessionTimeline + listSessions + renderHandoff', async () => {
+  const b = brainWith({ summarizer: new ExtractiveSummarizer() });
+  const id = await sessionWithWork(b);
+  await b.endSession(id, { summarize: true });
+  // The fake stamps created_at a few ms ahead of the wall clock; keep the end last.
+  b.sb.tables.agent_sessions[0].ended_at = new Date(Date.now() + 60_000).toISOString();
+  const t = await b.sessionTimeline(id);
+  assert.deepEqual(t.events.map((e) => e.kind), ['start', 'memory', 'memory', 'memory', 'summary', 'end']);
+  assert.equal(t.memories.length, 3);
+  assert.equal(t.summary.id, b.sb.tables.agent_sessions[0].summary_memory_id);
+
+  const other = brainWith();
+  other.sb = b.sb;
+  other.agent = 'nclaw';
+  await other.startSession({ taskSummary: 'inbox' });
+
+  assert.deepEqual((await b.listSessions()).map((s) => s.agent), ['nclaw', 'cc-test']);
+  assert.deepEqual((await b.listSessions({ agent: true })).map((s) => s.id), [id]);
+  assert.equal((await b.listSessions({ agent: true }))[0].memory_count, 3);
+  assert.deepEqual((await b.listSessions({ open: true })).map((s) => s.agent), ['nclaw']);
+  assert.deepEqual(await b.listSessions({ since: new Date(Date.now() + 3600_000) }), []);
+
+  const md = renderHandoff([t]);
+  assert.match(md, /^# Session Handoff — \d{4}-\d{2}-\d{2}\n/);
+  assert.match(md, /\*\*Status\*\*: ship the reranker/);
+  assert.match(md, /## TL;DR\n\nSession cc-test/);
+  assert.match(md, /\| cc-test \| project\/decision \| Decided to keep RRF as the first stage\. Rerank on top\. \|/);
+  assert.ok(!/\| summary \|/.test(md), 'the summary is the TL;DR, not a table row');
+  assert.throws(() => renderHandoff([]), /no sessions/);
+});
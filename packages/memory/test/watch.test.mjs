@@ -0,0 +1,135 @@
+// Tests for brain.watch(): polling on a (created_at, id) cursor, Realtime
+// with catch-up after a dropped channel, auto fallback, resume, policy.
+//
+// Run: node --test --no-warnings packages/memory/test/watch.test.mjs
+//
+// No env required.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NEO_SELF_ID } from '../src/index.js';
+import { testBrain } from './_fake-supabase.mjs';
+
+const brainWith = ({ tables = {}, realtime = false, ...opts } = {}) =>
+  testBrain({ agent: 'watch-test', tables, realtime, ...opts });
+
+// Start a watch and resolve once it reports `ready` (its first "polling" /
+// "realtime" status), so rows written afterwards are new to it.
+async function startWatch(b, opts, ready = opts.mode === 'poll' ? 'polling' : 'realtime') {
+  const statuses = [];
+  const controller = new AbortController();
+  let onReady;
+  const isReady = new Promise((r) => (onReady = r));
+  const it = b.watch({ pollMs: 5, maxBackoffMs: 5, signal: controller.signal, ...opts, onStatus: (s, d) => { statuses.push([s, d]); if (s === ready) onReady(); } });
+  const first = it.next();
+  await isReady;
+  return { it, first, statuses, stop: () => controller.abort() };
+}
+
+// The next n events; the first one from the next() startWatch() already called.
+async function take(w, n) {
+  const out = [];
+  while (out.length < n) {
+    const p = w.first || w.it.next();
+    w.first = null;
+    const { value, done } = await p;
+    if (done) break;
+    out.push(value);
+  }
+  return out;
+}
+
+const command = (to, command) => ({ from_agent: 'test', to_agent: to, command, status: 'pending', payload: {} });
+
+test('poll: only new rows matching the filter, in order; resumes from a cursor; abort ends it', async () => {
+  const b = brainWith({ tables: { agent_commands: [{ id: 'old', created_at: '2026-01-01T00:00:00.000Z', ...command('siti', 'old') }] } });
+  const w = await startWatch(b, { table: 'agent_commands', filter: { to_agent: 'siti' }, mode: 'poll' });
+  await b.sb.from('agent_commands').insert([command('siti', 'a'), command('claw-mac', 'x'), command('siti', 'b')]);
+  const evs = await take(w, 2);
+  assert.deepEqual(evs.map((e) => [e.type, e.table, e.row.command]), [['insert', 'agent_commands', 'a'], ['insert', 'agent_commands', 'b']]);
+  w.stop();
+  assert.equal((await w.it.next()).done, true);
+
+  const resumed = b.watch({ table: 'agent_commands', filter: { to_agent: 'siti' }, mode: 'poll', after: evs[0].cursor, pollMs: 5 });
+  assert.equal((await resumed.next()).value.row.command, 'b');
+  await resumed.return();
+
+  const fromStart = b.watch({ table: 'agent_commands', filter: { to_agent: ['siti'] }, mode: 'poll', since: '2025-12-31', pollMs: 5 });
+  assert.equal((await fromStart.next()).value.row.id, 'old');
+  await fromStart.return();
+  assert.equal(w.statuses[0][0], 'polling');
+});
+
+test('poll: a last-modified cursor column reports updates; transient errors reconnect, others throw', async () => {
+  const b = brainWith();
+  const w = await startWatch(b, { table: 'agent_commands', cursorColumn: 'updated_at', mode: 'poll' });
+  const at = new Date(Date.now() + 60_000).toISOString();
+  await b.sb.from('agent_commands').insert({ id: 'c1', created_at: at, updated_at: at, ...command('siti', 'a') });
+
+  let failed = 0;
+  b.sb.fail = ({ op }) => (op === 'select' && failed++ < 2 ? { message: 'TypeError: fetch failed' } : null);
+  const [ins] = await take(w, 1);
+  assert.equal(ins.type, 'insert');
+  await b.sb.from('agent_commands').update({ status: 'done', updated_at: new Date(Date.now() + 120_000).toISOString() }).eq('id', 'c1');
+  const [upd] = await take(w, 1);
+  assert.deepEqual([upd.type, upd.row.status], ['update', 'done']);
+  assert.deepEqual(w.statuses.filter(([s]) => s === 'reconnecting').map(([, d]) => d.attempt), [1, 2]);
+  w.stop();
+
+  b.sb.fail = ({ op }) => (op === 'select' ? { message: 'column agent_commands.nope does not exist', code: '42703' } : null);
+  await assert.rejects(b.watch({ table: 'agent_commands', mode: 'poll' }).next(), /watch: column agent_commands\.nope does not exist/);
+});
+
+test('realtime: live inserts and updates; a dropped channel replays the gap once, without duplicates', async () => {
+  const b = brainWith({ realtime: true });
+  const w = await startWatch(b, { table: 'agent_commands', filter: { to_agent: 'siti' } });
+  assert.deepEqual(b.sb.channels[0].listeners[0].opts, { event: '*', schema: 'public', table: 'agent_commands', filter: 'to_agent=eq.siti' });
+
+  const { data: [row] } = await b.sb.from('agent_commands').insert(command('siti', 'a')).select();
+  await b.sb.from('agent_commands').insert(command('claw-mac', 'x'));
+  await b.sb.from('agent_commands').update({ status: 'claimed' }).eq('id', row.id);
+  const live = await take(w, 2);
+  assert.deepEqual(live.map((e) => [e.type, e.row.command, e.row.status]), [['insert', 'a', 'pending'], ['update', 'a', 'claimed']]);
+
+  // Lose the connection, write while it is down, and come back.
+  b.sb.channels[0].drop();
+  await b.sb.from('agent_commands').insert(command('siti', 'missed'));
+  const [replayed] = await take(w, 1);
+  assert.equal(replayed.row.command, 'missed');
+  await b.sb.from('agent_commands').insert(command('siti', 'after'));
+  const [next] = await take(w, 1);
+  assert.equal(next.row.command, 'after', 'the replayed row is not delivered twice');
+  assert.deepEqual(w.statuses.map(([s]) => s), ['realtime', 'reconnecting', 'realtime']);
+  assert.equal(b.sb.channels.length, 1, 'the dropped channel was removed');
+  w.stop();
+  assert.equal((await w.it.next()).done, true);
+  assert.equal(b.sb.channels.length, 0);
+});
+
+test('auto falls back to polling when Realtime cannot subscribe; option errors', async () => {
+  const b = brainWith({ realtime: true });
+  b.sb.realtimeStatus = 'CHANNEL_ERROR';
+  const w = await startWatch(b, { table: 'agent_commands' }, 'polling');
+  assert.match(w.statuses[0][1].reason, /fake realtime: CHANNEL_ERROR/);
+  await b.sb.from('agent_commands').insert(command('siti', 'a'));
+  assert.equal((await take(w, 1))[0].row.command, 'a');
+  w.stop();
+
+  await assert.rejects(brainWith().watch({ mode: 'realtime' }).next(), /watch: Realtime is not available/);
+  await assert.rejects(brainWith().watch({ mode: 'push' }).next(), /watch: mode must be one of auto, realtime, poll/);
+  await assert.rejects(brainWith().watch({ events: ['delete'] }).next(), /unknown event "delete"/);
+  await assert.rejects(brainWith().watch({ after: 'nope' }).next(), /watch: bad cursor/);
+  await assert.rejects(brainWith().watch({ filter: { 'metadata->x': 1 } }).next(), /must be a column name/);
+});
+
+test('memories: no embeddings, and the agent policy decides which rows arrive', async () => {
+  const policy = { agents: { 'watch-test': { write: {}, read: { visibilities: ['public', 'internal'] } } } };
+  const b = brainWith({ realtime: true, policy, pii: 'off' });
+  const w = await startWatch(b, { filter: { category: 'project' } });
+  await b.save('private plan', { category: 'project', type: 'note', visibility: 'private' });
+  await b.save('shared plan', { category: 'project', type: 'note', visibility: 'internal', subjectId: NEO_SELF_ID });
+  const [ev] = await take(w, 1);
+  assert.equal(ev.row.content, 'shared plan');
+  assert.equal('embedding' in ev.row, false);
+  w.stop();
+});
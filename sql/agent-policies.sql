@@ -0,0 +1,34 @@
+-- Per-agent policies + violation log — backs NeoBrain policy enforcement (policy.js, NEO_BRAIN_POLICY=db)
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- One row per agent name or glob ('nclaw-*', '*'). `rules` is the same
+-- object a policy file holds per agent:
+--   { "write": { "categories": [...], "visibilities": [...], "subjects": [...], "sources": [...] },
+--     "read":  { "categories": [...], "visibilities": [...], "subjects": [...] },
+--     "credentials": ["openai", ...] }
+-- NeoBrain.loadPolicy() reads the whole table; the SDK enforces it before
+-- any write, read or credential call leaves the process.
+create table if not exists public.agent_policies (
+  agent       text primary key,
+  rules       jsonb not null default '{}'::jsonb,
+  notes       text,
+  updated_by  text,
+  updated_at  timestamptz not null default now()
+);
+alter table public.agent_policies enable row level security;
+
+-- Calls the SDK refused. `target` holds the checked fields only (category,
+-- visibility, subjectId, source, service) — never content or secrets.
+create table if not exists public.policy_violations (
+  id          uuid primary key default gen_random_uuid(),
+  agent       text not null,
+  action      text not null check (action in ('read', 'write', 'credential')),
+  operation   text,                 -- SDK method, e.g. 'save', 'getCredential'
+  target      jsonb not null default '{}'::jsonb,
+  reason      text not null,
+  rule        text,                 -- matching agent_policies.agent, null when none matched
+  created_at  timestamptz not null default now()
+);
+create index if not exists policy_violations_agent_idx on public.policy_violations (agent, created_at desc);
+alter table public.policy_violations enable row level security;
@@ -0,0 +1,28 @@
+-- Change feed — Realtime publication + keyset indexes for NeoBrain.watch()
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- watch() listens on Supabase Realtime postgres_changes, which only carries
+-- tables in the supabase_realtime publication. Adding a table twice is an
+-- error, hence the check.
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['memories', 'agent_commands'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', t);
+    end if;
+  end loop;
+end $$;
+
+-- The polling fallback (and the catch-up after a Realtime reconnect) pages
+-- with  (created_at, id) > (cursor)  ordered by created_at, id.
+create index if not exists memories_created_id_idx
+  on public.memories (created_at, id);
+
+create index if not exists agent_commands_created_id_idx
+  on public.agent_commands (created_at, id);
@@ -0,0 +1,199 @@
+-- Embedding model migrations: shadow vector columns, re-embed cursor, by-column match RPCs
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js, src/embedding-migration.js) — service_role only
+
+-- Moving off gemini-embedding-001 / 768 without a big-bang re-embed (what
+-- tools/migrate-to-neo-brain.js did once). A migration to another model:
+--   1. startEmbeddingMigration() adds one shadow column per embedded table,
+--      named for the model — embedding_<model>_<dims>, e.g.
+--      embedding_text_embedding_3_small_1536 — and records it here.
+--   2. reembedShadow() fills the shadow columns batch by batch, rate-limited,
+--      saving its cursor in this table after every batch: stop it any time
+--      and the next run carries on. Writers configured with the same
+--      shadowEmbedder dual-write memories.<shadow column> on save.
+--   3. search({ vectors: "shadow" }) queries the shadow column through the
+--      *_by_column functions below; compareEmbeddingSearch() runs the eval
+--      set against both and stores the comparison in `eval`.
+--   4. cutoverEmbeddingMigration() flips status to cut_over — only from
+--      'ready' with a passing comparison. Readers then set
+--      NEO_BRAIN_SEARCH_VECTORS=shadow. Retiring the old `embedding` column
+--      (and retyping the vector(768) RPCs) is a separate, manual migration.
+create table if not exists public.embedding_migrations (
+  id           text primary key,                    -- the shadow column name
+  provider     text,
+  model        text not null,
+  dims         int  not null check (dims > 0),
+  tables       text[] not null,
+  status       text not null default 'backfilling' check (status in ('backfilling', 'ready', 'cut_over')),
+  cursor       jsonb not null default '{}'::jsonb,  -- { table, id } of the last row the job finished
+  progress     jsonb not null default '{}'::jsonb,  -- { <table>: rows embedded so far }
+  eval         jsonb,                               -- last compareEmbeddingSearch() report
+  created_by   text not null,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now(),
+  ready_at     timestamptz,
+  cut_over_at  timestamptz
+);
+alter table public.embedding_migrations enable row level security;
+
+-- DDL for step 1. Only the tables the SDK embeds, only embedding_* names;
+-- security definer because service_role doesn't own the tables.
+create or replace function public.add_shadow_embedding_column(
+  p_table  text,
+  p_column text,
+  p_dims   int
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_table not in ('memories', 'memory_chunks', 'media', 'knowledge_nodes') then
+    raise exception 'add_shadow_embedding_column: % has no embeddings', p_table;
+  end if;
+  if p_column !~ '^embedding_[a-z0-9_]{1,52}$' then
+    raise exception 'add_shadow_embedding_column: bad column name %', p_column;
+  end if;
+  if p_dims is null or p_dims < 1 or p_dims > 16000 then
+    raise exception 'add_shadow_embedding_column: dims must be 1..16000 (got %)', p_dims;
+  end if;
+  execute format('alter table public.%I add column if not exists %I vector(%s)', p_table, p_column, p_dims);
+  -- pgvector's HNSW index stops at 2000 dims; wider columns are scanned.
+  if p_dims <= 2000 then
+    execute format(
+      'create index if not exists %I on public.%I using hnsw (%I vector_cosine_ops) where %I is not null',
+      left(p_table || '_' || p_column || '_hnsw', 63), p_table, p_column, p_column
+    );
+  end if;
+  notify pgrst, 'reload schema';
+end;
+$$;
+revoke execute on function public.add_shadow_embedding_column(text, text, int) from public, anon, authenticated;
+
+-- match_memories_hybrid_v2 over a chosen vector column: `embedding`, or the
+-- shadow column of a migration that covers memories. The query embedding is
+-- passed as text ('[0.1,…]') since its width depends on the column. Same
+-- ranking: RRF of a cosine ranker (gated by min_similarity) and a ts_rank
+-- lexical ranker, each over match_count * 4 candidates.
+create or replace function public.match_memories_hybrid_by_column(
+  p_column          text,
+  query_embedding   text,
+  query_text        text,
+  match_count       int     default 5,
+  min_similarity    float   default 0.3,
+  visibility_filter text[]  default array['public', 'internal', 'private'],
+  p_subject_id      uuid    default null,
+  source_filter     text[]  default null,
+  source_exclude    text[]  default null,
+  rrf_k             int     default 30,
+  semantic_weight   float   default 3.0,
+  lexical_weight    float   default 1.0
+) returns table (
+  id          uuid,
+  content     text,
+  category    text,
+  memory_type text,
+  importance  int,
+  visibility  text,
+  source      text,
+  subject_id  uuid,
+  similarity  float,
+  created_at  timestamptz,
+  sem_rank    int,
+  lex_rank    int,
+  rrf_score   float
+)
+language plpgsql stable
+as $$
+begin
+  if p_column <> 'embedding' and not exists (
+    select 1 from public.embedding_migrations e where e.id = p_column and 'memories' = any (e.tables)
+  ) then
+    raise exception 'match_memories_hybrid_by_column: % is not an embedding column of memories', p_column;
+  end if;
+  return query execute format($q$
+    with filtered as (
+      select m.* from public.memories m
+      where m.archived = false
+        and m.visibility = any ($5)
+        and ($6::uuid is null or m.subject_id = $6)
+        and ($7::text[] is null or m.source = any ($7))
+        and ($8::text[] is null or not (m.source = any ($8)))
+    ),
+    sem as (
+      select f.id, row_number() over (order by f.%1$I <=> $1::vector)::int as sem_rank
+      from filtered f
+      where f.%1$I is not null and 1 - (f.%1$I <=> $1::vector) >= $4
+      order by f.%1$I <=> $1::vector
+      limit $3 * 4
+    ),
+    lex as (
+      select f.id, row_number() over (order by ts_rank(to_tsvector('english', f.content), q) desc)::int as lex_rank
+      from filtered f, websearch_to_tsquery('english', $2) q
+      where to_tsvector('english', f.content) @@ q
+      order by ts_rank(to_tsvector('english', f.content), q) desc
+      limit $3 * 4
+    ),
+    fused as (
+      select coalesce(s.id, l.id) as id, s.sem_rank, l.lex_rank,
+             coalesce($10 / ($9 + s.sem_rank), 0) + coalesce($11 / ($9 + l.lex_rank), 0) as rrf_score
+      from sem s full join lex l on l.id = s.id
+    )
+    select m.id, m.content, m.category, m.memory_type, m.importance, m.visibility, m.source, m.subject_id,
+           (1 - (m.%1$I <=> $1::vector))::float, m.created_at, f.sem_rank, f.lex_rank, f.rrf_score::float
+    from fused f join public.memories m on m.id = f.id
+    order by f.rrf_score desc
+    limit $3
+  $q$, p_column)
+  using query_embedding, query_text, match_count, min_similarity, visibility_filter,
+        p_subject_id, source_filter, source_exclude, rrf_k, semantic_weight, lexical_weight;
+end;
+$$;
+
+-- match_memory_chunks over a chosen vector column of memory_chunks — for
+-- search({ vectors: "shadow", chunks: true }).
+create or replace function public.match_memory_chunks_by_column(
+  p_column          text,
+  query_embedding   text,
+  match_count       int     default 15,
+  min_similarity    float   default 0.3,
+  visibility_filter text[]  default array['public', 'internal', 'private'],
+  p_subject_id      uuid    default null,
+  source_filter     text[]  default null,
+  source_exclude    text[]  default null
+) returns table (
+  chunk_id    uuid,
+  memory_id   uuid,
+  chunk_index int,
+  start_char  int,
+  end_char    int,
+  content     text,
+  similarity  float
+)
+language plpgsql stable
+as $$
+begin
+  if p_column <> 'embedding' and not exists (
+    select 1 from public.embedding_migrations e where e.id = p_column and 'memory_chunks' = any (e.tables)
+  ) then
+    raise exception 'match_memory_chunks_by_column: % is not an embedding column of memory_chunks', p_column;
+  end if;
+  return query execute format($q$
+    select c.id, c.memory_id, c.chunk_index, c.start_char, c.end_char, c.content,
+           (1 - (c.%1$I <=> $1::vector))::float
+    from public.memory_chunks c
+    join public.memories m on m.id = c.memory_id
+    where c.%1$I is not null
+      and m.archived = false
+      and m.visibility = any ($4)
+      and ($5::uuid is null or m.subject_id = $5)
+      and ($6::text[] is null or m.source = any ($6))
+      and ($7::text[] is null or not (m.source = any ($7)))
+      and 1 - (c.%1$I <=> $1::vector) >= $3
+    order by c.%1$I <=> $1::vector
+    limit $2
+  $q$, p_column)
+  using query_embedding, match_count, min_similarity, visibility_filter,
+        p_subject_id, source_filter, source_exclude;
+end;
+$$;
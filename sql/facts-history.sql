@@ -0,0 +1,71 @@
+-- Fact history + contradiction review — backs NeoBrain.upsertFact() / getFacts() / resolveFactReview()
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- upsertFact() matches a new statement against the subject's current facts in
+-- the same category. A restatement merges into the existing row; a changed
+-- statement ("lives in KL" → "moved to Penang") is inserted with `supersedes`
+-- pointing at the old row, which gets superseded_by / superseded_at, status
+-- 'superseded' and a decayed confidence. A changed statement with LOWER
+-- confidence than the fact it contradicts is inserted as 'disputed' and
+-- queued in fact_reviews instead of overriding it.
+alter table public.facts add column if not exists status text not null default 'current';
+alter table public.facts add column if not exists supersedes uuid references public.facts(id) on delete set null;
+alter table public.facts add column if not exists superseded_by uuid references public.facts(id) on delete set null;
+alter table public.facts add column if not exists superseded_at timestamptz;
+do $$ begin
+  alter table public.facts add constraint facts_status_check check (status in ('current', 'superseded', 'disputed'));
+exception when duplicate_object then null;
+end $$;
+create index if not exists facts_current_idx on public.facts (subject_id, category) where status = 'current';
+
+create table if not exists public.fact_reviews (
+  id                   uuid primary key default gen_random_uuid(),
+  subject_id           uuid not null references public.people(id) on delete cascade,
+  category             text,
+  fact_id              uuid not null references public.facts(id) on delete cascade,   -- the disputed newcomer
+  conflicting_fact_id  uuid not null references public.facts(id) on delete cascade,   -- the current fact it contradicts
+  similarity           numeric not null,
+  status               text not null default 'open' check (status in ('open', 'resolved')),
+  resolution           text check (resolution in ('keep_new', 'keep_old', 'keep_both')),
+  reason               text,
+  created_by           text not null,        -- agent name
+  created_at           timestamptz not null default now(),
+  resolved_by          text,
+  resolved_at          timestamptz
+);
+create index if not exists fact_reviews_open_idx on public.fact_reviews (subject_id, created_at desc) where status = 'open';
+alter table public.fact_reviews enable row level security;
+
+-- Fact embeddings: upsertFact() stores each new statement's vector and asks
+-- match_facts for the closest live facts instead of re-embedding the
+-- subject's facts on every write. Rows saved before this column existed
+-- match only on identical text (case and surrounding whitespace aside) until
+-- NeoBrain.backfillFactEmbeddings() fills them in.
+alter table public.facts add column if not exists embedding vector(768);
+create index if not exists facts_embedding_hnsw
+  on public.facts using hnsw (embedding vector_cosine_ops)
+  where embedding is not null;
+
+create or replace function public.match_facts(
+  query_embedding vector(768),
+  p_subject_id    uuid,
+  p_category      text,
+  p_fact          text default null,
+  match_count     int  default 20
+) returns table (
+  id         uuid,
+  similarity float
+)
+language sql stable
+as $$
+  select f.id,
+         case when f.embedding is null then 1 else 1 - (f.embedding <=> query_embedding) end as similarity
+  from public.facts f
+  where f.subject_id = p_subject_id
+    and f.category = p_category
+    and f.status in ('current', 'disputed')
+    and (f.embedding is not null or lower(btrim(f.fact)) = lower(btrim(p_fact)))
+  order by (f.embedding is null) desc, f.embedding <=> query_embedding
+  limit match_count;
+$$;
@@ -0,0 +1,61 @@
+-- Passage-level rows for long memories + chunk-level match RPC
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js, src/chunking.js) — service_role only
+
+-- A memory longer than the SDK's chunking.minChars (2048) keeps its pooled
+-- parent embedding in memories.embedding and ALSO gets one row here per
+-- ~1200-char passage, each with its own vector. search({ chunks: true })
+-- matches these and returns the parent with the passage highlighted.
+-- Backfill existing rows: node tools/rechunk-memories.mjs
+create table if not exists public.memory_chunks (
+  id           uuid primary key default gen_random_uuid(),
+  memory_id    uuid not null references public.memories(id) on delete cascade,
+  chunk_index  int  not null,
+  start_char   int  not null,              -- offsets into memories.content
+  end_char     int  not null,
+  content      text not null,
+  embedding    vector(768),
+  created_at   timestamptz not null default now(),
+  unique (memory_id, chunk_index)
+);
+create index if not exists memory_chunks_memory_idx on public.memory_chunks (memory_id);
+create index if not exists memory_chunks_hnsw
+  on public.memory_chunks using hnsw (embedding vector_cosine_ops)
+  where embedding is not null;
+alter table public.memory_chunks enable row level security;
+
+-- Cosine match over passages, filtered through the parent memory exactly
+-- like match_memories_hybrid_v2 (archived, visibility, subject, source).
+create or replace function public.match_memory_chunks(
+  query_embedding   vector(768),
+  match_count       int     default 15,
+  min_similarity    float   default 0.3,
+  visibility_filter text[]  default array['public', 'internal', 'private'],
+  p_subject_id      uuid    default null,
+  source_filter     text[]  default null,
+  source_exclude    text[]  default null
+) returns table (
+  chunk_id    uuid,
+  memory_id   uuid,
+  chunk_index int,
+  start_char  int,
+  end_char    int,
+  content     text,
+  similarity  float
+)
+language sql stable
+as $$
+  select c.id, c.memory_id, c.chunk_index, c.start_char, c.end_char, c.content,
+         1 - (c.embedding <=> query_embedding) as similarity
+  from public.memory_chunks c
+  join public.memories m on m.id = c.memory_id
+  where c.embedding is not null
+    and m.archived = false
+    and m.visibility = any (visibility_filter)
+    and (p_subject_id is null or m.subject_id = p_subject_id)
+    and (source_filter is null or m.source = any (source_filter))
+    and (source_exclude is null or not (m.source = any (source_exclude)))
+    and 1 - (c.embedding <=> query_embedding) >= min_similarity
+  order by c.embedding <=> query_embedding
+  limit match_count;
+$$;
@@ -0,0 +1,21 @@
+-- Typed edges between memories — save({ dedupe: 'link' }), save({ supersedes }) / supersede(), endSession({ summarize })
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- Same shape as knowledge_edges, but between memories rows. `weight` carries
+-- the similarity for duplicate_of edges. src → dst reads "src <relation> dst",
+-- e.g. new_memory duplicate_of older_memory, new_decision supersedes old_decision,
+-- session_summary summarizes memory (sql/session-summaries.sql).
+create table if not exists public.memory_edges (
+  id          uuid primary key default gen_random_uuid(),
+  src         uuid not null references public.memories(id) on delete cascade,
+  dst         uuid not null references public.memories(id) on delete cascade,
+  relation    text not null,               -- 'duplicate_of' | 'supersedes' | 'summarizes'
+  weight      numeric not null default 1.0,
+  metadata    jsonb not null default '{}'::jsonb,
+  created_by  text not null,               -- agent name
+  created_at  timestamptz not null default now(),
+  unique (src, dst, relation)
+);
+create index if not exists memory_edges_dst_idx on public.memory_edges (dst, relation);
+alter table public.memory_edges enable row level security;
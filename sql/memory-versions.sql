@@ -0,0 +1,23 @@
+-- Memory edit history — backs NeoBrain.update() / history() / revert()
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- One row per change to a memory: `snapshot` is the row as it was BEFORE the
+-- change (every column except embedding, which is re-derived on revert).
+-- Versions written by redactMemory() have credential-shape strings replaced
+-- by [REDACTED:<rule id>] and redacted = true; a redaction also scrubs the
+-- memory's older versions, so no version ever holds the removed secret.
+create table if not exists public.memory_versions (
+  id          uuid primary key default gen_random_uuid(),
+  memory_id   uuid not null references public.memories(id) on delete cascade,
+  version     int  not null check (version > 0),
+  action      text not null check (action in ('update', 'redact', 'revert')),
+  reason      text,
+  snapshot    jsonb not null,
+  redacted    boolean not null default false,
+  created_by  text not null,                -- agent name, same as memory_writes_log.written_by
+  created_at  timestamptz not null default now(),
+  unique (memory_id, version)
+);
+create index if not exists memory_versions_memory_idx on public.memory_versions (memory_id, version desc);
+alter table public.memory_versions enable row level security;
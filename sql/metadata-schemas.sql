@@ -0,0 +1,58 @@
+-- Per-category metadata schemas — backs NeoBrain metadata validation (metadata-schema.js, NEO_BRAIN_METADATA_SCHEMAS=db)
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- One row per memories.category whose metadata has a contract. `schema` is
+-- the same object packages/memory/src/metadata-schemas.json holds per
+-- category (a JSON Schema subset):
+--   { "required": ["pr_url", "pr_number"],
+--     "properties": { "pr_url": { "type": "string", "pattern": "^https://github\\.com/" } } }
+-- NeoBrain.loadMetadataSchemas() reads the whole table; save() validates
+-- against it in the SDK (warn or strict), and tools/audit-memory-metadata.mjs
+-- checks existing rows. Nothing is enforced in the database.
+create table if not exists public.metadata_schemas (
+  category    text primary key,
+  schema      jsonb not null,
+  notes       text,
+  updated_by  text,
+  updated_at  timestamptz not null default now()
+);
+alter table public.metadata_schemas enable row level security;
+
+-- The bundled registry, so switching NEO_BRAIN_METADATA_SCHEMAS=db changes
+-- where schemas live, not what they say.
+insert into public.metadata_schemas (category, schema, notes, updated_by) values
+  ('pr-awaiting-decision', '{
+     "type": "object",
+     "required": ["pr_url", "pr_number", "repo"],
+     "properties": {
+       "pr_url": { "type": "string", "pattern": "^https://github\\.com/[^/]+/[^/]+/pull/\\d+$" },
+       "pr_number": { "type": "integer", "minimum": 1 },
+       "repo": { "type": "string", "minLength": 1 },
+       "reviewer_verdict": { "type": "string" },
+       "operator_brief": { "type": "string" }
+     }
+   }', 'reviewer-agent → pr-decision-dispatcher, Siti, orphan-PR detector', 'sql/metadata-schemas.sql'),
+  ('pr-decision-recorded', '{
+     "type": "object",
+     "required": ["pr_url"],
+     "properties": {
+       "pr_url": { "type": "string", "pattern": "^https://github\\.com/[^/]+/[^/]+/pull/\\d+$" },
+       "pr_number": { "type": "integer", "minimum": 1 },
+       "repo": { "type": "string" }
+     }
+   }', 'matched to pr-awaiting-decision by metadata->>pr_url', 'sql/metadata-schemas.sql'),
+  ('backup_run', '{
+     "type": "object",
+     "required": ["host", "date", "errors", "duration_sec"],
+     "properties": {
+       "version": { "type": "string" },
+       "host": { "type": "string", "minLength": 1 },
+       "date": { "type": "string", "format": "date" },
+       "errors": { "type": "integer", "minimum": 0 },
+       "subtasks": { "type": "array", "items": { "type": "string" } },
+       "duration_sec": { "type": "number", "minimum": 0 },
+       "size_neo_brain": { "type": "string" }
+     }
+   }', 'tools/nas-backup/run.mjs', 'sql/metadata-schemas.sql')
+on conflict (category) do nothing;
@@ -0,0 +1,46 @@
+-- Fuzzy people lookup by name — backs NeoBrain.findPeople()
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- search_people() is only the candidate generator: trigram-close rows on
+-- display_name, nicknames and name-like identifiers (push_name / nickname /
+-- name). The SDK re-scores every candidate (src/people.js nameMatch) and
+-- attaches match reasons, so the thresholds here are deliberately loose.
+-- Merged rows are returned too; the SDK folds them into their canonical
+-- person. Before this migration findPeople() falls back to an ilike scan of
+-- display_name.
+create extension if not exists pg_trgm;
+
+create index if not exists people_display_name_trgm
+  on public.people using gin (lower(display_name) gin_trgm_ops);
+
+create or replace function public.search_people(
+  p_query text,
+  p_limit int default 50
+) returns setof public.people
+language sql
+stable
+as $$
+  with q as (select lower(trim(p_query)) as s),
+  names as (
+    select p.id, lower(p.display_name) as name
+      from public.people p
+    union all
+    select p.id, lower(e ->> 'value')
+      from public.people p, jsonb_array_elements(coalesce(p.identifiers, '[]'::jsonb)) e
+     where e ->> 'type' in ('push_name', 'nickname', 'name')
+    union all
+    select p.id, lower(n)
+      from public.people p, jsonb_array_elements_text(coalesce(to_jsonb(p) -> 'nicknames', '[]'::jsonb)) n
+  ),
+  scored as (
+    select n.id, max(greatest(similarity(n.name, q.s), word_similarity(q.s, n.name))) as sim
+      from names n, q
+     where n.name % q.s or q.s <% n.name or n.name like '%' || q.s || '%'
+     group by n.id
+  )
+  select p.*
+    from scored s join public.people p on p.id = s.id
+   order by s.sim desc, p.created_at
+   limit p_limit;
+$$;
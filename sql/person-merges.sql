@@ -0,0 +1,266 @@
+-- Person merge ledger + transactional merge/unmerge RPCs — backs NeoBrain.mergePeople() / unmergePerson()
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- merge_people() does in ONE transaction what tools/wa-person-merge.js did in
+-- a dozen independent updates: repoint facts.subject_id and
+-- memories.subject_id at the canonical row, rewrite memories.related_people,
+-- union the dupes' identifiers (plus phone / lid / push_name columns) into the
+-- canonical row (and their push names / nicknames into people.nicknames where
+-- that column exists), and soft-mark each dupe with metadata.merged_into. Every
+-- changed value is recorded in person_merge_moves (old + new), so
+-- unmerge_person() can put each row back — but only rows still holding the
+-- value the merge wrote; anything edited since is left alone and counted as
+-- skipped.
+create table if not exists public.person_merges (
+  id            uuid primary key default gen_random_uuid(),
+  canonical_id  uuid not null references public.people(id) on delete cascade,
+  dupe_ids      uuid[] not null,
+  reason        text,
+  moved         jsonb not null default '{}'::jsonb,   -- row counts per kind of move
+  status        text not null default 'merged' check (status in ('merged', 'unmerged')),
+  created_by    text not null,                        -- agent name
+  created_at    timestamptz not null default now(),
+  unmerged_by   text,
+  unmerged_at   timestamptz,
+  restored      jsonb
+);
+create index if not exists person_merges_canonical_idx on public.person_merges (canonical_id, created_at desc);
+create index if not exists person_merges_dupes_gin on public.person_merges using gin (dupe_ids);
+alter table public.person_merges enable row level security;
+
+create table if not exists public.person_merge_moves (
+  id           bigserial primary key,
+  merge_id     uuid not null references public.person_merges(id) on delete cascade,
+  table_name   text not null check (table_name in ('facts', 'memories', 'people')),
+  row_id       uuid not null,
+  column_name  text not null check (column_name in ('subject_id', 'related_people', 'identifiers', 'nicknames', 'metadata')),
+  old_value    jsonb,
+  new_value    jsonb
+);
+create index if not exists person_merge_moves_merge_idx on public.person_merge_moves (merge_id, table_name, column_name);
+alter table public.person_merge_moves enable row level security;
+
+create or replace function public.merge_people(
+  p_canonical uuid,
+  p_dupes     uuid[],
+  p_reason    text default null,
+  p_agent     text default 'unknown'
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_merge   uuid;
+  v_found   int;
+  v_facts   int;
+  v_subject int;
+  v_related int;
+  v_ids_old jsonb;
+  v_ids_new jsonb;
+  v_nick_old jsonb;
+  v_nick_new jsonb;
+begin
+  if p_canonical = any (p_dupes) then
+    raise exception 'merge_people: canonical % is also listed as a dupe', p_canonical;
+  end if;
+  perform 1 from public.people where id = p_canonical for update;
+  if not found then
+    raise exception 'merge_people: canonical person % not found', p_canonical;
+  end if;
+  if (select metadata ? 'merged_into' from public.people where id = p_canonical) then
+    raise exception 'merge_people: canonical % is itself merged into another person', p_canonical;
+  end if;
+  select count(*) into v_found from public.people where id = any (p_dupes);
+  if v_found <> cardinality(p_dupes) then
+    raise exception 'merge_people: % of % dupe ids not found', cardinality(p_dupes) - v_found, cardinality(p_dupes);
+  end if;
+  if exists (select 1 from public.people where id = any (p_dupes) and metadata ? 'merged_into') then
+    raise exception 'merge_people: a dupe is already merged — unmerge it first';
+  end if;
+  perform 1 from public.people where id = any (p_dupes) for update;
+
+  insert into public.person_merges (canonical_id, dupe_ids, reason, created_by)
+  values (p_canonical, p_dupes, p_reason, p_agent)
+  returning id into v_merge;
+
+  -- facts.subject_id
+  insert into public.person_merge_moves (merge_id, table_name, row_id, column_name, old_value, new_value)
+  select v_merge, 'facts', id, 'subject_id', to_jsonb(subject_id), to_jsonb(p_canonical)
+  from public.facts where subject_id = any (p_dupes);
+  update public.facts set subject_id = p_canonical where subject_id = any (p_dupes);
+  get diagnostics v_facts = row_count;
+
+  -- memories.subject_id
+  insert into public.person_merge_moves (merge_id, table_name, row_id, column_name, old_value, new_value)
+  select v_merge, 'memories', id, 'subject_id', to_jsonb(subject_id), to_jsonb(p_canonical)
+  from public.memories where subject_id = any (p_dupes);
+  update public.memories set subject_id = p_canonical where subject_id = any (p_dupes);
+  get diagnostics v_subject = row_count;
+
+  -- memories.related_people: dupes → canonical, de-duplicated, first-seen order kept
+  with rewritten as (
+    select m.id, m.related_people as old_arr,
+           (select array_agg(u.pid order by u.pos)
+              from (select case when x = any (p_dupes) then p_canonical else x end as pid, min(ord) as pos
+                      from unnest(m.related_people) with ordinality as t(x, ord)
+                     group by 1) u) as new_arr
+    from public.memories m
+    where m.related_people && p_dupes
+  ), logged as (
+    insert into public.person_merge_moves (merge_id, table_name, row_id, column_name, old_value, new_value)
+    select v_merge, 'memories', id, 'related_people', to_jsonb(old_arr), to_jsonb(new_arr) from rewritten
+  )
+  update public.memories m set related_people = r.new_arr from rewritten r where m.id = r.id;
+  get diagnostics v_related = row_count;
+
+  -- canonical identifiers ∪ dupes' identifiers and phone / lid / push_name columns
+  select identifiers into v_ids_old from public.people where id = p_canonical;
+  select coalesce(jsonb_agg(distinct e), '[]'::jsonb) into v_ids_new
+  from (
+    select jsonb_array_elements(coalesce(identifiers, '[]'::jsonb)) as e
+      from public.people where id = p_canonical or id = any (p_dupes)
+    union all
+    select jsonb_build_object('type', k, 'value', to_jsonb(p) ->> k)
+      from public.people p, unnest(array['phone', 'lid', 'push_name']) as k
+     where p.id = any (p_dupes) and to_jsonb(p) ->> k is not null
+  ) s;
+  if v_ids_new <> coalesce(v_ids_old, '[]'::jsonb) then
+    insert into public.person_merge_moves (merge_id, table_name, row_id, column_name, old_value, new_value)
+    values (v_merge, 'people', p_canonical, 'identifiers', v_ids_old, v_ids_new);
+    update public.people set identifiers = v_ids_new, updated_at = now() where id = p_canonical;
+  end if;
+
+  -- canonical nicknames ∪ dupes' nicknames and push names (case-insensitive,
+  -- canonical spelling wins). Not every deployment has the column.
+  if exists (select 1 from information_schema.columns
+              where table_schema = 'public' and table_name = 'people' and column_name = 'nicknames') then
+    select coalesce(to_jsonb(p) -> 'nicknames', '[]'::jsonb) into v_nick_old from public.people p where id = p_canonical;
+    select coalesce(jsonb_agg(n order by src, pos), '[]'::jsonb) into v_nick_new
+    from (
+      select distinct on (lower(n)) n, src, pos
+      from (
+        select e.n, 0 as src, e.pos from jsonb_array_elements_text(v_nick_old) with ordinality as e(n, pos)
+        union all
+        select e.n, 1, e.pos
+          from public.people p,
+               jsonb_array_elements_text(coalesce(to_jsonb(p) -> 'nicknames', '[]'::jsonb)
+                                         || jsonb_build_array(to_jsonb(p) ->> 'push_name'))
+                 with ordinality as e(n, pos)
+         where p.id = any (p_dupes) and e.n is not null
+      ) all_names
+      order by lower(n), src, pos
+    ) s;
+    if jsonb_array_length(v_nick_new) > jsonb_array_length(v_nick_old) then
+      insert into public.person_merge_moves (merge_id, table_name, row_id, column_name, old_value, new_value)
+      values (v_merge, 'people', p_canonical, 'nicknames', v_nick_old, v_nick_new);
+      execute 'update public.people set nicknames = array(select jsonb_array_elements_text($1)) where id = $2'
+        using v_nick_new, p_canonical;
+    end if;
+  end if;
+
+  -- soft-mark the dupes (people.kind's CHECK has no 'merged'; readers filter
+  -- on metadata->>merged_into)
+  with marked as (
+    select id, metadata as old_meta,
+           coalesce(metadata, '{}'::jsonb) || jsonb_build_object(
+             'merged_into', p_canonical, 'merged_at', now(), 'merge_id', v_merge, 'merge_source', p_agent) as new_meta
+    from public.people where id = any (p_dupes)
+  ), logged as (
+    insert into public.person_merge_moves (merge_id, table_name, row_id, column_name, old_value, new_value)
+    select v_merge, 'people', id, 'metadata', old_meta, new_meta from marked
+  )
+  update public.people p set metadata = k.new_meta, updated_at = now() from marked k where p.id = k.id;
+
+  update public.person_merges
+     set moved = jsonb_build_object('facts', v_facts, 'memories', v_subject, 'related_people', v_related,
+                                    'identifiers', jsonb_array_length(v_ids_new) - jsonb_array_length(coalesce(v_ids_old, '[]'::jsonb)),
+                                    'nicknames', coalesce(jsonb_array_length(v_nick_new) - jsonb_array_length(v_nick_old), 0))
+   where id = v_merge;
+  return (select jsonb_build_object('merge_id', id, 'canonical_id', canonical_id, 'dupe_ids', dupe_ids, 'moved', moved)
+            from public.person_merges where id = v_merge);
+end;
+$$;
+
+create or replace function public.unmerge_person(
+  p_merge_id uuid,
+  p_agent    text default 'unknown'
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_merge    public.person_merges%rowtype;
+  v_total    jsonb := '{}'::jsonb;
+  v_n        int;
+  v_all      int;
+  v_added    jsonb;
+begin
+  select * into v_merge from public.person_merges where id = p_merge_id for update;
+  if not found then
+    raise exception 'unmerge_person: merge % not found', p_merge_id;
+  end if;
+  if v_merge.status <> 'merged' then
+    raise exception 'unmerge_person: merge % is already %', p_merge_id, v_merge.status;
+  end if;
+
+  update public.facts f set subject_id = (mv.old_value #>> '{}')::uuid
+    from public.person_merge_moves mv
+   where mv.merge_id = p_merge_id and mv.table_name = 'facts' and mv.column_name = 'subject_id'
+     and f.id = mv.row_id and to_jsonb(f.subject_id) = mv.new_value;
+  get diagnostics v_n = row_count;
+  select count(*) into v_all from public.person_merge_moves where merge_id = p_merge_id and table_name = 'facts';
+  v_total := v_total || jsonb_build_object('facts', v_n, 'facts_skipped', v_all - v_n);
+
+  update public.memories m set subject_id = (mv.old_value #>> '{}')::uuid
+    from public.person_merge_moves mv
+   where mv.merge_id = p_merge_id and mv.table_name = 'memories' and mv.column_name = 'subject_id'
+     and m.id = mv.row_id and to_jsonb(m.subject_id) = mv.new_value;
+  get diagnostics v_n = row_count;
+  select count(*) into v_all from public.person_merge_moves
+   where merge_id = p_merge_id and table_name = 'memories' and column_name = 'subject_id';
+  v_total := v_total || jsonb_build_object('memories', v_n, 'memories_skipped', v_all - v_n);
+
+  update public.memories m set related_people = array(select jsonb_array_elements_text(mv.old_value)::uuid)
+    from public.person_merge_moves mv
+   where mv.merge_id = p_merge_id and mv.table_name = 'memories' and mv.column_name = 'related_people'
+     and m.id = mv.row_id and to_jsonb(m.related_people) = mv.new_value;
+  get diagnostics v_n = row_count;
+  select count(*) into v_all from public.person_merge_moves
+   where merge_id = p_merge_id and table_name = 'memories' and column_name = 'related_people';
+  v_total := v_total || jsonb_build_object('related_people', v_n, 'related_people_skipped', v_all - v_n);
+
+  -- Canonical identifiers: drop only the entries the merge added, keep anything added since.
+  select coalesce(jsonb_agg(e), '[]'::jsonb) into v_added
+    from public.person_merge_moves mv, jsonb_array_elements(mv.new_value) e
+   where mv.merge_id = p_merge_id and mv.table_name = 'people' and mv.column_name = 'identifiers'
+     and not (coalesce(mv.old_value, '[]'::jsonb) @> jsonb_build_array(e));
+  update public.people p
+     set identifiers = coalesce((select jsonb_agg(e) from jsonb_array_elements(p.identifiers) e where not (v_added @> jsonb_build_array(e))), '[]'::jsonb),
+         updated_at = now()
+   where p.id = v_merge.canonical_id and jsonb_array_length(v_added) > 0;
+  v_total := v_total || jsonb_build_object('identifiers', jsonb_array_length(v_added));
+
+  -- Canonical nicknames: same rule, compared case-insensitively.
+  select coalesce(jsonb_agg(lower(n)), '[]'::jsonb) into v_added
+    from public.person_merge_moves mv, jsonb_array_elements_text(mv.new_value) n
+   where mv.merge_id = p_merge_id and mv.table_name = 'people' and mv.column_name = 'nicknames'
+     and not (coalesce(mv.old_value, '[]'::jsonb) @> jsonb_build_array(n));
+  if jsonb_array_length(v_added) > 0 then
+    execute 'update public.people set nicknames = array(select n from unnest(nicknames) n where not ($1 ? lower(n))) where id = $2'
+      using v_added, v_merge.canonical_id;
+  end if;
+  v_total := v_total || jsonb_build_object('nicknames', jsonb_array_length(v_added));
+
+  -- Dupes: restore their metadata if it still carries this merge's marker.
+  update public.people p set metadata = mv.old_value, updated_at = now()
+    from public.person_merge_moves mv
+   where mv.merge_id = p_merge_id and mv.table_name = 'people' and mv.column_name = 'metadata'
+     and p.id = mv.row_id and p.metadata ->> 'merge_id' = p_merge_id::text;
+  get diagnostics v_n = row_count;
+  v_total := v_total || jsonb_build_object('people', v_n, 'people_skipped', cardinality(v_merge.dupe_ids) - v_n);
+
+  update public.person_merges
+     set status = 'unmerged', unmerged_by = p_agent, unmerged_at = now(), restored = v_total
+   where id = p_merge_id;
+  return jsonb_build_object('merge_id', p_merge_id, 'canonical_id', v_merge.canonical_id, 'dupe_ids', v_merge.dupe_ids, 'restored', v_total);
+end;
+$$;
@@ -0,0 +1,84 @@
+-- search() filters inside match_memories_hybrid_v2 — backs NeoBrain.search({ since, until, category, people, parse })
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- match_memories_hybrid_v2 with four more filters, applied before either
+-- ranker picks its candidates: created_at in [p_since, p_until), category
+-- (category_filter holds lower-cased names and matches any case), and people
+-- (the memory's subject or one of its related_people). Filtering here instead
+-- of over the returned rows means a narrow filter can't leave search() with
+-- fewer than match_count hits when more match. The new arguments default to
+-- null, so callers that don't pass them rank exactly as before. Without this
+-- migration the SDK falls back to filtering the RPC's rows itself.
+drop function if exists public.match_memories_hybrid_v2(vector, text, int, float, text[], uuid, text[], text[], int, float, float);
+
+create or replace function public.match_memories_hybrid_v2(
+  query_embedding   vector(768),
+  query_text        text,
+  match_count       int         default 5,
+  min_similarity    float       default 0.3,
+  visibility_filter text[]      default array['public', 'internal', 'private'],
+  p_subject_id      uuid        default null,
+  source_filter     text[]      default null,
+  source_exclude    text[]      default null,
+  rrf_k             int         default 30,
+  semantic_weight   float       default 3.0,
+  lexical_weight    float       default 1.0,
+  p_since           timestamptz default null,
+  p_until           timestamptz default null,
+  category_filter   text[]      default null,
+  people_filter     uuid[]      default null
+) returns table (
+  id          uuid,
+  content     text,
+  category    text,
+  memory_type text,
+  importance  int,
+  visibility  text,
+  source      text,
+  subject_id  uuid,
+  similarity  float,
+  created_at  timestamptz,
+  sem_rank    int,
+  lex_rank    int,
+  rrf_score   float
+)
+language sql stable
+as $$
+  with filtered as (
+    select m.* from public.memories m
+    where m.archived = false
+      and m.visibility = any (visibility_filter)
+      and (p_subject_id is null or m.subject_id = p_subject_id)
+      and (source_filter is null or m.source = any (source_filter))
+      and (source_exclude is null or not (m.source = any (source_exclude)))
+      and (p_since is null or m.created_at >= p_since)
+      and (p_until is null or m.created_at < p_until)
+      and (category_filter is null or lower(m.category) = any (category_filter))
+      and (people_filter is null or m.subject_id = any (people_filter) or m.related_people && people_filter)
+  ),
+  sem as (
+    select f.id, row_number() over (order by f.embedding <=> query_embedding)::int as sem_rank
+    from filtered f
+    where f.embedding is not null and 1 - (f.embedding <=> query_embedding) >= min_similarity
+    order by f.embedding <=> query_embedding
+    limit match_count * 4
+  ),
+  lex as (
+    select f.id, row_number() over (order by ts_rank(to_tsvector('english', f.content), q) desc)::int as lex_rank
+    from filtered f, websearch_to_tsquery('english', query_text) q
+    where to_tsvector('english', f.content) @@ q
+    order by ts_rank(to_tsvector('english', f.content), q) desc
+    limit match_count * 4
+  ),
+  fused as (
+    select coalesce(s.id, l.id) as id, s.sem_rank, l.lex_rank,
+           coalesce(semantic_weight / (rrf_k + s.sem_rank), 0) + coalesce(lexical_weight / (rrf_k + l.lex_rank), 0) as rrf_score
+    from sem s full join lex l on l.id = s.id
+  )
+  select m.id, m.content, m.category, m.memory_type, m.importance, m.visibility, m.source, m.subject_id,
+         (1 - (m.embedding <=> query_embedding))::float, m.created_at, f.sem_rank, f.lex_rank, f.rrf_score::float
+  from fused f join public.memories m on m.id = f.id
+  order by f.rrf_score desc
+  limit match_count;
+$$;
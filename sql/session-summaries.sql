@@ -0,0 +1,19 @@
+-- Session summaries + session → memory lookup — backs NeoBrain.endSession({ summarize }), sessionTimeline(), listSessions()
+-- Target: neo-brain (xsunmervpyrplzarebva)
+-- Owner: @todak/memory SDK (packages/memory/src/client.js) — service_role only
+
+-- Memories join their session through source_ref.session_id, which save()
+-- stamps while a session is open (startSession() → endSession()). The
+-- summary is an ordinary memory (category 'session', memory_type
+-- 'session_summary') with 'summarizes' memory_edges to each source memory;
+-- agent_sessions points at it.
+alter table public.agent_sessions
+  add column if not exists summary_memory_id uuid references public.memories(id) on delete set null,
+  add column if not exists summarized_at     timestamptz;
+
+create index if not exists memories_session_idx
+  on public.memories ((source_ref ->> 'session_id'), created_at)
+  where source_ref ? 'session_id';
+
+create index if not exists agent_sessions_agent_started_idx
+  on public.agent_sessions (agent, started_at desc);
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// audit-memory-metadata.mjs — check existing memories against the per-category metadata schemas.
+//
+// save() validates metadata for registered categories (pr-awaiting-decision,
+// pr-decision-recorded, backup_run, …) from now on; this finds rows written
+// before, or by writers that bypass the SDK. Read-only: it pages live
+// memories of each registered category with brain.metadataAudit() and
+// prints the rows whose metadata breaks the schema, with the reasons, plus
+// the most common problems per category.
+//
+// USAGE
+//   node --env-file=.env tools/audit-memory-metadata.mjs
+//   node --env-file=.env tools/audit-memory-metadata.mjs --category pr-awaiting-decision --since-days 30
+//   node --env-file=.env tools/audit-memory-metadata.mjs --schemas db --json > metadata-audit.json
+//
+// OPTIONS
+//   --category <name>     only this category (repeatable; default every registered one)
+//   --since-days <n>      only rows created in the last n days
+//   --limit <n>           stop after n failing rows
+//   --schemas <file|db>   registry to check against (default NEO_BRAIN_METADATA_SCHEMAS, else the bundled one)
+//   --json                machine-readable output
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY
+//
+// EXIT CODES
+//   0 = every checked row conforms
+//   1 = failing rows listed
+//   2 = usage / config error
+
+import { NeoBrain } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+const flags = (name) => args.flatMap((a, i) => (a === name && args[i + 1] ? [args[i + 1]] : []));
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('audit-memory-metadata.mjs [--category NAME]... [--since-days N] [--limit N] [--schemas FILE|db] [--json]');
+  process.exit(0);
+}
+const categories = flags('--category');
+const sinceDays = flag('--since-days');
+const limit = flag('--limit');
+const schemas = flag('--schemas');
+const JSON_OUT = args.includes('--json');
+if ((sinceDays !== null && !(Number(sinceDays) > 0)) || (limit !== null && !(Number(limit) > 0))) {
+  console.error('bad option value (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+let brain;
+try {
+  brain = new NeoBrain({ agent: 'audit-memory-metadata', journal: null, reranker: false, ...(schemas ? { metadataSchemas: schemas } : {}) });
+  if (schemas === 'db') await brain.loadMetadataSchemas();
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+if (!brain.metadataSchemas?.categories().length) {
+  console.error('no metadata schemas registered (NEO_BRAIN_METADATA_SCHEMAS=off, or an empty registry)');
+  process.exit(2);
+}
+
+const since = sinceDays ? new Date(Date.now() - Number(sinceDays) * 86400_000) : null;
+const rows = [];
+try {
+  for await (const r of brain.metadataAudit({ categories: categories.length ? categories : null, since, limit: limit ? Number(limit) : Infinity })) {
+    rows.push(r);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(/no schema for/.test(e.message) ? 2 : 1);
+}
+
+// category → { rows, problems: { "metadata.pr_url: required": n } }. The
+// problem key drops array indexes so subtasks[3] and subtasks[7] count together.
+const byCategory = new Map();
+for (const r of rows) {
+  const c = byCategory.get(r.category) || { rows: 0, problems: {} };
+  c.rows++;
+  for (const e of r.errors) {
+    const key = e.replace(/\[\d+\]/g, '[]');
+    c.problems[key] = (c.problems[key] || 0) + 1;
+  }
+  byCategory.set(r.category, c);
+}
+
+if (JSON_OUT) {
+  console.log(JSON.stringify({
+    registry: brain.metadataSchemas.origin,
+    failing: rows.length,
+    categories: Object.fromEntries(byCategory),
+    rows: rows.map(({ id, created_at, category, source, errors }) => ({ id, created_at, category, source, errors })),
+  }, null, 2));
+} else {
+  for (const r of rows) {
+    console.log(`${r.id}  ${r.created_at.slice(0, 10)}  ${r.category}  (${r.source})`);
+    for (const e of r.errors) console.log(`    ${e}`);
+  }
+  console.log(`\n${rows.length} row(s) failing their category schema (registry: ${brain.metadataSchemas.origin})`);
+  for (const [category, c] of byCategory) {
+    const top = Object.entries(c.problems).sort((a, b) => b[1] - a[1]).slice(0, 5);
+    console.log(`  ${category}: ${c.rows} row(s) — ${top.map(([p, n]) => `${p} ×${n}`).join('; ')}`);
+  }
+}
+process.exit(rows.length ? 1 : 0);
@@ -3,8 +3,12 @@
 // Logical snapshot of all public tables in neo-brain (Supabase) → NDJSON.gz on NAS.
 //
 // Uses the REST API + service_role key (no DB password required — avoids relying on
-// a credential we don't have in the vault). Each table is paginated via PostgREST
-// Range headers and streamed through gzip to keep memory flat.
+// a credential we don't have in the vault). Each table is keyset-paginated (numeric
+// id, else created_at + id) and streamed through gzip to keep memory flat.
+//
+// Deliberately raw PostgREST rather than NeoBrain.iterateMemories() / iteratePeople():
+// the snapshot is every table as stored (the SDK drops policy-hidden rows and merged
+// people), and the NAS container runs this file alone with no node_modules.
 //
 // Usage:
 //   node backup-neo-brain.mjs [YYYY-MM-DD]   # defaults to today
@@ -93,11 +97,39 @@ async function *fetchRows(table) {
       return;
     }
   }
-  // Fallback: offset pagination for tables without a numeric id (uuid pks etc.)
+  // uuid pks: keyset on (created_at, id), the order the SDK's iterators page in
+  // (packages/memory/src/paging.js) — rows written mid-backup neither shift a
+  // page nor repeat one, as they would with offsets.
+  const keyed = await fetch(`${URL}/rest/v1/${encodeURIComponent(table)}?select=created_at,id&limit=1`, { headers: AUTH_HEADERS });
+  if (keyed.ok) {
+    const base = `${URL}/rest/v1/${encodeURIComponent(table)}?select=*&order=created_at.asc,id.asc&limit=${PAGE}`;
+    let after = null;
+    while (true) {
+      const keyset = after
+        ? `&or=${encodeURIComponent(`(created_at.gt."${after.at}",and(created_at.eq."${after.at}",id.gt.${after.id}))`)}`
+        : "&created_at=not.is.null";
+      const r = await fetch(base + keyset, { headers: AUTH_HEADERS });
+      if (!r.ok) throw new Error(`fetch ${table} ${r.status}: ${(await r.text()).slice(0, 200)}`);
+      const rows = await r.json();
+      if (!Array.isArray(rows)) throw new Error(`${table}: non-array response`);
+      for (const row of rows) yield row;
+      if (!rows.length) break;
+      const last = rows[rows.length - 1];
+      after = { at: last.created_at, id: last.id };
+    }
+    // Rows with no created_at sort outside the keyset; page them by id.
+    yield* offsetRows(table, "&created_at=is.null&order=id.asc");
+    return;
+  }
+  // Fallback: offset pagination for tables with neither (views, join tables).
+  yield* offsetRows(table, "");
+}
+
+async function *offsetRows(table, filter) {
   let offset = 0;
   while (true) {
     const to = offset + PAGE - 1;
-    const r = await fetch(`${URL}/rest/v1/${encodeURIComponent(table)}?select=*`, {
+    const r = await fetch(`${URL}/rest/v1/${encodeURIComponent(table)}?select=*${filter}`, {
       headers: { ...AUTH_HEADERS, Range: `${offset}-${to}`, "Range-Unit": "items" },
     });
     if (!r.ok) {
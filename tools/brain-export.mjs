@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// brain-export.mjs — write neo-brain (or a slice of it) to a portable NDJSON file.
+//
+// Uses brain.export(): a versioned, self-describing neo-brain-export stream
+// (header → people, media, memories, facts, memory_edges, knowledge graph →
+// trailer with counts). Filter by subject, category and time to hand a
+// subset to another Supabase project or a local dev instance; the slice
+// carries the people and media rows it references. Load it with
+// tools/brain-import.mjs. This is not a backup — that is
+// backup-neo-brain.mjs (every table, as stored).
+//
+// USAGE
+//   node --env-file=.env tools/brain-export.mjs --out neo-brain.ndjson.gz
+//   node --env-file=.env tools/brain-export.mjs --subject 00000000-0000-0000-0000-000000000001 --category project --since 2026-01-01 --out neo-project.ndjson
+//   node --env-file=.env tools/brain-export.mjs --category health --no-embeddings > health.ndjson
+//
+// OPTIONS
+//   --out <file>          write here (.gz → gzip); default stdout
+//   --subject <uuid>      only rows about this person (repeatable)
+//   --category <name>     only memories / facts in this category (repeatable)
+//   --since <date>        created at or after
+//   --until <date>        created before
+//   --section <name>      only these sections (repeatable): people, media, memories,
+//                         facts, memory_edges, knowledge_nodes, knowledge_edges
+//   --include-archived    archived memories too
+//   --no-embeddings       leave vectors out (smaller; the import re-embeds)
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY
+//
+// EXIT CODES
+//   0 = exported
+//   1 = export failed (a partial file has no trailer; brain-import reports it as incomplete)
+//   2 = usage / config error
+
+import { createWriteStream } from 'node:fs';
+import { createGzip } from 'node:zlib';
+import { once } from 'node:events';
+import { NeoBrain, EXPORT_SECTIONS, exportLine } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+const flags = (name) => args.flatMap((a, i) => (a === name && args[i + 1] ? [args[i + 1]] : []));
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('brain-export.mjs [--out FILE] [--subject UUID]... [--category NAME]... [--since DATE] [--until DATE] [--section NAME]... [--include-archived] [--no-embeddings]');
+  process.exit(0);
+}
+const outPath = flag('--out');
+const subjects = flags('--subject');
+const categories = flags('--category');
+const since = flag('--since');
+const until = flag('--until');
+const sections = flags('--section');
+if ([since, until].some((d) => d !== null && Number.isNaN(Date.parse(d))) || sections.some((s) => !EXPORT_SECTIONS.includes(s))) {
+  console.error('bad option value (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+const brain = new NeoBrain({ agent: 'brain-export', journal: null, reranker: false });
+
+let sink = process.stdout;
+let file = null;
+if (outPath) {
+  file = createWriteStream(outPath);
+  if (outPath.endsWith('.gz')) {
+    sink = createGzip({ level: 6 });
+    sink.pipe(file);
+  } else {
+    sink = file;
+  }
+}
+
+let counts = null;
+try {
+  for await (const record of brain.export({
+    subjectId: subjects.length ? subjects : null,
+    category: categories.length ? categories : null,
+    since,
+    until,
+    sections: sections.length ? sections : null,
+    includeArchived: args.includes('--include-archived'),
+    embeddings: !args.includes('--no-embeddings'),
+  })) {
+    if (!sink.write(exportLine(record))) await once(sink, 'drain');
+    if (record.end) counts = record.counts;
+  }
+} catch (e) {
+  console.error(`export failed: ${e.message}`);
+  process.exitCode = 1;
+}
+if (file) {
+  sink.end();
+  await once(file, 'finish');
+}
+if (counts) {
+  console.error(`exported ${Object.entries(counts).map(([s, n]) => `${s} ${n}`).join(', ')}${outPath ? ` → ${outPath}` : ''}`);
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// brain-import.mjs — load a brain-export.mjs file into the neo-brain in NEO_BRAIN_URL.
+//
+// Uses brain.import(). Rows keep their ids unless --remap-ids, which gives
+// every row a new id, rewrites the references between them and matches
+// people to existing ones by phone / lid / email — use it when loading into
+// a brain that already has data of its own. Vectors are re-embedded when
+// the export came from another embedding model (or had none); --reembed /
+// --no-reembed force it. Start with --dry-run.
+//
+// USAGE
+//   node --env-file=.env.dev tools/brain-import.mjs neo-project.ndjson --dry-run
+//   node --env-file=.env.dev tools/brain-import.mjs neo-brain.ndjson.gz
+//   node --env-file=.env tools/brain-import.mjs family.ndjson --remap-ids --json
+//
+// OPTIONS
+//   <file>                an export (.gz is gunzipped); - or none for stdin
+//   --dry-run             check and count, write nothing
+//   --remap-ids           new ids for every row; match people by identifiers
+//   --overwrite           replace rows whose id already exists (default: skip them)
+//   --reembed             always re-embed
+//   --no-reembed          never re-embed (keep the exported vectors)
+//   --json                machine-readable report
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY (+ embedding provider env when re-embedding)
+//
+// EXIT CODES
+//   0 = imported (or dry run) with no failed rows, and the export was complete
+//   1 = failed rows, a truncated export, or the import stopped
+//   2 = usage / config error
+
+import { createReadStream } from 'node:fs';
+import { createGunzip } from 'node:zlib';
+import { NeoBrain } from '@todak/memory';
+
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('brain-import.mjs [FILE|-] [--dry-run] [--remap-ids] [--overwrite] [--reembed|--no-reembed] [--json]');
+  process.exit(0);
+}
+const file = args.find((a) => !a.startsWith('--')) ?? '-';
+const JSON_OUT = args.includes('--json');
+if (args.includes('--reembed') && args.includes('--no-reembed')) {
+  console.error('--reembed and --no-reembed are exclusive (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+let input = file === '-' ? process.stdin : createReadStream(file);
+if (file.endsWith('.gz')) input = input.pipe(createGunzip());
+
+const brain = new NeoBrain({ agent: 'brain-import', journal: null, reranker: false });
+let report;
+try {
+  report = await brain.import(input, {
+    dryRun: args.includes('--dry-run'),
+    remapIds: args.includes('--remap-ids'),
+    conflict: args.includes('--overwrite') ? 'overwrite' : 'skip',
+    reembed: args.includes('--reembed') ? true : args.includes('--no-reembed') ? false : 'auto',
+  });
+} catch (e) {
+  console.error(`import failed: ${e.message}`);
+  process.exit(/not a neo-brain export|unsupported export version|empty stream|ENOENT/.test(e.message) ? 2 : 1);
+}
+
+const failed = Object.values(report.counts).reduce((n, c) => n + c.failed, 0);
+if (JSON_OUT) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(`${report.dryRun ? '[dry run] ' : ''}export v${report.version}${report.reembedded ? ', re-embedded' : ''}${report.complete ? '' : ' — INCOMPLETE'}`);
+  for (const [section, c] of Object.entries(report.counts)) {
+    const parts = Object.entries(c).filter(([, n]) => n).map(([k, n]) => `${k} ${n}`);
+    console.log(`  ${section.padEnd(16)} ${parts.join(', ') || '—'}`);
+  }
+  for (const e of report.errors.slice(0, 20)) console.log(`  ! ${e.section ?? 'stream'}${e.id ? ` ${e.id}` : ''}: ${e.error}`);
+  if (report.errors.length > 20) console.log(`  … ${report.errors.length - 20} more (--json for all)`);
+  for (const f of report.findings.slice(0, 20)) {
+    const notes = Object.keys(f).filter((k) => k !== 'section' && k !== 'id');
+    console.log(`  ~ ${f.section} ${f.id}: ${notes.join(', ')}`);
+  }
+  if (report.findings.length > 20) console.log(`  … ${report.findings.length - 20} more findings (--json for all)`);
+}
+process.exit(failed || !report.complete ? 1 : 0);
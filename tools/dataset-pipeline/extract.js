@@ -15,7 +15,7 @@
 //   node extract.js --out ~/datasets/neo-corpus/test
 
 import 'dotenv/config';
-import { createClient } from '@supabase/supabase-js';
+import { NeoBrain } from '@todak/memory';
 import { writeFileSync, mkdirSync, statSync } from 'node:fs';
 import { join, resolve } from 'node:path';
 import { homedir } from 'node:os';
@@ -113,26 +113,17 @@ function slicesFor(record, sliceMode) {
 }
 
 // ─── EXTRACTION ───────────────────────────────────────────────────────────────
-async function pageThroughMemories(sb, { sinceDays, visibility }) {
-  const PAGE = 1000;
-  let from = 0;
+// Keyset-paged (oldest first) by the SDK, so memories written mid-run can't
+// shift pages and duplicate or drop rows.
+async function readMemories(brain, { sinceDays, visibility }) {
   const rows = [];
-  while (true) {
-    let q = sb.from('memories')
-      .select('id,content,source,memory_type,category,visibility,importance,subject_id,related_people,source_ref,metadata,created_at')
-      .eq('archived', false);
-    if (visibility && visibility.length) q = q.in('visibility', visibility);
-    if (sinceDays != null && Number.isFinite(sinceDays)) {
-      const cutoff = new Date(Date.now() - sinceDays * 86400_000).toISOString();
-      q = q.gte('created_at', cutoff);
-    }
-    const { data, error } = await q.order('created_at', { ascending: true }).range(from, from + PAGE - 1);
-    if (error) throw new Error('memories read failed: ' + error.message);
-    if (!data || data.length === 0) break;
-    rows.push(...data);
-    if (data.length < PAGE) break;
-    from += PAGE;
-  }
+  for await (const row of brain.iterateMemories({
+    order: 'asc',
+    pageSize: 1000,
+    columns: 'id,content,source,memory_type,category,visibility,importance,subject_id,related_people,source_ref,metadata,created_at',
+    ...(visibility && visibility.length ? { visibility } : {}),
+    ...(sinceDays != null && Number.isFinite(sinceDays) ? { sinceHours: sinceDays * 24 } : {}),
+  })) rows.push(row);
   return rows;
 }
 
@@ -154,7 +145,7 @@ async function main() {
     process.exit(2);
   }
 
-  const sb = createClient(process.env.NEO_BRAIN_URL, process.env.NEO_BRAIN_SERVICE_ROLE_KEY);
+  const brain = new NeoBrain({ agent: 'dataset-extract', journal: null, reranker: false });
 
   console.log('# Dataset extraction — neo-corpus');
   console.log('  visibility :', opts.visibility.join(','));
@@ -164,7 +155,7 @@ async function main() {
 
   console.log('\n→ Reading memories table...');
   const t0 = Date.now();
-  const rows = await pageThroughMemories(sb, opts);
+  const rows = await readMemories(brain, opts);
   console.log(`  read ${rows.length} rows in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
 
   // Aggregate distributions for the manifest, even in dry-run
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// embedding-migration.mjs — move neo-brain to another embedding model without a big-bang re-embed.
+//
+// The target model comes from NEO_BRAIN_SHADOW_EMBED_* (same shape as
+// NEO_BRAIN_EMBED_*); its vectors go in a shadow column named for it
+// (embedding_<model>_<dims>) next to `embedding`. Steps, in order:
+//   start    add the shadow column to every embedded table, record the migration
+//   run      the re-embed job — resumable (cursor in embedding_migrations),
+//            rate-limited; run it again after an interruption, and once more
+//            before cutover to sweep up rows written meanwhile
+//   compare  the eval set through search() on both columns; stores the result
+//   cutover  mark it cut over — refused unless the backfill finished and a
+//            later compare passed. Then set NEO_BRAIN_SEARCH_VECTORS=shadow
+//            on readers.
+//   status   where it is
+// Needs sql/embedding-migrations.sql applied.
+//
+// USAGE
+//   node --env-file=.env tools/embedding-migration.mjs start
+//   node --env-file=.env tools/embedding-migration.mjs run --rpm 900 --batch 100
+//   node --env-file=.env tools/embedding-migration.mjs compare --max-drop 0.02
+//   node --env-file=.env tools/embedding-migration.mjs cutover
+//
+// OPTIONS
+//   --table <name>        start: only these tables (repeatable): memories, memory_chunks, media, knowledge_nodes
+//   --batch <n>           run: rows per embedding request (default: the provider's batch size)
+//   --rpm <n>             run: embedding requests per minute (default unlimited)
+//   --limit <n>           run: stop after n rows (the next run resumes)
+//   --eval <file>         compare: eval set (default eval/neo-brain/eval-set-v1.json)
+//   --k <n>               compare: results per question (default 10)
+//   --max-drop <x>        compare: largest allowed drop in recall@5 / recall@10 / MRR (default 0.02)
+//   --force               cutover: skip the backfill and eval checks
+//   --json                machine-readable output
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY, NEO_BRAIN_SHADOW_EMBED_PROVIDER
+//      (+ _MODEL, _URL, _API_KEY, _DIMS), and the primary embedding env for compare
+//
+// EXIT CODES
+//   0 = done (run: finished or stopped at --limit; compare: passed)
+//   1 = failed (run: an error — rerun to resume; compare: did not pass; cutover: refused)
+//   2 = usage / config error
+
+import { readFileSync } from 'node:fs';
+import { NeoBrain, SHADOW_TABLES } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+const flags = (name) => args.flatMap((a, i) => (a === name && args[i + 1] ? [args[i + 1]] : []));
+const COMMANDS = ['start', 'run', 'compare', 'cutover', 'status'];
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('embedding-migration.mjs start|run|compare|cutover|status [--table NAME]... [--batch N] [--rpm N] [--limit N] [--eval FILE] [--k N] [--max-drop X] [--force] [--json]');
+  process.exit(0);
+}
+const cmd = args[0];
+const JSON_OUT = args.includes('--json');
+const num = (name, def) => (flag(name) === null ? def : Number(flag(name)));
+const tables = flags('--table');
+const opts = { batch: num('--batch', undefined), rpm: num('--rpm', null), limit: num('--limit', Infinity), k: num('--k', 10), maxDrop: num('--max-drop', undefined) };
+if (
+  !COMMANDS.includes(cmd) ||
+  Object.values(opts).some((v) => v !== undefined && v !== null && !(v >= 0)) ||
+  tables.some((t) => !SHADOW_TABLES[t])
+) {
+  console.error('usage: embedding-migration.mjs start|run|compare|cutover|status [options] (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_SHADOW_EMBED_PROVIDER) {
+  console.error('NEO_BRAIN_SHADOW_EMBED_PROVIDER (+ _MODEL, _DIMS, …) required — the model to migrate to');
+  process.exit(2);
+}
+
+const brain = new NeoBrain({ agent: 'embedding-migration', journal: null, reranker: false, searchVectors: 'primary' });
+const out = (value, line) => console.log(JSON_OUT ? JSON.stringify(value, null, 2) : line);
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+function describe(m) {
+  if (!m) return `${brain.shadowColumn}: not started`;
+  const progress = m.tables.map((t) => `${t} ${m.progress?.[t] ?? 0}`).join(', ');
+  const evalLine = m.eval ? `last compare ${m.eval.ran_at}: ${m.eval.pass ? 'PASS' : 'FAIL'}` : 'no compare yet';
+  return `${m.id} (${m.provider}:${m.model} @ ${m.dims}) — ${m.status}${m.cursor?.table ? `, cursor ${m.cursor.table}/${m.cursor.id}` : ''}\n  embedded: ${progress}\n  ${evalLine}`;
+}
+
+try {
+  if (cmd === 'status') {
+    const m = await brain.embeddingMigration();
+    out(m, describe(m));
+  } else if (cmd === 'start') {
+    const m = await brain.startEmbeddingMigration(tables.length ? { tables } : {});
+    out(m, describe(m));
+  } else if (cmd === 'run') {
+    const ctrl = new AbortController();
+    process.on('SIGINT', () => ctrl.abort()); // finish the batch in flight, keep the cursor
+    const totals = { rows: 0, embedded: 0, empty: 0, failed: 0 };
+    for await (const p of brain.reembedShadow({ batchSize: opts.batch, rpm: opts.rpm, limit: opts.limit, signal: ctrl.signal })) {
+      for (const k of Object.keys(totals)) totals[k] += p[k];
+      if (!JSON_OUT) console.log(`  ${p.table.padEnd(16)} +${p.embedded}${p.failed ? ` (${p.failed} failed)` : ''}  → ${p.cursor.id}`);
+    }
+    const m = await brain.embeddingMigration();
+    out({ totals, migration: m }, `rows ${totals.rows}, embedded ${totals.embedded}, empty ${totals.empty}, failed ${totals.failed}\n${describe(m)}`);
+  } else if (cmd === 'compare') {
+    const evalSet = JSON.parse(readFileSync(flag('--eval', './eval/neo-brain/eval-set-v1.json'), 'utf8'));
+    const r = await brain.compareEmbeddingSearch(evalSet.cases, { k: opts.k, ...(opts.maxDrop !== undefined ? { maxDrop: opts.maxDrop } : {}) });
+    if (JSON_OUT) {
+      console.log(JSON.stringify(r, null, 2));
+    } else {
+      console.log(`${r.column} vs embedding · ${r.primary.n} scored questions · k=${r.k} · max drop ${r.max_drop}`);
+      for (const m of Object.keys(r.deltas)) {
+        const fmt = m === 'MRR' ? (v) => v.toFixed(3) : pct;
+        console.log(`  ${m.padEnd(9)} ${fmt(r.primary[m])} → ${fmt(r.shadow[m])}${r.regressions.includes(m) ? '  ✗' : ''}`);
+      }
+      for (const e of r.errors) console.log(`  ! ${e.id} (${e.vectors}): ${e.error}`);
+      console.log(r.pass ? 'PASS — cutover allowed' : 'FAIL — cutover blocked');
+    }
+    process.exitCode = r.pass ? 0 : 1;
+  } else if (cmd === 'cutover') {
+    const m = await brain.cutoverEmbeddingMigration({ force: args.includes('--force') });
+    out(m, `${describe(m)}\nnow set NEO_BRAIN_SEARCH_VECTORS=shadow on readers`);
+  }
+} catch (e) {
+  console.error(`${cmd} failed: ${e.message}`);
+  process.exitCode = 1;
+}
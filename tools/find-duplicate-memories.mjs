@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// find-duplicate-memories.mjs — report clusters of near-duplicate memories in neo-brain.
+//
+// Fleet agents and hooks re-save the same progress note; save({ dedupe }) stops
+// new ones, this finds the ones already in the table. Read-only: it pages the
+// whole memories table (archived rows excluded), groups by category + subject,
+// and clusters rows whose normalized text is identical or whose embeddings
+// are ≥ --threshold cosine apart — same scoring as save({ dedupe }).
+//
+// USAGE
+//   node --env-file=.env tools/find-duplicate-memories.mjs
+//   node --env-file=.env tools/find-duplicate-memories.mjs --category progress --threshold 0.97
+//   node --env-file=.env tools/find-duplicate-memories.mjs --since-days 30 --json > dupes.json
+//
+// OPTIONS
+//   --threshold <0..1>   similarity to call two rows duplicates (default 0.95)
+//   --window-days <n>    only compare rows created within n days of each other (default 30; 0 = no limit)
+//   --category <name>    restrict to one category
+//   --since-days <n>     only rows created in the last n days
+//   --top <n>            clusters to print (default 50; --json prints all)
+//   --json               machine-readable output
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY
+//
+// EXIT CODES
+//   0 = report printed (duplicates or not)
+//   2 = usage / config error
+
+import { createClient } from '@supabase/supabase-js';
+import { findDuplicateClusters } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('find-duplicate-memories.mjs [--threshold 0.95] [--window-days 30] [--category X] [--since-days N] [--top 50] [--json]');
+  process.exit(0);
+}
+const JSON_OUT = args.includes('--json');
+const threshold = Number(flag('--threshold', '0.95'));
+const windowDays = Number(flag('--window-days', '30'));
+const sinceDays = flag('--since-days') != null ? Number(flag('--since-days')) : null;
+const category = flag('--category');
+const top = Number(flag('--top', '50'));
+if (!(threshold > 0 && threshold <= 1) || !(windowDays >= 0) || (sinceDays != null && !(sinceDays > 0)) || !(top > 0)) {
+  console.error('bad option value (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+const sb = createClient(process.env.NEO_BRAIN_URL, process.env.NEO_BRAIN_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+const PAGE = 1000;
+
+async function loadRows() {
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    let q = sb
+      .from('memories')
+      .select('id, content, category, subject_id, source, created_at, embedding')
+      .eq('archived', false);
+    if (category) q = q.eq('category', category);
+    if (sinceDays) q = q.gte('created_at', new Date(Date.now() - sinceDays * 86400_000).toISOString());
+    const { data, error } = await q.order('created_at', { ascending: true }).order('id', { ascending: true }).range(from, from + PAGE - 1);
+    if (error) throw new Error(`memories page @${from}: ${error.message}`);
+    // Parse now and keep Float32 — a 768-dim vector as a JSON string is ~10 KB.
+    for (const r of data) rows.push({ ...r, embedding: r.embedding ? Float32Array.from(JSON.parse(r.embedding)) : null });
+    if (!JSON_OUT) process.stderr.write(`\rloaded ${rows.length} memories`);
+    if (data.length < PAGE) break;
+  }
+  if (!JSON_OUT) process.stderr.write('\n');
+  return rows;
+}
+
+const rows = await loadRows();
+const clusters = findDuplicateClusters(rows, { threshold, windowMs: windowDays ? windowDays * 86400_000 : null });
+const dupeRows = clusters.reduce((n, c) => n + c.members.length, 0);
+
+const preview = (s) => String(s || '').replace(/\s+/g, ' ').slice(0, 100);
+
+if (JSON_OUT) {
+  console.log(JSON.stringify({
+    scanned: rows.length,
+    threshold,
+    windowDays,
+    clusters: clusters.map((c) => ({
+      category: c.category,
+      subjectId: c.subjectId,
+      canonical: { id: c.canonical.id, created_at: c.canonical.created_at, source: c.canonical.source, content: c.canonical.content },
+      duplicates: c.members.map(({ row, similarity }) => ({ id: row.id, created_at: row.created_at, source: row.source, similarity: Math.round(similarity * 1e4) / 1e4 })),
+    })),
+  }, null, 2));
+} else {
+  console.log(`scanned ${rows.length} memories · ${clusters.length} duplicate cluster(s) · ${dupeRows} redundant row(s) (threshold ${threshold}, window ${windowDays || '∞'} days)`);
+  for (const c of clusters.slice(0, top)) {
+    console.log(`\n[${c.category ?? '-'}] subject ${c.subjectId ?? '-'} — ${c.members.length + 1} rows`);
+    console.log(`  keep ${c.canonical.id}  ${c.canonical.created_at}  ${c.canonical.source ?? ''}`);
+    console.log(`       ${preview(c.canonical.content)}`);
+    for (const { row, similarity } of c.members) {
+      console.log(`  dup  ${row.id}  ${row.created_at}  ${row.source ?? ''}  sim ${similarity.toFixed(3)}`);
+    }
+  }
+  if (clusters.length > top) console.log(`\n… ${clusters.length - top} more cluster(s); use --top or --json`);
+}
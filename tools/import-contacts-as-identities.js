@@ -3,8 +3,9 @@
  * Bulk-import every nclaw_contacts row into neo-brain.people as an identity.
  *
  * Design:
- *  - Read all contacts from legacy DB (uzamamymfzhelvkwpvgt.nclaw_contacts, paginated past 1000 cap)
- *  - Read existing people from neo-brain and build a Set of known identifiers (phones, LIDs, group IDs)
+ *  - Read all contacts from legacy DB (uzamamymfzhelvkwpvgt.nclaw_contacts, keyset-paged on id past the 1000 cap)
+ *  - Read existing people (merged ones too) from neo-brain via NeoBrain.iteratePeople() and build a
+ *    Set of known identifiers (phones, LIDs, group IDs)
  *  - For any contact not yet represented, create a people row with identifiers[] and metadata
  *  - Group contacts become kind=group, user contacts kind=user
  *  - Safe to re-run: dedup by identifier match.
@@ -31,25 +32,34 @@ const brain = createClient(BRAIN_URL, BRAIN_KEY);
 
 const log = (...a) => console.log(new Date().toISOString(), ...a);
 
+// Keyset on id, not offsets: contacts synced mid-run neither shift a page
+// (skipping rows) nor repeat one. nclaw_contacts is in the legacy project, so
+// the SDK's iterators don't reach it.
 async function fetchAllContacts() {
   const all = [];
-  for (let from = 0; ; from += 1000) {
-    const { data, error } = await legacy
+  for (let after = null; ; ) {
+    let q = legacy
       .from("nclaw_contacts")
       .select("id, phone, name, push_name, kind, lid, permission, persona_override, notes, last_seen_at, wa_synced_at")
-      .range(from, from + 999);
+      .order("id", { ascending: true })
+      .limit(1000);
+    if (after != null) q = q.gt("id", after);
+    const { data, error } = await q;
     if (error) throw new Error(error.message);
     if (!data?.length) break;
     all.push(...data);
-    if (data.length < 1000) break;
+    after = data[data.length - 1].id;
   }
   return all;
 }
 
+// Merged people keep their identifiers, so they count as known too.
 async function fetchAllPeople() {
-  const { data, error } = await brain.from("people").select("id, identifiers");
-  if (error) throw new Error(error.message);
-  return data || [];
+  const { NeoBrain } = await import("../packages/memory/src/index.js");
+  const sdk = new NeoBrain({ url: BRAIN_URL, serviceRoleKey: BRAIN_KEY, agent: "import-contacts", journal: null, reranker: false });
+  const all = [];
+  for await (const p of sdk.iteratePeople({ includeMerged: true, order: "asc", pageSize: 1000, columns: "id, identifiers" })) all.push(p);
+  return all;
 }
 
 function buildKnownSet(people) {
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// neo-brain-journal.mjs — inspect and drain the @todak/memory write-ahead journal.
+//
+// When NeoBrain is given a journal (NEO_BRAIN_JOURNAL_DIR or `journal:` option),
+// saves that fail because Supabase / Gemini is unreachable are appended to
+// <dir>/pending.ndjson instead of being lost. This CLI shows what's queued and
+// replays it through NeoBrain.flushPending() — same idempotent path the SDK uses.
+//
+// USAGE
+//   node tools/neo-brain-journal.mjs [status]          # pending + dead-lettered entries (no network)
+//   node tools/neo-brain-journal.mjs drain [--limit N] # replay pending entries
+//   node tools/neo-brain-journal.mjs requeue <id>      # move a dead entry back to pending
+//   node tools/neo-brain-journal.mjs drop <id>         # discard an entry for good
+//   node tools/neo-brain-journal.mjs --help
+//
+// OPTIONS
+//   --dir <path>   journal directory (default: $NEO_BRAIN_JOURNAL_DIR)
+//   --json         machine-readable output (status / drain)
+//
+// ENV (drain only): NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY, GEMINI_API_KEY
+//   (use node --env-file=.env)
+//
+// EXIT CODES
+//   0 = ok (drain: queue empty or fully drained)
+//   1 = drain left entries behind (backend still down, or some dead-lettered)
+//   2 = usage / config error
+
+import { NeoBrain, WriteJournal } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  if (i < 0) return null;
+  const v = args[i + 1];
+  args.splice(i, 2);
+  return v;
+};
+const HELP = args.includes('--help') || args.includes('-h');
+const JSON_OUT = args.includes('--json');
+const dir = flag('--dir') || process.env.NEO_BRAIN_JOURNAL_DIR;
+const limitArg = flag('--limit');
+const [cmd = 'status', target] = args.filter((a) => !a.startsWith('-'));
+
+if (HELP) {
+  console.log(`neo-brain-journal.mjs — show / drain the NeoBrain write-ahead journal.
+
+Usage:
+  node tools/neo-brain-journal.mjs [status]          # list queued + dead-lettered writes
+  node tools/neo-brain-journal.mjs drain [--limit N] # replay via NeoBrain.flushPending()
+  node tools/neo-brain-journal.mjs requeue <id>
+  node tools/neo-brain-journal.mjs drop <id>
+
+Options: --dir <path> (default $NEO_BRAIN_JOURNAL_DIR), --json`);
+  process.exit(0);
+}
+if (!dir) {
+  console.error('journal dir required: --dir <path> or NEO_BRAIN_JOURNAL_DIR');
+  process.exit(2);
+}
+
+const journal = new WriteJournal({ dir });
+
+function printEntries(label, items) {
+  console.log(`${label}: ${items.length}`);
+  for (const it of items) {
+    const row = it.entry.row || {};
+    const preview = String(row.content || '').slice(0, 80).replace(/\n/g, ' ');
+    console.log(`  ${it.id}  ${it.op}  queued ${it.queuedAt}  attempts ${it.attempts}  by ${it.entry.writtenBy || '?'}`);
+    console.log(`      [${row.category || '?'}] ${preview}`);
+    if (it.lastError) console.log(`      last error: ${it.lastError}`);
+  }
+}
+
+switch (cmd) {
+  case 'status': {
+    const state = await journal.read();
+    if (JSON_OUT) {
+      console.log(JSON.stringify({ dir: journal.dir, ...state }, null, 2));
+      break;
+    }
+    console.log(`journal: ${journal.file}`);
+    printEntries('pending', state.pending);
+    printEntries('dead-lettered', state.dead);
+    if (state.corruptLines) console.log(`(${state.corruptLines} unreadable line(s) skipped — likely a torn write)`);
+    break;
+  }
+  case 'drain': {
+    if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+      console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+      process.exit(2);
+    }
+    const limit = limitArg ? Number(limitArg) : Infinity;
+    if (!(limit > 0)) {
+      console.error(`--limit must be a positive number (got ${limitArg})`);
+      process.exit(2);
+    }
+    const brain = new NeoBrain({ agent: 'neo-brain-journal-cli', journal });
+    const res = await brain.flushPending({ limit });
+    if (JSON_OUT) {
+      console.log(JSON.stringify(res, null, 2));
+    } else {
+      console.log(`replayed ${res.flushed}, remaining ${res.remaining}, dead-lettered ${res.dead}`);
+      for (const f of res.failed) console.log(`  dead: ${f.id} — ${f.error}`);
+      if (res.stoppedOn) console.log(`stopped: backend still unreachable (${res.stoppedOn})`);
+    }
+    process.exit(res.remaining || res.dead ? 1 : 0);
+  }
+  case 'requeue':
+  case 'drop': {
+    if (!target) {
+      console.error(`${cmd}: entry id required`);
+      process.exit(2);
+    }
+    const { pending, dead } = await journal.read();
+    if (![...pending, ...dead].some((i) => i.id === target)) {
+      console.error(`${cmd}: no journal entry ${target}`);
+      process.exit(2);
+    }
+    if (cmd === 'requeue') await journal.requeue(target);
+    else await journal.drop(target);
+    await journal.compact();
+    console.log(`${cmd === 'requeue' ? 'requeued' : 'dropped'} ${target}`);
+    break;
+  }
+  default:
+    console.error(`unknown command "${cmd}" (status | drain | requeue | drop; --help)`);
+    process.exit(2);
+}
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// pii-visibility-report.mjs — list memories whose visibility is more open than their PII allows.
+//
+// save() tags PII on new rows, and with NEO_BRAIN_PII=downgrade also lowers
+// their visibility; this finds the rows still too open — written before
+// that, or under the default tag mode. It pages live memories with
+// brain.piiReport() and prints each one whose text holds PII its visibility
+// should not expose: phone numbers, emails, IC numbers, addresses and health
+// terms belong in `private`, named third parties in `internal` at most.
+// Previews mask every digit, so the report itself is safe to paste.
+//
+// USAGE
+//   node --env-file=.env tools/pii-visibility-report.mjs
+//   node --env-file=.env tools/pii-visibility-report.mjs --visibility public --since-days 90
+//   node --env-file=.env tools/pii-visibility-report.mjs --json > pii.json
+//   node --env-file=.env tools/pii-visibility-report.mjs --apply
+//
+// OPTIONS
+//   --visibility <list>   visibilities to scan, comma-separated (default public,internal)
+//   --since-days <n>      only rows created in the last n days
+//   --limit <n>           stop after n offending rows
+//   --json                machine-readable output (masked preview, no content)
+//   --apply               lower each row to the suggested visibility via brain.update()
+//                         (versioned, and tags metadata.pii_kinds)
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY
+//
+// EXIT CODES
+//   0 = no offending rows (or all of them fixed with --apply)
+//   1 = offending rows listed
+//   2 = usage / config error
+
+import { NeoBrain } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('pii-visibility-report.mjs [--visibility public,internal] [--since-days N] [--limit N] [--json] [--apply]');
+  process.exit(0);
+}
+const visibility = flag('--visibility', 'public,internal').split(',').map((v) => v.trim()).filter(Boolean);
+const sinceDays = flag('--since-days');
+const limit = flag('--limit');
+const JSON_OUT = args.includes('--json');
+const APPLY = args.includes('--apply');
+if (
+  !visibility.length ||
+  visibility.some((v) => !['public', 'internal', 'private'].includes(v)) ||
+  (sinceDays !== null && !(Number(sinceDays) > 0)) ||
+  (limit !== null && !(Number(limit) > 0))
+) {
+  console.error('bad option value (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+const brain = new NeoBrain({ agent: 'pii-visibility-report', journal: null, reranker: false });
+const since = sinceDays ? new Date(Date.now() - Number(sinceDays) * 86400_000) : null;
+
+// Collect first: --apply changes visibility, which would shift the pages.
+const rows = [];
+for await (const r of brain.piiReport({ visibility, since, limit: limit ? Number(limit) : Infinity })) rows.push(r);
+
+const preview = (text) => text.replace(/\d/g, '#').replace(/\s+/g, ' ').slice(0, 100);
+
+if (JSON_OUT) {
+  console.log(JSON.stringify(rows.map(({ content, ...r }) => ({ ...r, preview: preview(content) })), null, 2));
+} else {
+  for (const r of rows) {
+    console.log(`${r.id}  ${r.created_at.slice(0, 10)}  ${r.visibility} → ${r.suggested}  [${r.kinds.join(', ')}]${r.tagged ? '' : ' (untagged)'}`);
+    console.log(`    ${r.category}/${r.memory_type}: ${preview(r.content)}`);
+  }
+  const byVis = {};
+  for (const r of rows) byVis[`${r.visibility} → ${r.suggested}`] = (byVis[`${r.visibility} → ${r.suggested}`] || 0) + 1;
+  console.log(`\n${rows.length} row(s) too open${rows.length ? `: ${Object.entries(byVis).map(([k, n]) => `${n} ${k}`).join(', ')}` : ''}`);
+}
+
+if (!APPLY || !rows.length) process.exit(rows.length ? 1 : 0);
+
+let failed = 0;
+for (const r of rows) {
+  try {
+    await brain.update(r.id, { visibility: r.suggested }, { reason: 'pii-visibility-report --apply' });
+  } catch (e) {
+    failed++;
+    console.error(`${r.id}: ${e.message}`);
+  }
+}
+console.error(`applied ${rows.length - failed}/${rows.length}`);
+process.exit(failed ? 1 : 0);
@@ -11,6 +11,7 @@
  */
 
 require('dotenv').config();
+const { MEMORY_CATEGORIES } = require('../config/memory-constants');
 
 function printHelp() {
   console.log(`
@@ -23,11 +24,16 @@ Usage: node rag-semantic-search.js [options] <query>
 Options:
   --limit, -l      Number of results (default: 5)
   --threshold, -t  Min similarity 0-1 (default: 0.3 — hybrid RRF, lower than old cosine)
+  --snippet, -s    Snippet window in chars around the best match (default: 220)
+  --explain, -e    Show why each hit matched: terms, similarity, dominant ranker, filters
+  --parse, -p      Lift time phrases, people and project names out of the query as filters
   --context, -c    Also print a plain context block for pasting into a prompt
 
 Examples:
   node rag-semantic-search.js "what are Neo's active projects?"
   node rag-semantic-search.js -t 0.25 -l 10 "todak digitech migration status"
+  node rag-semantic-search.js --explain "hetzner migration"
+  node rag-semantic-search.js --parse "what did I decide about Siti last week"
 `);
 }
 
@@ -35,12 +41,15 @@ Examples:
   const args = process.argv.slice(2);
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) { printHelp(); process.exit(0); }
 
-  const opts = { limit: 5, threshold: 0.3, context: false };
+  const opts = { limit: 5, threshold: 0.3, snippet: 220, explain: false, parse: false, context: false };
   const queryParts = [];
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === '--limit' || a === '-l') opts.limit = parseInt(args[++i], 10) || opts.limit;
     else if (a === '--threshold' || a === '-t') opts.threshold = parseFloat(args[++i]);
+    else if (a === '--snippet' || a === '-s') opts.snippet = parseInt(args[++i], 10) || opts.snippet;
+    else if (a === '--explain' || a === '-e') opts.explain = true;
+    else if (a === '--parse' || a === '-p') opts.parse = true;
     else if (a === '--context' || a === '-c') opts.context = true;
     else queryParts.push(a);
   }
@@ -61,8 +70,15 @@ Examples:
 
   let hits;
   try {
-    const brain = new NeoBrain({ agent: 'rag-semantic-search-cli' });
-    hits = await brain.search(query, { k: opts.limit, minSimilarity: opts.threshold });
+    // Project names are the memory categories; "General" is everything else.
+    const projects = Object.values(MEMORY_CATEGORIES).filter((c) => c !== 'General');
+    const brain = new NeoBrain({ agent: 'rag-semantic-search-cli', projects });
+    if (opts.parse) {
+      const parsed = await brain.parseQuery(query);
+      const lifted = parsed.matches.map((m) => `${m.kind}: "${m.text}"`).join(' · ') || 'nothing';
+      console.log(`Parsed: searching "${parsed.text || query}" · ${lifted}\n`);
+    }
+    hits = await brain.search(query, { k: opts.limit, minSimilarity: opts.threshold, snippet: opts.snippet, explain: opts.explain, parse: opts.parse });
   } catch (e) {
     console.error('❌ Search failed:', e.message);
     process.exit(1);
@@ -75,11 +91,22 @@ Examples:
   }
 
   console.log(`✅ Found ${hits.length} memories:\n`);
+  if (opts.explain) {
+    const f = hits[0].explain.filters;
+    console.log(`Filters: ${Object.entries(f).map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`).join(' · ')}\n`);
+  }
   hits.forEach((m, i) => {
     const date = m.created_at ? new Date(m.created_at).toISOString().slice(0, 10) : '?';
     const sim = m.similarity != null ? `${(m.similarity * 100).toFixed(1)}% sim` : (m.rrf_score != null ? `rrf ${m.rrf_score.toFixed(3)}` : '');
     console.log(`${i + 1}. [${sim}] ${m.category || '?'} · imp ${m.importance ?? '?'}/10 · ${date}`);
-    console.log(`   ${(m.content || '').replace(/\s+/g, ' ').trim().slice(0, 220)}\n`);
+    if (opts.explain) {
+      const e = m.explain;
+      const terms = e.terms.length ? e.terms.map((t) => `${t.term}×${t.count}`).join(', ') : 'none';
+      console.log(`   ${e.highlighted}`);
+      console.log(`   ↳ ranked by ${e.dominant || 'n/a'} · terms: ${terms}${m.passage ? ` · passage #${m.passage.index}` : ''}\n`);
+    } else {
+      console.log(`   ${m.snippet}\n`);
+    }
   });
 
   if (opts.context) {
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// rechunk-memories.mjs — build memory_chunks rows for existing long memories.
+//
+// New saves over 2048 chars get passage rows automatically (@todak/memory
+// chunking). Rows written before sql/memory-chunks.sql was applied — and saves
+// that were queued by the journal or hit a chunk error — only have the pooled
+// parent embedding. This pages the memories table, picks rows longer than the
+// SDK's chunking.minChars, and runs NeoBrain.rechunkMemory() on each (drop old
+// passages, re-split, embed, insert). Parent rows are not modified.
+//
+// USAGE
+//   node --env-file=.env tools/rechunk-memories.mjs --dry-run      # count candidates only
+//   node --env-file=.env tools/rechunk-memories.mjs --missing      # only long rows with no chunks yet
+//   node --env-file=.env tools/rechunk-memories.mjs                # re-chunk every long row
+//
+// OPTIONS
+//   --missing        skip memories that already have chunk rows
+//   --dry-run        list what would be re-chunked, write nothing
+//   --limit <n>      stop after n memories
+//   --rpm <n>        embed budget: memories per minute (default 60)
+//   --category <c>   restrict to one category
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY, GEMINI_API_KEY (or NEO_BRAIN_EMBED_*)
+//
+// EXIT CODES
+//   0 = done (or dry run)
+//   1 = some memories failed (listed)
+//   2 = usage / config error
+
+import { NeoBrain, RateLimiter } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('rechunk-memories.mjs [--missing] [--dry-run] [--limit N] [--rpm 60] [--category X]');
+  process.exit(0);
+}
+const MISSING = args.includes('--missing');
+const DRY = args.includes('--dry-run');
+const limit = flag('--limit') != null ? Number(flag('--limit')) : Infinity;
+const rpm = Number(flag('--rpm', '60'));
+const category = flag('--category');
+if (!(limit > 0) || !(rpm > 0)) {
+  console.error('--limit and --rpm must be positive numbers');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+const brain = new NeoBrain({ agent: 'rechunk-memories', embeddingCache: false });
+const { minChars } = brain.chunking || {};
+if (!minChars) {
+  console.error('chunking is disabled on this client');
+  process.exit(2);
+}
+const PAGE = 500;
+
+async function chunkedIds() {
+  const ids = new Set();
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await brain.sb.from('memory_chunks').select('memory_id').order('id').range(from, from + 999);
+    if (error) throw new Error(`memory_chunks: ${error.message}`);
+    for (const r of data) ids.add(r.memory_id);
+    if (data.length < 1000) return ids;
+  }
+}
+
+const skip = MISSING ? await chunkedIds() : new Set();
+const candidates = [];
+for (let from = 0; candidates.length < limit; from += PAGE) {
+  let q = brain.sb.from('memories').select('id, content, category, created_at').eq('archived', false);
+  if (category) q = q.eq('category', category);
+  const { data, error } = await q.order('created_at', { ascending: true }).order('id', { ascending: true }).range(from, from + PAGE - 1);
+  if (error) {
+    console.error(`memories page @${from}: ${error.message}`);
+    process.exit(2);
+  }
+  for (const r of data) {
+    if ((r.content || '').length > minChars && !skip.has(r.id)) candidates.push(r);
+    if (candidates.length >= limit) break;
+  }
+  if (data.length < PAGE) break;
+}
+
+console.log(`${candidates.length} memor${candidates.length === 1 ? 'y' : 'ies'} to re-chunk (> ${minChars} chars${MISSING ? ', no chunks yet' : ''})`);
+if (DRY) {
+  for (const r of candidates.slice(0, 50)) console.log(`  ${r.id}  ${r.created_at}  [${r.category}]  ${r.content.length} chars`);
+  if (candidates.length > 50) console.log(`  … ${candidates.length - 50} more`);
+  process.exit(0);
+}
+
+const limiter = new RateLimiter({ rpm });
+const failed = [];
+let chunks = 0;
+for (const [i, r] of candidates.entries()) {
+  await limiter.acquire();
+  try {
+    chunks += (await brain.rechunkMemory(r.id)).chunks;
+  } catch (e) {
+    failed.push({ id: r.id, error: e.message });
+  }
+  process.stdout.write(`\r${i + 1}/${candidates.length} · ${chunks} chunks · ${failed.length} failed`);
+}
+process.stdout.write('\n');
+for (const f of failed) console.log(`  failed ${f.id}: ${f.error}`);
+process.exit(failed.length ? 1 : 0);
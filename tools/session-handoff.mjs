@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// session-handoff.mjs — write a SESSION-HANDOFF-*.md from agent_sessions instead of by hand.
+//
+// Picks sessions (one id, or an agent / time window), optionally summarizes
+// the ones that ended without a summary, and renders them with
+// renderHandoff(): window, status, TL;DR from the session summaries, and a
+// chronological table of every memory written under them.
+//
+// USAGE
+//   node --env-file=.env tools/session-handoff.mjs --session <uuid>
+//   node --env-file=.env tools/session-handoff.mjs --agent claude-code-vps-ams1 --since-hours 24 --out SESSION-HANDOFF-2026-05-04.md
+//   node --env-file=.env tools/session-handoff.mjs --since-hours 12 --summarize
+//
+// OPTIONS
+//   --session <id>        one session (repeatable)
+//   --agent <name>        sessions of this agent (default: all agents)
+//   --since-hours <n>     sessions started in the last n hours (default 24; ignored with --session)
+//   --summarize           summarize ended sessions that have no summary yet (writes memories)
+//   --title <text>        heading (default "Session Handoff — <date>")
+//   --out <file>          write the markdown here instead of stdout
+//
+// ENV: NEO_BRAIN_URL, NEO_BRAIN_SERVICE_ROLE_KEY; GEMINI_API_KEY for embeddings
+//      (and NEO_BRAIN_SUMMARIZER=llm for LLM summaries)
+//
+// EXIT CODES
+//   0 = handoff written
+//   1 = no matching sessions
+//   2 = usage / config error
+
+import { writeFileSync } from 'node:fs';
+import { NeoBrain, renderHandoff } from '@todak/memory';
+
+const args = process.argv.slice(2);
+const flag = (name, def = null) => {
+  const i = args.indexOf(name);
+  return i < 0 ? def : args[i + 1];
+};
+const flags = (name) => args.flatMap((a, i) => (a === name && args[i + 1] ? [args[i + 1]] : []));
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('session-handoff.mjs [--session ID]... [--agent NAME] [--since-hours 24] [--summarize] [--title T] [--out FILE]');
+  process.exit(0);
+}
+const sessionIds = flags('--session');
+const agent = flag('--agent');
+const sinceHours = Number(flag('--since-hours', '24'));
+const summarize = args.includes('--summarize');
+const title = flag('--title');
+const outFile = flag('--out');
+if (!(sinceHours > 0)) {
+  console.error('bad option value (see --help)');
+  process.exit(2);
+}
+if (!process.env.NEO_BRAIN_URL || !process.env.NEO_BRAIN_SERVICE_ROLE_KEY) {
+  console.error('NEO_BRAIN_URL + NEO_BRAIN_SERVICE_ROLE_KEY required (use node --env-file=.env)');
+  process.exit(2);
+}
+
+const brain = new NeoBrain({ agent: 'session-handoff', journal: null, reranker: false });
+
+const ids = sessionIds.length
+  ? sessionIds
+  : (await brain.listSessions({ agent, since: new Date(Date.now() - sinceHours * 3600_000), limit: 200 })).map((s) => s.id);
+if (!ids.length) {
+  console.error('no matching sessions');
+  process.exit(1);
+}
+
+const timelines = [];
+for (const id of ids) {
+  let t = await brain.sessionTimeline(id);
+  if (summarize && t.session.ended_at && !t.summary && t.memories.length) {
+    const r = await brain.summarizeSession(id);
+    process.stderr.write(`summarized ${id} → ${r.summaryId} (${r.summarizer}${r.fallbackError ? `, fallback: ${r.fallbackError}` : ''})\n`);
+    t = await brain.sessionTimeline(id);
+  }
+  timelines.push(t);
+}
+
+const md = renderHandoff(timelines, { title });
+if (outFile) {
+  writeFileSync(outFile, md);
+  process.stderr.write(`wrote ${outFile} (${timelines.length} sessions)\n`);
+} else {
+  process.stdout.write(md);
+}
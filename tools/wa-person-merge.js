@@ -8,12 +8,15 @@
  * "Broneotodak" rows (Neo himself across every group), 2-4 dupe rows for many
  * other contacts.
  *
- * This tool merges dupes into a canonical row by:
+ * This tool picks canonical + dupes and hands them to brain.mergePeople()
+ * (RPC merge_people, sql/person-merges.sql), which in ONE transaction:
  *   1. UPDATE facts SET subject_id = canonical
  *   2. UPDATE memories SET subject_id = canonical
  *   3. Replace dupe ids inside memories.related_people arrays
  *   4. Union dupes' identifiers / nicknames / push_names into canonical
- *   5. Soft-mark dupe row: kind='merged', metadata.merged_into=canonical_id
+ *   5. Soft-mark dupe row: metadata.merged_into=canonical_id
+ * and records every change in the merge ledger. Undo a run with
+ * brain.unmergePerson(merge_id) — the ids are printed per merge.
  *
  * Usage:
  *   node wa-person-merge.js --mode neo --dry-run
@@ -27,6 +30,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { NeoBrain } from '@todak/memory';
 import fs from 'fs';
 import path from 'path';
 
@@ -38,6 +42,7 @@ const sb = createClient(
   process.env.NEO_BRAIN_SERVICE_ROLE_KEY,
   { auth: { persistSession: false } }
 );
+const brain = new NeoBrain({ agent: 'wa-person-merge', journal: null, reranker: false });
 
 const NEO_SELF_ID = '00000000-0000-0000-0000-000000000001';
 const NEO_OWNER_PHONE = '60177519610';
@@ -87,9 +92,10 @@ async function mergeNeoAliases() {
   let { data: candidates } = await sb
     .from('people')
     .select('id,display_name,kind,phone,lid,push_name,identifiers,nicknames,bio,traits,facts,relationship,languages')
-    .or(orFilter);
+    .or(orFilter)
+    .is('metadata->merged_into', null);
 
-  candidates = (candidates || []).filter(p => p.id !== canonical.id && p.kind !== 'self' && p.kind !== 'merged');
+  candidates = (candidates || []).filter(p => p.id !== canonical.id && p.kind !== 'self');
 
   if (LIMIT) candidates = candidates.slice(0, LIMIT);
   console.log(`\nFound ${candidates.length} dupe rows to merge into canonical.\n`);
@@ -112,7 +118,7 @@ async function mergeSameName() {
     const { data, error } = await sb
       .from('people')
       .select('id,display_name,kind')
-      .neq('kind', 'merged')
+      .is('metadata->merged_into', null)
       .neq('kind', 'self')
       .range(off, off + 999);
     if (error) throw error;
@@ -187,7 +193,7 @@ async function mergeIntoCanonical(canonical, dupes, opts = {}) {
     memCount += mc || 0;
   }
 
-  console.log(`  Plan: migrate ${factCount} facts, ${memCount} memories.subject_id, then mark ${dupeIds.length} dupes as kind=merged`);
+  console.log(`  Plan: migrate ${factCount} facts, ${memCount} memories.subject_id, then mark ${dupeIds.length} dupes via metadata.merged_into`);
 
   // 2. Plan identifier/nickname union
   const newIdentifiers = unionIdentifiers(canonical.identifiers || [], dupes, opts.addNicknames || []);
@@ -201,84 +207,28 @@ async function mergeIntoCanonical(canonical, dupes, opts = {}) {
     return;
   }
 
-  // 3. EXECUTE in order
-  // 3a. Migrate facts.subject_id (batched)
-  if (factCount > 0) {
-    let migrated = 0;
-    for (const batch of batches) {
-      const { error } = await sb.from('facts').update({ subject_id: canonical.id }).in('subject_id', batch);
-      if (error) { console.error(`  ❌ facts update batch: ${error.message}`); return; }
-      migrated += batch.length;
-    }
-    console.log(`  ✓ migrated ${factCount} facts (across ${batches.length} batches)`);
-  }
-
-  // 3b. Migrate memories.subject_id (batched)
-  if (memCount > 0) {
-    for (const batch of batches) {
-      const { error } = await sb.from('memories').update({ subject_id: canonical.id }).in('subject_id', batch);
-      if (error) { console.error(`  ❌ memories update batch: ${error.message}`); return; }
+  // 3. EXECUTE — one transaction, recorded in the merge ledger. Large dupe
+  // sets go in batches, one ledger entry each.
+  for (const batch of batches) {
+    try {
+      const m = await brain.mergePeople(canonical.id, batch, { reason: `wa-person-merge --mode ${MODE}` });
+      const mv = m.moved || {};
+      console.log(`  ✓ merge ${m.merge_id}: ${batch.length} dupes, ${mv.facts} facts, ${mv.memories} memories, ${mv.related_people} related_people, +${mv.identifiers} identifiers, +${mv.nicknames} nicknames`);
+    } catch (e) {
+      console.error(`  ❌ ${e.message}`);
+      return;
     }
-    console.log(`  ✓ migrated ${memCount} memories.subject_id`);
-  }
-
-  // 3c. Patch memories.related_people arrays (one row at a time, only where needed)
-  await migrateRelatedPeople(dupeIds, canonical.id);
-
-  // 3d. Update canonical with merged identifiers + nicknames
-  if (addedIds > 0 || addedNicks > 0) {
-    const patch = { updated_at: new Date().toISOString() };
-    if (addedIds > 0) patch.identifiers = newIdentifiers;
-    if (addedNicks > 0) patch.nicknames = newNicknames;
-    const { error } = await sb.from('people').update(patch).eq('id', canonical.id);
-    if (error) console.error(`  ⚠ canonical update failed: ${error.message}`);
-    else console.log(`  ✓ canonical updated (+${addedIds} identifiers, +${addedNicks} nicknames)`);
-  }
-
-  // 3e. Soft-mark dupes via metadata.merged_into (people.kind has a CHECK
-  // constraint that disallows 'merged'; keep kind unchanged, downstream
-  // readers filter on metadata->>merged_into).
-  const mergedAt = new Date().toISOString();
-  let marked = 0;
-  for (const d of dupes) {
-    const { error } = await sb.from('people').update({
-      metadata: { ...(d.metadata || {}), merged_into: canonical.id, merged_at: mergedAt, merge_source: 'wa-person-merge' },
-      updated_at: mergedAt,
-    }).eq('id', d.id);
-    if (error) console.error(`  ⚠ mark merged failed for ${d.id.slice(0, 8)}: ${error.message}`);
-    else marked++;
   }
-  console.log(`  ✓ soft-marked ${marked}/${dupes.length} dupe rows via metadata.merged_into`);
-}
 
-async function migrateRelatedPeople(dupeIds, canonicalId) {
-  // Batch the dupeIds into chunks for the .overlaps() call (URL length limit)
-  const BATCH = 80;
-  const batches = chunk(dupeIds, BATCH);
-  const dupeSet = new Set(dupeIds);
-  let touched = 0;
-
-  for (const batch of batches) {
-    let off = 0;
-    while (true) {
-      const { data, error } = await sb
-        .from('memories')
-        .select('id,related_people')
-        .overlaps('related_people', batch)
-        .range(off, off + 499);
-      if (error) { console.error(`  ⚠ related_people scan: ${error.message}`); break; }
-      if (!data || data.length === 0) break;
-      for (const m of data) {
-        const arr = m.related_people || [];
-        const updated = [...new Set(arr.map(id => dupeSet.has(id) ? canonicalId : id))];
-        const { error: ue } = await sb.from('memories').update({ related_people: updated }).eq('id', m.id);
-        if (!ue) touched++;
-      }
-      if (data.length < 500) break;
-      off += 500;
+  // 3b. Extra nicknames for the canonical row (not from any dupe, so outside the ledger)
+  if (opts.addNicknames?.length) {
+    const { data: fresh } = await sb.from('people').select('nicknames').eq('id', canonical.id).maybeSingle();
+    const nicknames = unionNicknames(fresh?.nicknames || [], [], opts.addNicknames);
+    if (nicknames.length > (fresh?.nicknames || []).length) {
+      const { error } = await sb.from('people').update({ nicknames, updated_at: new Date().toISOString() }).eq('id', canonical.id);
+      if (error) console.error(`  ⚠ nickname update failed: ${error.message}`);
     }
   }
-  if (touched > 0) console.log(`  ✓ rewrote ${touched} memories.related_people arrays`);
 }
 
 function chunk(arr, n) {